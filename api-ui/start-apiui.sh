@@ -1,2 +0,0 @@
-#!/usr/bin/env bash
-superstatic api-ui --port 3002 --host localhost
@@ -0,0 +1,103 @@
+/**
+ * ApiKey Model
+ * Server-to-server access for partners (NPO CRMs, corporate matching
+ * programs), a key acts as `userId` limited to its scopes
+ * Manage
+ *     attributes
+ *     sha256 digest of the key, the plain value is returned once on create
+ *     and rotate
+ *     usage counters
+ */
+'use strict';
+
+const mongoose = require('mongoose');
+const timestamps = require('mongoose-timestamp');
+const permissions = require('../roles/permissions');
+const audit = require('../audits/plugin');
+
+const ALL = '*';
+
+let schema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+
+    /**
+     * User the key acts as, usually a service user with a role
+     */
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+
+    /**
+     * Digest of the key, never the plain value
+     */
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+
+    /**
+     * First characters of the key, to tell keys apart on the dashboard
+     */
+    prefix: {
+        type: String
+    },
+
+    /**
+     * Permissions the key can use, see roles/permissions.js. Requests need
+     * the permission on both the key and the user role. `*` is not allowed
+     */
+    scopes: {
+        type: [String],
+        default: [],
+        validate: {
+            validator: values => values.every(value => value !== ALL && permissions.hasOwnProperty(value)),
+            message: '{VALUE} contains unknown scopes'
+        }
+    },
+
+    expire: {
+        type: Date
+    },
+
+    revokedAt: {
+        type: Date
+    },
+
+    rotatedAt: {
+        type: Date
+    },
+
+    lastUsed: {
+        type: Date
+    },
+
+    usageCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    versionKey: false
+});
+
+schema.plugin(timestamps);
+schema.plugin(audit);
+
+/**
+ * Arrow functions don't work here, `this` is the document
+ */
+schema.methods.active = function(now) {
+    return !this.revokedAt && (!this.expire || this.expire.getTime() > (now || new Date()).getTime());
+};
+
+module.exports = mongoose.model('ApiKey', schema);
@@ -0,0 +1,51 @@
+/**
+ * Middleware to create an API key, admin users only
+ *
+ * POST /api-keys
+ *     name: partner name
+ *     userId: user the key acts as
+ *     scopes: permissions the key can use, e.g. ['transactions:read']
+ *     expire: optional expiration date
+ *
+ * Response includes the plain `key`, it's not possible to get it again
+ */
+'use strict';
+
+const ApiKey = require('./apiKey');
+const User = require('../users/user');
+const generate = require('./generate');
+const serialize = require('./serialize');
+const errors = require('../errors');
+
+module.exports = function create(request, response, next) {
+    const body = request.body;
+
+    return User
+        .findOne({
+            _id: body.userId,
+            archived: false
+        })
+        .then(user => {
+            if (!user) {
+                return Promise.reject(errors.create('user-not-found'));
+            }
+
+            const generated = generate();
+
+            return new ApiKey({
+                name: body.name,
+                userId: user._id,
+                createdBy: request.currentUser._id,
+                key: generated.digest,
+                prefix: generated.prefix,
+                scopes: [].concat(body.scopes || []),
+                expire: body.expire
+            })
+            .audit(request)
+            .save()
+            .then(apiKey => response.json({
+                data: serialize(apiKey, generated.key)
+            }));
+        })
+        .catch(next);
+};
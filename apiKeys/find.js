@@ -0,0 +1,30 @@
+/**
+ * Middleware to find the API key on `request.params.id`
+ * Stored on `request.apiKeyFound`, `request.apiKey` is the key used to
+ * authenticate the request, if any
+ */
+'use strict';
+
+const ApiKey = require('./apiKey');
+const ObjectId = require('mongoose').Types.ObjectId;
+const errors = require('../errors');
+
+module.exports = function find(request, response, next) {
+    if (!ObjectId.isValid(request.params.id)) {
+        return next(errors.create('api-key-not-found'));
+    }
+
+    return ApiKey
+        .findOne({
+            _id: request.params.id
+        })
+        .then(apiKey => {
+            if (!apiKey) {
+                return next(errors.create('api-key-not-found'));
+            }
+
+            request.apiKeyFound = apiKey;
+            next();
+        })
+        .catch(next);
+};
@@ -0,0 +1,21 @@
+/**
+ * Generate a new API key
+ * Returns {key, digest, prefix}, only `digest` and `prefix` are stored
+ */
+'use strict';
+
+const crypto = require('crypto');
+const hashToken = require('../helpers/hashToken');
+
+const PREFIX = 'elm_';
+const PREFIX_LENGTH = PREFIX.length + 8;
+
+module.exports = function generate() {
+    const key = PREFIX + crypto.randomBytes(32).toString('hex');
+
+    return {
+        key: key,
+        digest: hashToken(key),
+        prefix: key.slice(0, PREFIX_LENGTH)
+    };
+};
@@ -0,0 +1,37 @@
+/**
+ * Manage API keys for partner integrations, admin users only
+ *  create
+ *  list and get single
+ *  rotate
+ *  revoke
+ */
+'use strict';
+
+const router = require('express').Router();
+const create = require('./create');
+const list = require('./list');
+const show = require('./show');
+const rotate = require('./rotate');
+const revoke = require('./revoke');
+const find = require('./find');
+const verifyToken = require('../lib/verifyJwt');
+const authenticate = require('../lib/authenticate');
+const currentUser = require('../lib/currentUser');
+const isAdmin = require('../lib/isAdmin');
+const validate = require('../lib/validate');
+const schemas = require('./schemas');
+
+const PATH = '/api-keys';
+const SINGLE = '/api-keys/:id';
+const ROTATE = '/api-keys/:id/rotate';
+
+const middlewares = [verifyToken, authenticate, currentUser, isAdmin];
+
+router
+    .get(PATH, middlewares, validate(schemas.list), list)
+    .post(PATH, middlewares, validate(schemas.create), create)
+    .get(SINGLE, middlewares, validate(schemas.single), find, show)
+    .post(ROTATE, middlewares, validate(schemas.single), find, rotate)
+    .delete(SINGLE, middlewares, validate(schemas.single), find, revoke);
+
+module.exports = router;
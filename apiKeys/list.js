@@ -0,0 +1,39 @@
+/**
+ * Middleware to list API keys, without their digests
+ * Filter by user with `?userId=`, revoked keys are included with
+ * `?revoked=true`
+ */
+'use strict';
+
+const ApiKey = require('./apiKey');
+const queryOptions = require('../helpers/queryOptions');
+const serialize = require('./serialize');
+
+module.exports = function list(request, response, next) {
+    let query = {};
+    let options = queryOptions(request, ApiKey);
+
+    if (request.query.userId) {
+        query.userId = request.query.userId;
+    }
+
+    if (request.query.revoked !== true) {
+        query.revokedAt = {
+            $exists: false
+        };
+    }
+
+    return ApiKey
+        .paginate(query, options)
+        .then(data => {
+            let result = {
+                data: data.docs.map(apiKey => serialize(apiKey))
+            };
+
+            data.docs = void(0);
+            result.meta = data;
+
+            return response.json(result);
+        })
+        .catch(next);
+};
@@ -0,0 +1,26 @@
+/**
+ * Middleware to revoke an API key, admin users only
+ */
+'use strict';
+
+const serialize = require('./serialize');
+
+module.exports = function revoke(request, response, next) {
+    let apiKey = request.apiKeyFound;
+
+    if (apiKey.revokedAt) {
+        return response.json({
+            data: serialize(apiKey)
+        });
+    }
+
+    apiKey.revokedAt = new Date();
+
+    return apiKey
+        .audit(request, 'revoke')
+        .save()
+        .then(saved => response.json({
+            data: serialize(saved)
+        }))
+        .catch(next);
+};
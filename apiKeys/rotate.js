@@ -0,0 +1,33 @@
+/**
+ * Middleware to rotate an API key, admin users only
+ * The previous key stops working right away, usage counters are kept
+ *
+ * Response includes the new plain `key`
+ */
+'use strict';
+
+const generate = require('./generate');
+const serialize = require('./serialize');
+const errors = require('../errors');
+
+module.exports = function rotate(request, response, next) {
+    let apiKey = request.apiKeyFound;
+
+    if (apiKey.revokedAt) {
+        return next(errors.create('api-key-revoked'));
+    }
+
+    const generated = generate();
+
+    apiKey.key = generated.digest;
+    apiKey.prefix = generated.prefix;
+    apiKey.rotatedAt = new Date();
+
+    return apiKey
+        .audit(request, 'rotate')
+        .save()
+        .then(saved => response.json({
+            data: serialize(saved, generated.key)
+        }))
+        .catch(next);
+};
@@ -0,0 +1,46 @@
+/**
+ * Request schemas for API keys endpoints, see ../validation
+ */
+'use strict';
+
+const fields = require('../validation/fields');
+
+module.exports = {
+    list: {
+        query: Object.assign({}, fields.list, {
+            userId: 'objectId',
+            revoked: {
+                type: 'boolean',
+                description: 'Include revoked keys'
+            }
+        })
+    },
+
+    create: {
+        body: {
+            name: {
+                type: 'string',
+                required: true
+            },
+            userId: {
+                type: 'objectId',
+                required: true,
+                description: 'User the key acts as'
+            },
+            scopes: {
+                type: 'array',
+                required: true,
+                minLength: 1,
+                items: 'string',
+                description: 'Permissions, see roles/permissions.js'
+            },
+            expire: 'date'
+        }
+    },
+
+    single: {
+        params: {
+            id: fields.id
+        }
+    }
+};
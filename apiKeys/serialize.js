@@ -0,0 +1,29 @@
+/**
+ * Serialize an API key without its digest
+ * `key` holds the plain value, only right after create or rotate
+ */
+'use strict';
+
+module.exports = (apiKey, plain) => {
+    let data = {
+        _id: apiKey._id,
+        name: apiKey.name,
+        userId: apiKey.userId,
+        createdBy: apiKey.createdBy,
+        prefix: apiKey.prefix,
+        scopes: apiKey.scopes,
+        expire: apiKey.expire,
+        revokedAt: apiKey.revokedAt,
+        rotatedAt: apiKey.rotatedAt,
+        lastUsed: apiKey.lastUsed,
+        usageCount: apiKey.usageCount,
+        active: apiKey.active(),
+        createdAt: apiKey.createdAt
+    };
+
+    if (plain) {
+        data.key = plain;
+    }
+
+    return data;
+};
@@ -0,0 +1,12 @@
+/**
+ * Middleware to show an API key, without its digest
+ */
+'use strict';
+
+const serialize = require('./serialize');
+
+module.exports = function show(request, response) {
+    return response.json({
+        data: serialize(request.apiKeyFound)
+    });
+};
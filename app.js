@@ -49,8 +49,12 @@ const cors = require('cors');
 const fourOhFour = require('./lib/fourOhFour');
 const sendError = require('./lib/sendError');
 const logRequest = require('./lib/logRequest');
+const audit = require('./lib/audit');
+const rateLimit = require('./lib/rateLimit');
+const errors = require('./errors');
 
 const SEND_ERRORS = process.env.SEND_ERRORS;
+const TRUST_PROXY = process.env.TRUST_PROXY;
 
 let app = express();
 
@@ -60,41 +64,46 @@ let app = express();
  */
 app.disable('x-powered-by');
 
+/**
+ * Behind a load balancer, use client IP address from `X-Forwarded-For`, used
+ * to track failed attempts per IP address. Number of hops or `true`
+ * @see http://expressjs.com/en/guide/behind-proxies.html
+ */
+if (TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? +TRUST_PROXY : TRUST_PROXY === 'true');
+}
+
 app.use(cors());
 app.use(logRequest);
+
+/**
+ * Limit requests per IP address, counters are shared by every API process,
+ * see rateLimits/README.md
+ */
+app.use(rateLimit);
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({
     extended: false
 }));
 
+/**
+ * Store who changed what on every mutating request, see audits/README.md
+ */
+app.use(audit);
+
 /**
  * Require modules/routes/express applications and use their endpoints
  */
 require('./modules')(app);
 
-const NOT_FOUND_STATUS_CODE = 404;
-
 /**
  * Reject any other request to any other endpoint
  * If we get to this point, means no handler is defined for the current request
  * route.
  * We are going to return NOT FOUND response, as per requirements
  */
-app.all('*', (request, response) => {
-
-    //
-    //  Lester, Some thoughts to consider
-    //
-    //  a couple of things of note here, can we please check to see if this is a POST or a GET before
-    //  returning a 405?  If we're going to return a 405, we should be returning ALLOWS headers for what is allowable
-    //
-    //  An easier implementation would be to return a 404 here and not worry about the ALLOWS
-    //
-    //  Additionally, do we have HTTP_CONST_CODES defined somewhere that can be used here instead of magic number 405?
-    return response.status(NOT_FOUND_STATUS_CODE).json({
-        message: 'Request handler not found',
-        status: NOT_FOUND_STATUS_CODE
-    });
+app.all('*', (request, response, next) => {
+    next(errors.create('route-not-found'));
 });
 
 /**
@@ -0,0 +1,65 @@
+/**
+ * Attempt Model
+ * Track failed attempts on sensitive actions (login, password reset), per
+ * account and per IP address
+ * Manage
+ *     attributes
+ *     lockouts, each one longer than the previous one
+ */
+'use strict';
+
+const mongoose = require('mongoose');
+const timestamps = require('mongoose-timestamp');
+
+let schema = new mongoose.Schema({
+    /**
+     * `action:scope:value`, e.g. `login:account:foo@bar.com`
+     */
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+
+    action: {
+        type: String,
+        required: true
+    },
+
+    scope: {
+        type: String,
+        required: true,
+        enum: ['account', 'ip']
+    },
+
+    /**
+     * Failures since last lockout
+     */
+    failures: {
+        type: Number,
+        default: 0
+    },
+
+    /**
+     * Consecutive lockouts, used to double lockout duration
+     */
+    lockouts: {
+        type: Number,
+        default: 0
+    },
+
+    lockedUntil: {
+        type: Date
+    },
+
+    lastFailure: {
+        type: Date
+    }
+}, {
+    versionKey: false
+});
+
+schema.plugin(timestamps);
+
+module.exports = mongoose.model('Attempt', schema);
@@ -0,0 +1,75 @@
+/**
+ * Lockout rules, independent from database and clock so they can be tested
+ * with any date
+ *
+ * After `max` failures in a row the key is locked for `base` minutes, then
+ * twice as long on every new lockout, up to one day. Failures older than
+ * `WINDOW` and lockouts older than a day are forgotten, see ./tracker.js
+ */
+'use strict';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const BASE = (+process.env.LOCKOUT_BASE_MINUTES || 1) * MINUTE;
+
+/**
+ * Failures older than this are forgotten
+ */
+const WINDOW = 15 * MINUTE;
+
+/**
+ * Maximum failures before lockout per scope. Higher for IP addresses, since
+ * many users could share the same one
+ */
+const MAX = {
+    account: +process.env.LOCKOUT_MAX_ATTEMPTS || 5,
+    ip: +process.env.LOCKOUT_MAX_IP_ATTEMPTS || 20
+};
+
+function time(date) {
+    return date ? new Date(date).getTime() : 0;
+}
+
+function locked(attempt, now) {
+    return time(attempt.lockedUntil) > time(now);
+}
+
+/**
+ * Seconds to wait until lockout ends
+ */
+function retryAfter(attempt, now) {
+    return Math.max(0, Math.ceil((time(attempt.lockedUntil) - time(now)) / 1000));
+}
+
+/**
+ * Lockout duration in milliseconds, for the nth lockout
+ */
+function duration(lockouts) {
+    return Math.min(BASE * Math.pow(2, Math.max(lockouts - 1, 0)), DAY);
+}
+
+/**
+ * End of the lockout starting `now`, for the nth lockout
+ */
+function until(lockouts, now) {
+    return new Date(time(now) + duration(lockouts));
+}
+
+/**
+ * Maximum failures before lockout for `scope`
+ */
+function max(scope) {
+    return MAX[scope] || MAX.account;
+}
+
+module.exports = {
+    MAX: MAX,
+    WINDOW: WINDOW,
+    DAY: DAY,
+    locked: locked,
+    retryAfter: retryAfter,
+    duration: duration,
+    until: until,
+    max: max
+};
@@ -0,0 +1,216 @@
+/**
+ * Track failed attempts on sensitive actions, per account and per IP address
+ * Usage:
+ *     const keys = tracker.keys('login', email, request);
+ *
+ *     tracker.guard(keys, response)         // reject if any key is locked
+ *         .then(() => validateCredentials)
+ *         .then(isValid => isValid ?
+ *             tracker.succeed(keys) :       // clear account failures
+ *             tracker.fail(keys, request)); // count failure, maybe lock
+ *
+ * Every lockout is logged and stored as a `lockout` audit event of the user.
+ */
+'use strict';
+
+const Attempt = require('./attempt');
+const User = require('../users/user');
+const record = require('../audits/record');
+const lockout = require('./lockout');
+const clock = require('../helpers/clock');
+const logger = require('../logger');
+const errors = require('../errors');
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Keys to track for `action` on `account` (usually an email) and request IP
+ */
+function keys(action, account, request) {
+    account = account ? String(account).trim().toLowerCase() : undefined;
+
+    let result = [{
+        key: `${action}:ip:${request.ip}`,
+        action: action,
+        scope: 'ip',
+        account: account
+    }];
+
+    if (account) {
+        result.unshift({
+            key: `${action}:account:${account}`,
+            action: action,
+            scope: 'account',
+            account: account
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Log a lockout and store it as an audit event of the user of the account,
+ * lockouts of unknown accounts are stored without `resourceId`
+ */
+function audit(attempt, item, request) {
+    logger.warn({
+        audit: 'lockout',
+        key: attempt.key,
+        action: attempt.action,
+        scope: attempt.scope,
+        lockouts: attempt.lockouts,
+        lockedUntil: attempt.lockedUntil,
+        ip: request.ip,
+        req: request
+    }, 'Too many failed attempts, locked');
+
+    let user = item.account ? User.findOne({email: item.account}, {_id: 1}) : Promise.resolve();
+
+    return user
+        .then(user => record(request, {
+            action: 'lockout',
+            resource: 'User',
+            resourceId: user ? user._id : undefined
+        }))
+        .catch(error => logger.error({err: error}));
+}
+
+/**
+ * Reject with 429 and set `Retry-After` header if any key is locked
+ */
+function guard(items, response) {
+    const query = {
+        key: {
+            $in: items.map(item => item.key)
+        }
+    };
+
+    return Attempt
+        .find(query)
+        .then(attempts => {
+            const now = clock.now();
+            const retryAfter = attempts
+                .filter(attempt => lockout.locked(attempt, now))
+                .reduce((max, attempt) => Math.max(max, lockout.retryAfter(attempt, now)), 0);
+
+            if (!retryAfter) {
+                return;
+            }
+
+            response.set('Retry-After', String(retryAfter));
+
+            return Promise.reject(errors.create('too-many-attempts'));
+        });
+}
+
+/**
+ * Forget failures and lockouts of `key` older than the lockout rules allow
+ */
+function forget(key, now) {
+    const since = limit => new Date(now.getTime() - limit);
+
+    return Attempt
+        .update({
+            key: key,
+            lastFailure: {$lt: since(lockout.DAY)}
+        }, {
+            $set: {failures: 0, lockouts: 0}
+        })
+        .then(() => Attempt.update({
+            key: key,
+            lastFailure: {$lt: since(lockout.WINDOW)}
+        }, {
+            $set: {failures: 0}
+        }));
+}
+
+/**
+ * Count a failure atomically, creating the attempt if needed. Two requests
+ * creating the same attempt at once make one upsert fail, retry it once
+ */
+function increment(item, now, retried) {
+    return Attempt
+        .findOneAndUpdate({
+            key: item.key
+        }, {
+            $inc: {failures: 1},
+            $set: {lastFailure: now},
+            $setOnInsert: {action: item.action, scope: item.scope}
+        }, {
+            new: true,
+            upsert: true,
+            setDefaultsOnInsert: true
+        })
+        .catch(error => {
+            if (error.code === DUPLICATE_KEY && !retried) {
+                return increment(item, now, true);
+            }
+
+            return Promise.reject(error);
+        });
+}
+
+/**
+ * Lock `attempt` once it reaches the limit. The limit is part of the query,
+ * so among parallel failures only one locks the key and resets the count.
+ * Resolves to the locked attempt, or nothing
+ */
+function lock(attempt, now) {
+    const max = lockout.max(attempt.scope);
+
+    if (attempt.failures < max) {
+        return Promise.resolve();
+    }
+
+    return Attempt.findOneAndUpdate({
+        key: attempt.key,
+        failures: {$gte: max}
+    }, {
+        $set: {
+            failures: 0,
+            lockedUntil: lockout.until((attempt.lockouts || 0) + 1, now)
+        },
+        $inc: {lockouts: 1}
+    }, {
+        new: true
+    });
+}
+
+/**
+ * Count a failure for every key, lock keys exceeding the limit
+ */
+function fail(items, request) {
+    const now = clock.now();
+
+    let promises = items.map(item => {
+        return forget(item.key, now)
+            .then(() => increment(item, now))
+            .then(attempt => lock(attempt, now))
+            .then(locked => locked ? audit(locked, item, request) : undefined);
+    });
+
+    return Promise.all(promises);
+}
+
+/**
+ * Clear failures for account keys. IP keys are kept, otherwise a single valid
+ * account would reset the count on credential stuffing
+ */
+function succeed(items) {
+    const query = {
+        key: {
+            $in: items
+                .filter(item => item.scope === 'account')
+                .map(item => item.key)
+        }
+    };
+
+    return Attempt.remove(query);
+}
+
+module.exports = {
+    keys: keys,
+    guard: guard,
+    fail: fail,
+    succeed: succeed
+};
@@ -0,0 +1,92 @@
+/**
+ * AuditEvent Model
+ * Who changed what, one document per mutating API call
+ * Manage
+ *     attributes
+ *     actor (user of the session) and request details
+ *     changed fields only, with values before and after the change
+ */
+'use strict';
+
+const mongoose = require('mongoose');
+const timestamps = require('mongoose-timestamp');
+
+let schema = new mongoose.Schema({
+    /**
+     * User who made the change, none for anonymous requests and background
+     * processes
+     */
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        index: true
+    },
+
+    /**
+     * API key used by the actor, if any
+     */
+    apiKeyId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+
+    /**
+     * `create`, `update`, `archive`, `delete` or `request` when only the
+     * route is known
+     */
+    action: {
+        type: String,
+        required: true,
+        index: true
+    },
+
+    /**
+     * Model name, e.g. `User`, `Pledge`, `Npo`, or route path for `request`
+     */
+    resource: {
+        type: String,
+        required: true,
+        index: true
+    },
+
+    resourceId: {
+        type: String,
+        index: true
+    },
+
+    /**
+     * Changed fields by dotted path, e.g. `monthlyLimit` or `address.city`
+     */
+    changes: [{
+        _id: false,
+        path: {
+            type: String,
+            index: true
+        },
+        before: 'Mixed',
+        after: 'Mixed'
+    }],
+
+    method: {
+        type: String
+    },
+
+    path: {
+        type: String
+    },
+
+    ip: {
+        type: String
+    },
+
+    agent: {
+        type: String
+    }
+}, {
+    versionKey: false
+});
+
+schema.plugin(timestamps);
+schema.index({
+    createdAt: -1
+});
+
+module.exports = mongoose.model('AuditEvent', schema);
@@ -0,0 +1,17 @@
+/**
+ * Request details stored along with every audit event
+ */
+'use strict';
+
+module.exports = request => {
+    const session = request.session || {};
+
+    return {
+        actorId: session.userId,
+        apiKeyId: session.apiKeyId,
+        method: request.method,
+        path: request.originalUrl,
+        ip: request.ip,
+        agent: request.headers['user-agent']
+    };
+};
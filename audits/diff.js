@@ -0,0 +1,71 @@
+/**
+ * Compare two versions of a document
+ * Returns changed fields only, by dotted path (mongo does not allow dots on
+ * keys, hence a list), e.g.
+ *     [{path: 'pledges.0.monthlyLimit', before: 50, after: 75}]
+ *
+ * Timestamps are ignored. Changed secrets are listed with '[REDACTED]' values.
+ */
+'use strict';
+
+const SECRETS = require('../helpers/secrets');
+
+const IGNORE = ['createdAt', 'updatedAt'];
+const REDACTED = '[REDACTED]';
+
+/**
+ * Plain copy of mongoose documents, dates and ids
+ */
+function plain(value) {
+    return value === undefined || value === null ? {} : JSON.parse(JSON.stringify(value));
+}
+
+function flatten(value, prefix, result) {
+    if (value === null || typeof value !== 'object') {
+        result[prefix] = value;
+        return result;
+    }
+
+    let keys = Object.keys(value);
+
+    if (!keys.length && prefix) {
+        result[prefix] = value;
+    }
+
+    keys.forEach(key => {
+        if (!prefix && IGNORE.indexOf(key) >= 0) {
+            return;
+        }
+        flatten(value[key], prefix ? `${prefix}.${key}` : key, result);
+    });
+
+    return result;
+}
+
+function secret(path) {
+    return path.split('.').some(key => SECRETS.indexOf(key) >= 0);
+}
+
+function value(flat, path) {
+    if (!flat.hasOwnProperty(path)) {
+        return null;
+    }
+
+    return secret(path) ? REDACTED : flat[path];
+}
+
+module.exports = function diff(before, after) {
+    let flatBefore = flatten(plain(before), '', {});
+    let flatAfter = flatten(plain(after), '', {});
+
+    return Object.keys(flatBefore)
+        .concat(Object.keys(flatAfter).filter(path => !flatBefore.hasOwnProperty(path)))
+        .filter(path => JSON.stringify(flatBefore[path]) !== JSON.stringify(flatAfter[path]))
+        .map(path => {
+            return {
+                path: path,
+                before: value(flatBefore, path),
+                after: value(flatAfter, path)
+            };
+        });
+};
@@ -0,0 +1,22 @@
+/**
+ * Audit trail of changes made through the API
+ */
+'use strict';
+
+const router = require('express').Router();
+const list = require('./list');
+const verifyToken = require('../lib/verifyJwt');
+const authenticate = require('../lib/authenticate');
+const currentUser = require('../lib/currentUser');
+const requirePermission = require('../lib/requirePermission');
+const validate = require('../lib/validate');
+const schemas = require('./schemas');
+
+const PATH = '/audit';
+
+const middlewares = [verifyToken, authenticate, currentUser, requirePermission('audit:read')];
+
+router
+    .get(PATH, middlewares, validate(schemas.list), list);
+
+module.exports = router;
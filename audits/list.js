@@ -0,0 +1,39 @@
+/**
+ * Middleware to list audit events, newest first
+ * See ./query.js for filters
+ */
+'use strict';
+
+const AuditEvent = require('./auditEvent');
+const auditQuery = require('./query');
+const queryOptions = require('../helpers/queryOptions');
+
+module.exports = function list(request, response, next) {
+    const query = auditQuery(request.query);
+
+    if (query instanceof Error) {
+        return next(query);
+    }
+
+    let options = queryOptions(request, AuditEvent);
+
+    if (!Object.keys(options.sort).length) {
+        options.sort = {
+            createdAt: -1
+        };
+    }
+
+    return AuditEvent
+        .paginate(query, options)
+        .then(data => {
+            let result = {
+                data: data.docs
+            };
+
+            data.docs = void(0);
+            result.meta = data;
+
+            return response.json(result);
+        })
+        .catch(next);
+};
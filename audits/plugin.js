@@ -0,0 +1,68 @@
+/**
+ * Mongoose plugin to store an audit event when a document is saved
+ *
+ *     schema.plugin(require('../audits/plugin'));
+ *
+ *     user.audit(request).save();             // create or update
+ *     user.audit(request, 'archive').save();  // custom action
+ *
+ * Only saves flagged with `audit` are recorded. Values before the change are
+ * read from the database right before saving.
+ */
+'use strict';
+
+const record = require('./record');
+
+module.exports = function auditPlugin(schema) {
+    /**
+     * Arrow functions don't work here, `this` is the document
+     */
+    schema.methods.audit = function(request, action) {
+        this.$auditRequest = request;
+        this.$auditAction = action;
+
+        return this;
+    };
+
+    schema.pre('save', function(next) {
+        if (!this.$auditRequest) {
+            return next();
+        }
+
+        this.$auditNew = this.isNew;
+
+        if (this.isNew) {
+            this.$auditBefore = null;
+            return next();
+        }
+
+        this.constructor
+            .findOne({
+                _id: this._id
+            })
+            .lean()
+            .then(before => {
+                this.$auditBefore = before;
+                next();
+            })
+            .catch(next);
+    });
+
+    schema.post('save', function(doc) {
+        const request = doc.$auditRequest;
+
+        if (!request) {
+            return;
+        }
+
+        doc.$auditRequest = undefined;
+
+        record(request, {
+            action: doc.$auditAction || (doc.$auditNew ? 'create' : 'update'),
+            resource: doc.constructor.modelName,
+            resourceId: doc._id,
+            before: doc.$auditBefore,
+            after: doc
+        });
+    });
+};
@@ -0,0 +1,75 @@
+/**
+ * Build the database query for GET /audit from request query parameters
+ *
+ *     actorId      user who made the changes
+ *     resource     model name, e.g. User, Pledge, Npo, Bank
+ *     resourceId   id of the changed document
+ *     action       create, update, archive, erase, request
+ *     field        changed path, e.g. monthlyLimit
+ *     from, to     date range (ISO 8601), on event creation date
+ *
+ * Returns a `422 invalid-audit-filter` error for invalid values, the invalid
+ * parameter on `details`
+ */
+'use strict';
+
+const ObjectId = require('mongoose').Types.ObjectId;
+const errors = require('../errors');
+
+const STRINGS = {
+    resource: 'resource',
+    resourceId: 'resourceId',
+    action: 'action',
+    field: 'changes.path'
+};
+
+function invalid(key, message) {
+    let details = {};
+    details[key] = message;
+
+    return errors.create('invalid-audit-filter', details);
+}
+
+module.exports = function auditQuery(params) {
+    let query = {};
+
+    params = params || {};
+
+    if (params.actorId) {
+        if (!ObjectId.isValid(params.actorId)) {
+            return invalid('actorId', 'Invalid actorId');
+        }
+        query.actorId = params.actorId;
+    }
+
+    Object.keys(STRINGS)
+        .filter(key => typeof params[key] === 'string' && params[key])
+        .forEach(key => query[STRINGS[key]] = params[key]);
+
+    let range = {};
+
+    ['from', 'to'].forEach(key => {
+        if (!params[key]) {
+            return;
+        }
+
+        let date = new Date(params[key]);
+
+        if (isNaN(date.getTime())) {
+            range.error = invalid(key, `Invalid ${key} date`);
+            return;
+        }
+
+        range[key === 'from' ? '$gte' : '$lte'] = date;
+    });
+
+    if (range.error) {
+        return range.error;
+    }
+
+    if (Object.keys(range).length) {
+        query.createdAt = range;
+    }
+
+    return query;
+};
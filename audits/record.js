@@ -0,0 +1,44 @@
+/**
+ * Store an audit event for the current request
+ *
+ *     record(request, {
+ *         action: 'update',
+ *         resource: 'Npo',
+ *         resourceId: npo._id,
+ *         before: npo,            // document before the change, if any
+ *         after: updated          // document after the change, if any
+ *     });
+ *
+ * Marks the request as audited, so `lib/audit` doesn't store a generic event
+ * for it. Never rejects: failures are logged and the request goes on.
+ */
+'use strict';
+
+const AuditEvent = require('./auditEvent');
+const context = require('./context');
+const diff = require('./diff');
+const logger = require('../logger');
+
+module.exports = function record(request, event) {
+    let data = context(request || {
+        headers: {}
+    });
+
+    data.action = event.action;
+    data.resource = event.resource;
+    data.resourceId = event.resourceId === undefined ? undefined : String(event.resourceId);
+    data.changes = diff(event.before, event.after);
+
+    if (request) {
+        request.audited = true;
+    }
+
+    return new AuditEvent(data)
+        .save()
+        .catch(error => {
+            logger.error({
+                err: error,
+                audit: data
+            }, 'Audit event could not be stored');
+        });
+};
@@ -0,0 +1,32 @@
+/**
+ * Request schemas for audit endpoints, see ../validation
+ */
+'use strict';
+
+const fields = require('../validation/fields');
+
+module.exports = {
+    list: {
+        query: Object.assign({}, fields.list, {
+            actorId: {
+                type: 'objectId',
+                description: 'User who made the changes'
+            },
+            resource: {
+                type: 'string',
+                description: 'Model name, e.g. User, Pledge, Npo, Bank'
+            },
+            resourceId: 'string',
+            action: {
+                type: 'string',
+                description: 'e.g. create, update, archive, erase, request'
+            },
+            field: {
+                type: 'string',
+                description: 'Changed path, e.g. monthlyLimit'
+            },
+            from: 'date',
+            to: 'date'
+        })
+    }
+};
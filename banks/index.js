@@ -17,17 +17,22 @@ const update = require('../lib/update');
 const archive = require('../lib/archive');
 const verifyToken = require('../lib/verifyJwt');
 const authenticate = require('../lib/authenticate');
+const currentUser = require('../lib/currentUser');
+const requirePermission = require('../lib/requirePermission');
+const validate = require('../lib/validate');
+const schemas = require('./schemas');
 
 const PATH = '/banks';
 const SINGLE = '/banks/:id';
 
 const defaultMiddlewares = [verifyToken, authenticate];
+const writeMiddlewares = [verifyToken, authenticate, currentUser, requirePermission('banks:write')];
 
 router
-    .get(PATH, defaultMiddlewares, list(Bank))
-    .post(PATH, defaultMiddlewares, create(Bank))
-    .get(SINGLE, defaultMiddlewares, show(Bank))
-    .put(SINGLE, defaultMiddlewares, update(Bank))
-    .delete(SINGLE, defaultMiddlewares, archive(Bank));
+    .get(PATH, defaultMiddlewares, validate(schemas.list), list(Bank))
+    .post(PATH, writeMiddlewares, validate(schemas.create), create(Bank))
+    .get(SINGLE, defaultMiddlewares, validate(schemas.show), show(Bank))
+    .put(SINGLE, writeMiddlewares, validate(schemas.update), update(Bank))
+    .delete(SINGLE, writeMiddlewares, validate(schemas.show), archive(Bank));
 
 module.exports = router;
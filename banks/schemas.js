@@ -0,0 +1,77 @@
+/**
+ * Request schemas for banks endpoints, see ../validation
+ */
+'use strict';
+
+const fields = require('../validation/fields');
+const partial = require('../validation').partial;
+
+const required = {
+    type: 'string',
+    required: true
+};
+
+const bank = {
+    name: required,
+    type: {
+        type: 'string',
+        required: true,
+        description: 'Plaid institution type'
+    },
+    description: required,
+    logoUrl: {
+        type: 'string',
+        required: true,
+        description: 'Key of the logo on S3, see POST /images'
+    },
+    logoUrls: {
+        type: 'object',
+        properties: {
+            selectScreen: 'string'
+        }
+    },
+    email: {
+        type: 'string',
+        format: 'email',
+        required: true
+    },
+    phone: required,
+    hasMultiFactorAuthentication: {
+        type: 'boolean',
+        required: true
+    },
+    multiFactorAuthentication: {
+        type: 'array',
+        items: 'string'
+    },
+    products: {
+        type: 'array',
+        required: true,
+        items: 'string'
+    },
+    active: 'boolean',
+    address: 'object'
+};
+
+const params = {
+    id: fields.id
+};
+
+module.exports = {
+    list: {
+        query: fields.list
+    },
+
+    create: {
+        body: bank
+    },
+
+    show: {
+        params: params
+    },
+
+    update: {
+        params: params,
+        body: partial(bank)
+    }
+};
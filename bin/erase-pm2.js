@@ -0,0 +1,29 @@
+/**
+ * Runs scheduled erasures every [ONE_DAY] milliseconds, see
+ * users/eraseScheduled.js
+ */
+
+'use strict';
+
+require('dotenv').config();
+require('../config/database');
+
+const notify = require('../slack/index');
+const eraseScheduled = require('../users/eraseScheduled');
+const logger = require('../logger');
+
+// 24 hours in milliseconds
+const ONE_DAY = 1000 * 60 * 60 * 24;
+
+function run() {
+    eraseScheduled()
+        .then(users => logger.info(`Scheduled erasures processed: ${users.length}`))
+        .catch(error => {
+            notify('Scheduled erasures got an unexpected error: ' + error.message);
+            logger.error({ err: error });
+        });
+
+    setTimeout(() => run(), ONE_DAY);
+}
+
+run();
@@ -4,7 +4,9 @@
 'use strict';
 
 const getVerifiedAddressBalance = require('../helpers/verifiedAddressBalance');
+const donation = require('../pledges/donation');
 const logger = require('../logger');
+const errors = require('../errors');
 const P = require('bluebird');
 
 const STRIPE_ACH_FEE = 0.008;      // 0.8%
@@ -12,13 +14,17 @@ const STRIPE_CC_FEE = 0.029;       // 2.9%
 const ELM_ACH_FEE = 0.5;           // 50 cents for ACH
 const ELM_CC_FEE = 0.8;            // 80 cents for Credit Cards
 
-module.exports = function calculateCharge(user, pledge, addresses, options) {
+module.exports = calculateCharge;
+module.exports.fee = calculateFee;
+
+function calculateCharge(user, pledge, addresses, options) {
     options = typeof options === 'object' ? options : {};
     let charge = {
         amount: 0,
         currency: 'usd',
         fee: 0,
-        net: 0
+        net: 0,
+        topUp: 0
     };
 
     return P.map(addresses, address => {
@@ -29,20 +35,21 @@ module.exports = function calculateCharge(user, pledge, addresses, options) {
         })
         .filter(verified => verified.address && verified.address.length)
         .then(addresses => {
-            /* Calculate total charge amount */
+            /* Calculate total charge amount, roundups up to the limit plus the top-up of every month */
             let roundupsAmount = addresses.map(address => Math.abs(address.balance))
-                .reduce((amount1, amount2) => +(amount1 + amount2).tofixed(2));
-            let donationAmount = Math.min(roundupsAmount, pledge.monthlyLimit);
+                .reduce((amount1, amount2) => +(amount1 + amount2).toFixed(2));
+            let donationAmount = donation.total(roundupsAmount, pledge, addresses.length);
             if (isNaN(donationAmount) || donationAmount === 0) {
-                return Promise.reject(new Error('invalid-charge-amount'));
+                return Promise.reject(errors.create('invalid-charge-amount'));
             }
             charge.amount = donationAmount;
+            charge.topUp = donation.topUp(pledge, addresses.length);
 
             /* Verify that all amounts are in the same currency */
             charge.currency = addresses.map(address => address.currency.toLowerCase())
                 .reduce((currency1, currency2) => currency1 === currency2 && currency1);
             if (!charge.currency) {
-                return Promise.reject(new Error('address-currencies-not-equal'));
+                return Promise.reject(errors.create('address-currencies-not-equal'));
             }
 
             /* Calculate charge fee */
@@ -51,8 +58,11 @@ module.exports = function calculateCharge(user, pledge, addresses, options) {
 
             return charge;
         });
-};
+}
 
+/**
+ * Stripe and Elm fees of a charge, in USD to the cent
+ */
 function calculateFee(amount, ach) {
     let fee;
 
@@ -5,9 +5,25 @@ const timestamps = require('mongoose-timestamp');
 const emailValidator = require('../helpers/emailValidator');
 
 let schema = new mongoose.Schema({
+    /**
+     * Pledge addresses charged, one-time donations have none
+     */
     addresses: {
         type: [String],
-        required: true,
+        required: function () {
+            return this.type !== 'one-time';
+        },
+    },
+    /**
+     * `monthly` charges roundups of pledge addresses, `one-time` donations
+     * are made at once, see pledges/donate.js
+     * Charges created before `type` existed have none, query monthly charges
+     * with `type: {$ne: 'one-time'}`
+     */
+    type: {
+        type: String,
+        enum: ['monthly', 'one-time'],
+        default: 'monthly'
     },
     amount: {
         type: Number,
@@ -25,6 +41,17 @@ let schema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         required: true
     },
+    pledgeId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    /**
+     * Percentage of the pledge charge for this NPO, pledges split between
+     * NPOs get one charge per NPO, see pledges/allocations.js
+     */
+    weight: {
+        type: Number,
+        default: 100
+    },
     bankType: {
         type: String,
         required: true
@@ -50,10 +77,25 @@ let schema = new mongoose.Schema({
         ach: {
             type: Boolean
         },
+        /**
+         * Part of `amount` from the pledge top-up, the rest are roundups
+         */
+        topUp: {
+            type: Number,
+            default: 0
+        },
     },
     status: {
         type: String,
         default: 'pending'
+    },
+    /**
+     * Times the charge was sent to Stripe, `failed` monthly charges are
+     * retried until MAX_ATTEMPTS, see charges/trigger-all.js
+     */
+    attempts: {
+        type: Number,
+        default: 0
     }
 }, {
     versionKey: false,
@@ -7,6 +7,8 @@ const Charge = require('./charge');
 const User = require('../users/user');
 const Bank = require('../banks/bank');
 const calculateCharge = require('./calculate');
+const allocations = require('../pledges/allocations');
+const errors = require('../errors');
 
 const objectId = require('mongoose').Types.ObjectId;
 const moment = require('moment');
@@ -39,8 +41,8 @@ module.exports = function prepareCharges(options) {
 function prepareCharge(user, options) {
 
     return buildChargeParams(user, options)
-        .then(chargeParams => {
-            return Charge.create(chargeParams);
+        .then(charges => {
+            return P.map(charges, chargeParams => Charge.create(chargeParams));
         })
         .catch(error => {
             if (error instanceof Error) {
@@ -53,10 +55,10 @@ function buildChargeParams(user, options) {
     let date = options.date || moment().subtract(1, 'month').format('YYYY-MM');
     let activePledge = user.pledges.find(pledge => pledge.addresses && pledge.addresses[date]);
     if (!activePledge) {
-        return Promise.reject(new Error('no-active-pledge'));
+        return Promise.reject(errors.create('no-active-pledge'));
     } else if (!activePledge.addresses[date]) {
         logger.info(`No address for user ${user._id} on ${date}`);
-        return Promise.reject('no-address-for-date');
+        return Promise.reject(errors.create('no-address-for-date'));
     }
 
     let chargeParams = {
@@ -74,9 +76,9 @@ function buildChargeParams(user, options) {
     return Bank.findOne({_id: objectId(activePledge.bankId)})
         .then(bank => {
             if (!bank) {
-                return Promise.reject('pledge-bank-not-found');
+                return Promise.reject(errors.create('pledge-bank-not-found'));
             } else if (!bank.type || !user.stripe || !user.stripe[bank.type]) {
-                return Promise.reject('user-missing-stripe-info');
+                return Promise.reject(errors.create('user-missing-stripe-info'));
             }
 
             chargeParams.bankType = bank.type;
@@ -87,11 +89,28 @@ function buildChargeParams(user, options) {
             });
         })
         .then(charge => {
-            chargeParams.amount = charge.amount;
             chargeParams.currency = charge.currency;
-            chargeParams.details.fee = charge.fee;
-            chargeParams.details.net = charge.net;
 
-            return chargeParams;
+            /* One charge per NPO of the pledge in cents, each with its own fee */
+            const ach = chargeParams.details.ach;
+            let parts = allocations.apportion(
+                Math.round(charge.amount * 100),
+                allocations.of(activePledge),
+                cents => Math.round(calculateCharge.fee(cents / 100, ach) * 100)
+            );
+            let topUps = allocations.split(Math.round(charge.topUp * 100), parts.map(part => part.cents));
+
+            return parts.map((part, index) => {
+                return Object.assign({}, chargeParams, {
+                    npoId: part.npoId,
+                    weight: part.weight,
+                    amount: part.cents / 100,
+                    details: Object.assign({}, chargeParams.details, {
+                        fee: part.fee / 100,
+                        net: (part.cents - part.fee) / 100,
+                        topUp: topUps[index] / 100
+                    })
+                });
+            });
         });
 }
@@ -1,9 +1,16 @@
 /**
- * 
+ * Charges a customer with Stripe, a destination charge when `params` hold
+ * `destination` (NPO account) and `application_fee`. Resolves once the charge
+ * is saved as `processed` or `failed`
+ *
+ * A failed charge may have been taken by Stripe anyway (e.g. a timeout), so
+ * every attempt of a charge sends the charge id as idempotency key: Stripe
+ * answers retries with the first result instead of charging twice
  */
 'use strict';
 
 const logger = require('../logger');
+const errors = require('../errors');
 const StripeCharge = require('./charge-stripe');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
@@ -14,26 +21,23 @@ module.exports = function processCharge(charge, customer, params) {
     params = typeof params === 'object' ? params : {};
 
     if (!charge || typeof charge.validate !== 'function') {
-        let error = new Error();
-        error.message = 'invalid-charge-document';
-        return Promise.reject(error);
+        return Promise.reject(errors.create('invalid-charge-document'));
     }
 
-    return new Promise((reject, resolve) => {
+    return new Promise((resolve, reject) => {
         return charge.validate(error => {
             if (error) { return reject(error); }
 
             return StripeCharge.findOne({chargeId: charge._id})
                 .then(stripeCharge => {
                     if (stripeCharge) {
-                        let error = new Error();
-                        error.message = 'charge-already-processed';
-                        return reject(error);
+                        return reject(errors.create('charge-already-processed'));
                     }
 
                     return processStripeCharge(charge, customer, params);
                 })
-                .then(resolve);
+                .then(resolve)
+                .catch(reject);
         });
     });
 };
@@ -53,7 +57,9 @@ function processStripeCharge(charge, customer, params) {
         stripeChargeParams.application_fee = Math.round(stripeChargeParams.application_fee);
     }
 
-    return stripe.charges.create(stripeChargeParams)
+    charge.attempts = (charge.attempts || 0) + 1;
+
+    return stripe.charges.create(stripeChargeParams, {idempotency_key: String(charge._id)})
         .then(stripeCharge => {
             charge.status = 'processed';
 
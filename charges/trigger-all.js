@@ -1,5 +1,6 @@
 /**
- * 
+ * Processes pending charges and retries failed monthly ones, the NPO parts of
+ * a pledge charge that failed, see monthly/charge_process.js
  */
 'use strict';
 
@@ -8,11 +9,15 @@ const triggerCharge = require('./trigger');
 
 const P = require('bluebird');
 const PROMISE_CONCURRENCY = 10;
+const MAX_ATTEMPTS = 3;
 const logger = require('../logger');
 
 module.exports = function triggerCharges(options) {
     let query = {
-        status: 'pending'
+        $or: [
+            {status: 'pending'},
+            {status: 'failed', type: {$ne: 'one-time'}, attempts: {$lt: MAX_ATTEMPTS}}
+        ]
     };
 
     return Charge.find(query)
@@ -23,7 +28,7 @@ module.exports = function triggerCharges(options) {
             }
 
             return P.map(charges, charge => {
-                return triggerCharge(charge)
+                return triggerCharge({charge, status: charge.status})
                     .catch(error => {
                         error.details = {
                             chargeId: charge._id
@@ -7,6 +7,7 @@ const Charge = require('./charge');
 const Npo = require('../npos/npo');
 const User = require('../users/user');
 const processCharge = require('./process');
+const errors = require('../errors');
 
 module.exports = function triggerCharge(options) {
     let charge = options.charge;
@@ -20,11 +21,11 @@ module.exports = function triggerCharge(options) {
         .then(_charge => {
             charge = _charge;
             if (!charge) {
-                return Promise.reject(new Error('charge-not-found'));
+                return Promise.reject(errors.create('charge-not-found'));
             } else if (!options.status && charge.status !== 'pending') {
-                return Promise.reject(new Error('charge-not-pending'));
+                return Promise.reject(errors.create('charge-not-pending'));
             } else if (!charge.bankType) {
-                return Promise.reject(new Error('missing-charge-bank-type'));
+                return Promise.reject(errors.create('missing-charge-bank-type'));
             }
 
             return Promise.all([
@@ -37,7 +38,7 @@ module.exports = function triggerCharge(options) {
             let npo = results[1];
 
             if (!user.stripe[charge.bankType]) {
-                return Promise.reject(new Error('user-missing-stripe-info'));
+                return Promise.reject(errors.create('user-missing-stripe-info'));
             }
 
             let customer = user.stripe[charge.bankType].customer;
@@ -5,7 +5,6 @@
 'use strict';
 
 const email = require('../email/mandrill').send;
-const validateRequest = require('./validateRequest');
 
 const sendTo = process.env.MANDRILL_ADMIN_EMAIL;
 const TEMPLATE = process.env.MANDRILL_CONTACT_US_EMAIL_TEMPLATE;
@@ -31,13 +30,6 @@ function emailVariables(body) {
 }
 
 module.exports = function contactUs(request, response, next) {
-    let error = new Error();
-    error.errors = validateRequest(request);
-
-    if (Object.keys(error.errors).length) {
-        return next(error);
-    }
-
     let to = [{
         email: sendTo
     }];
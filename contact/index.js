@@ -6,9 +6,11 @@
 
 const router = require('express').Router();
 const create = require('./create');
+const validate = require('../lib/validate');
+const schemas = require('./schemas');
 const PATH = '/contact';
 
 router
-    .post(PATH, create);
+    .post(PATH, validate(schemas.create), create);
 
 module.exports = router;
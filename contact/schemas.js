@@ -0,0 +1,26 @@
+/**
+ * Request schemas for contact endpoint, see ../validation
+ */
+'use strict';
+
+module.exports = {
+    create: {
+        body: {
+            category: {
+                type: 'string',
+                required: true,
+                enum: ['suggest', 'comment', 'general']
+            },
+            contact: {
+                type: 'string',
+                format: 'email',
+                required: true,
+                description: 'Email of the user, used to reply'
+            },
+            content: {
+                type: 'string',
+                required: true
+            }
+        }
+    }
+};
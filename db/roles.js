@@ -19,7 +19,24 @@ let findOrInsert = (data) => {
 
     return Role
         .findOne(query)
-        .then(role => role ? role : new Role(data).save());
+        .then(role => {
+            if (!role) {
+                return new Role(data).save();
+            }
+
+            /**
+             * Migrate roles created before permissions existed, permissions
+             * edited on the dashboard are kept
+             */
+            if (role.permissions.length > 0) {
+                return role;
+            }
+
+            role.permissions = data.permissions;
+            role.requireTwoFactor = !!data.requireTwoFactor;
+
+            return role.save();
+        });
 };
 
 function all(promises) {
@@ -0,0 +1,175 @@
+/**
+ * Error catalogue
+ * Every error sent to clients has a stable `code`, clients must rely on it
+ * rather than on messages, which can change and are translated (see
+ * ./locales). Create errors with `errors.create(code)`, see ./index.js
+ *
+ * Codes are never renamed nor removed once released.
+ */
+'use strict';
+
+module.exports = {
+    /* Generic, by HTTP status */
+    'bad-request': {status: 400, message: 'Bad request'},
+    'unauthorized': {status: 401, message: 'Unauthorized'},
+    'forbidden': {status: 403, message: 'Forbidden'},
+    'not-found': {status: 404, message: 'Resource not found'},
+    'method-not-allowed': {status: 405, message: 'Method not allowed'},
+    'conflict': {status: 409, message: 'Conflict'},
+    'unprocessable-entity': {status: 422, message: 'Unprocessable entity'},
+    'too-many-requests': {status: 429, message: 'Too many requests, try again later'},
+    'internal-error': {status: 500, message: 'Cant process your request'},
+    'bad-gateway': {status: 502, message: 'Service temporarily unavailable'},
+    'service-unavailable': {status: 503, message: 'Service temporarily unavailable'},
+    'database-unavailable': {status: 503, message: 'Cant connect to database'},
+
+    /* Requests */
+    'route-not-found': {status: 404, message: 'Request handler not found'},
+    'invalid-request': {status: 400, message: 'Invalid request'},
+    'validation-failed': {status: 422, message: 'Validation failed'},
+    'invalid-id': {status: 422, message: 'Invalid id'},
+
+    /* Authentication */
+    'authorization-required': {status: 401, message: 'Authorization token required'},
+    'invalid-token': {status: 401, message: 'Invalid token'},
+    'authentication-required': {status: 401, message: 'Authentication required'},
+    'session-expired': {status: 401, message: 'Session expired'},
+    'invalid-credentials': {status: 401, message: 'Invalid credentials'},
+    'too-many-attempts': {status: 429, message: 'Too many attempts, try again later'},
+    'api-key-required': {status: 401, message: 'API key required'},
+    'invalid-api-key': {status: 401, message: 'Invalid API key'},
+
+    /* Authorization */
+    'unauthorized-user': {status: 403, message: 'Not allowed to access resources of another user'},
+    'two-factor-required': {status: 403, message: 'Two factor authentication required'},
+    'email-verification-required': {status: 403, message: 'Email verification required'},
+    'impersonated-read-only': {status: 403, message: 'Impersonated sessions are read-only'},
+    'impersonated-not-allowed': {status: 403, message: 'Not allowed on impersonated sessions'},
+    'api-key-scope-required': {status: 403, message: 'API key scope required'},
+    'unauthorized-npo': {status: 403, message: 'Not allowed to access resources of another NPO'},
+
+    /* Sessions */
+    'invalid-refresh-token': {status: 401, message: 'Invalid refresh token'},
+    'refresh-token-reused': {status: 401, message: 'Refresh token reuse detected'},
+    'refresh-token-expired': {status: 401, message: 'Refresh token expired'},
+    'refresh-token-required': {status: 422, message: 'Refresh token required'},
+    'invalid-challenge': {status: 401, message: 'Invalid challenge'},
+    'challenge-expired': {status: 401, message: 'Challenge expired'},
+    'challenge-required': {status: 422, message: 'Challenge and code required'},
+    'invalid-code': {status: 422, message: 'Invalid code'},
+    'session-not-found': {status: 404, message: 'Session not found'},
+    'impersonation-fields-required': {status: 422, message: 'userId and reason are required'},
+    'impersonation-not-allowed': {status: 403, message: 'Only donor accounts can be impersonated'},
+
+    /* Two factor authentication */
+    'two-factor-not-started': {status: 422, message: 'Two factor enrollment not started'},
+    'two-factor-not-enabled': {status: 422, message: 'Two factor authentication not enabled'},
+    'two-factor-already-enabled': {status: 422, message: 'Two factor authentication already enabled'},
+
+    /* Social logins */
+    'social-token-required': {status: 422, message: 'Required fields missing: token'},
+    'social-provider-required': {status: 422, message: 'Required fields missing: provider'},
+    'social-provider-token-required': {status: 422, message: 'Required fields missing: provider, token'},
+    'social-link-code-required': {status: 422, message: 'Required fields missing: password or code'},
+    'social-link-required': {status: 422, message: 'Required fields missing: link'},
+    'social-email-required': {status: 422, message: 'Email required'},
+    'social-user-not-found': {status: 422, message: 'User of the social account not found'},
+    'invalid-social-token': {status: 422, message: 'Invalid social token'},
+    'invalid-link-request': {status: 401, message: 'Invalid link request'},
+    'social-already-linked': {status: 409, message: 'Social account already linked to another user'},
+    'provider-already-linked': {status: 409, message: 'Provider already linked'},
+    'social-not-found': {status: 404, message: 'Social not found'},
+    'last-login-method': {status: 422, message: 'Set a password before unlinking the last social login'},
+    'unsupported-provider': {status: 422, message: 'Unsupported provider'},
+    'provider-not-configured': {status: 422, message: 'Provider not configured'},
+
+    /* API keys */
+    'api-key-not-found': {status: 404, message: 'API key not found'},
+    'api-key-revoked': {status: 422, message: 'API key revoked'},
+
+    /* Audits */
+    'invalid-audit-filter': {status: 422, message: 'Invalid audit filter'},
+
+    /* Users */
+    'user-not-found': {status: 404, message: 'User not found'},
+    'invalid-password': {status: 422, message: 'Invalid password'},
+    'email-required': {status: 422, message: 'Required fields missing: email'},
+    'email-parameter-required': {status: 400, message: 'Email parameter required'},
+    'user-email-not-found': {status: 404, message: 'No user with this email'},
+    'deletion-not-scheduled': {status: 404, message: 'No deletion scheduled'},
+    'invalid-export-format': {status: 422, message: 'Invalid format, use json or zip'},
+    'password-reset-fields-required': {status: 422, message: 'Required fields: token, changePassword'},
+    'invalid-reset-token': {status: 422, message: 'Invalid token'},
+    'invalid-recovery-token': {status: 422, message: 'Invalid request token'},
+    'recovery-code-not-found': {status: 404, message: 'No recovery code for this email'},
+    'recovery-code-expired': {status: 422, message: 'Recovery code expired'},
+    'recovery-code-attempts-exceeded': {status: 422, message: 'Too many attempts, request a new code'},
+    'email-already-in-use': {status: 422, message: 'That email is already in use'},
+    'invalid-password-format': {status: 422, message: 'Invalid password format'},
+
+    /* NPOs */
+    'npo-not-found': {status: 404, message: 'NPO not found'},
+    'invalid-npo-id': {status: 422, message: 'Invalid NPO id'},
+    'npo-not-payable': {status: 422, message: 'NPO cannot receive payments yet'},
+
+    /* Posts and images */
+    'post-not-found': {status: 404, message: 'Post not found'},
+    'invalid-post-media': {status: 422, message: 'Invalid images/videos object'},
+    'image-name-required': {status: 422, message: 'Field name is required'},
+
+    /* Banks, Plaid and Stripe */
+    'institution-required': {status: 400, message: 'Missing institution type'},
+    'invalid-institution': {status: 400, message: 'Invalid institution type'},
+    'plaid-credentials-required': {status: 400, message: 'Missing username or password'},
+    'plaid-not-connected': {status: 422, message: 'User has no Plaid connections'},
+    'plaid-token-required': {status: 400, message: 'Missing Plaid access token. Please obtain one and try again.'},
+    'plaid-mfa-required': {status: 400, message: 'Missing MFA parameters'},
+    'plaid-request-failed': {status: 400, message: 'Plaid request failed'},
+    'plaid-access-token-not-retrieved': {status: 422, message: 'Access token could not be retrieved'},
+    'stripe-token-not-retrieved': {status: 422, message: 'Stripe token could not be retrieved'},
+    'stripe-customer-failed': {status: 422, message: 'Could not create Stripe customer with the obtained Stripe token.'},
+    'stripe-account-not-retrieved': {status: 400, message: 'The account ID could not be retrieved with the provided authorization code'},
+
+    /* Addresses and transactions */
+    'address-not-found': {status: 404, message: 'Address not found'},
+    'transaction-not-found': {status: 404, message: 'Transaction not found'},
+    'latest-transaction-not-found': {status: 422, message: 'Address has no signed transaction'},
+    'latest-transaction-mismatch': {status: 422, message: 'Latest transaction of the address does not match'},
+    'derived-address-mismatch': {status: 422, message: 'Address does not match its public key'},
+    'invalid-transaction-signature': {status: 422, message: 'Invalid transaction signature'},
+    'transaction-hash-mismatch': {status: 422, message: 'Transaction hash does not match its payload'},
+
+    /* Pledges */
+    'pledge-not-found': {status: 404, message: 'Pledge not found'},
+    'pledge-already-exists': {status: 422, message: 'Charity already exist'},
+    'invalid-bank-id': {status: 422, message: 'Invalid bank id'},
+    'pledge-fields-required': {status: 422, message: 'Proper fields values required'},
+    'invalid-allocations': {status: 422, message: 'Allocations must be different NPOs with weights of 5 or more summing 100'},
+    'invalid-pause': {status: 422, message: 'Pauses must end after they start and not in the past'},
+    'pledge-not-active': {status: 422, message: 'Only the active pledge can be paused or resumed'},
+    'payment-method-required': {status: 422, message: 'Pledge bank is not ready for payments'},
+    'donation-failed': {status: 402, message: 'Donation could not be made'},
+
+    /* Charges and monthly processes, logged, not sent to clients */
+    'invalid-charge-amount': {status: 422, message: 'Invalid charge amount'},
+    'address-currencies-not-equal': {status: 422, message: 'Addresses of a charge have different currencies'},
+    'no-active-pledge': {status: 404, message: 'User has no active pledge'},
+    'no-address-for-date': {status: 404, message: 'Pledge has no address for the month'},
+    'pledge-bank-not-found': {status: 404, message: 'Pledge bank not found'},
+    'user-missing-stripe-info': {status: 422, message: 'User has no Stripe customer for the bank'},
+    'invalid-charge-document': {status: 422, message: 'Invalid charge document'},
+    'charge-already-processed': {status: 409, message: 'Charge already processed'},
+    'charge-not-found': {status: 404, message: 'Charge not found'},
+    'charge-not-pending': {status: 422, message: 'Charge is not pending'},
+    'missing-charge-bank-type': {status: 422, message: 'Charge has no bank type'},
+    'active-pledge-not-found': {status: 404, message: 'User has no active pledge'},
+    'active-pledge-without-addresses': {status: 422, message: 'Active pledge has no addresses'},
+    'new-address-failed': {status: 422, message: 'New address could not be requested'},
+    'stripe-information-not-found': {status: 404, message: 'User has no Stripe information'},
+    'not-valid-address': {status: 422, message: 'Invalid address record'},
+    'address-already-processed': {status: 422, message: 'Address already charged'},
+    'transaction-information-mismatch': {status: 422, message: 'Transaction integrity or signature does not match'},
+    'addresses-not-an-array': {status: 422, message: 'Addresses of a charge must be an array'},
+    'no-address-id': {status: 422, message: 'No address was passed'},
+    'bank-not-found': {status: 404, message: 'Bank not found'}
+};
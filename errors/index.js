@@ -0,0 +1,130 @@
+/**
+ * Typed error factory
+ *
+ *     const errors = require('../errors');
+ *
+ *     return next(errors.create('pledge-not-found'));
+ *     return Promise.reject(errors.create('validation-failed', {email: 'Email required'}));
+ *
+ * Errors hold `code`, `status`, `message` (english) and optional `details`,
+ * they are sent by `lib/sendError`. Unknown codes throw, every code must be on
+ * ./catalogue.js
+ */
+'use strict';
+
+const catalogue = require('./catalogue');
+const validationErrors = require('../helpers/validationErrors');
+
+const LOCALES = {
+    es: require('./locales/es.json')
+};
+
+/**
+ * Generic codes for errors created without the factory, by status
+ */
+const GENERIC = {
+    400: 'bad-request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not-found',
+    405: 'method-not-allowed',
+    409: 'conflict',
+    422: 'unprocessable-entity',
+    429: 'too-many-requests',
+    500: 'internal-error',
+    502: 'bad-gateway',
+    503: 'service-unavailable'
+};
+
+function create(code, details) {
+    const entry = catalogue[code];
+
+    if (!entry) {
+        throw new Error(`Unknown error code ${code}`);
+    }
+
+    let error = new Error(entry.message);
+    error.name = 'ApiError';
+    error.code = code;
+    error.status = entry.status;
+
+    if (details !== undefined) {
+        error.details = details;
+    }
+
+    return error;
+}
+
+function is(error, code) {
+    return !!error && error.name === 'ApiError' && error.code === code;
+}
+
+/**
+ * Turn anything passed to `next(error)` into {code, status, message, details}
+ *
+ *     - factory errors as they are
+ *     - mongoose validation and cast errors, json web token errors
+ *     - errors created by hand with a 4xx `status` keep their message, the
+ *       code is generic by status
+ *     - anything else is an internal error, its message is never sent
+ */
+function normalize(error) {
+    error = error || {};
+
+    if (error.name === 'ApiError') {
+        return {
+            code: error.code,
+            status: error.status,
+            message: error.message,
+            details: error.details
+        };
+    }
+
+    if (error.name === 'ValidationError') {
+        return normalize(create('validation-failed', validationErrors(error)));
+    }
+
+    if (error.name === 'CastError') {
+        return normalize(create('invalid-id'));
+    }
+
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+        return normalize(create('invalid-token'));
+    }
+
+    const status = Number(error.status);
+
+    if (status >= 400 && status < 500) {
+        return {
+            code: GENERIC[status] || 'bad-request',
+            status: status,
+            message: typeof error.message === 'string' && error.message ?
+                error.message : catalogue[GENERIC[status] || 'bad-request'].message
+        };
+    }
+
+    return normalize(create(GENERIC[status] || 'internal-error'));
+}
+
+/**
+ * Message of `code` on the first supported language, english by default
+ */
+function localize(code, message, languages) {
+    const language = [].concat(languages || [])
+        .map(item => String(item).toLowerCase().split('-')[0])
+        .filter(item => item === 'en' || LOCALES[item])[0];
+    const messages = LOCALES[language];
+
+    return messages && messages[code] && catalogue[code] && message === catalogue[code].message ?
+        messages[code] :
+        message;
+}
+
+module.exports = {
+    catalogue: catalogue,
+    languages: ['en'].concat(Object.keys(LOCALES)),
+    create: create,
+    is: is,
+    normalize: normalize,
+    localize: localize
+};
@@ -0,0 +1,72 @@
+/**
+ * Errors sent to v1 clients (including unprefixed paths), as they were before
+ * the catalogue
+ *
+ *     {
+ *         "status": 422,
+ *         "message": "Session expired",
+ *         "errors": {}                     // only validation errors
+ *     }
+ *
+ * Statuses and messages listed here are the ones v1 clients got, codes not
+ * listed keep their catalogue status and english message. `details` is where
+ * v1 clients got the error details: under `errors`, or `merge`d on the body.
+ */
+'use strict';
+
+const CHANGED = {
+    'internal-error': {status: 422},
+    'invalid-token': {status: 422},
+    'authorization-required': {status: 422},
+    'session-expired': {status: 422},
+    'invalid-credentials': {status: 422},
+    'bad-request': {status: 422},
+    'unauthorized-user': {status: 401, message: 'unauthorized-user'},
+    'pledge-not-found': {message: 'pledge-not-found'},
+    'invalid-password': {message: 'Invalid credentials'},
+    'social-user-not-found': {message: 'Cant process request'},
+    'email-parameter-required': {message: 'missing-email-parameter'},
+    'user-email-not-found': {message: 'user-email-not-found'},
+    'database-unavailable': {status: 500, message: 'Cant process your request'},
+    'validation-failed': {details: 'errors'},
+    'invalid-password-format': {details: 'errors'},
+    'email-already-in-use': {details: 'merge'},
+    'post-not-found': {message: 'Resource not found'},
+    'plaid-not-connected': {message: 'error from server'},
+    'plaid-request-failed': {details: 'merge'},
+    'stripe-account-not-retrieved': {details: 'merge'},
+    'address-not-found': {message: 'address-not-found'},
+    'transaction-not-found': {message: 'transaction-not-found'},
+    'latest-transaction-not-found': {message: 'latest-transaction-not-found'},
+    'latest-transaction-mismatch': {message: 'latest-transaction-mismatch'},
+    'derived-address-mismatch': {message: 'derived-address-mismatch'},
+    'invalid-transaction-signature': {message: 'invalid-transaction-signature'},
+    'transaction-hash-mismatch': {message: 'transaction-hash-mismatch'}
+};
+
+/**
+ * v1 body of a normalized error, see ./index.js `normalize`
+ */
+function body(normalized) {
+    const changed = CHANGED[normalized.code] || {};
+
+    let result = {
+        status: changed.status || normalized.status,
+        message: changed.message || normalized.message
+    };
+
+    if (changed.details === 'errors') {
+        result.errors = normalized.details;
+    }
+
+    if (changed.details === 'merge') {
+        Object.assign(result, normalized.details);
+    }
+
+    return result;
+}
+
+module.exports = {
+    CHANGED: CHANGED,
+    body: body
+};
@@ -10,6 +10,7 @@
 const Npo = require('../npos/npo');
 const mongoose = require('mongoose');
 const logger = require('../logger');
+const errors = require('../errors');
 const defaultResponse = {
     data: {
         status: 'ok!'
@@ -19,9 +20,7 @@ const defaultResponse = {
 function status(request, response, next) {
 
     if (!mongoose.connection.readyState) {
-        let error = new Error();
-        error.message = 'Cant process your request';
-        error.status = 500;
+        let error = errors.create('database-unavailable');
 
         logger.error({
             err: error
@@ -1,9 +1,12 @@
 /**
- * Returns true if role is admin role
+ * Returns true if role is admin role, meaning it holds every permission, see
+ * `./permitted` for admin roles created before permissions existed
  */
 
 'use strict';
 
-const ADMIN = 'admin';
+const permitted = require('./permitted');
 
-module.exports = role => role.title === ADMIN;
+const ALL = '*';
+
+module.exports = role => permitted(role, ALL);
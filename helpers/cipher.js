@@ -0,0 +1,67 @@
+/**
+ * Encrypt secrets we need to read back later (TOTP secrets), unlike tokens we
+ * only compare, stored as digests (see `./hashToken`)
+ *
+ * AES-256-GCM with a key derived from `ENCRYPTION_KEY`, values are stored as
+ * `iv:tag:ciphertext` hex strings. Secrets stored before encryption are plain
+ * text, read them with `reveal`
+ */
+'use strict';
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_SIZE = 12; // bytes
+const FORMAT = /^[0-9a-f]+:[0-9a-f]+:[0-9a-f]+$/;
+
+function key() {
+    if (!process.env.ENCRYPTION_KEY) {
+        throw new Error('ENCRYPTION_KEY is required to encrypt secrets');
+    }
+
+    return crypto.createHash('sha256').update(process.env.ENCRYPTION_KEY).digest();
+}
+
+function encrypt(value) {
+    const iv = crypto.randomBytes(IV_SIZE);
+    const cipher = crypto.createCipheriv(ALGORITHM, key(), iv);
+    const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted]
+        .map(buffer => buffer.toString('hex'))
+        .join(':');
+}
+
+/**
+ * Throws if `value` was not encrypted with the current key or was tampered
+ */
+function decrypt(value) {
+    const parts = String(value).split(':');
+
+    if (parts.length !== 3) {
+        throw new Error('invalid-encrypted-value');
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key(), new Buffer(parts[0], 'hex'));
+    decipher.setAuthTag(new Buffer(parts[1], 'hex'));
+
+    return Buffer.concat([decipher.update(new Buffer(parts[2], 'hex')), decipher.final()]).toString('utf8');
+}
+
+function encrypted(value) {
+    return FORMAT.test(String(value));
+}
+
+/**
+ * Plain value of a secret, stored encrypted or as plain text
+ */
+function reveal(value) {
+    return encrypted(value) ? decrypt(value) : String(value);
+}
+
+module.exports = {
+    encrypt: encrypt,
+    decrypt: decrypt,
+    encrypted: encrypted,
+    reveal: reveal
+};
@@ -0,0 +1,21 @@
+/**
+ * Current date, used by time based security checks (lockouts, code expiry)
+ * Tests can replace it with a fake clock:
+ *     clock.use(() => new Date('2016-05-01T00:00:00Z'));
+ *     clock.reset();
+ */
+'use strict';
+
+const system = () => new Date();
+
+let current = system;
+
+module.exports = {
+    now: () => current(),
+    use: fake => {
+        current = fake;
+    },
+    reset: () => {
+        current = system;
+    }
+};
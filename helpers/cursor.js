@@ -0,0 +1,98 @@
+/**
+ * Opaque cursors for keyset pagination
+ *
+ * A cursor holds the sort values of the last (`next`) or first (`prev`)
+ * document of a page. The following page starts right after those values
+ * instead of skipping documents, so documents inserted meanwhile never shift
+ * pages: no document is repeated nor skipped.
+ *
+ * Clients must not build nor parse cursors, they are base64 encoded JSON
+ */
+'use strict';
+
+const errors = require('../errors');
+
+const DIRECTIONS = ['next', 'prev'];
+
+function encode(values, direction) {
+    const json = JSON.stringify({
+        v: values,
+        d: direction
+    });
+
+    return new Buffer(json).toString('base64');
+}
+
+/**
+ * Resolves `{values, direction}`, values converted with `converters`, one by
+ * sort value. `field` is used on error details, e.g. `query.cursor`
+ * Throws `invalid-request` for anything else
+ */
+function decode(cursor, converters, field) {
+    let parsed;
+    let details = {};
+
+    details[field] = 'invalid cursor';
+
+    try {
+        parsed = JSON.parse(new Buffer(String(cursor), 'base64').toString());
+    } catch (error) {
+        throw errors.create('invalid-request', details);
+    }
+
+    const valid = parsed && Array.isArray(parsed.v) &&
+        parsed.v.length === converters.length &&
+        DIRECTIONS.indexOf(parsed.d) >= 0;
+
+    if (!valid) {
+        throw errors.create('invalid-request', details);
+    }
+
+    const values = parsed.v.map((value, index) => {
+        const converted = value === null || typeof value === 'object' ?
+            undefined :
+            converters[index](value);
+
+        if (converted === undefined) {
+            throw errors.create('invalid-request', details);
+        }
+
+        return converted;
+    });
+
+    return {
+        values: values,
+        direction: parsed.d
+    };
+}
+
+/**
+ * Page from `rows`, fetched with one row more than `limit` to know if there
+ * are more. Rows of `prev` pages come in reverse order
+ * `values(row)` returns the sort values of a row
+ * Resolves `{docs, next, prev}`, cursors are null on first and last pages
+ */
+function page(rows, limit, cursor, values) {
+    const backward = !!cursor && cursor.direction === 'prev';
+    const more = rows.length > limit;
+    let docs = rows.slice(0, limit);
+
+    if (backward) {
+        docs.reverse();
+    }
+
+    const first = docs[0];
+    const last = docs[docs.length - 1];
+
+    return {
+        docs: docs,
+        next: last && (backward || more) ? encode(values(last), 'next') : null,
+        prev: first && (backward ? more : !!cursor) ? encode(values(first), 'prev') : null
+    };
+}
+
+module.exports = {
+    encode: encode,
+    decode: decode,
+    page: page
+};
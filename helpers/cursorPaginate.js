@@ -0,0 +1,90 @@
+/**
+ * Find a page of documents with cursors, see ./cursor.js
+ *
+ *     cursorPaginate(Transaction, query, {
+ *         sort: [['payload.timestamp', -1]],
+ *         cursor: request.query.cursor,
+ *         limit: 10
+ *     })
+ *
+ * options
+ *     sort: `[path, 1 or -1]` pairs, `_id` is added to keep a stable order
+ *     among equal values
+ *     cursor: `next` or `prev` of a previous page, first page if empty
+ *     limit: documents per page
+ *     select: fields to return, as on `Model.find`
+ *     field: name of the cursor parameter on errors, `query.cursor` by default
+ *
+ * Resolves `{docs, next, prev}`
+ */
+'use strict';
+
+const cursor = require('./cursor');
+const TYPES = require('./queryFilters').TYPES;
+
+/**
+ * Documents after `values` on `sort` order
+ *     (a > 1) or (a = 1 and b > 2) or (a = 1 and b = 2 and _id > 3)
+ */
+function after(sort, values) {
+    return {
+        $or: sort.map((item, index) => {
+            let condition = {};
+
+            sort.slice(0, index).forEach((previous, position) => {
+                condition[previous[0]] = values[position];
+            });
+
+            condition[item[0]] = {};
+            condition[item[0]][item[1] > 0 ? '$gt' : '$lt'] = values[index];
+
+            return condition;
+        })
+    };
+}
+
+module.exports = (Model, query, options) => {
+    let sort = options.sort.slice();
+    let decoded;
+
+    if (!sort.some(item => item[0] === '_id')) {
+        sort.push(['_id', sort.length ? sort[sort.length - 1][1] : 1]);
+    }
+
+    try {
+        decoded = options.cursor ? cursor.decode(options.cursor, sort.map(item => {
+            return TYPES[Model.schema.path(item[0]).instance];
+        }), options.field || 'query.cursor') : null;
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    /**
+     * Previous pages are found in reverse order
+     */
+    const backward = !!decoded && decoded.direction === 'prev';
+    const order = sort.map(item => [item[0], backward ? -item[1] : item[1]]);
+    let conditions = decoded ? {$and: [query, after(order, decoded.values)]} : query;
+    let sortBy = {};
+
+    /**
+     * Sort values are needed for cursors
+     */
+    const selected = (options.select || '').split(' ').filter(Boolean);
+    const select = selected.length ? selected.concat(sort
+        .map(item => item[0])
+        .filter(path => !selected.some(field => path === field || path.indexOf(`${field}.`) === 0))
+    ).join(' ') : options.select;
+
+    order.forEach(item => {
+        sortBy[item[0]] = item[1];
+    });
+
+    return Model
+        .find(conditions, select)
+        .sort(sortBy)
+        .limit(options.limit + 1)
+        .then(rows => cursor.page(rows, options.limit, decoded, row => {
+            return sort.map(item => row.get(item[0]));
+        }));
+};
@@ -2,10 +2,11 @@
 
 const transactionFilter = require('./plaidTransactionFilter');
 const rUAS = require('./roundAndSavePlaidTransaction');
+const pauses = require('../pledges/pauses');
 
 /**
  * Filters plaid transactions, leaving out those that aren't present on user registered plaid account
- * on the app.
+ * on the app, and those made while the pledge was paused ([[pauses]]).
  * Maps every plaid transaction in plaidTransactions rounded up objects. We save them for later possible data mining
  * We filter again taking out all zero roundups
  * Lastly, we order all remaining transactions because we saw on tests they come unordered from plaid service
@@ -16,6 +17,7 @@ const rUAS = require('./roundAndSavePlaidTransaction');
 function filterMapOrderPlaidTransactions(transactions, personData) {
 
     return transactions.filter(transactionFilter.bind(null, personData.plaidAccountId))
+        .filter(transaction => !pauses.paused(personData.pauses, transaction.date))
         .map(rUAS.roundUpAndSave.bind(null, personData))
         .filter(plaidTransaction => plaidTransaction.roundup !== 0)
         .sort((a, b) => {
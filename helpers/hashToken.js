@@ -0,0 +1,10 @@
+/**
+ * Return a sha256 digest of a token
+ * Used to store tokens we need to compare later (refresh tokens) without
+ * keeping the plain value on the database
+ */
+'use strict';
+
+const crypto = require('crypto');
+
+module.exports = value => crypto.createHash('sha256').update(String(value)).digest('hex');
@@ -0,0 +1,66 @@
+/**
+ * Convert a RSA JSON Web Key (public, `kty: RSA`) to a PEM encoded public key
+ * used to verify json web tokens signed by third parties (Google, Apple)
+ * @see https://tools.ietf.org/html/rfc7517
+ * @see https://tools.ietf.org/html/rfc3279#section-2.3.1
+ */
+'use strict';
+
+/**
+ * rsaEncryption OID 1.2.840.113549.1.1.1 followed by NULL parameters
+ */
+const RSA_ALGORITHM = new Buffer('300d06092a864886f70d0101010500', 'hex');
+
+function base64url(value) {
+    return new Buffer(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function length(size) {
+    if (size < 128) {
+        return new Buffer([size]);
+    }
+
+    let bytes = [];
+
+    while (size > 0) {
+        bytes.unshift(size & 255);
+        size = size >> 8;
+    }
+
+    return new Buffer([128 | bytes.length].concat(bytes));
+}
+
+function encode(tag, content) {
+    return Buffer.concat([new Buffer([tag]), length(content.length), content]);
+}
+
+/**
+ * Unsigned integer, prefixed with zero when the high bit is set
+ */
+function integer(buffer) {
+    if (buffer[0] & 128) {
+        buffer = Buffer.concat([new Buffer([0]), buffer]);
+    }
+
+    return encode(0x02, buffer);
+}
+
+module.exports = jwk => {
+    if (!jwk || jwk.kty !== 'RSA' || !jwk.n || !jwk.e) {
+        throw new Error('unsupported-jwk');
+    }
+
+    const rsaPublicKey = encode(0x30, Buffer.concat([
+        integer(base64url(jwk.n)),
+        integer(base64url(jwk.e))
+    ]));
+
+    const bitString = encode(0x03, Buffer.concat([new Buffer([0]), rsaPublicKey]));
+    const der = encode(0x30, Buffer.concat([RSA_ALGORITHM, bitString]));
+    const lines = der.toString('base64').match(/.{1,64}/g);
+
+    return ['-----BEGIN PUBLIC KEY-----']
+        .concat(lines)
+        .concat('-----END PUBLIC KEY-----')
+        .join('\n') + '\n';
+};
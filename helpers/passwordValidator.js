@@ -7,6 +7,8 @@
  */
 'use strict';
 
+const errors = require('../errors');
+
 /**
  * Provided by https://github.com/lucho99
  * (?=.*[A-Z]{1,}) -> Validates the string has at least 1 upper character
@@ -24,13 +26,8 @@ module.exports = function validatePassword(password) {
             return resolve(valid);
         }
 
-        let error = new Error();
-        error.status = 422;
-        error.message = 'Invalid password format';
-        error.errors = {
+        return reject(errors.create('invalid-password-format', {
             password: '1 upper&lower case, 1 number, 8 char length'
-        };
-
-        return reject(error);
+        }));
     });
 };
@@ -0,0 +1,21 @@
+/**
+ * Returns true if role holds the permission, either explicitly or through the
+ * `*` (all permissions) wildcard
+ *
+ * Roles created before permissions existed have none, the one titled `admin`
+ * keeps holding every permission until `npm run s-roles` migrates it
+ */
+'use strict';
+
+const ALL = '*';
+const LEGACY_ADMIN = 'admin';
+
+module.exports = (role, permission) => {
+    let permissions = (role && role.permissions) || [];
+
+    if (permissions.length === 0) {
+        return !!role && role.title === LEGACY_ADMIN;
+    }
+
+    return permissions.indexOf(ALL) > -1 || permissions.indexOf(permission) > -1;
+};
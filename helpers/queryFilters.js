@@ -1,31 +1,228 @@
 /**
  * Get fields from request.query to be used on `Model.paginate`
  * Used to prepare query object
+ *
+ *     filter[name]=abc                 names starting with `abc`
+ *     filter[amount][gte]=5            operators, see OPERATORS
+ *     filter[status][in]=active,hold   lists as comma separated values
+ *     filter[twoFactor][enabled]=true  nested paths, also `twoFactor.enabled`
+ *     filter[pledges][npoId]=...       paths of subdocuments
+ *
+ * Values are converted to the type of the schema path (Number, Date,
+ * ObjectId, Boolean). Unknown fields, secrets and paths without a simple type
+ * (Mixed) are ignored. Invalid values and unknown operators reject the request
+ * with `invalid-request`, messages by field on details.
  */
 'use strict';
 
-module.exports = (request, Model) => {
-    const properties = Model.schema.paths;
-
-    return Object
-        .keys(request.query.filter || {})
-        .reduce((previous, current) => {
-
-            const value = request.query.filter[current];
-
-            if (properties[current] && value) {
-                /**
-                 * Filter by instance type,
-                 * By default, string will use a regex to search
-                 * TODO: Refactor to use proper helpers for each type
-                 */
-                if (properties[current].instance === 'String') {
-                    previous[current] = new RegExp(`^${value}`);
-                } else {
-                    previous[current] = value;
-                }
+const mongoose = require('mongoose');
+const SECRETS = require('./secrets');
+const errors = require('../errors');
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+const LIST_LIMIT = 100;
+
+/**
+ * Convert a value to the type of a schema path instance
+ * Return undefined when invalid
+ */
+const TYPES = {
+    String: value => String(value),
+    Number: value => {
+        const number = value === '' ? NaN : Number(value);
+
+        return isNaN(number) ? undefined : number;
+    },
+    Date: value => {
+        const date = new Date(value);
+
+        return isNaN(date.getTime()) ? undefined : date;
+    },
+    ObjectID: value => OBJECT_ID.test(value) ? new mongoose.Types.ObjectId(String(value)) : undefined,
+    Boolean: value => {
+        return {
+            'true': true,
+            '1': true,
+            'false': false,
+            '0': false
+        }[String(value)];
+    }
+};
+
+const MESSAGES = {
+    String: 'must be a string',
+    Number: 'must be a number',
+    Date: 'must be a date',
+    ObjectID: 'must be an id',
+    Boolean: 'must be true or false'
+};
+
+function escape(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function list(value) {
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => typeof item === 'string' ? item.trim() : item)
+        .filter(item => item !== '');
+}
+
+/**
+ * Operators, get a value already converted (`convert`) and the path type
+ * Return a mongo query condition
+ */
+const OPERATORS = {
+    eq: (value, convert) => ({$eq: convert(value)}),
+    ne: (value, convert) => ({$ne: convert(value)}),
+    gt: (value, convert) => ({$gt: convert(value)}),
+    gte: (value, convert) => ({$gte: convert(value)}),
+    lt: (value, convert) => ({$lt: convert(value)}),
+    lte: (value, convert) => ({$lte: convert(value)}),
+    'in': (value, convert) => ({$in: list(value).map(convert)}),
+    nin: (value, convert) => ({$nin: list(value).map(convert)}),
+    exists: value => {
+        const exists = TYPES.Boolean(value);
+
+        if (exists === undefined) {
+            throw new TypeError(MESSAGES.Boolean);
+        }
+
+        return {$exists: exists};
+    },
+    contains: (value, convert, type, array) => {
+        if (array) {
+            return {$all: list(value).map(convert)};
+        }
+
+        if (type !== 'String') {
+            throw new TypeError('only strings and lists can contain values');
+        }
+
+        return {
+            $regex: escape(value),
+            $options: 'i'
+        };
+    }
+};
+
+/**
+ * Type of a schema path, `{type: 'Number', array: false}`
+ * Paths inside subdocuments are resolved on their schema
+ */
+function pathType(schema, path) {
+    const parts = path.split('.');
+
+    if (parts.some(part => SECRETS.indexOf(part) >= 0)) {
+        return;
+    }
+
+    for (let index = parts.length; index > 0; index--) {
+        const schemaType = schema.paths[parts.slice(0, index).join('.')];
+        const rest = parts.slice(index).join('.');
+
+        if (!schemaType) {
+            continue;
+        }
+
+        if (rest) {
+            return schemaType.schema ? pathType(schemaType.schema, rest) : undefined;
+        }
+
+        const array = schemaType.instance === 'Array';
+        const type = array && schemaType.caster ? schemaType.caster.instance : schemaType.instance;
+
+        return TYPES[type] ? {type: type, array: array} : undefined;
+    }
+}
+
+/**
+ * Conditions for a path and a value, either a value or an object of operators
+ * and nested paths. `messages` collects errors by field
+ */
+function conditions(schema, path, value, query, messages) {
+    const isObject = !!value && typeof value === 'object' && !Array.isArray(value);
+    const found = pathType(schema, path);
+    const field = `query.filter.${path}`;
+
+    const convert = item => {
+        if (item && typeof item === 'object') {
+            throw new TypeError(MESSAGES[found.type]);
+        }
+
+        const converted = TYPES[found.type](item);
+
+        if (converted === undefined) {
+            throw new TypeError(MESSAGES[found.type]);
+        }
+
+        return converted;
+    };
+
+    if (!isObject) {
+        if (!found || value === undefined || value === '') {
+            return;
+        }
+
+        /**
+         * Strings starting with value by default, equality otherwise
+         */
+        try {
+            const converted = convert(value);
+
+            query[path] = found.type === 'String' ? new RegExp(`^${escape(converted)}`) : converted;
+        } catch (error) {
+            messages[field] = error.message;
+        }
+
+        return;
+    }
+
+    Object.keys(value).forEach(key => {
+        if (!OPERATORS[key]) {
+            if (found) {
+                messages[`${field}.${key}`] = 'unknown operator';
+                return;
             }
 
-            return previous;
-        }, {});
+            return conditions(schema, `${path}.${key}`, value[key], query, messages);
+        }
+
+        if (!found) {
+            return;
+        }
+
+        try {
+            const condition = OPERATORS[key](value[key], convert, found.type, found.array);
+            const values = condition.$in || condition.$nin || condition.$all || [];
+
+            if (values.length > LIST_LIMIT) {
+                throw new TypeError(`${LIST_LIMIT} values at most`);
+            }
+
+            const current = query[path] && query[path].constructor === Object ? query[path] : {};
+
+            query[path] = Object.assign(current, condition);
+        } catch (error) {
+            messages[`${field}.${key}`] = error.message;
+        }
+    });
+}
+
+module.exports = (request, Model) => {
+    const filter = request.query.filter || {};
+    let query = {};
+    let messages = {};
+
+    Object.keys(filter).forEach(path => {
+        conditions(Model.schema, path, filter[path], query, messages);
+    });
+
+    if (Object.keys(messages).length) {
+        throw errors.create('invalid-request', messages);
+    }
+
+    return query;
 };
+
+module.exports.OPERATORS = Object.keys(OPERATORS);
+module.exports.TYPES = TYPES;
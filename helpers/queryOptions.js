@@ -9,12 +9,19 @@ const querySort = require('../helpers/querySort');
 const PER_PAGE = Number(process.env.PER_PAGE) || 10;
 const PER_PAGE_LIMIT = Number(process.env.PER_PAGE_LIMIT) || 50;
 
+/**
+ * Items per page, PER_PAGE by default and PER_PAGE_LIMIT at most
+ */
+function perPage(value) {
+    value = value || PER_PAGE;
+
+    return value > PER_PAGE_LIMIT ? PER_PAGE_LIMIT : value;
+}
+
 module.exports = (request, Model) => {
         const fields = select(request.query.fields, Model);
         const sort = querySort(request.query.sort, Model);
         const page = request.query.page || 1;
-        let perPage = request.query.perPage || PER_PAGE;
-        perPage = perPage > PER_PAGE_LIMIT ? PER_PAGE_LIMIT : perPage;
 
         return {
             select: fields,
@@ -24,6 +31,8 @@ module.exports = (request, Model) => {
              */
             lean: false,
             page: page,
-            limit: perPage
+            limit: perPage(request.query.perPage)
         };
 };
+
+module.exports.perPage = perPage;
@@ -0,0 +1,38 @@
+/**
+ * Return a copy of `value` (documents, objects, arrays) replacing the value of
+ * any property named as one of `keys`, at any depth, with '[REDACTED]'
+ * Usage:
+ *     redact(user, ['password', 'tokens']);
+ */
+'use strict';
+
+const REDACTED = '[REDACTED]';
+
+function walk(value, keys) {
+    if (Array.isArray(value)) {
+        return value.map(item => walk(item, keys));
+    }
+
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    let result = {};
+
+    Object.keys(value).map(key => {
+        result[key] = keys.indexOf(key) >= 0 && value[key] !== undefined && value[key] !== null ?
+            REDACTED :
+            walk(value[key], keys);
+    });
+
+    return result;
+}
+
+module.exports = (value, keys) => {
+    /**
+     * Plain copy of mongoose documents, dates and ids
+     */
+    let plain = value === undefined ? value : JSON.parse(JSON.stringify(value));
+
+    return walk(plain, keys || []);
+};
@@ -1,15 +1,18 @@
 'use strict';
 
 const roundup = require('./roundup');
+const donation = require('../pledges/donation');
 const createPlaidTransaction = require('../transactions/create');
 
 /**
  * Takes a transaction, rounds up the amount and save this as a plaidTransaction for later processing
+ * Roundups are multiplied by the pledge [[multiplier]]
  * @param {string} personData
  * @param {object} transaction
  */
 function roundUpAndSave(personData, transaction) {
-    let roundupValue = roundup(transaction.amount);
+    let multiplier = personData.multiplier || 1;
+    let roundupValue = donation.multiply(roundup(transaction.amount), multiplier);
 
     let plaidTransaction = {
         userId: personData._id,
@@ -18,6 +21,7 @@ function roundUpAndSave(personData, transaction) {
         date: (new Date(transaction.date)).toISOString(),
         name: transaction.name,
         roundup: roundupValue,
+        multiplier: multiplier,
         summed: false,    // This one is to know if we have already ran the process on this transaction
     };
 
@@ -0,0 +1,8 @@
+/**
+ * Returns true for HTTP methods which don't modify resources
+ */
+'use strict';
+
+const SAFE = ['GET', 'HEAD', 'OPTIONS'];
+
+module.exports = method => SAFE.indexOf(String(method).toUpperCase()) >= 0;
@@ -0,0 +1,11 @@
+/**
+ * Names of properties holding secrets (password hash, tokens, Stripe
+ * customers, two factor secrets, API key digests), never shown on exports or
+ * audit trails
+ */
+'use strict';
+
+module.exports = [
+    'password', 'verificationToken', 'tokens', 'token', 'customer', 'secret',
+    'pendingSecret', 'recoveryCodes', 'refreshToken', 'usedRefreshTokens', 'key'
+];
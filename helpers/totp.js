@@ -0,0 +1,144 @@
+/**
+ * Time-based One-Time Passwords (TOTP), compatible with authenticator apps
+ * @see https://tools.ietf.org/html/rfc6238
+ * @see https://tools.ietf.org/html/rfc4226
+ *
+ * Secrets are base32 strings, as expected by authenticator apps.
+ */
+'use strict';
+
+const crypto = require('crypto');
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP = 30; // seconds
+const DIGITS = 6;
+const WINDOW = 1; // accept codes from previous and next step (clock drift)
+const SECRET_SIZE = 20; // bytes
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (let index = 0; index < buffer.length; index += 1) {
+        value = (value << 8) | buffer[index];
+        bits += 8;
+
+        while (bits >= 5) {
+            output += ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+function base32Decode(string) {
+    let bits = 0;
+    let value = 0;
+    let bytes = [];
+
+    String(string)
+        .toUpperCase()
+        .replace(/[\s=]/g, '')
+        .split('')
+        .map(character => {
+            let index = ALPHABET.indexOf(character);
+
+            if (index < 0) {
+                throw new Error('invalid-base32-secret');
+            }
+
+            value = (value << 5) | index;
+            bits += 5;
+
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        });
+
+    return new Buffer(bytes);
+}
+
+/**
+ * Current time step, used as HOTP counter
+ */
+function counter(time) {
+    return Math.floor((time || Date.now()) / 1000 / STEP);
+}
+
+/**
+ * HMAC-based One-Time Password for a given counter
+ */
+function hotp(secret, count) {
+    let message = new Buffer(8);
+    message.fill(0);
+    message.writeUInt32BE(Math.floor(count / 0x100000000), 0);
+    message.writeUInt32BE(count % 0x100000000, 4);
+
+    let hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    let offset = hmac[hmac.length - 1] & 15;
+    let binary = ((hmac[offset] & 127) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+
+    let code = String(binary % Math.pow(10, DIGITS));
+
+    while (code.length < DIGITS) {
+        code = `0${code}`;
+    }
+
+    return code;
+}
+
+/**
+ * Return the counter matching `code` within the allowed window, or -1 if the
+ * code is not valid. Store the counter to avoid a code to be used twice.
+ */
+function verify(secret, code, time) {
+    let current = counter(time);
+    code = String(code || '').replace(/\s/g, '');
+
+    if (code.length !== DIGITS) {
+        return -1;
+    }
+
+    for (let step = -WINDOW; step <= WINDOW; step += 1) {
+        if (hotp(secret, current + step) === code) {
+            return current + step;
+        }
+    }
+
+    return -1;
+}
+
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(SECRET_SIZE));
+}
+
+/**
+ * Provisioning URI, rendered as a QR code by client apps
+ * @see https://github.com/google/google-authenticator/wiki/Key-Uri-Format
+ */
+function uri(secret, account, issuer) {
+    let label = encodeURIComponent(`${issuer}:${account}`);
+
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+        `&algorithm=SHA1&digits=${DIGITS}&period=${STEP}`;
+}
+
+module.exports = {
+    base32Encode: base32Encode,
+    base32Decode: base32Decode,
+    counter: counter,
+    hotp: hotp,
+    verify: verify,
+    generateSecret: generateSecret,
+    uri: uri
+};
@@ -70,6 +70,7 @@ function createTransactionData(transaction, previous, previousHash) {
             address: previous.payload.address,
             amount: parseFloat(transaction.amount.toFixed(2)),
             roundup: parseFloat(transaction.roundup.toFixed(2)),
+            multiplier: transaction.multiplier || 1,
             balance: parseFloat(newBalance),
             currency: previous.payload.currency,
             limit: previous.payload.limit,
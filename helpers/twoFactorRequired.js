@@ -0,0 +1,10 @@
+/**
+ * Validate if a role requires two factor authentication
+ * Admin roles always require it, other roles when `requireTwoFactor` is set
+ */
+
+'use strict';
+
+const admin = require('./admin');
+
+module.exports = role => admin(role) || !!(role && role.requireTwoFactor);
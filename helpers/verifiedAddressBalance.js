@@ -7,6 +7,7 @@ const Address = require('../addresses/address');
 const Transaction = require('../transactions/chain/transaction');
 const deriveWalletAddress = require('./deriveWalletAddress');
 const verifyJwsSignature = require('./verifyJwsSignature');
+const errors = require('../errors');
 
 module.exports = function getVerifiedAddressBalance(address) {
     let addressDocument;
@@ -18,10 +19,7 @@ module.exports = function getVerifiedAddressBalance(address) {
     .then(address => {
         addressDocument = address;
         if (!addressDocument) {
-            let error = new Error();
-            error.status = 404;
-            error.message = 'address-not-found';
-            return Promise.reject(error);
+            return Promise.reject(errors.create('address-not-found'));
         }
         return addressDocument.address;
     })
@@ -41,36 +39,26 @@ module.exports = function getVerifiedAddressBalance(address) {
     .then(_latestTransaction => {
         latestTransaction = _latestTransaction;
         if (!latestTransaction) {
-            let error = new Error();
-            error.status = 422;
-            error.message = 'latest-transaction-not-found';
-            return Promise.reject(error);
+            return Promise.reject(errors.create('latest-transaction-not-found'));
         }
         if (latestTransaction.hash.value !== addressDocument.latestTransaction) {
-            let error = new Error();
-            error.status = 422;
-            error.message = 'latest-transaction-mismatch';
-            return Promise.reject(error);
+            return Promise.reject(errors.create('latest-transaction-mismatch'));
         }
 
         return deriveWalletAddress(addressDocument.keys.public);
     })
     .then(derivedAddress => {
         if (derivedAddress !== addressDocument.address) {
-            let error = new Error();
-            error.status = 422;
-            error.message = 'derived-address-mismatch';
-            error.details = `Expected ${addressDocument.address} but got ${derivedAddress}`;
-            return Promise.reject(error);
+            return Promise.reject(errors.create('derived-address-mismatch', {
+                expected: addressDocument.address,
+                derived: derivedAddress
+            }));
         }
         return verifyJwsSignature(latestTransaction, null, addressDocument.keys.public);
     })
     .then(validSignature => {
         if (!validSignature) {
-            let error = new Error();
-            error.status = 422;
-            error.message = 'invalid-transaction-signature';
-            return Promise.reject(error);
+            return Promise.reject(errors.create('invalid-transaction-signature'));
         }
 
         return {
@@ -7,6 +7,7 @@ const logger = require('../logger');
 const stringify = require('json-stable-stringify');
 const crypto = require('crypto');
 const elliptic = require('elliptic');
+const errors = require('../errors');
 const schemes = {
     ed25519: new elliptic.ec('ed25519')
 };
@@ -17,20 +18,18 @@ module.exports = function verifyJwsSignature(jws, scheme, publicKey) {
     let verified  = null;
     scheme        = scheme || schemes.ed25519;
 
-    // Preventive, reusable error object
-    let error = new Error();
-    error.status = 422;
-    error.message = 'invalid-transaction-signature';
-    error.details = `transaction hash: ${hashValue}`;
+    const details = {hash: hashValue};
 
     let hash = crypto.createHash(jws.hash.type || 'sha256')
         .update(stringify(jws.payload)).digest('hex');
     if (hash !== hashValue) {
+        let error = errors.create('transaction-hash-mismatch', details);
         logger.error(error);
-        error.message = 'transaction-hash-mismatch';
         return Promise.reject(error);
     }
 
+    let error = errors.create('invalid-transaction-signature', details);
+
     try {
         verified = scheme.verify(hash, signature, publicKey, 'hex');
     } catch(err) {
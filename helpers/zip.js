@@ -0,0 +1,111 @@
+/**
+ * Build a ZIP archive in memory from a list of files, compressed with deflate
+ * Usage:
+ *     zip([{name: 'profile.json', content: '{}'}]) // Buffer
+ * @see https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+ */
+'use strict';
+
+const zlib = require('zlib');
+
+const DEFLATE = 8;
+const VERSION = 20;
+const UTF8 = 0x0800;
+
+let table = [];
+
+for (let index = 0; index < 256; index += 1) {
+    let value = index;
+
+    for (let bit = 0; bit < 8; bit += 1) {
+        value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+    }
+
+    table.push(value >>> 0);
+}
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+
+    for (let index = 0; index < buffer.length; index += 1) {
+        crc = table[(crc ^ buffer[index]) & 255] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS date and time
+ */
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+function header(size) {
+    let buffer = new Buffer(size);
+    buffer.fill(0);
+
+    return buffer;
+}
+
+module.exports = (files, date) => {
+    const dateTime = dosDateTime(date || new Date());
+
+    let locals = [];
+    let centrals = [];
+    let offset = 0;
+
+    files.map(file => {
+        const name = new Buffer(file.name);
+        const content = Buffer.isBuffer(file.content) ? file.content : new Buffer(String(file.content));
+        const compressed = zlib.deflateRawSync(content);
+        const crc = crc32(content);
+
+        let local = header(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(VERSION, 4);
+        local.writeUInt16LE(UTF8, 6);
+        local.writeUInt16LE(DEFLATE, 8);
+        local.writeUInt16LE(dateTime.time, 10);
+        local.writeUInt16LE(dateTime.date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(content.length, 22);
+        local.writeUInt16LE(name.length, 26);
+
+        let central = header(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(VERSION, 4);
+        central.writeUInt16LE(VERSION, 6);
+        central.writeUInt16LE(UTF8, 8);
+        central.writeUInt16LE(DEFLATE, 10);
+        central.writeUInt16LE(dateTime.time, 12);
+        central.writeUInt16LE(dateTime.date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(content.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, name, compressed);
+        centrals.push(central, name);
+
+        offset += local.length + name.length + compressed.length;
+    });
+
+    const directory = Buffer.concat(centrals);
+
+    let end = header(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat(locals.concat(directory, end));
+};
+
+module.exports.crc32 = crc32;
@@ -13,6 +13,8 @@ let AWS = require('aws-sdk');
  */
 AWS.config.setPromisesDependency(Promise);
 
+const errors = require('../errors');
+
 let s3 = new AWS.S3({
     accessKeyId: process.env.AWS_S3_KEY,
     secretAccessKey: process.env.AWS_S3_SECRET,
@@ -42,10 +44,7 @@ module.exports = function upload(image) {
     };
 
     if (!image.name || !availableFolders[image.name]) {
-        let error = new Error();
-        error.message = 'Field name is required';
-
-        return Promise.reject(error);
+        return Promise.reject(errors.create('image-name-required'));
     }
 
     return s3.putObject(object).promise();
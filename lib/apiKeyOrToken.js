@@ -0,0 +1,23 @@
+/**
+ * Authenticate with an API key (`X-Api-Key` header) or a regular session
+ * (json web token on `Authorization` header)
+ *
+ * Use instead of `verifyToken, authenticate` on routes open to partners,
+ * always followed by `currentUser` and `requirePermission`, which limits API
+ * keys to their scopes:
+ *     router.get(PATH, apiKeyOrToken, currentUser, requirePermission('transactions:read'), list);
+ */
+'use strict';
+
+const customMiddlewares = require('./customMiddlewares');
+const verifyApiKey = require('./verifyApiKey');
+const verifyToken = require('./verifyJwt');
+const authenticate = require('./authenticate');
+
+module.exports = function apiKeyOrToken(request, response, next) {
+    if (request.headers[verifyApiKey.HEADER]) {
+        return customMiddlewares([verifyApiKey], request, response, next);
+    }
+
+    return customMiddlewares([verifyToken, authenticate], request, response, next);
+};
@@ -1,8 +1,11 @@
 /**
  * Helper middleware, used to update a document.
+ * Archived documents are stored on the audit trail
  */
 'use strict';
 
+const record = require('../audits/record');
+
 const archive = {
     archived: true
 };
@@ -22,9 +25,20 @@ module.exports = (Model) => {
         let query = {
             _id: request.params.id
         };
+        let before;
 
-        return Model.findOne(Model, query)
-            .then(() => Model.update(query, archive))
+        return Model.findOne(query).lean()
+            .then(found => {
+                before = found;
+                return Model.update(query, archive);
+            })
+            .then(() => record(request, {
+                action: 'archive',
+                resource: Model.modelName,
+                resourceId: request.params.id,
+                before: before && {archived: before.archived},
+                after: archive
+            }))
             .then(() => response.json(defaultResponse))
             .catch(next);
     };
@@ -0,0 +1,32 @@
+/**
+ * Middleware to store an audit event for every successful mutating request
+ * (any method but GET, HEAD and OPTIONS) made with a session
+ *
+ * Handlers which know what changed store a detailed event with
+ * `audits/record` or the `audits/plugin` model hook, otherwise a `request`
+ * event holding the route is stored once the response is sent.
+ */
+'use strict';
+
+const record = require('../audits/record');
+const safeMethod = require('../helpers/safeMethod');
+
+module.exports = function audit(request, response, next) {
+    if (safeMethod(request.method)) {
+        return next();
+    }
+
+    response.on('finish', () => {
+        if (!request.session || request.audited || response.statusCode >= 400) {
+            return;
+        }
+
+        record(request, {
+            action: 'request',
+            resource: request.route ? request.route.path : request.path,
+            resourceId: request.params && request.params.id
+        });
+    });
+
+    return next();
+};
@@ -1,10 +1,40 @@
 /**
  * Validate current user against session stored
+ *
+ * Impersonated sessions are read-only, any other method than GET, HEAD or
+ * OPTIONS is rejected. Every request is added to the impersonation audit trail
+ *
+ * Requests are rate limited per user, see lib/rateLimit
  */
 'use strict';
 
 let Session = require('../sessions/session');
+let Impersonation = require('../sessions/impersonation');
 let validSession = require('../helpers/validSession');
+let safeMethod = require('../helpers/safeMethod');
+let rateLimit = require('./rateLimit');
+let logger = require('../logger');
+const errors = require('../errors');
+
+function audit(session, request) {
+    const entry = {
+        method: request.method,
+        path: request.originalUrl,
+        date: new Date()
+    };
+
+    return Impersonation
+        .update({
+            sessionId: session._id
+        }, {
+            $push: {
+                requests: entry
+            }
+        })
+        .catch(error => logger.error({
+            err: error
+        }));
+}
 
 module.exports = function authenticate(request, response, next) {
 
@@ -18,26 +48,29 @@ module.exports = function authenticate(request, response, next) {
         .exec()
         .then(session => {
             if (!session) {
-                let error = new Error();
-                error.status = 401;
-                error.message = 'Authentication required';
-
-                return next(error);
+                return next(errors.create('authentication-required'));
             }
 
             return session;
         })
         .then(session => {
             if (!validSession(session.expire)) {
-                let error = new Error();
-                error.status = 422;
-                error.message = 'Session expired';
+                return next(errors.create('session-expired'));
+            }
 
-                return next(error);
+            if (session.impersonated) {
+                audit(session, request);
+
+                if (!safeMethod(request.method)) {
+                    return next(errors.create('impersonated-read-only'));
+                }
             }
 
             request.session = session;
-            return next();
+
+            return rateLimit
+                .user(request, response)
+                .then(() => next(), next);
         })
         .catch(next);
 };
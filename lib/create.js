@@ -1,14 +1,26 @@
 /**
  * Middleware to create resource based on model and body provided
+ * New documents are stored on the audit trail
  */
 'use strict';
 
+const record = require('../audits/record');
+
 module.exports = Model => {
     return function create(request, response, next) {
         request.body.userId = request.session._id;
 
         return new Model(request.body)
             .save()
+            .then(data => {
+                return record(request, {
+                    action: 'create',
+                    resource: Model.modelName,
+                    resourceId: data._id,
+                    after: data
+                })
+                .then(() => data);
+            })
             .then(data => response.json({
                 data: data
             }))
@@ -4,6 +4,7 @@
 
 'use strict';
 const User = require('../users/user');
+const errors = require('../errors');
 
 module.exports = function currentUser(request, response, next) {
     const query = {
@@ -14,11 +15,7 @@ module.exports = function currentUser(request, response, next) {
         .findOne(query)
         .then(user => {
             if (!user) {
-                let error = new Error();
-                error.status = 422;
-                error.message = 'Resource not found';
-
-                return next(error);
+                return next(errors.create('authentication-required'));
             }
 
             request.currentUser = user;
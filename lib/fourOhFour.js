@@ -4,10 +4,8 @@
  */
 'use strict';
 
-module.exports = (request, response, next) => {
-    let error = new Error();
-    error.message = 'Resource not found';
-    error.status = 404;
+const errors = require('../errors');
 
-    next(error);
+module.exports = (request, response, next) => {
+    next(errors.create('not-found'));
 };
@@ -6,15 +6,14 @@
 
 const Role = require('../roles/role');
 const admin = require('../helpers/admin');
+const twoFactorRequired = require('../helpers/twoFactorRequired');
+const errors = require('../errors');
 
 module.exports = function isAdmin(request, response, next) {
     let currentUser = request.currentUser;
 
     if (!currentUser || !currentUser.roleId) {
-        let error = new Error();
-        error.status = 403;
-        error.message = 'Forbidden';
-        return next(error);
+        return next(errors.create('forbidden'));
     }
 
     const query = {
@@ -25,19 +24,20 @@ module.exports = function isAdmin(request, response, next) {
         .findOne(query)
         .then(role => {
             if (!role) {
-                let error = new Error();
-                error.status = 422;
-                error.message = 'Resource not found';
-
-                return next(error);
+                return next(errors.create('forbidden'));
             }
 
+            request.role = role;
+
             if (!admin(role)) {
-                let error = new Error();
-                error.status = 403;
-                error.message = 'Forbidden';
+                return next(errors.create('forbidden'));
+            }
 
-                return next(error);
+            /**
+             * Admin users must enable two factor authentication
+             */
+            if (twoFactorRequired(role) && !(currentUser.twoFactor || {}).enabled) {
+                return next(errors.create('two-factor-required'));
             }
 
             request.isAdmin = true;
@@ -1,24 +1,34 @@
 /**
  * Generic module to find list of models based on model param
+ *
+ * Requests narrow the list with `filter`, see helpers/queryFilters.js. The
+ * base query always applies, filters can't list archived documents.
  */
 'use strict';
 const queryOptions = require('../helpers/queryOptions');
+const queryFilters = require('../helpers/queryFilters');
 const defaultQuery = {
     archived: false
 };
 
 /**
  * Model is an instance of mongoose model
+ * query: base query, `{archived: false}` by default
+ * serialize: optional, change each document before sending it
  */
-module.exports = (Model, query) => {
+module.exports = (Model, query, serialize) => {
     return function list(request, response, next) {
         const options = queryOptions(request, Model);
 
-        return Model
-            .paginate(query || defaultQuery, options)
+        return Promise.resolve()
+            .then(() => {
+                const filters = queryFilters(request, Model);
+
+                return Model.paginate(Object.assign(filters, query || defaultQuery), options);
+            })
             .then(data => {
                 let result = {
-                    data: data.docs
+                    data: serialize ? data.docs.map(serialize) : data.docs
                 };
 
                 data.docs = void(0);
@@ -3,10 +3,8 @@
  */
 'use strict';
 
-module.exports = function notAllowed(request, response) {
-    return response
-        .status(405)
-        .json({
-            message: 'Method not allowed'
-        });
+const errors = require('../errors');
+
+module.exports = function notAllowed(request, response, next) {
+    next(errors.create('method-not-allowed'));
 };
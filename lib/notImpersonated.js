@@ -0,0 +1,19 @@
+/**
+ * Middleware to block impersonated sessions from a route they could read,
+ * e.g. exporting every personal data of the user
+ * Usage:
+ *     router.get(EXPORT, verifyToken, authenticate, currentUser,
+ *         notImpersonated, exportData);
+ */
+
+'use strict';
+
+const errors = require('../errors');
+
+module.exports = function notImpersonated(request, response, next) {
+    if (request.session && request.session.impersonated) {
+        return next(errors.create('impersonated-not-allowed'));
+    }
+
+    return next();
+};
@@ -0,0 +1,42 @@
+/**
+ * Middleware factory to limit NPO staff users to their own organization
+ * Must run after `requirePermission`, since it uses `request.role`
+ *
+ * permission: role permission that gives access to every NPO, like `npos:write`
+ * getNpoIds: function(request) returning the NPO id(s) the request works with,
+ *     a value, an array or a promise of them
+ *
+ * If role holds `permission`, move to next middleware. Otherwise, user must
+ * belong to every NPO returned by `getNpoIds`. `request.npoScoped` is set to
+ * true in that case, so next middlewares can restrict what staff users can do
+ */
+
+'use strict';
+
+const owner = require('../helpers/owner');
+const permitted = require('../helpers/permitted');
+const errors = require('../errors');
+
+module.exports = (permission, getNpoIds) => {
+    return function npoScope(request, response, next) {
+        if (permitted(request.role, permission)) {
+            return next();
+        }
+
+        let npoId = (request.currentUser || {}).npoId;
+
+        return Promise
+            .resolve(getNpoIds(request))
+            .then(ids => {
+                ids = [].concat(ids);
+
+                if (!npoId || !ids.length || !ids.every(id => owner(npoId, id))) {
+                    return next(errors.create('unauthorized-npo'));
+                }
+
+                request.npoScoped = true;
+                return next();
+            })
+            .catch(next);
+    };
+};
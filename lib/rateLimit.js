@@ -0,0 +1,56 @@
+/**
+ * Middleware to rate limit requests per IP address, see rateLimits/README.md
+ * `rateLimit.user` limits authenticated requests per user, it runs once the
+ * user is known (`authenticate`, `verifyApiKey`)
+ *
+ * Rules match paths without API version prefix, `/v2/sessions` as `/sessions`
+ *
+ * If counters can't be read, the request goes on: limits must not take the
+ * API down along with the database
+ *
+ * Disabled with RATE_LIMIT_ENABLED=false
+ */
+'use strict';
+
+const limiter = require('../rateLimits/limiter');
+const rules = require('../rateLimits/rules');
+const versions = require('../versions');
+const logger = require('../logger');
+
+const ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+const TOO_MANY_REQUESTS = 429;
+
+function check(scope, client, request, response) {
+    if (!ENABLED) {
+        return Promise.resolve();
+    }
+
+    const path = versions.strip(request.originalUrl.split('?')[0]);
+    const matched = rules.match(rules.rules, scope, request.method, path);
+
+    return limiter
+        .check(matched, client, response)
+        .catch(error => {
+            if (error.status === TOO_MANY_REQUESTS) {
+                return Promise.reject(error);
+            }
+
+            logger.error({
+                err: error
+            }, 'Rate limit counters not available');
+        });
+}
+
+module.exports = function rateLimit(request, response, next) {
+    return check('ip', request.ip, request, response)
+        .then(() => next(), next);
+};
+
+/**
+ * Resolves, or rejects with 429
+ */
+module.exports.user = (request, response) => {
+    const session = request.session || {};
+
+    return check('user', session.userId && String(session.userId), request, response);
+};
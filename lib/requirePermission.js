@@ -0,0 +1,80 @@
+/**
+ * Middleware factory to validate current user's role holds a permission
+ * Usage:
+ *     router.post(PATH, verifyToken, authenticate, currentUser,
+ *         requirePermission('npos:write'), create(Npo));
+ *
+ * Use an array to allow any of many permissions:
+ *     requirePermission(['npos:write', 'npo:manage'])
+ *
+ * Role found is stored on `request.role` to be reused by next middlewares
+ *
+ * Users whose role requires two factor authentication (admin roles always do)
+ * get 403 until they enable it
+ *
+ * Requests authenticated with an API key also need the permission on the key
+ * scopes. Two factor authentication doesn't apply to them
+ */
+
+'use strict';
+
+const Role = require('../roles/role');
+const admin = require('../helpers/admin');
+const permitted = require('../helpers/permitted');
+const twoFactorRequired = require('../helpers/twoFactorRequired');
+const errors = require('../errors');
+
+function forbidden() {
+    return errors.create('forbidden');
+}
+
+module.exports = permission => {
+    const permissions = [].concat(permission);
+
+    function requirePermission(request, response, next) {
+        let currentUser = request.currentUser;
+        let apiKey = request.apiKey;
+
+        if (!currentUser || !currentUser.roleId) {
+            return next(forbidden());
+        }
+
+        if (apiKey && !permissions.some(permission => permitted({permissions: apiKey.scopes}, permission))) {
+            return next(errors.create('api-key-scope-required'));
+        }
+
+        const query = {
+            _id: currentUser.roleId
+        };
+
+        let role = request.role ? Promise.resolve(request.role) : Role.findOne(query);
+
+        return role
+            .then(role => {
+                if (!role) {
+                    return next(errors.create('forbidden'));
+                }
+
+                request.role = role;
+
+                if (!permissions.some(permission => permitted(role, permission))) {
+                    return next(forbidden());
+                }
+
+                if (!apiKey && twoFactorRequired(role) && !(currentUser.twoFactor || {}).enabled) {
+                    return next(errors.create('two-factor-required'));
+                }
+
+                request.isAdmin = admin(role);
+                return next();
+            })
+            .catch(next);
+    }
+
+    /**
+     * Kept for API docs
+     */
+    requirePermission.permissions = permissions;
+
+    return requirePermission;
+};
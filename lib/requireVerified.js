@@ -0,0 +1,28 @@
+/**
+ * Middleware factory to block users with an unverified email from a feature
+ * Usage:
+ *     router.post(PATH, verifyToken, authenticate, currentUser,
+ *         requireVerified('pledges'), create);
+ *
+ * Features requiring a verified email are set on `VERIFIED_EMAIL_REQUIRED`,
+ * comma separated, e.g. 'pledges,banks'. Set it to 'none' to disable.
+ */
+
+'use strict';
+
+const errors = require('../errors');
+
+const REQUIRED = process.env.VERIFIED_EMAIL_REQUIRED || 'pledges,banks';
+const features = REQUIRED.split(',').map(feature => feature.trim());
+
+module.exports = feature => {
+    return function requireVerified(request, response, next) {
+        let currentUser = request.currentUser || {};
+
+        if (features.indexOf(feature) < 0 || currentUser.verified) {
+            return next();
+        }
+
+        return next(errors.create('email-verification-required'));
+    };
+};
@@ -1,29 +1,75 @@
 /**
  * Respond with proper error format for development and production
  * environments
+ *
+ * Every error is sent with the same envelope:
+ *     {
+ *         "status": 404,
+ *         "code": "pledge-not-found",
+ *         "message": "Pledge not found",
+ *         "details": {}                    // optional, e.g. validation errors
+ *     }
+ *
+ * v1 requests get the envelope they had before the catalogue, see
+ * errors/legacy.js
+ *
+ * Messages are translated using `Accept-Language` header. Internal errors
+ * (anything which is not a 4xx error) never expose their message, stack or
+ * properties, unless `debug` is enabled (SEND_ERRORS=true), which is ignored
+ * on production.
  */
 'use strict';
 
-const validationErrors = require('../helpers/validationErrors');
+const errors = require('../errors');
+const legacy = require('../errors/legacy');
+const versions = require('../versions');
 const logger = require('../logger');
 
-module.exports = function sendErrors() {
+const PRODUCTION = process.env.NODE_ENV === 'production';
+
+/**
+ * Body of the latest versions
+ */
+function envelope(normalized, request) {
+    let body = {
+        status: normalized.status,
+        code: normalized.code,
+        message: errors.localize(normalized.code, normalized.message, request.acceptsLanguages(errors.languages))
+    };
+
+    if (normalized.details !== undefined) {
+        body.details = normalized.details;
+    }
+
+    return body;
+}
+
+module.exports = function sendErrors(debug) {
+    const sendDebug = !PRODUCTION && (debug === true || debug === 'true');
+
     /*jshint unused: false*/
     return (error, request, response, next) => {
+        const normalized = errors.normalize(error);
+
         logger.error({
-            err: error
+            err: error,
+            code: normalized.code
         });
 
-        if (error.name === 'ValidationError') {
-            error = {
-                status: 422,
+        let body = versions.of(request) === versions.NAMES[0] ?
+            legacy.body(normalized) :
+            envelope(normalized, request);
+
+        if (sendDebug && error) {
+            body.debug = {
+                name: error.name,
                 message: error.message,
-                errors: validationErrors(error)
+                stack: error.stack
             };
         }
 
         response
-            .status(error.status || 422)
-            .json(error);
+            .status(body.status)
+            .json(body);
     };
 };
@@ -3,6 +3,8 @@
  */
 'use strict';
 
+const errors = require('../errors');
+
 /**
  * Model: it's a mongoose instance model
  * Returns a middleware using Model to query and finde a record
@@ -11,9 +13,7 @@
 module.exports = (Model) => {
     return function show(request, response, next) {
         if (!request.params.id) {
-            return response.status(422).json({
-                error: 'required params missing'
-            });
+            return next(errors.create('bad-request'));
         }
 
         let query = {
@@ -23,11 +23,7 @@ module.exports = (Model) => {
         return Model.findOne(query)
             .then(found => {
                 if (!found) {
-                    let error = new Error();
-                    error.status = 404;
-                    error.message = 'Resource not found';
-
-                    return next(error);
+                    return next(errors.create('not-found'));
                 }
 
                 return response.json({
@@ -1,8 +1,11 @@
 /**
  * Helper middleware, used to update a document.
+ * Changes are stored on the audit trail
  */
 'use strict';
 
+const record = require('../audits/record');
+
 const options = {
     runValidators: true
 };
@@ -18,9 +21,21 @@ module.exports = (Model) => {
         let query = {
             _id: request.params.id
         };
+        let before;
 
-        return Model.findOne(query)
-            .then(() => Model.update(query, request.body, options))
+        return Model.findOne(query).lean()
+            .then(found => {
+                before = found;
+                return Model.update(query, request.body, options);
+            })
+            .then(() => Model.findOne(query).lean())
+            .then(after => record(request, {
+                action: 'update',
+                resource: Model.modelName,
+                resourceId: request.params.id,
+                before: before,
+                after: after
+            }))
             .then(() => response.json({
                 data: {}
             }))
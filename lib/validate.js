@@ -0,0 +1,44 @@
+/**
+ * Middleware to validate request params, query and body with a declarative
+ * schema, see ../validation
+ *
+ *     router.put(SINGLE, defaultMiddlewares, validate(schemas.update), update);
+ *
+ * Invalid requests are rejected with `400 invalid-request`, messages by field
+ * on `details`. Valid values replace the request ones: body keeps only fields
+ * on the schema and values are coerced, e.g. `?page=2` is a number.
+ *
+ * The schema is kept on the middleware, API docs are generated from routes.
+ */
+'use strict';
+
+const validation = require('../validation');
+const errors = require('../errors');
+
+module.exports = schema => {
+    function validate(request, response, next) {
+        const result = validation.check(schema, request);
+
+        if (Object.keys(result.errors).length) {
+            return next(errors.create('invalid-request', result.errors));
+        }
+
+        if (result.values.params) {
+            Object.assign(request.params, result.values.params);
+        }
+
+        if (result.values.query) {
+            request.query = result.values.query;
+        }
+
+        if (result.values.body) {
+            request.body = result.values.body;
+        }
+
+        return next();
+    }
+
+    validate.schema = schema;
+
+    return validate;
+};
@@ -0,0 +1,64 @@
+/**
+ * Authenticate a partner request with an API key, a variant of `verifyJwt`
+ * and `authenticate` for server-to-server integrations
+ *
+ * Key is sent on `X-Api-Key` header. No session nor user agent match is
+ * required. Usage counters of the key are updated.
+ *
+ * Sets `request.apiKey` and `request.session` with the `userId` the key acts
+ * as, so `currentUser` and owner checks work as with a regular session
+ *
+ * Requests are rate limited per user, see lib/rateLimit
+ */
+'use strict';
+
+const ApiKey = require('../apiKeys/apiKey');
+const hashToken = require('../helpers/hashToken');
+const rateLimit = require('./rateLimit');
+const errors = require('../errors');
+
+const HEADER = 'x-api-key';
+
+function invalid() {
+    return errors.create('invalid-api-key');
+}
+
+module.exports = function verifyApiKey(request, response, next) {
+    const key = request.headers[HEADER];
+
+    if (!key) {
+        return next(errors.create('api-key-required'));
+    }
+
+    return ApiKey
+        .findOneAndUpdate({
+            key: hashToken(key)
+        }, {
+            $inc: {
+                usageCount: 1
+            },
+            $set: {
+                lastUsed: new Date()
+            }
+        }, {
+            new: true
+        })
+        .then(apiKey => {
+            if (!apiKey || !apiKey.active()) {
+                return next(invalid());
+            }
+
+            request.apiKey = apiKey;
+            request.session = {
+                userId: apiKey.userId,
+                apiKeyId: apiKey._id
+            };
+
+            return rateLimit
+                .user(request, response)
+                .then(() => next(), next);
+        })
+        .catch(next);
+};
+
+module.exports.HEADER = HEADER;
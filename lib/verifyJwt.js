@@ -8,17 +8,14 @@
 'use strict';
 
 const verify = require('../helpers/verifyToken');
+const errors = require('../errors');
 const JWT_SECRET = process.env.JWT_SECRET;
 
 module.exports = function verifyToken(request, response, next) {
     const token = request.headers.authorization;
 
     if (!token) {
-        let error = new Error();
-        error.message = 'Authorization token required';
-        error.status = 422;
-
-        return next(error);
+        return next(errors.create('authorization-required'));
     }
 
     return verify(token, JWT_SECRET)
@@ -1,38 +1,42 @@
 /**
  * Require modules and attach them to the application.
  * Basically set new routes for express or you can also mount new express apps
+ *
+ * Routers are named, names are used as tags on API docs, see ./openapi
+ * Every router is mounted on each API version, see ./versions
  */
 'use strict';
 
-const npos = require('./npos');
-const banks = require('./banks');
-const users = require('./users');
-const plaid = require('./plaid');
-const pledges = require('./pledges');
-const sessions = require('./sessions');
-const posts = require('./posts');
-const images = require('./images');
-const roles = require('./roles');
-const socials = require('./socials');
-const oauth = require('./oauth');
-const contact = require('./contact');
-const transactions = require('./transactions/chain');
-const status = require('./heartbeat');
+const express = require('express');
+const openapi = require('./openapi');
+const versions = require('./versions');
+
+const routers = {
+    oauth: require('./oauth'),
+    images: require('./images'),
+    roles: require('./roles'),
+    posts: require('./posts'),
+    sessions: require('./sessions'),
+    pledges: require('./pledges'),
+    plaid: require('./plaid'),
+    users: require('./users'),
+    transactions: require('./transactions/chain'),
+    banks: require('./banks'),
+    socials: require('./socials'),
+    contact: require('./contact'),
+    audits: require('./audits'),
+    apiKeys: require('./apiKeys'),
+    status: require('./heartbeat'),
+    npos: require('./npos')
+};
 
 module.exports = app => {
-    app
-        .use(oauth)
-        .use(images)
-        .use(roles)
-        .use(posts)
-        .use(sessions)
-        .use(pledges)
-        .use(plaid)
-        .use(users)
-        .use(transactions)
-        .use(banks)
-        .use(socials)
-        .use(contact)
-        .use(status)
-        .use(npos);
+    const api = express.Router();
+
+    Object.keys(routers).forEach(name => api.use(routers[name]));
+
+    app.use(openapi(routers));
+    versions.mount(app, api);
 };
+
+module.exports.routers = routers;
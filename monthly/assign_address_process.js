@@ -19,12 +19,14 @@ const logger = require('../logger');
 const getUsers = require('./getUsers');
 const getYearMonth = require('../helpers/getYearMonth');
 const createNewAddress = require('./createNewAddress');
+const saveUser = require('./saveUser');
+const monthlyLimit = require('../pledges/monthlyLimit');
 const updateLastRun = require('../runs/update');
 const notify = require('../slack/index');
+const errors = require('../errors');
 
 // GLOBAL VARIABLES
 let addressGen = null;
-const hardCodedMonthlyLimit = 5000;
 
 /**
  * Assign new address process
@@ -66,16 +68,10 @@ function *executeAddressAssign() {
         const activePledge = user.pledges.find(pledge => pledge.active);
         
         if (!activePledge) {
-            let error = new Error('active-pledge-not-found');
-            error.status = 404;
-            error.details = `User with ID ${user._id} has no active pledge`;
-            throw error;
+            throw errors.create('active-pledge-not-found', `User with ID ${user._id} has no active pledge`);
         }
         if (typeof activePledge.addresses !== 'object') {
-            let error = new Error('active-pledge-without-addresses');
-            error.status = 422;
-            error.details = `No "addresses" object in the active pledge of user ${user._id}`;
-            throw error;
+            throw errors.create('active-pledge-without-addresses', `No "addresses" object in the active pledge of user ${user._id}`);
         }
         
         // we check user doesn't have already an address for this month. If it exists, we skip the process
@@ -88,16 +84,19 @@ function *executeAddressAssign() {
             continue;
         }
         
+        // A limit changed last month applies from this one, the new address is signed with it
+        if (monthlyLimit.apply(activePledge, date)) {
+            yield saveUser(user, addressGen);
+            
+            logger.info(`Monthly address assignment: User ${user._id} monthly limit changed to ${activePledge.monthlyLimit}.`);
+        }
+        
         // We need to request a new address for active user pledge to start a new month
         const pledgeId = activePledge._id;
-        const monthlyLimit = hardCodedMonthlyLimit;// before: activePledge.monthlyLimit;
-        let newAddress = yield createNewAddress(user._id, pledgeId, monthlyLimit, addressGen);
+        let newAddress = yield createNewAddress(user._id, pledgeId, activePledge.monthlyLimit, addressGen);
         
         if (!newAddress) {
-            let error = new Error('new-address-failed');
-            error.status = 422;
-            error.details = `Could not send AWS a request for new Address for user ${user._id}`;
-            throw error;
+            throw errors.create('new-address-failed', `Could not send AWS a request for new Address for user ${user._id}`);
         }
         
         logger.info('Monthly address assignment: Address created successfully.');
@@ -31,7 +31,10 @@ const createCharge = require('./createCharge');
 const updateAddressCharge = require('./updateAddressCharge');
 const getActivePledge = require('./getActivePledge');
 const getPastAddresses = require('./getPastAddresses');
+const allocations = require('../pledges/allocations');
+const donation = require('../pledges/donation');
 const updateLastRun = require('../runs/update');
+const errors = require('../errors');
 
 // GLOBAL VARIABLES
 
@@ -96,13 +99,10 @@ function *executeCharges() {
             let totalDonationAndCurrency = yield *calculateTotalAndGetCurrency(addresses, user, chargeGen);
             let totalDonation = totalDonationAndCurrency.totalDonation;
             let currency = totalDonationAndCurrency.currency;
+            let topUp = donation.topUp(activePledge, totalDonationAndCurrency.months);
             
-            // we verify and clamp if necessary user monthlyLimit
-            let monthlyLimit = activePledge.monthlyLimit;
-            
-            if (totalDonation > monthlyLimit) {
-                totalDonation = monthlyLimit;
-            }
+            // we verify and clamp if necessary user monthlyLimit, then add the pledge top-up of every month
+            totalDonation = donation.total(totalDonation, activePledge, totalDonationAndCurrency.months);
         
             // .ach holds if we are going to charge user from credit card or savings account
             let isAchPayment = user.stripe[institution].ach;
@@ -112,14 +112,26 @@ function *executeCharges() {
                 continue;
             }
         
-            // every charge is in cents. We get user pledge npo object to get access to stripe connect account
+            // every charge is in cents, split between the pledge NPOs with one Stripe charge, and its fee, by NPO.
+            // We get each npo object to get access to stripe connect account
             let cents = Math.ceil(totalDonation * 100);
-            let npo = yield *getNPO(activePledge, user._id, chargeGen);
+            let parts = allocations.apportion(cents, allocations.of(activePledge), feeOf(isAchPayment));
+            let topUps = allocations.split(Math.round(topUp * 100), parts.map(part => part.cents));
+            let npos = [];
+
+            // the top-up is kept apart on each Charge, transaction history only counts roundups
+            for (let index = 0; index < parts.length; index += 1) {
+                parts[index].topUp = topUps[index];
+            }
+
+            for (let part of parts) {
+                npos.push(yield *getNPO(part, user._id, chargeGen));
+            }
             
             if (cents > 0) {
                 logger.info('Monthly charge: Making donation');
                 
-                yield *donateAndUpdateAddresses(user, cents, currency, institution, isAchPayment, addresses, totalDonation, npo, chargeGen);
+                yield *donateAndUpdateAddresses(user, parts, npos, currency, institution, isAchPayment, addresses, chargeGen);
             }
             
             logger.info(`Monthly charge: Process success for ${user._id}`);
@@ -156,10 +168,7 @@ function *getInstitution(activePledge, user, chargeGen) {
     
     if (!user.stripe[institution]) {
 
-        let error = new Error('stripe-information-not-found');
-        error.status = 404;
-        error.details = `User with ID ${user._id} doesn't have stripe information to proceed`;
-        throw error;
+        throw errors.create('stripe-information-not-found', `User with ID ${user._id} doesn't have stripe information to proceed`);
     }
 
     return institution;
@@ -206,11 +215,12 @@ function *checkUserCustomerOnStripe(user, institution, chargeGen) {
  * @param   {String[]}  addresses
  * @param   {object}    user
  * @param   {generator} chargeGen
- * @returns {Object}                Total donation and currency
+ * @returns {Object}                Total donation, currency and months to charge
  */
 function *calculateTotalAndGetCurrency(addresses, user, chargeGen) {
     let totalDonation = 0;
     let currency = null;
+    let months = 0;
     
     for (let index = 0; index < addresses.length; index += 1) {
         let currentAddress = addresses[index];
@@ -223,32 +233,24 @@ function *calculateTotalAndGetCurrency(addresses, user, chargeGen) {
             // user simply didn't make any use on registered account
             if (!addressObject.latestTransaction) {
 
-                let error = new Error('not-valid-address');
-                error.status = 422;
-                error.details = `Invalid address record (has no latestTransaction property): ${addressObject}`;
-                throw error;
+                throw errors.create('not-valid-address', `Invalid address record (has no latestTransaction property): ${addressObject}`);
             }
 
             if (addressObject.charge) {
                 notify({ text: `Charge process: This address was already charged: ${addressObject.address}` });
                 
-                let error = new Error('address-already-processed');
-                error.status = 422;
-                error.details = `This address was already charged: ${addressObject.address}`;
-                throw error;
+                throw errors.create('address-already-processed', `This address was already charged: ${addressObject.address}`);
             }
 
             let verifiedData = yield verifyData(currentAddress, chargeGen);
                 currency = verifiedData.currency;
             
             if (!verifiedData) {
-                let error = new Error('transaction-information-mismatch');
-                error.status = 422;
-                error.details = `Transaction integrity or signature doesn't match. UserId ${user._id}`;
-                throw error;
+                throw errors.create('transaction-information-mismatch', `Transaction integrity or signature doesn't match. UserId ${user._id}`);
             }
             
             totalDonation += Math.abs(verifiedData.balance);
+            months += 1;
 
         // If we have two months ago information, we get that latestTransaction to know if that transaction
         // was processed. If it was, nothing happens, but if it wasn't (because that time donation was too low)
@@ -258,6 +260,7 @@ function *calculateTotalAndGetCurrency(addresses, user, chargeGen) {
 
             if (verifiedData) {
                 totalDonation += verifiedData.balance;
+                months += 1;
             }
         }
     }
@@ -265,83 +268,117 @@ function *calculateTotalAndGetCurrency(addresses, user, chargeGen) {
     return {
         totalDonation: totalDonation,
         currency: currency,
+        months: months,
     };
 }
 
 /**
- * Returns NPO from activePledge
- * @param   {object}    activePledge
+ * Fee in cents of a charge by its amount in cents
+ * @param   {Boolean}   isAchPayment
+ * @returns {Function}
+ */
+function feeOf(isAchPayment) {
+    return cents => calcFee(cents, isAchPayment);
+}
+
+/**
+ * Returns NPO of a pledge allocation
+ * @param   {object}    allocation  `{npoId}`, see pledges/allocations.js
  * @param   {String}    userId
  * @param   {generator} chargeGen
  * @returns {Object}    npo
  */
-function *getNPO(activePledge, userId, chargeGen) {
-    let npo = yield getNpo(activePledge.npoId, chargeGen);
+function *getNPO(allocation, userId, chargeGen) {
+    let npo = yield getNpo(allocation.npoId, chargeGen);
             
     if (!npo) {
-        let error = new Error('pledge-not-found');
-        error.status = 404;
-        error.details = `User ${userId} pledge doesn't exist or doesn't have a pledge account ID`;
-        throw error;
+        throw errors.create('pledge-not-found', `User ${userId} pledge doesn't exist or doesn't have a pledge account ID`);
     }
 
     return npo;
 }
 
 /**
- * Makes donation and updates the addresses with charge ID
+ * Makes one donation per NPO and updates the addresses with charge ID
+ * A failed donation doesn't stop donations to other NPOs, it's notified and saved as a
+ * `failed` Charge retried by charges/trigger-all.js. Addresses are marked as charged if
+ * any donation succeeds, otherwise nothing is saved and they are charged next month
  * @param   {object}    user
+ * @param   {Object[]}  parts         Amount, fee and top-up in cents by NPO, see pledges/allocations.js
+ * @param   {Object[]}  npos          NPO of each part
  * @param   {String}    currency
  * @param   {String}    institution
  * @param   {Boolean}   isAchPayment
  * @param   {String[]}  addresses
- * @param   {Number}    totalDonation
- * @param   {object}    npo
  * @param   {generator} chargeGen
  * @returns {undefined}
  */
-function *donateAndUpdateAddresses(user, cents, currency, institution, isAchPayment, addresses, totalDonation, npo, chargeGen) {
+function *donateAndUpdateAddresses(user, parts, npos, currency, institution, isAchPayment, addresses, chargeGen) {
 
-    // then we try to make the donation
     const customerId = user.stripe[institution].customer.id;
-    const connectedAccountId = npo.stripe.accountId;
-    const fee = Math.ceil(calcFee(cents, isAchPayment));  // because we are in cents, we roundup to next cent
-    const net = +(totalDonation - fee/100).toFixed(2);
-    const description = npo.name ? `Donation to ${npo.name}` : '';
-
-    let details = {
-        name: user.name || `${user.firstName} ${user.lastName}`,
-        email: user.email,
-        fee,
-        net, 
-        ach: isAchPayment
-    };
+    let charges = [];
+    let failed = [];
+
+    for (let index = 0; index < parts.length; index += 1) {
+        const part = parts[index];
+        const npo = npos[index];
+        const amount = part.cents / 100;
+        const net = +((part.cents - part.fee) / 100).toFixed(2);
+        const description = npo.name ? `Donation to ${npo.name}` : '';
+
+        // fee in USD as every Charge, retries send it as application fee
+        let details = {
+            name: user.name || `${user.firstName} ${user.lastName}`,
+            email: user.email,
+            fee: part.fee / 100,
+            net,
+            ach: isAchPayment,
+            topUp: part.topUp / 100
+        };
+
+        // then we try to make the donation
+        let donationSuccess = null;
 
-    let donationSuccess = yield makeDonation(cents, currency, customerId, connectedAccountId, fee, description, chargeGen);
-    
-    if (!donationSuccess) {
-        let error = new Error('donation-failed');
-        error.status = 422;
-        error.details = `Donation could not be made for user ${user._id}`;
-        throw error;
+        try {
+            donationSuccess = yield makeDonation(part.cents, currency, customerId, npo.stripe.accountId, part.fee, description, chargeGen);
+        } catch(error) {
+            logger.error({ err: error });
+        }
+
+        if (!donationSuccess) {
+            notify({ text: `Charge process: Donation of ${amount} ${currency} to ${npo.name} failed for user ${user._id}` });
+            failed.push({amount, npo, details, weight: part.weight});
+            continue;
+        }
+
+        logger.info('Monthly charge: Updating transaction as processed');
+
+        // we add a new Charge element for this donation
+        charges.push(yield createCharge(addresses, amount, currency, user._id, npo._id, details, {
+            weight: part.weight,
+            bankType: institution,
+            status: 'processed',
+            attempts: 1
+        }, chargeGen));
+    }
+
+    if (!charges.length) {
+        throw errors.create('donation-failed', `Donation could not be made for user ${user._id}`);
+    }
+
+    // Failed donations are kept to be retried, their addresses are charged as well
+    for (let part of failed) {
+        yield createCharge(addresses, part.amount, currency, user._id, part.npo._id, part.details, {
+            weight: part.weight,
+            bankType: institution,
+            status: 'failed',
+            attempts: 1
+        }, chargeGen);
     }
-    
-    logger.info('Monthly charge: Updating transaction as processed');
-    
-    // we add a new Charge element for this donation
-    const charge = yield createCharge(
-        addresses,
-        totalDonation,
-        currency,
-        user._id,
-        npo._id,
-        details,
-        chargeGen
-    );
     
     // Then update the addresses for this donation with the new Charge ID
     for (let currentAddress of addresses) {
-        yield updateAddressCharge(currentAddress, charge._id, chargeGen);
+        yield updateAddressCharge(currentAddress, charges[0]._id, chargeGen);
     }
 
     return;
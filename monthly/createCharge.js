@@ -1,6 +1,7 @@
 'use strict';
 
 const Charge = require('../charges/charge');
+const errors = require('../errors');
 
 /**
  * Adds a new entry to Charges collection detailing what addresses were involved in the charge
@@ -9,16 +10,14 @@ const Charge = require('../charges/charge');
  * @param   {String[]}     addresses   Addresses that where used for charging the user
  * @param   {Number}    amount
  * @param   {String}    currency
+ * @param   {Object}    options     `weight` (percentage of the pledge charge for this NPO), `bankType`,
+ *                                  `status` and `attempts`
  * @param   {generator} generator
  */
-function createCharge(addresses, amount, currency, userId, npoId, details, generator) {
+function createCharge(addresses, amount, currency, userId, npoId, details, options, generator) {
     
     if (!addresses.length) {
-        let error = new Error('addresses-not-an-array');
-        error.status = 404;
-        error.description = `Received ${addresses} instead of a valid Array`;
-        
-        generator.throw(error);
+        generator.throw(errors.create('addresses-not-an-array', `Received ${addresses} instead of a valid Array`));
         return;
     }
     
@@ -30,7 +29,11 @@ function createCharge(addresses, amount, currency, userId, npoId, details, gener
         currency: currency,
         userId,
         npoId,
-        details
+        details,
+        weight: options.weight,
+        bankType: options.bankType,
+        status: options.status,
+        attempts: options.attempts
     };
 
     new Charge(query)
@@ -1,5 +1,7 @@
 'use strict';
 
+const errors = require('../errors');
+
 /**
  * Gets user active pledge
  * @param   {Object[]}  pledges
@@ -13,10 +15,7 @@ function getActivePledge(pledges, userId) {
     let activePledge = pledges.filter(pledge => pledge.active);
 
     if (activePledge.length === 0) {
-        let error = new Error('active-pledge-not-found');
-        error.status = 404;
-        error.details = `User with ID ${userId} has no active pledge`;
-        throw error;
+        throw errors.create('active-pledge-not-found', `User with ID ${userId} has no active pledge`);
     }
 
     return activePledge[0];
@@ -1,6 +1,7 @@
 'use strict';
 
 const readAddress = require('../addresses/read');
+const errors = require('../errors');
 
 /**
  * Retrieves an Address and moves the generator passed
@@ -10,12 +11,7 @@ const readAddress = require('../addresses/read');
 function getAddress(addressId, generator) {
     
     if (!addressId) {
-        let error = new Error('no-address-id');
-        
-        error.status = 402;
-        error.description = 'No address was passed';
-        
-        generator.throw(error);
+        generator.throw(errors.create('no-address-id'));
     }
     
     const query = {
@@ -1,6 +1,7 @@
 'use strict';
 
 const Banks = require('../banks/bank');
+const errors = require('../errors');
 
 /**
  * Finds a bank type based on ID
@@ -22,8 +23,7 @@ function getBankInstitution(bankId, generator) {
     .then(function (bank) {
             
       if (!bank) {
-        const error = new Error(`There is no bank with ID ${bankId}`);
-        generator.throw(error);
+        generator.throw(errors.create('bank-not-found', `There is no bank with ID ${bankId}`));
         return;
       }
             
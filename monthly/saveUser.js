@@ -0,0 +1,14 @@
+'use strict';
+
+/**
+ * Saves changes of an user, e.g. on its pledges
+ * @param   {Object}    user
+ * @param   {generator} generator
+ */
+function saveUser(user, generator) {
+    user.save()
+        .then(saved => generator.next(saved))
+        .catch(error => generator.throw(error));
+}
+
+module.exports = saveUser;
@@ -0,0 +1,105 @@
+/**
+ * Aggregated donations for a single NPO, grouped by month
+ * Used by Elm admins and NPO staff to follow their organization donations.
+ * No donor personal information is returned, only totals.
+ * `amount` includes one-time donations, also on `oneTime`.
+ *
+ * Response:
+ *
+ * {
+ *     data: [
+ *         {date: '2016-05', amount: 120.5, oneTime: 20, fee: 9.1, net: 111.4, charges: 10, donors: 9},
+ *         ...
+ *     ]
+ * }
+ */
+'use strict';
+
+const mongoose = require('mongoose');
+const Charge = require('../charges/charge');
+const padNumber = require('../helpers/padNumber');
+const errors = require('../errors');
+
+const round = value => +(value || 0).toFixed(2);
+
+module.exports = function donations(request, response, next) {
+    let npoId;
+
+    try {
+        npoId = mongoose.Types.ObjectId(request.params.id);
+    } catch (e) {
+        return next(errors.create('invalid-npo-id'));
+    }
+
+    const pipeline = [{
+        $match: {
+            npoId: npoId,
+            status: {
+                $ne: 'failed'
+            }
+        }
+    }, {
+        $group: {
+            _id: {
+                year: {
+                    $year: '$createdAt'
+                },
+                month: {
+                    $month: '$createdAt'
+                },
+                currency: '$currency'
+            },
+            amount: {
+                $sum: '$amount'
+            },
+            oneTime: {
+                $sum: {
+                    $cond: [{$eq: ['$type', 'one-time']}, '$amount', 0]
+                }
+            },
+            fee: {
+                $sum: '$details.fee'
+            },
+            net: {
+                $sum: '$details.net'
+            },
+            charges: {
+                $sum: 1
+            },
+            donors: {
+                $addToSet: '$userId'
+            }
+        }
+    }, {
+        $sort: {
+            '_id.year': -1,
+            '_id.month': -1
+        }
+    }];
+
+    return Charge
+        .aggregate(pipeline)
+        .exec()
+        .then(results => {
+            let data = results.map(item => {
+                return {
+                    date: `${item._id.year}-${padNumber(item._id.month)}`,
+                    currency: item._id.currency,
+                    amount: round(item.amount),
+                    oneTime: round(item.oneTime),
+                    fee: round(item.fee),
+                    net: round(item.net),
+                    charges: item.charges,
+                    donors: item.donors.length
+                };
+            });
+
+            return response.json({
+                data: data,
+                meta: {
+                    count: data.length
+                }
+            });
+        })
+        .catch(next);
+};
@@ -5,6 +5,10 @@
  *  get single and list
  *  archive
  *  delete
+ *  donations report
+ *
+ * NPO staff users (`npo:manage` permission) can only update their own NPO and
+ * read its donations
  */
 'use strict';
 
@@ -18,17 +22,41 @@ const update = require('../lib/update');
 const archive = require('../lib/archive');
 const verifyToken = require('../lib/verifyJwt');
 const authenticate = require('../lib/authenticate');
+const currentUser = require('../lib/currentUser');
+const apiKeyOrToken = require('../lib/apiKeyOrToken');
+const requirePermission = require('../lib/requirePermission');
+const npoScope = require('../lib/npoScope');
+const protectFields = require('./protectFields');
+const donations = require('./donations');
+const validate = require('../lib/validate');
+const schemas = require('./schemas');
 
 const PATH = '/npos';
 const SINGLE = '/npos/:id';
 const SUGGESTION = '/npos/suggestions';
+const DONATIONS = '/npos/:id/donations';
+
+const npoId = request => request.params.id;
+const writeMiddlewares = [verifyToken, authenticate, currentUser, requirePermission('npos:write')];
+const staffWriteMiddlewares = [
+    verifyToken, authenticate, currentUser,
+    requirePermission(['npos:write', 'npo:manage']), npoScope('npos:write', npoId), protectFields
+];
+/**
+ * Open to partners (NPO CRMs) with API keys
+ */
+const donationsMiddlewares = [
+    apiKeyOrToken, currentUser,
+    requirePermission(['charges:read', 'npo:manage']), npoScope('charges:read', npoId)
+];
 
 router
-    .get(PATH, verifyToken, authenticate, list(Npo))
-    .post(PATH, verifyToken, authenticate, create(Npo))
-    .get(SINGLE, verifyToken, authenticate, show(Npo))
-    .put(SINGLE, verifyToken, authenticate, update(Npo))
-    .delete(SINGLE, verifyToken, authenticate, archive(Npo))
-    .post(SUGGESTION, verifyToken, authenticate, create(NpoSuggestion));
+    .get(PATH, verifyToken, authenticate, validate(schemas.list), list(Npo))
+    .post(PATH, writeMiddlewares, validate(schemas.create), create(Npo))
+    .get(SINGLE, verifyToken, authenticate, validate(schemas.show), show(Npo))
+    .put(SINGLE, staffWriteMiddlewares, validate(schemas.update), update(Npo))
+    .delete(SINGLE, writeMiddlewares, validate(schemas.show), archive(Npo))
+    .post(SUGGESTION, verifyToken, authenticate, validate(schemas.suggestion), create(NpoSuggestion))
+    .get(DONATIONS, donationsMiddlewares, validate(schemas.show), donations);
 
 module.exports = router;
@@ -0,0 +1,15 @@
+/**
+ * Middleware to remove fields NPO staff users can't change on their own NPO
+ * Payment and status information is managed only by Elm admins
+ */
+'use strict';
+
+const protectedFields = ['userId', 'stripe', 'archived', 'active'];
+
+module.exports = function protectFields(request, response, next) {
+    if (request.npoScoped) {
+        protectedFields.map(field => delete request.body[field]);
+    }
+
+    return next();
+};
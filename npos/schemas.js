@@ -0,0 +1,94 @@
+/**
+ * Request schemas for NPOs endpoints, see ../validation
+ */
+'use strict';
+
+const fields = require('../validation/fields');
+const partial = require('../validation').partial;
+
+const required = {
+    type: 'string',
+    required: true
+};
+
+const npo = {
+    name: required,
+    description: required,
+    logoUrl: {
+        type: 'string',
+        required: true,
+        description: 'Key of the logo on S3, see POST /images'
+    },
+    logoUrls: {
+        type: 'object',
+        properties: {
+            unvisited: 'string',
+            visited: 'string',
+            selectScreen: 'string',
+            npoPage: 'string'
+        }
+    },
+    email: {
+        type: 'string',
+        format: 'email',
+        required: true
+    },
+    phone: required,
+    stripe: {
+        type: 'object',
+        properties: {
+            email: {
+                type: 'string',
+                format: 'email'
+            },
+            accountId: 'string'
+        }
+    },
+    active: 'boolean',
+    zip: 'string',
+    backgroundColor: {
+        type: 'string',
+        format: 'hexColor',
+        required: true
+    },
+    address: 'object'
+};
+
+const params = {
+    id: fields.id
+};
+
+module.exports = {
+    list: {
+        query: fields.list
+    },
+
+    create: {
+        body: npo
+    },
+
+    show: {
+        params: params
+    },
+
+    update: {
+        params: params,
+        body: partial(npo)
+    },
+
+    suggestion: {
+        body: {
+            name: required,
+            url: {
+                type: 'string',
+                format: 'url'
+            },
+            email: {
+                type: 'string',
+                format: 'email'
+            },
+            phone: 'string',
+            address: 'object'
+        }
+    }
+};
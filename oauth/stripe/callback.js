@@ -9,6 +9,7 @@ const httpRequest = require('request');
 const stripeOAuthTokenURL = 'https://connect.stripe.com/oauth/token';
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const logger = require('../../logger');
+const errors = require('../../errors');
 
 module.exports = function exchangeStripeOAuthCode(request, response, next) {
     let authorizationCode = request.query.code;
@@ -25,13 +26,14 @@ module.exports = function exchangeStripeOAuthCode(request, response, next) {
 
     /* Exchange the Stripe OAuth authorization_code for the NPOs credentials */
     httpRequest(options, (error, res) => {
-        let accountID = res.body.stripe_user_id;
-        if (error || res.body.error || !accountID) {
-            error = new Error();
-            error.status = 400;
-            error.message = res.body.error_description ||
-                'The account ID could not be retrieved with the provided authorization code';
-            return next(error || res.body.error);
+        let body = (res && res.body) || {};
+        let accountID = body.stripe_user_id;
+        if (error || body.error || !accountID) {
+            logger.error({err: error || body.error});
+
+            return next(errors.create('stripe-account-not-retrieved', body.error_description ? {
+                message: body.error_description
+            } : undefined));
         }
 
         /* Find and save the account ID to the NPO model*/
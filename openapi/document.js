@@ -0,0 +1,345 @@
+/**
+ * Build the OpenAPI 3 document from express routers
+ *
+ *     build({users: usersRouter, npos: nposRouter, ...})
+ *
+ * Router names are used as tags. For every route:
+ *     - parameters and request body come from request schemas, see
+ *       lib/validate.js
+ *     - security, required permissions and error responses from its
+ *       middlewares (verifyToken, apiKeyOrToken, isAdmin, requirePermission...)
+ *     - `data` of list and single resources responses from model schemas
+ */
+'use strict';
+
+const routes = require('./routes');
+const schemas = require('./schemas');
+const catalogue = require('../errors/catalogue');
+const versions = require('../versions');
+const apiKeyHeader = require('../lib/verifyApiKey').HEADER;
+const pkg = require('../package.json');
+
+const API_URL = process.env.API_URL;
+
+/**
+ * Models by tag, used for `data` on list and single resources responses
+ */
+const MODELS = {
+    users: {name: 'User', model: require('../users/user')},
+    pledges: {name: 'Pledge', model: require('../pledges/schema')},
+    npos: {name: 'Npo', model: require('../npos/npo')},
+    banks: {name: 'Bank', model: require('../banks/bank')},
+    posts: {name: 'Post', model: require('../posts/post')},
+    roles: {name: 'Role', model: require('../roles/role')},
+    apiKeys: {name: 'ApiKey', model: require('../apiKeys/apiKey')},
+    audits: {name: 'AuditEvent', model: require('../audits/auditEvent')},
+    transactions: {name: 'Transaction', model: require('../transactions/chain/transaction')}
+};
+
+/**
+ * What middlewares tell about an operation
+ */
+const MIDDLEWARES = {
+    verifyToken: () => ({
+        security: [{bearer: []}]
+    }),
+    apiKeyOrToken: () => ({
+        security: [{bearer: []}, {apiKey: []}]
+    }),
+    isAdmin: () => ({
+        notes: ['Admin users only.']
+    }),
+    requirePermission: middleware => ({
+        notes: [`Requires permission ${middleware.permissions.map(name => `\`${name}\``).join(' or ')}.`]
+    }),
+    onlyOwner: () => ({
+        notes: ['Owner of the account only.']
+    }),
+    adminOrOwner: () => ({
+        notes: ['Owner of the account or admin users.']
+    }),
+    requireVerified: () => ({
+        notes: ['Verified email required.']
+    }),
+    npoScope: () => ({
+        notes: ['NPO staff users, only for their own NPO.']
+    })
+};
+
+const ERROR_RESPONSES = {
+    invalid: {status: 400, description: 'Invalid request, messages by field on `details`'},
+    unauthorized: {status: 401, description: 'Missing, invalid or expired credentials'},
+    forbidden: {status: 403, description: 'Not allowed'},
+    notFound: {status: 404, description: 'Not found'},
+    tooManyRequests: {status: 429, description: 'Rate limit exceeded, see `Retry-After` header'}
+};
+
+function errorResponse(name) {
+    return {
+        description: ERROR_RESPONSES[name].description,
+        content: {
+            'application/json': {
+                schema: {$ref: '#/components/schemas/Error'}
+            }
+        }
+    };
+}
+
+function components() {
+    let result = {
+        securitySchemes: {
+            bearer: {
+                type: 'http',
+                scheme: 'bearer',
+                bearerFormat: 'JWT',
+                description: 'Token from POST /sessions'
+            },
+            apiKey: {
+                type: 'apiKey',
+                in: 'header',
+                name: apiKeyHeader,
+                description: 'Partner integrations, see POST /api-keys'
+            }
+        },
+        schemas: {
+            Error: {
+                type: 'object',
+                required: ['status', 'code', 'message'],
+                properties: {
+                    status: {type: 'integer'},
+                    code: {
+                        type: 'string',
+                        enum: Object.keys(catalogue)
+                    },
+                    message: {
+                        type: 'string',
+                        description: 'Translated using `Accept-Language` header'
+                    },
+                    details: {type: 'object'}
+                }
+            }
+        },
+        responses: {}
+    };
+
+    Object.keys(MODELS).forEach(tag => {
+        result.schemas[MODELS[tag].name] = schemas.fromModel(MODELS[tag].model);
+    });
+
+    Object.keys(ERROR_RESPONSES).forEach(name => {
+        result.responses[name] = errorResponse(name);
+    });
+
+    return result;
+}
+
+/**
+ * `/users/:id` to `/users/{id}`
+ */
+function openApiPath(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function pathParams(path) {
+    return (path.match(/:(\w+)/g) || []).map(param => param.slice(1));
+}
+
+function parameters(route, schema) {
+    const params = schema.params || {};
+    const query = schema.query || {};
+
+    return pathParams(route.path)
+        .map(name => ({
+            name: name,
+            in: 'path',
+            required: true,
+            schema: params[name] ? schemas.fromRule(params[name]) : {type: 'string'}
+        }))
+        .concat(Object.keys(query).map(name => {
+            const rule = schemas.fromRule(query[name]);
+            let parameter = {
+                name: name,
+                in: 'query',
+                required: !!query[name].required,
+                schema: rule
+            };
+
+            if (rule.description) {
+                parameter.description = rule.description;
+                delete rule.description;
+            }
+
+            if (rule.type === 'object') {
+                parameter.style = 'deepObject';
+                parameter.explode = true;
+            }
+
+            return parameter;
+        }));
+}
+
+/**
+ * Schema of `data` for list (GET /npos) and single (GET /npos/:id) resources
+ * routes, when the tag has a model
+ */
+function dataSchema(tag, route, getPaths) {
+    const model = MODELS[tag];
+    const parent = route.path.replace(/\/:\w+$/, '');
+    const ref = model ? {$ref: `#/components/schemas/${model.name}`} : null;
+
+    if (!ref || route.method !== 'get') {
+        return {};
+    }
+
+    if (parent !== route.path && getPaths.indexOf(parent) >= 0) {
+        return ref;
+    }
+
+    if (getPaths.some(path => path !== route.path && path.replace(/\/:\w+$/, '') === route.path)) {
+        return {
+            type: 'array',
+            items: ref
+        };
+    }
+
+    return {};
+}
+
+function operation(tag, route, getPaths) {
+    let schema = {};
+    let notes = [];
+    let result = {
+        tags: [tag],
+        operationId: `${route.method}${route.path.replace(/[^\w]+(\w)/g, (match, letter) => letter.toUpperCase())}`,
+        security: []
+    };
+    let responses = {
+        200: {
+            description: 'Success',
+            content: {
+                'application/json': {
+                    schema: {
+                        type: 'object',
+                        properties: {
+                            data: dataSchema(tag, route, getPaths),
+                            meta: {type: 'object'}
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    route.middlewares.forEach(middleware => {
+        if (middleware.schema) {
+            schema = middleware.schema;
+        }
+
+        const described = MIDDLEWARES[middleware.name] ? MIDDLEWARES[middleware.name](middleware) : {};
+
+        if (described.security) {
+            result.security = described.security;
+        }
+
+        notes = notes.concat(described.notes || []);
+    });
+
+    const params = parameters(route, schema);
+
+    if (params.length) {
+        result.parameters = params;
+    }
+
+    if (schema.body) {
+        result.requestBody = {
+            required: true,
+            content: {
+                'application/json': {
+                    schema: schemas.fromProperties(schema.body)
+                }
+            }
+        };
+    }
+
+    if (schema.params || schema.query || schema.body) {
+        responses[400] = {$ref: '#/components/responses/invalid'};
+    }
+
+    if (result.security.length) {
+        responses[401] = {$ref: '#/components/responses/unauthorized'};
+    }
+
+    if (notes.length) {
+        result.description = notes.join(' ');
+        responses[403] = {$ref: '#/components/responses/forbidden'};
+    }
+
+    if (pathParams(route.path).length) {
+        responses[404] = {$ref: '#/components/responses/notFound'};
+    }
+
+    responses[429] = {$ref: '#/components/responses/tooManyRequests'};
+    responses.default = {
+        description: 'Error',
+        content: {
+            'application/json': {
+                schema: {$ref: '#/components/schemas/Error'}
+            }
+        }
+    };
+
+    result.responses = responses;
+
+    return result;
+}
+
+/**
+ * One server by API version, latest first
+ */
+function servers() {
+    return versions.VERSIONS
+        .slice()
+        .reverse()
+        .map(version => ({
+            url: `${API_URL || ''}/${version.name}`,
+            description: version.deprecated ? 'Deprecated' : version.name
+        }));
+}
+
+function build(routers) {
+    let paths = {};
+
+    Object.keys(routers).forEach(tag => {
+        const list = routes(routers[tag]);
+        const getPaths = list
+            .filter(route => route.method === 'get')
+            .map(route => route.path);
+
+        list.forEach(route => {
+            const path = openApiPath(route.path);
+
+            paths[path] = paths[path] || {};
+            paths[path][route.method] = operation(tag, route, getPaths);
+        });
+    });
+
+    let document = {
+        openapi: '3.0.0',
+        info: {
+            title: 'Elm API',
+            version: pkg.version,
+            description: 'Responses use `{data, meta}` envelope, errors `{status, code, message, details}`.'
+        },
+        servers: servers(),
+        tags: Object.keys(routers).map(name => ({name: name})),
+        paths: paths,
+        components: components()
+    };
+
+    return document;
+}
+
+module.exports = {
+    build: build,
+    MODELS: MODELS
+};
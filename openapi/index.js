@@ -0,0 +1,37 @@
+/**
+ * API docs
+ *
+ * GET /openapi.json   OpenAPI 3 document, generated from routers
+ * GET /docs           API explorer
+ *
+ * The document is built on first request, routes don't change while running.
+ */
+'use strict';
+
+const path = require('path');
+const express = require('express');
+const document = require('./document');
+
+const SPEC = '/openapi.json';
+const EXPLORER = '/docs';
+
+module.exports = routers => {
+    const router = express.Router();
+    let built;
+
+    function openapi(request, response) {
+        built = built || document.build(routers);
+
+        return response.json(built);
+    }
+
+    function explorer(request, response) {
+        return response.sendFile(path.join(__dirname, 'explorer.html'));
+    }
+
+    router
+        .get(SPEC, openapi)
+        .get(EXPLORER, explorer);
+
+    return router;
+};
@@ -0,0 +1,33 @@
+/**
+ * List routes of express routers, including routers used by them (like
+ * plaid/index.js)
+ *
+ *     [{method: 'get', path: '/users/:id', middlewares: [verifyToken, ...]}]
+ */
+'use strict';
+
+function routes(router) {
+    return router.stack.reduce((result, layer) => {
+        if (layer.route) {
+            return result.concat(
+                Object.keys(layer.route.methods)
+                    .filter(method => method !== '_all')
+                    .map(method => ({
+                        method: method,
+                        path: layer.route.path,
+                        middlewares: layer.route.stack
+                            .filter(item => item.method === method || !item.method)
+                            .map(item => item.handle)
+                    }))
+            );
+        }
+
+        if (layer.handle && layer.handle.stack) {
+            return result.concat(routes(layer.handle));
+        }
+
+        return result;
+    }, []);
+}
+
+module.exports = routes;
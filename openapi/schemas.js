@@ -0,0 +1,195 @@
+/**
+ * Turn request schemas (see ../validation) and mongoose schemas into OpenAPI
+ * schema objects
+ */
+'use strict';
+
+const validation = require('../validation');
+const SECRETS = require('../helpers/secrets');
+
+const OBJECT_ID = '^[0-9a-fA-F]{24}$';
+
+const TYPES = {
+    string: () => ({type: 'string'}),
+    number: () => ({type: 'number'}),
+    integer: () => ({type: 'integer'}),
+    boolean: () => ({type: 'boolean'}),
+    objectId: () => ({type: 'string', pattern: OBJECT_ID}),
+    date: () => ({type: 'string', format: 'date-time'}),
+    object: () => ({type: 'object'}),
+    array: () => ({type: 'array', items: {}}),
+    any: () => ({})
+};
+
+const FORMATS = {
+    email: {format: 'email'},
+    url: {format: 'uri'},
+    hexColor: {pattern: '^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$'},
+    yearMonth: {pattern: '^\\d{4}-\\d{2}$'}
+};
+
+/**
+ * Schema of a request schema rule
+ */
+function fromRule(rule) {
+    rule = validation.rule(rule);
+
+    const array = rule.type === 'array';
+    let schema = TYPES[rule.type || 'any']();
+
+    if (rule.enum) {
+        schema.enum = rule.enum;
+    }
+
+    if (rule.format) {
+        Object.assign(schema, FORMATS[rule.format]);
+    }
+
+    if (rule.pattern) {
+        schema.pattern = rule.pattern.source;
+    }
+
+    if (rule.min !== undefined) {
+        schema.minimum = rule.min;
+    }
+
+    if (rule.max !== undefined) {
+        schema.maximum = rule.max;
+    }
+
+    if (rule.minLength !== undefined) {
+        schema[array ? 'minItems' : 'minLength'] = rule.minLength;
+    }
+
+    if (rule.maxLength !== undefined) {
+        schema[array ? 'maxItems' : 'maxLength'] = rule.maxLength;
+    }
+
+    if (rule.items) {
+        schema.items = fromRule(rule.items);
+    }
+
+    if (rule.properties) {
+        const object = fromProperties(rule.properties);
+
+        schema.properties = object.properties;
+
+        if (object.required) {
+            schema.required = object.required;
+        }
+    }
+
+    if (rule.description) {
+        schema.description = rule.description;
+    }
+
+    return schema;
+}
+
+/**
+ * Object schema of request schema rules, like `schema.body`
+ */
+function fromProperties(properties) {
+    let schema = {
+        type: 'object',
+        properties: {}
+    };
+    let required = [];
+
+    Object.keys(properties).forEach(key => {
+        schema.properties[key] = fromRule(properties[key]);
+
+        if (validation.rule(properties[key]).required) {
+            required.push(key);
+        }
+    });
+
+    if (required.length) {
+        schema.required = required;
+    }
+
+    return schema;
+}
+
+function secret(path) {
+    return path.split('.').some(part => SECRETS.indexOf(part) >= 0);
+}
+
+function fromPath(schemaType) {
+    const instance = schemaType.instance;
+
+    if (schemaType.schema) {
+        return {
+            type: 'array',
+            items: fromModel(schemaType.schema)
+        };
+    }
+
+    if (instance === 'Array') {
+        return {
+            type: 'array',
+            items: schemaType.caster ? fromPath(schemaType.caster) : {}
+        };
+    }
+
+    let schema = {
+        String: TYPES.string,
+        Number: TYPES.number,
+        Boolean: TYPES.boolean,
+        Date: TYPES.date,
+        ObjectID: TYPES.objectId
+    }[instance];
+
+    schema = schema ? schema() : TYPES.object();
+
+    if (schemaType.enumValues && schemaType.enumValues.length) {
+        schema.enum = schemaType.enumValues;
+    }
+
+    return schema;
+}
+
+/**
+ * Object schema of a mongoose schema (or model), secrets are never shown
+ */
+function fromModel(model) {
+    const schema = model.schema || model;
+    let result = {
+        type: 'object',
+        properties: {}
+    };
+
+    Object.keys(schema.paths)
+        .filter(path => !secret(path))
+        .forEach(path => {
+            const parts = path.split('.');
+            const name = parts.pop();
+            const schemaType = schema.paths[path];
+
+            /**
+             * Nested paths, like `twoFactor.enabled`
+             */
+            const parent = parts.reduce((object, part) => {
+                object.properties[part] = object.properties[part] || {
+                    type: 'object',
+                    properties: {}
+                };
+
+                return object.properties[part];
+            }, result);
+
+            parent.properties[name] = fromPath(schemaType);
+
+            if (schemaType.isRequired) {
+                parent.required = (parent.required || []).concat(name);
+            }
+        });
+
+    return result;
+}
+
+module.exports = {
+    fromRule: fromRule,
+    fromProperties: fromProperties,
+    fromModel: fromModel
+};
@@ -0,0 +1,19 @@
+/**
+ * Plaid client, shared by Plaid routes and background processes
+ * Methods are promisified with bluebird, e.g. `client.deleteConnectUserAsync`
+ */
+'use strict';
+
+const plaid = require('plaid');
+const P = require('bluebird');
+
+if (!plaid.client) {
+    plaid.client = new plaid.Client(
+        process.env.PLAID_CLIENTID,
+        process.env.PLAID_SECRET,
+        process.env.PLAID_ENV
+    );
+    P.promisifyAll(plaid.client);
+}
+
+module.exports = plaid.client;
@@ -4,6 +4,8 @@
  'use strict';
 
 const Bank = require('../../banks/bank');
+const errors = require('../../errors');
+const requestError = require('../requestError');
 
 module.exports = function addConnectUser(request, response, next) {
     let plaid = request.plaid;
@@ -11,27 +13,20 @@ module.exports = function addConnectUser(request, response, next) {
     let password = request.body.password;
     let institution = request.body.institution;
     let query = {type: institution};
-    let error = new Error();
     let accessToken;
 
     if (!username || !password) {
-        error.status = 400;
-        error.message = 'Missing username or password';
-        return next(error);
+        return next(errors.create('plaid-credentials-required'));
     }
     if (!institution) {
-        error.status = 400;
-        error.message = 'Missing institution type';
-        return next(error);
+        return next(errors.create('institution-required'));
     }
 
     Bank
         .findOne(query)
         .then(function(bank) {
             if (!bank) {
-                error.status = 400;
-                error.message = 'Invalid institution type';
-                return next(error);
+                return next(errors.create('invalid-institution'));
             }
 
             request.bankData = bank;
@@ -51,9 +46,7 @@ module.exports = function addConnectUser(request, response, next) {
                 plaid.client.addConnectUser(bank.type, settings, options,
                     (plaidError, multiFactorAuthenticationResponse, plaidResponse) => {
                     if (plaidError) {
-                        error.status = plaidError.statusCode || 400;
-                        error.message = plaidError.message || plaidError.resolve || 'plaid-connect-error';
-                        return next(error);
+                        return next(requestError(plaidError));
                     }
                     return resolve(multiFactorAuthenticationResponse || plaidResponse);
                 });
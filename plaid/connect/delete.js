@@ -3,39 +3,33 @@
  */
  'use strict';
 
+const errors = require('../../errors');
+const requestError = require('../requestError');
+
 module.exports = function deleteConnectUser(request, response, next) {
     let plaid = request.plaid;
     let institution = request.body.institution;
     let plaidAccessToken;
-    let error = new Error();
 
     if (!institution) {
-        error.status = 400;
-        error.message = 'Missing institution type';
-        return next(error);
+        return next(errors.create('institution-required'));
     }
 
     try {
         plaidAccessToken = request.currentUser.plaid.tokens.connect[institution];
     } catch (serverError) {
-        error.status = 422;
-        error.message = 'error from server';
-        return next(error);
+        return next(errors.create('plaid-not-connected'));
     }
 
     if (!plaidAccessToken) {
-        error.status = 400;
-        error.message = 'Missing Plaid access token. Please obtain one and try again.';
-        return next(error);
+        return next(errors.create('plaid-token-required'));
     }
 
     plaid.client.deleteConnectUser(plaidAccessToken, {
         /* options */
     }, function(plaidError, plaidResponse) {
         if (plaidError) {
-            error.status = plaidError.statusCode || 400;
-            error.message = plaidError.message || plaidError.resolve || 'plaid-connect-error';
-            return next(error);
+            return next(requestError(plaidError));
         }
 
         response.json({
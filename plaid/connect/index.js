@@ -16,15 +16,20 @@ const _delete = require('./delete');
 const verifyToken = require('../../lib/verifyJwt');
 const authenticate = require('../../lib/authenticate');
 const currentUser = require('../../lib/currentUser');
+const requireVerified = require('../../lib/requireVerified');
+const validate = require('../../lib/validate');
+const schemas = require('../schemas');
 
 const PATH = '/plaid/connect';
 const STEP = '/plaid/connect/step';
 
+const linkBanks = requireVerified('banks');
+
 router
-    .post(PATH, verifyToken, authenticate, currentUser, add)
-    .post(STEP, verifyToken, authenticate, currentUser, step)
-    .get(PATH, verifyToken, authenticate, currentUser, get)
+    .post(PATH, verifyToken, authenticate, currentUser, linkBanks, validate(schemas.connect), add)
+    .post(STEP, verifyToken, authenticate, currentUser, linkBanks, validate(schemas.step), step)
+    .get(PATH, verifyToken, authenticate, currentUser, validate(schemas.transactions), get)
     .put(PATH, verifyToken, authenticate, currentUser, patch)
-    .delete(PATH, verifyToken, authenticate, currentUser, _delete);
+    .delete(PATH, verifyToken, authenticate, currentUser, validate(schemas.disconnect), _delete);
 
 module.exports = router;
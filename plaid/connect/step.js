@@ -5,37 +5,31 @@
 
  'use strict';
 
+const errors = require('../../errors');
+const requestError = require('../requestError');
+
 module.exports = function stepConnectUser(request, response, next) {
     let plaid = request.plaid;
     let multiFactorAuthentication = request.body.mfa;
     let institution = request.body.institution;
     let plaidAccessToken;
-    let error = new Error();
 
     try {
         plaidAccessToken = request.currentUser.plaid.tokens.connect[institution];
     } catch (err) {
-        error.status = 422;
-        error.message = 'error from server';
-        return next(error);
+        return next(errors.create('plaid-not-connected'));
     }
 
     if (!institution) {
-        error.status = 400;
-        error.message = 'Missing institution type';
-        return next(error);
+        return next(errors.create('institution-required'));
     }
     if (!plaidAccessToken) {
-        error.status = 400;
-        error.message = 'Missing Plaid access token. Please obtain one and try again.';
-        return next(error);
+        return next(errors.create('plaid-token-required'));
     }
     if (typeof multiFactorAuthentication !== 'object' ||
         !(multiFactorAuthentication.answer ||
         multiFactorAuthentication.method)) {
-        error.status = 400;
-        error.message = 'Missing MFA parameters';
-        return next(error);
+        return next(errors.create('plaid-mfa-required'));
     }
 
     multiFactorAuthentication.method = multiFactorAuthentication.method ? 
@@ -43,9 +37,7 @@ module.exports = function stepConnectUser(request, response, next) {
     plaid.client.stepConnectUser(plaidAccessToken, multiFactorAuthentication.answer,
         multiFactorAuthentication.method, function(plaidError, multiFactorAuthenticationResponse) {
         if (plaidError) {
-            error.status = plaidError.statusCode || 400;
-            error.message = plaidError.message || plaidError.resolve;
-            return next(error);
+            return next(requestError(plaidError));
         }
         let multiFactorAuthentication = multiFactorAuthenticationResponse ?
             multiFactorAuthenticationResponse.mfa : undefined;
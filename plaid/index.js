@@ -5,7 +5,6 @@
 
 const router = require('express').Router();
 const plaid = require('plaid');
-const P = require('bluebird');
 
 /* Plaid services */
 const link = require('./link');
@@ -13,12 +12,7 @@ const connect = require('./connect');
 const institutions = require('./institutions');
 
 /* Plaid client*/
-plaid.client = new plaid.Client(
-    process.env.PLAID_CLIENTID,
-    process.env.PLAID_SECRET,
-    process.env.PLAID_ENV
-);
-P.promisifyAll(plaid.client);
+plaid.client = require('./client');
 
 function plaidClient(request, response, next) {
     request.plaid = plaid;
@@ -7,6 +7,8 @@
 
 const Bank = require('../../banks/bank');
 const logger = require('../../logger');
+const errors = require('../../errors');
+const requestError = require('../requestError');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
 const PlaidLinkExchanger = {
@@ -26,26 +28,12 @@ function middleware(request, response, next) {
     let bankAccountID = request.body.bank_account_id;
     let stripeToken = request.body.stripe_token;
     let institution = request.body.institution;
-    let error = new Error();
     let data = {success: {}};
 
-    if (!publicToken) {
-        error.status = 400;
-        error.message = 'Missing public_token';
-        return next(error);
-    }
-    if (!institution) {
-        error.status = 400;
-        error.message = 'Missing institution type';
-        return next(error);
-    }
-
     return PlaidLinkExchanger.models.Bank.findOne({type: institution})
         .then(bank => {
             if (!bank) {
-                error.status = 400;
-                error.message = 'Invalid institution type';
-                return Promise.reject(error);
+                return Promise.reject(errors.create('invalid-institution'));
             }
             return PlaidLinkExchanger.exchangePublicToken(request.plaid, publicToken, bankAccountID);
         })
@@ -96,28 +84,20 @@ function middleware(request, response, next) {
  * @return {Promise} - Resolves to an object with a Plaid access token and a Stripe bank account token
  */
 function exchangePublicToken(plaid, publicToken, bankAccountID) {
-    let error = new Error();
-
     return new Promise((resolve, reject) => {
         plaid.client.exchangeToken(publicToken, bankAccountID, (err, res) => {
             if (err) {
-                error.status = err.statusCode || 400;
-                error.message = err.message || err.resolve;
-                return reject(error);
+                return reject(requestError(err));
             }
 
             let plaidAccessToken = res.access_token;
             let stripeBankAccountToken = res.stripe_bank_account_token;
 
             if (!plaidAccessToken) {
-                error.status = 422;
-                error.message = 'Access token could not be retrieved';
-                return reject(error);
+                return reject(errors.create('plaid-access-token-not-retrieved'));
             }
             if (bankAccountID && !stripeBankAccountToken) {
-                error.status = 422;
-                error.message = 'Stripe token could not be retrieved';
-                return reject(error);
+                return reject(errors.create('stripe-token-not-retrieved'));
             }
 
             let promise = (bankAccountID) ? Promise.resolve() :
@@ -177,10 +157,7 @@ function createStripeCustomer(user, stripeBankAccountToken) {
     })
     .then(customer => {
         if (!(customer.sources.data instanceof Array) || customer.sources.data.length === 0) {
-            let error = new Error();
-            error.status = 422;
-            error.message = 'Could not create Stripe customer with the obtained Stripe token.';
-            return Promise.reject(error);
+            return Promise.reject(errors.create('stripe-customer-failed'));
         }
         return customer;
     });
@@ -8,10 +8,13 @@ const exchange = require('./exchange').middleware;
 const verifyToken = require('../../lib/verifyJwt');
 const authenticate = require('../../lib/authenticate');
 const currentUser = require('../../lib/currentUser');
+const requireVerified = require('../../lib/requireVerified');
+const validate = require('../../lib/validate');
+const schemas = require('../schemas');
 
 const PATH = '/plaid/link';
 
 router
-    .post(PATH, verifyToken, authenticate, currentUser, exchange);
+    .post(PATH, verifyToken, authenticate, currentUser, requireVerified('banks'), validate(schemas.link), exchange);
 
 module.exports = router;
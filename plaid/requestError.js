@@ -0,0 +1,22 @@
+/**
+ * Error of a failed Plaid client request, keeping Plaid's status and message
+ *
+ *     plaid.client.getConnectUser(token, options, (plaidError, plaidResponse) => {
+ *         if (plaidError) {
+ *             return next(requestError(plaidError));
+ *         }
+ *     });
+ */
+'use strict';
+
+const errors = require('../errors');
+
+module.exports = function requestError(plaidError) {
+    let error = errors.create('plaid-request-failed', {
+        message: plaidError.message || plaidError.resolve || 'plaid-connect-error'
+    });
+
+    error.status = plaidError.statusCode || error.status;
+
+    return error;
+};
@@ -0,0 +1,90 @@
+/**
+ * Request schemas for Plaid endpoints, see ../validation
+ */
+'use strict';
+
+const institution = {
+    type: 'string',
+    required: true,
+    description: 'Institution type, see GET /banks'
+};
+
+module.exports = {
+    link: {
+        body: {
+            'public_token': {
+                type: 'string',
+                required: true,
+                description: 'Token from Plaid Link'
+            },
+            institution: institution,
+            'bank_account_id': {
+                type: 'string',
+                description: 'Account to be charged for donations'
+            },
+            'roundup_account_id': {
+                type: 'string',
+                description: 'Account to round up, `bank_account_id` by default'
+            },
+            'stripe_token': {
+                type: 'string',
+                description: 'Credit card token, Stripe ACH is used without it'
+            },
+            last4: 'string'
+        }
+    },
+
+    connect: {
+        body: {
+            institution: institution,
+            username: {
+                type: 'string',
+                required: true
+            },
+            password: {
+                type: 'string',
+                required: true
+            }
+        }
+    },
+
+    step: {
+        body: {
+            institution: institution,
+            mfa: {
+                type: 'object',
+                required: true,
+                properties: {
+                    answer: {
+                        type: 'any',
+                        description: 'Answer, or answers for questions'
+                    },
+                    method: {
+                        type: 'string',
+                        description: 'Send method to request a code'
+                    }
+                }
+            }
+        }
+    },
+
+    transactions: {
+        query: {
+            institution: institution,
+            gte: {
+                type: 'string',
+                description: 'Transactions on or after this date, YYYY-MM-DD'
+            },
+            lte: {
+                type: 'string',
+                description: 'Transactions on or before this date, YYYY-MM-DD'
+            }
+        }
+    },
+
+    disconnect: {
+        body: {
+            institution: institution
+        }
+    }
+};
@@ -0,0 +1,200 @@
+/**
+ * Split of a pledge between NPOs
+ *
+ * Roundups of a pledge go to one address per month, as always. Monthly
+ * charges are split between the NPOs of `pledge.allocations` by weight
+ * (percentages summing 100), one Charge per NPO. Pledges without allocations
+ * give everything to `pledge.npoId`.
+ */
+'use strict';
+
+const Npo = require('../npos/npo');
+const Charge = require('../charges/charge');
+const errors = require('../errors');
+
+const TOTAL = 100;
+
+/**
+ * Lowest weight of an NPO, small weights make parts too small to charge
+ */
+const MIN_WEIGHT = 5;
+
+/**
+ * Stripe minimum charge, in cents
+ */
+const MIN_CENTS = 50;
+
+/**
+ * Allocations of a pledge, `[{npoId, npo, weight}]`, heaviest first
+ */
+function of(pledge) {
+    if (!pledge.allocations || !pledge.allocations.length) {
+        return [{
+            npoId: pledge.npoId,
+            npo: pledge.npo,
+            weight: TOTAL
+        }];
+    }
+
+    return pledge.allocations
+        .map(allocation => ({
+            npoId: allocation.npoId,
+            npo: allocation.npo,
+            weight: allocation.weight
+        }))
+        .sort((first, second) => second.weight - first.weight);
+}
+
+/**
+ * Split `cents` by weight, parts are whole cents summing exactly `cents`.
+ * Cents left by rounding down go to the largest remainders, heaviest first
+ * on ties
+ */
+function split(cents, weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const parts = weights.map(weight => {
+        const exact = total ? cents * weight / total : 0;
+
+        return {
+            cents: Math.floor(exact),
+            remainder: exact - Math.floor(exact),
+            weight: weight
+        };
+    });
+
+    let left = cents - parts.reduce((sum, part) => sum + part.cents, 0);
+
+    parts
+        .slice()
+        .sort((first, second) => second.remainder - first.remainder || second.weight - first.weight)
+        .forEach(part => {
+            if (left > 0) {
+                part.cents += 1;
+                left -= 1;
+            }
+        });
+
+    return parts.map(part => part.cents);
+}
+
+/**
+ * Split a charge of `cents` between allocations, one Stripe charge by NPO
+ * Returns `[{npoId, npo, weight, cents, fee}]`, `fee(cents)` is the fee of
+ * each charge in cents. Parts below the Stripe minimum or not covering their
+ * fee go to the other NPOs, lightest first, the heaviest NPO is always kept
+ */
+function apportion(cents, allocations, fee) {
+    let kept = allocations.slice();
+    let amounts = split(cents, kept.map(allocation => allocation.weight));
+    const tooSmall = amount => amount < MIN_CENTS || fee(amount) >= amount;
+
+    while (kept.length > 1 && amounts.some(tooSmall)) {
+        const lightest = amounts.indexOf(Math.min.apply(null, amounts));
+
+        kept.splice(lightest, 1);
+        amounts = split(cents, kept.map(allocation => allocation.weight));
+    }
+
+    return kept.map((allocation, index) => Object.assign({}, allocation, {
+        cents: amounts[index],
+        fee: fee(amounts[index])
+    }));
+}
+
+/**
+ * Breakdown of an amount between the NPOs of a pledge,
+ * `[{npoId, npo, weight, amount}]`, amounts split to the cent
+ */
+function breakdown(amount, pledge) {
+    return share(amount, of(pledge));
+}
+
+/**
+ * Breakdown of the balance of a pledge address between NPOs as it was
+ * charged, by the weights of the monthly Charges of the address. Addresses
+ * not charged yet are broken down by the current allocations of the pledge
+ */
+function charged(address, amount, pledge) {
+    return Charge
+        .find({
+            addresses: {$in: [address]},
+            type: {$ne: 'one-time'}
+        }, {npoId: 1, weight: 1})
+        .then(charges => {
+            if (!charges.length) {
+                return breakdown(amount, pledge);
+            }
+
+            return Npo
+                .find({_id: {$in: charges.map(charge => charge.npoId)}}, {name: 1})
+                .then(npos => share(amount, charges
+                    .map(charge => {
+                        const npo = npos.find(npo => String(npo._id) === String(charge.npoId));
+
+                        return {
+                            npoId: charge.npoId,
+                            npo: npo ? npo.name : undefined,
+                            weight: charge.weight
+                        };
+                    })
+                    .sort((first, second) => second.weight - first.weight)));
+        });
+}
+
+/**
+ * Split an amount in USD between allocations to the cent
+ */
+function share(amount, allocations) {
+    const amounts = split(Math.round(amount * 100), allocations.map(allocation => allocation.weight));
+
+    return allocations.map((allocation, index) => Object.assign(allocation, {
+        amount: amounts[index] / 100
+    }));
+}
+
+/**
+ * Resolves allocations with NPO names from request `allocations`,
+ * `[{npoId, weight}]`. Rejects with `invalid-allocations` when NPOs repeat,
+ * weights are below MIN_WEIGHT or don't sum 100 or an NPO doesn't exist
+ */
+function build(allocations) {
+    const ids = allocations.map(allocation => String(allocation.npoId));
+    const total = allocations.reduce((sum, allocation) => sum + allocation.weight, 0);
+    const repeated = ids.some((id, index) => ids.indexOf(id) !== index);
+    const light = allocations.some(allocation => allocation.weight < MIN_WEIGHT);
+
+    if (!allocations.length || repeated || light || total !== TOTAL) {
+        return Promise.reject(errors.create('invalid-allocations'));
+    }
+
+    return Npo
+        .find({
+            _id: {$in: ids},
+            archived: false
+        }, {name: 1})
+        .then(npos => {
+            if (npos.length !== ids.length) {
+                return Promise.reject(errors.create('invalid-allocations'));
+            }
+
+            return of({
+                allocations: allocations.map(allocation => ({
+                    npoId: allocation.npoId,
+                    npo: npos.find(npo => String(npo._id) === String(allocation.npoId)).name,
+                    weight: allocation.weight
+                }))
+            });
+        });
+}
+
+module.exports = {
+    TOTAL: TOTAL,
+    MIN_WEIGHT: MIN_WEIGHT,
+    MIN_CENTS: MIN_CENTS,
+    of: of,
+    split: split,
+    apportion: apportion,
+    breakdown: breakdown,
+    charged: charged,
+    build: build
+};
@@ -7,6 +7,8 @@ const getVerifiedAddressBalance = require('../helpers/verifiedAddressBalance');
 const mongoose = require('mongoose');
 const logger = require('../logger');
 const Npo = require('../npos/npo');
+const errors = require('../errors');
+const allocations = require('./allocations');
 
 
 module.exports = function getBalancesPerMonth(request, response, next) {
@@ -14,18 +16,13 @@ module.exports = function getBalancesPerMonth(request, response, next) {
     let userID = request.params.id;
     let pledgeID = request.params.pledgeId;
     let pledge = user.pledges.find(pledge => String(pledge._id) === pledgeID);
-    let error = new Error();
     let npoLogoUrl;
 
     if (String(request.session.userId) !== userID) {
-        error.status = 401;
-        error.message = 'unauthorized-user';
-        return next(error);
+        return next(errors.create('unauthorized-user'));
     }
     if (!pledge) {
-        error.status = 404;
-        error.message = 'pledge-not-found';
-        return next(error);
+        return next(errors.create('pledge-not-found'));
     }
 
     /* Retrieve the transactions of (each/all of) the pledge addresses */
@@ -33,11 +30,15 @@ module.exports = function getBalancesPerMonth(request, response, next) {
     let promises = dates.map((date, index) => {
         return getVerifiedAddressBalance(pledge.addresses[date])
             .then(address => {
-                return {
-                    date: date,
-                    balance: Math.abs(address.balance),
-                    currency: address.currency
-                };
+                const balance = Math.abs(address.balance);
+
+                return allocations.charged(pledge.addresses[date], balance, pledge)
+                    .then(npos => ({
+                        date: date,
+                        balance: balance,
+                        currency: address.currency,
+                        npos: npos
+                    }));
             })
             .catch(error => {
                 logger.error({err: error});
@@ -51,9 +52,7 @@ module.exports = function getBalancesPerMonth(request, response, next) {
     Npo.findOne(query, options)
         .then(npo => {
             if (!npo) {
-                let error = new Error();
-                error.message = 'pledge.npoId not found';
-                return Promise.reject(error);
+                return Promise.reject(errors.create('npo-not-found'));
             }
             npoLogoUrl = npo.logoUrl;
             return Promise.all(promises);
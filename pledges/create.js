@@ -1,5 +1,10 @@
 /**
  * Middleware to associate npos, banks and current user
+ *
+ * Send `allocations` instead of `npoId` to split the pledge between NPOs, see
+ * ./allocations.js
+ * The first address of the user is signed with the pledge `monthlyLimit`, see
+ * ./monthlyLimit.js
  */
 'use strict';
 
@@ -9,51 +14,54 @@ const Bank = require('../banks/bank');
 const aws = require('../lib/awsQueue');
 const logger = require('../logger');
 const getYearMonth = require('../helpers/getYearMonth');
-
-const hardCodedMonthlyLimit = 5000; // 5.000 USD
+const record = require('../audits/record');
+const allocations = require('./allocations');
+const limits = require('./monthlyLimit');
+const errors = require('../errors');
 
 module.exports = (request, response, next) => {
-    const userId = request.body.userId + '';
+    const userId = request.params.id + '';
 
     if (request.session.userId + '' !== userId) {
-        return response.status(401).json({
-            error: {
-                message: 'user not authorized'
-            }
-        });
+        return next(errors.create('unauthorized-user'));
     }
 
     let user = request.currentUser;
-    let npo = NPO.findOne({
-        _id: request.body.npoId
-    });
-    let bank = Bank.findOne({
-        _id: request.body.bankId
-    });
-
-    let exist = user.pledges.some(item => {
-        return item.npoId + '' === request.body.npoId &&
-            item.bankId + '' === request.body.bankId;
-    });
+    let requested = request.body.allocations;
     let active = user.pledges.find(item => item.active);
+    let split;
 
-    if (exist) {
-        let error = new Error();
-        error.status = 422;
-        error.message = 'Charity already exist';
-
-        return next(error);
+    if (!request.body.npoId && !requested) {
+        return next(errors.create('invalid-request', {
+            'body.npoId': 'required'
+        }));
     }
 
-    Promise
-        .all([npo, bank])
+    /* Split between NPOs, the heaviest one is the pledge NPO */
+    let allocated = requested ? allocations.build(requested) : Promise.resolve();
+
+    allocated
+        .then(built => {
+            split = built || [];
+
+            const npoId = built ? String(built[0].npoId) : request.body.npoId;
+            const exist = user.pledges.some(item => {
+                return item.npoId + '' === npoId &&
+                    item.bankId + '' === request.body.bankId;
+            });
+
+            if (exist) {
+                return Promise.reject(errors.create('pledge-already-exists'));
+            }
+
+            return Promise.all([
+                NPO.findOne({_id: npoId}),
+                Bank.findOne({_id: request.body.bankId})
+            ]);
+        })
         .then(values => {
             if (!values[0] || !values[1]) {
-                let error = new Error();
-                error.status = 422;
-                error.message = 'Proper fields values required';
-
-                return next(error);
+                return Promise.reject(errors.create('pledge-fields-required'));
             }
 
             let bankType = values[1].type;
@@ -61,18 +69,19 @@ module.exports = (request, response, next) => {
                 user.plaid.accounts[bankType].last4 : null;
 
             let pledge = {
-                monthlyLimit: request.body.monthlyLimit,
-                npoId: request.body.npoId,
+                monthlyLimit: request.body.monthlyLimit || limits.DEFAULT,
+                multiplier: request.body.multiplier || 1,
+                topUp: request.body.topUp || 0,
+                npoId: values[0]._id,
                 bankId: request.body.bankId,
                 npo: values[0].name,
                 bank: values[1].name,
                 last4: last4digits,
+                allocations: split,
                 userId: request.session.userId
             };
 
             return new Charity(pledge);
-        }, error => {
-            return next(error);
         })
         .then(pledge => {
             /* Transfer latest active address to the new pledge */
@@ -94,6 +103,12 @@ module.exports = (request, response, next) => {
             request.pledgeId = pledge._id;
             return user.save();
         })
+        .then(() => record(request, {
+            action: 'create',
+            resource: 'Pledge',
+            resourceId: request.pledgeId,
+            after: user.pledges.id(request.pledgeId)
+        }))
         .then(( /*user*/ ) => response.json({
             data: [user.pledges.id(request.pledgeId)]
         }))
@@ -103,7 +118,7 @@ module.exports = (request, response, next) => {
             aws.sendMessage({
                 userId: userId,
                 pledgeId: String(request.pledgeId),
-                limit: hardCodedMonthlyLimit, // before: request.body.monthlyLimit,
+                limit: user.pledges.id(request.pledgeId).monthlyLimit,
                 nonce: String((new Date()).getTime())
             }, {
                 queue: process.env.AWS_SQS_URL_ADDRESS_REQUESTS
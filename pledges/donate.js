@@ -0,0 +1,97 @@
+/**
+ * One-time donation to the NPO of a pledge, charged at once to the Stripe
+ * customer of the pledge bank, outside the monthly roundups charge
+ *
+ * Recorded as a Charge of type `one-time`, with the same fees as monthly
+ * charges (see charges/calculate.js) and processed as a destination charge to
+ * the NPO account (see charges/process.js)
+ */
+'use strict';
+
+const Charge = require('../charges/charge');
+const Bank = require('../banks/bank');
+const Npo = require('../npos/npo');
+const calculateFee = require('../charges/calculate').fee;
+const processCharge = require('../charges/process');
+const record = require('../audits/record');
+const errors = require('../errors');
+
+module.exports = function donate(request, response, next) {
+    const userId = request.params.id + '';
+
+    if (request.session.userId + '' !== userId) {
+        return next(errors.create('unauthorized-user'));
+    }
+
+    let user = request.currentUser;
+    let pledge = user.pledges.id(request.params.pledgeId);
+    let amount = +request.body.amount.toFixed(2);
+    let charge;
+
+    if (!pledge) {
+        return next(errors.create('pledge-not-found'));
+    }
+
+    Promise
+        .all([
+            Bank.findOne({_id: pledge.bankId}),
+            Npo.findOne({_id: pledge.npoId}, {name: 1, stripe: 1})
+        ])
+        .then(results => {
+            let bank = results[0];
+            let npo = results[1];
+            let stripe = bank && user.stripe && user.stripe[bank.type];
+
+            if (!npo) {
+                return Promise.reject(errors.create('npo-not-found'));
+            }
+            if (!npo.stripe || !npo.stripe.accountId) {
+                return Promise.reject(errors.create('npo-not-payable'));
+            }
+            if (!stripe || !stripe.customer) {
+                return Promise.reject(errors.create('payment-method-required'));
+            }
+
+            let fee = calculateFee(amount, stripe.ach);
+
+            charge = new Charge({
+                type: 'one-time',
+                amount: amount,
+                currency: 'usd',
+                userId: user._id,
+                npoId: npo._id,
+                pledgeId: pledge._id,
+                bankType: bank.type,
+                details: {
+                    name: user.name || `${user.firstName} ${user.lastName}`,
+                    email: user.email,
+                    fee: fee,
+                    net: +(amount - fee).toFixed(2),
+                    ach: stripe.ach
+                }
+            });
+
+            return charge.save()
+                .then(() => processCharge(charge, stripe.customer, {
+                    destination: npo.stripe.accountId,
+                    description: `One-time donation to ${npo.name}`,
+                    'application_fee': fee
+                }));
+        })
+        .then(() => record(request, {
+            action: 'create',
+            resource: 'Charge',
+            resourceId: charge._id,
+            after: charge
+        }))
+        .then(() => {
+            if (charge.status !== 'processed') {
+                return Promise.reject(errors.create('donation-failed'));
+            }
+
+            response.json({
+                data: charge
+            });
+        })
+        .catch(next);
+};
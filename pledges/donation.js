@@ -0,0 +1,42 @@
+/**
+ * Donation settings of a pledge
+ *
+ *     multiplier: roundups of every purchase are multiplied, ×1 (plain
+ *     roundups), ×2 or ×3. Recorded on each transaction of the chain, see
+ *     helpers/transactionChain.js
+ *     topUp: fixed USD added to every monthly charge, on top of the roundups.
+ *     `monthlyLimit` only limits roundups
+ */
+'use strict';
+
+const MULTIPLIERS = [1, 2, 3];
+
+/**
+ * Roundup of a purchase for a multiplier, in USD to the cent
+ */
+function multiply(roundup, multiplier) {
+    return +(roundup * (multiplier || 1)).toFixed(2);
+}
+
+/**
+ * Top-up of `months` months, in USD to the cent
+ */
+function topUp(pledge, months) {
+    return +((pledge.topUp || 0) * months).toFixed(2);
+}
+
+/**
+ * Amount to charge for the `roundups` (USD) of `months` months
+ */
+function total(roundups, pledge, months) {
+    const limited = Math.min(roundups, pledge.monthlyLimit);
+
+    return +(limited + topUp(pledge, months)).toFixed(2);
+}
+
+module.exports = {
+    MULTIPLIERS: MULTIPLIERS,
+    multiply: multiply,
+    topUp: topUp,
+    total: total
+};
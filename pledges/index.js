@@ -11,20 +11,26 @@ const single = require('./single');
 const verifyToken = require('../lib/verifyJwt');
 const authenticate = require('../lib/authenticate');
 const currentUser = require('../lib/currentUser');
+const requireVerified = require('../lib/requireVerified');
+const validate = require('../lib/validate');
+const schemas = require('./schemas');
 const balancesPerMonth = require('./balancesPerMonth');
 const transactionHistory = require('./transactionHistory');
+const donate = require('./donate');
 
 const PATH = '/users/:id/pledges';
 const SINGLE = '/users/:id/pledges/:pledgeId';
 const BALANCES = '/users/:id/pledges/:pledgeId/balances';
 const TRANSACTIONS = '/users/:id/pledges/:pledgeId/transactions';
+const DONATIONS = '/users/:id/pledges/:pledgeId/donations';
 
 router
-    .get(SINGLE, verifyToken, authenticate, currentUser, single)
-    .put(SINGLE, verifyToken, authenticate, currentUser, update)
-    .get(PATH, verifyToken, authenticate, currentUser, list)
-    .post(PATH, verifyToken, authenticate, currentUser, create)
-    .get(BALANCES, verifyToken, authenticate, currentUser, balancesPerMonth)
-    .get(TRANSACTIONS, verifyToken, authenticate, currentUser, transactionHistory);
+    .get(SINGLE, verifyToken, authenticate, currentUser, validate(schemas.single), single)
+    .put(SINGLE, verifyToken, authenticate, currentUser, validate(schemas.update), update)
+    .get(PATH, verifyToken, authenticate, currentUser, validate(schemas.list), list)
+    .post(PATH, verifyToken, authenticate, currentUser, requireVerified('pledges'), validate(schemas.create), create)
+    .get(BALANCES, verifyToken, authenticate, currentUser, validate(schemas.single), balancesPerMonth)
+    .get(TRANSACTIONS, verifyToken, authenticate, currentUser, validate(schemas.transactions), transactionHistory)
+    .post(DONATIONS, verifyToken, authenticate, currentUser, requireVerified('pledges'), validate(schemas.donate), donate);
 
 module.exports = router;
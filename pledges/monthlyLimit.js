@@ -0,0 +1,65 @@
+/**
+ * Monthly limit of a pledge
+ *
+ * Roundups of a month stop at the limit of the pledge, which is also signed
+ * on the month address (`limit` of the address request). Changes are
+ * scheduled for the next month so both always agree: `pendingMonthlyLimit`
+ * holds the new `amount` and the month it applies `from`, the address
+ * assignment process applies it when requesting the address of that month.
+ */
+'use strict';
+
+const getYearMonth = require('../helpers/getYearMonth');
+
+const MIN = +process.env.PLEDGE_MONTHLY_LIMIT_MIN || 1;
+const MAX = +process.env.PLEDGE_MONTHLY_LIMIT_MAX || 5000;
+
+/**
+ * Pledges created without a limit get the highest one
+ */
+const DEFAULT = MAX;
+
+function nextMonth(date) {
+    return getYearMonth(new Date(date.getFullYear(), date.getMonth() + 1, 1));
+}
+
+/**
+ * Schedule `amount` from the month after `date`. Scheduling the current
+ * limit cancels a pending change
+ */
+function schedule(pledge, amount, date) {
+    if (amount === pledge.monthlyLimit) {
+        pledge.pendingMonthlyLimit = undefined;
+        return;
+    }
+
+    pledge.pendingMonthlyLimit = {
+        amount: amount,
+        from: nextMonth(date)
+    };
+}
+
+/**
+ * Apply the pending limit when its month has come, on or before the month
+ * of `date`. Returns true if the limit changed
+ */
+function apply(pledge, date) {
+    const pending = pledge.pendingMonthlyLimit;
+
+    if (!pending || typeof pending.amount !== 'number' || pending.from > getYearMonth(date)) {
+        return false;
+    }
+
+    pledge.monthlyLimit = pending.amount;
+    pledge.pendingMonthlyLimit = undefined;
+
+    return true;
+}
+
+module.exports = {
+    MIN: MIN,
+    MAX: MAX,
+    DEFAULT: DEFAULT,
+    schedule: schedule,
+    apply: apply
+};
@@ -0,0 +1,131 @@
+/**
+ * Pauses of a pledge
+ *
+ * `pauses` keeps every pause, `[{from, until}]`, past ones as history and
+ * future ones as schedule. A pause without `until` lasts until the pledge is
+ * resumed. `paused` and `pausedUntil` tell whether the pledge is paused now
+ * and until when, they are synced by the daily roundup process when
+ * `pausesDue`, the next start or end of a pause, is reached, see
+ * roundup/trigger.js
+ *
+ * Purchases made on days of a pause are never rounded up, even when a later
+ * roundup process catches up those days, see
+ * helpers/filterMapOrderPlaidTransactions.js
+ */
+'use strict';
+
+const errors = require('../errors');
+
+/**
+ * Day of a date, 'yyyy-mm-dd'
+ */
+function day(date) {
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a pause covers `date`, `until` is not paused
+ */
+function covers(pause, date) {
+    return pause.from <= date && (!pause.until || date < pause.until);
+}
+
+/**
+ * Pauses covering `date`
+ */
+function at(pledge, date) {
+    return (pledge.pauses || []).filter(pause => covers(pause, date));
+}
+
+/**
+ * Next start or end of a pause after `now`, undefined if none
+ */
+function next(pledge, now) {
+    const times = [];
+
+    (pledge.pauses || []).forEach(pause => {
+        [pause.from, pause.until]
+            .filter(date => date && date.getTime() > now.getTime())
+            .forEach(date => times.push(date.getTime()));
+    });
+
+    return times.length ? new Date(Math.min.apply(null, times)) : undefined;
+}
+
+/**
+ * Set `paused` and `pausedUntil` for `now`, the latest end of the pauses
+ * covering it, and `pausesDue`. Returns true if `paused` or `pausedUntil`
+ * changed
+ */
+function sync(pledge, now) {
+    const current = at(pledge, now);
+    const isPaused = current.length > 0;
+    const open = current.some(pause => !pause.until);
+    const until = isPaused && !open ?
+        new Date(Math.max.apply(null, current.map(pause => pause.until.getTime()))) :
+        undefined;
+    const changed = pledge.paused !== isPaused ||
+        String(pledge.pausedUntil || '') !== String(until || '');
+
+    pledge.paused = isPaused;
+    pledge.pausedUntil = until;
+    pledge.pausesDue = next(pledge, now);
+
+    return changed;
+}
+
+/**
+ * Pause from `from` (now if empty) until `until` (until resumed if empty)
+ * Pausing now replaces current pauses
+ * Throws `invalid-pause` for pauses ending before they start or in the past
+ */
+function pause(pledge, from, until, now) {
+    from = from && from > now ? from : now;
+
+    if (until && until <= from) {
+        throw errors.create('invalid-pause');
+    }
+
+    if (from === now) {
+        at(pledge, now).forEach(pause => {
+            pause.until = now;
+        });
+    }
+
+    pledge.pauses.push({
+        from: from,
+        until: until
+    });
+
+    return sync(pledge, now);
+}
+
+/**
+ * Resume now, ending current pauses. Scheduled pauses are kept
+ */
+function resume(pledge, now) {
+    at(pledge, now).forEach(pause => {
+        pause.until = now;
+    });
+
+    return sync(pledge, now);
+}
+
+/**
+ * Whether a purchase of `date` ('yyyy-mm-dd') was made on a day of a pause.
+ * Purchases have no time, days partly paused are paused
+ */
+function paused(pauses, date) {
+    return (pauses || []).some(pause => {
+        const last = pause.until && day(new Date(pause.until).getTime() - 1);
+
+        return day(pause.from) <= date && (!last || date <= last);
+    });
+}
+
+module.exports = {
+    sync: sync,
+    pause: pause,
+    resume: resume,
+    paused: paused
+};
@@ -4,6 +4,9 @@
 'use strict';
 
 const mongoose = require('mongoose');
+const monthlyLimit = require('./monthlyLimit');
+const donation = require('./donation');
+const allocations = require('./allocations');
 
 let schema = new mongoose.Schema({
     userId: {
@@ -36,9 +39,61 @@ let schema = new mongoose.Schema({
         type: String
     },
 
+    /**
+     * Split between NPOs, weights sum 100. Empty gives everything to `npoId`,
+     * the heaviest NPO otherwise. See ./allocations.js
+     */
+    allocations: [new mongoose.Schema({
+        npoId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        npo: {
+            type: String
+        },
+        weight: {
+            type: Number,
+            required: true,
+            min: allocations.MIN_WEIGHT,
+            max: 100
+        }
+    }, {
+        _id: false
+    })],
+
     monthlyLimit: {
         type: Number,
-        default: 5000
+        default: monthlyLimit.DEFAULT
+    },
+
+    /**
+     * Roundups multiplier and fixed monthly amount, see ./donation.js
+     */
+    multiplier: {
+        type: Number,
+        default: 1,
+        validate: {
+            validator: value => donation.MULTIPLIERS.indexOf(value) > -1,
+            message: '{VALUE} multiplier is not supported'
+        }
+    },
+
+    topUp: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    /**
+     * Limit changes wait for the next month, see ./monthlyLimit.js
+     */
+    pendingMonthlyLimit: {
+        amount: {
+            type: Number
+        },
+        from: {
+            type: String
+        }
     },
 
     addresses: {
@@ -56,6 +111,36 @@ let schema = new mongoose.Schema({
         default: false
     },
 
+    /**
+     * End of the current pause, empty when paused until resumed
+     */
+    pausedUntil: {
+        type: Date
+    },
+
+    /**
+     * Next start or end of a pause, when the roundup process syncs `paused`
+     */
+    pausesDue: {
+        type: Date,
+        index: true
+    },
+
+    /**
+     * Every pause, past and scheduled, see ./pauses.js
+     */
+    pauses: [new mongoose.Schema({
+        from: {
+            type: Date,
+            required: true
+        },
+        until: {
+            type: Date
+        }
+    }, {
+        _id: false
+    })],
+
     archived: {
         type: Boolean
     }
@@ -0,0 +1,153 @@
+/**
+ * Request schemas for pledges endpoints, see ../validation
+ */
+'use strict';
+
+const fields = require('../validation/fields');
+const limits = require('./monthlyLimit');
+const donation = require('./donation');
+const MIN_WEIGHT = require('./allocations').MIN_WEIGHT;
+
+const MINIMUM_DONATION = +process.env.MINIMUM_DONATION || 2;
+
+const params = {
+    id: fields.id
+};
+
+const single = {
+    id: fields.id,
+    pledgeId: fields.id
+};
+
+const allocations = {
+    type: 'array',
+    minLength: 1,
+    maxLength: 10,
+    items: {
+        type: 'object',
+        properties: {
+            npoId: fields.id,
+            weight: {
+                type: 'integer',
+                min: MIN_WEIGHT,
+                max: 100,
+                required: true
+            }
+        }
+    },
+    description: 'Split between NPOs, weights (percentages) must sum 100'
+};
+
+const monthlyLimit = {
+    type: 'number',
+    min: limits.MIN,
+    max: limits.MAX,
+    description: 'USD, changes apply from next month (see `pendingMonthlyLimit`)'
+};
+
+const multiplier = {
+    type: 'integer',
+    enum: donation.MULTIPLIERS,
+    description: 'Roundups multiplier, applies from next roundup'
+};
+
+const topUp = {
+    type: 'number',
+    min: 0,
+    max: limits.MAX,
+    description: 'USD added to every monthly charge on top of roundups'
+};
+
+module.exports = {
+    list: {
+        params: params
+    },
+
+    create: {
+        params: params,
+        body: {
+            npoId: {
+                type: 'objectId',
+                description: 'Required without `allocations`'
+            },
+            bankId: fields.id,
+            allocations: allocations,
+            monthlyLimit: monthlyLimit,
+            multiplier: multiplier,
+            topUp: topUp
+        }
+    },
+
+    single: {
+        params: single
+    },
+
+    update: {
+        params: single,
+        body: {
+            active: {
+                type: 'boolean',
+                description: '`true` activates the pledge, the active one is deactivated'
+            },
+            paused: {
+                type: 'boolean',
+                description: '`true` pauses roundups now, `false` resumes them now'
+            },
+            pauseAt: {
+                type: 'date',
+                description: 'Schedule a pause, now by default'
+            },
+            resumeAt: {
+                type: 'date',
+                description: 'End of the pause, until resumed by default'
+            },
+            monthlyLimit: monthlyLimit,
+            multiplier: multiplier,
+            topUp: topUp,
+            bankId: 'objectId',
+            allocations: Object.assign({}, allocations, {
+                minLength: 0,
+                description: 'Applies from next charge, empty gives everything to `npoId`'
+            })
+        }
+    },
+
+    donate: {
+        params: single,
+        body: {
+            amount: {
+                type: 'number',
+                min: MINIMUM_DONATION,
+                max: limits.MAX,
+                required: true,
+                description: 'USD, charged at once'
+            }
+        }
+    },
+
+    transactions: {
+        params: single,
+        query: {
+            all: {
+                type: 'boolean',
+                description: 'Every month, latest two months by default'
+            },
+            newestFirst: 'boolean',
+            page: {
+                type: 'object',
+                properties: {
+                    offset: {
+                        type: 'integer',
+                        min: 0
+                    },
+                    limit: {
+                        type: 'integer',
+                        min: 1
+                    },
+                    cursor: fields.cursor
+                },
+                description: '`page[limit]` and `page[cursor]` for cursor pagination, `page[offset]` skips transactions'
+            }
+        }
+    }
+};
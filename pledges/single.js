@@ -3,15 +3,13 @@
  */
 'use strict';
 
-module.exports = function single(request, response) {
+const errors = require('../errors');
+
+module.exports = function single(request, response, next) {
     const userId = request.params.id + '';
 
     if (request.session.userId + '' !== userId) {
-        return response.status(401).json({
-            error: {
-                message: 'user not authorized'
-            }
-        });
+        return next(errors.create('unauthorized-user'));
     }
 
     let user = request.currentUser;
@@ -1,5 +1,20 @@
 /**
  * Retrieves the transaction history of a pledge
+ *
+ * Transactions of the pledge addresses (one per month), by month and chain
+ * count (`payload.count`), oldest first unless `newestFirst`. Latest two
+ * months unless `all`.
+ *
+ * Pages
+ *     page[limit]: transactions per page, using cursors. Send `meta.next` or
+ *     `meta.prev` of a page on page[cursor] to get the following or previous
+ *     one, see helpers/cursor.js
+ *     page[offset]: skip transactions instead, kept for shipped apps. It loads
+ *     every transaction of the months
+ * Without `page` every transaction of the months is returned
+ *
+ * `totalCharges` adds every charge of the months, `npos` breaks it down by
+ * NPO for pledges split between NPOs, see ./allocations.js
  */
 'use strict';
 
@@ -7,90 +22,216 @@ const Npo = require('../npos/npo');
 const Charge = require('../charges/charge');
 const Transaction = require('../transactions/chain/transaction');
 const arraySort = require('../helpers/arraySort');
+const cursor = require('../helpers/cursor');
+const queryOptions = require('../helpers/queryOptions');
+const TYPES = require('../helpers/queryFilters').TYPES;
 const P = require('bluebird');
+const errors = require('../errors');
 const PROMISE_CONCURRENCY = 10;
 
+function transactionsQuery(month) {
+    return {
+        'payload.address': month.address,
+        'payload.balance': {$gte: month.threshold}
+    };
+}
+
+/**
+ * Every transaction of `months`, skipping `offset`
+ */
+function byOffset(months, page, newestFirst) {
+    return P
+        .map(months, month => {
+            return Transaction
+                .find(transactionsQuery(month))
+                .then(transactions => {
+                    return transactions.map(transaction => transaction.payload)
+                        .sort(arraySort('count', newestFirst));
+                });
+        }, {concurrency: PROMISE_CONCURRENCY})
+        .then(transactions => {
+            /* Group all transactions in one array regardless of their address */
+            if (transactions.length) {
+                transactions = transactions.reduce((txs1, txs2) => txs1.concat(txs2));
+            }
+
+            let offset = isNaN(page.offset) ? 0 : Number(page.offset);
+            let limit = isNaN(page.limit) ? transactions.length : Number(page.limit);
+
+            return {
+                transactions: transactions.slice(offset, offset + limit)
+            };
+        });
+}
+
+/**
+ * A page of transactions after (or before) the cursor position, month by
+ * month until the page is full. Cursors hold month and count
+ */
+function byCursor(months, page, newestFirst) {
+    const limit = queryOptions.perPage(page.limit);
+    const decoded = page.cursor ?
+        cursor.decode(page.cursor, [TYPES.String, TYPES.Number], 'query.page.cursor') :
+        null;
+    const backward = !!decoded && decoded.direction === 'prev';
+
+    /**
+     * Previous pages are found in reverse order
+     */
+    const ascending = newestFirst ? backward : !backward;
+    const after = (first, second) => ascending ? first > second : first < second;
+    let walk = backward ? months.slice().reverse() : months;
+
+    if (decoded) {
+        walk = walk.filter(month => month.date === decoded.values[0] || after(month.date, decoded.values[0]));
+    }
+
+    function fill(index, rows) {
+        const month = walk[index];
+
+        if (!month || rows.length > limit) {
+            return Promise.resolve(rows);
+        }
+
+        let query = transactionsQuery(month);
+
+        if (decoded && month.date === decoded.values[0]) {
+            query['payload.count'] = {};
+            query['payload.count'][ascending ? '$gt' : '$lt'] = decoded.values[1];
+        }
+
+        return Transaction
+            .find(query)
+            .sort({'payload.count': ascending ? 1 : -1})
+            .limit(limit + 1 - rows.length)
+            .then(transactions => {
+                return fill(index + 1, rows.concat(transactions.map(transaction => ({
+                    date: month.date,
+                    payload: transaction.payload
+                }))));
+            });
+    }
+
+    return fill(0, [])
+        .then(rows => cursor.page(rows, limit, decoded, row => [row.date, row.payload.count]))
+        .then(result => {
+            return {
+                transactions: result.docs.map(row => row.payload),
+                next: result.next,
+                prev: result.prev
+            };
+        });
+}
+
 module.exports = function getPledgeTransactionHistory(request, response, next) {
     let all = request.query.all;
+    let newestFirst = request.query.newestFirst;
+    let page = request.query.page;
     let user = request.currentUser;
     let userID = request.params.id;
     let pledgeID = request.params.pledgeId;
     let pledge = user.pledges.find(pledge => String(pledge._id) === pledgeID);
-    let error = new Error();
     let npo;
+    let breakdown;
 
     if (String(request.session.userId) !== userID) {
-        error.status = 401;
-        error.message = 'unauthorized-user';
-        return next(error);
+        return next(errors.create('unauthorized-user'));
     }
     if (!pledge) {
-        error.status = 404;
-        error.message = 'pledge-not-found';
-        return next(error);
+        return next(errors.create('pledge-not-found'));
     }
 
     /* Retrieve the transactions of (each/all of) the pledge addresses */
     let dates = Object.keys(pledge.addresses || {}).sort();
     dates = dates.slice(all ? 0 : dates.length - 2); // return at least the latest two months
-    dates = request.query.newestFirst ? dates.reverse() : dates;
-    let addresses = dates.map(date => pledge.addresses[date]);
-    let lastAddressIndex = addresses.length - 1;
+    let currentDate = dates[dates.length - 1];
+    dates = newestFirst ? dates.reverse() : dates;
     let lifetimeCharges = 0;
+    let byNpo = {};
+
+    let months = P.map(dates, date => {
+        const address = pledge.addresses[date];
+
+        /* Pledges split between NPOs are charged once per NPO every month */
+        return Charge.find({addresses: {$in: [address]}})
+            .then(charges => {
+                charges = charges.filter(charge => typeof charge.amount === 'number' &&
+                    charge.addresses.indexOf(address) === 0);
 
-    let promises = P.map(addresses, address => {
-        return Charge.findOne({addresses: {$in: [address]}})
-            .then(charge => {
                 let balanceThreshold = -Infinity;
+                let amount = charges.reduce((sum, charge) => sum + Math.abs(charge.amount), 0);
+                let topUp = charges.reduce((sum, charge) => sum + (charge.details.topUp || 0), 0);
 
-                /* Use the amount charged on previous months to filter transactions */
-                if (charge && typeof charge.amount === 'number' &&
-                    charge.addresses.indexOf(address) === 0) {
-                    balanceThreshold = -Math.abs(charge.amount);
-                    lifetimeCharges += Math.abs(charge.amount);
+                /* Use the roundups charged on previous months to filter transactions, without the top-up */
+                if (charges.length) {
+                    balanceThreshold = -(amount - topUp);
+                    lifetimeCharges += amount;
+                    charges.forEach(charge => {
+                        const npoId = String(charge.npoId);
+
+                        byNpo[npoId] = (byNpo[npoId] || 0) + Math.abs(charge.amount);
+                    });
                 /* Or use the current pledge monthly limit if the address is used for the current month */
-                } else if (request.query.newestFirst && addresses.indexOf(address) === 0 ||
-                    !request.query.newestFirst && addresses.indexOf(address) === lastAddressIndex) {
+                } else if (date === currentDate) {
                     balanceThreshold = -pledge.monthlyLimit;
                 }
 
-                return Transaction.find({
-                    'payload.address': address,
-                    'payload.balance': {$gte: balanceThreshold}
-                });
-            })
-            .then(transactions => {
-                return transactions.map(transaction => transaction.payload)
-                    .sort(arraySort('count', request.query.newestFirst));
+                return {
+                    date: date,
+                    address: address,
+                    threshold: balanceThreshold
+                };
             });
     }, {concurrency: PROMISE_CONCURRENCY});
 
-    Npo.findOne({_id: pledge.npoId})
+    return Npo.findOne({_id: pledge.npoId})
         .then(_npo => {
             npo = _npo;
-            return promises;
+            return months;
         })
-        .then(transactions => {
-            /* Group all transactions in one array regardless of their address */
-            if (transactions.length) {
-                transactions = transactions.reduce((txs1, txs2) => txs1.concat(txs2));
+        .then(months => {
+            return Npo.find({_id: {$in: Object.keys(byNpo)}}, {name: 1})
+                .then(found => {
+                    breakdown = Object.keys(byNpo).map(npoId => {
+                        const charged = found.find(item => String(item._id) === npoId);
+
+                        return {
+                            npoId: npoId,
+                            npo: charged ? charged.name : undefined,
+                            totalCharges: +byNpo[npoId].toFixed(2)
+                        };
+                    }).sort((first, second) => second.totalCharges - first.totalCharges);
+
+                    return months;
+                });
+        })
+        .then(months => {
+            if (!page || page.offset !== undefined) {
+                return byOffset(months, page || {}, newestFirst);
             }
 
-            let page = request.query.page || {};
-            let offset = isNaN(page.offset) ? 0 : Number(page.offset);
-            let limit = isNaN(page.limit) ? transactions.length : Number(page.limit);
-            transactions = transactions.slice(offset, offset + limit);
+            return byCursor(months, page, newestFirst);
+        })
+        .then(result => {
+            let meta = {
+                count: result.transactions.length
+            };
+
+            if (result.next !== undefined) {
+                meta.next = result.next;
+                meta.prev = result.prev;
+            }
 
             response.json({
                 data: {
                     id: npo._id,
                     logo: npo.logoUrl,
                     totalCharges: lifetimeCharges,
-                    transactions
+                    npos: breakdown,
+                    transactions: result.transactions
                 },
-                meta: {
-                    count: transactions.length
-                }
+                meta: meta
             });
-        });
+        })
+        .catch(next);
 };
@@ -6,16 +6,17 @@
 const Bank = require('../banks/bank');
 const getYearMonth = require('../helpers/getYearMonth');
 const objectId = require('mongoose').Types.ObjectId;
+const record = require('../audits/record');
+const allocations = require('./allocations');
+const limits = require('./monthlyLimit');
+const pauses = require('./pauses');
+const errors = require('../errors');
 
 module.exports = function update(request, response, next) {
     const userId = request.params.id + '';
 
     if (request.session.userId + '' !== userId) {
-        return response.status(401).json({
-            error: {
-                message: 'user not authorized'
-            }
-        });
+        return next(errors.create('unauthorized-user'));
     }
 
     let user = request.currentUser;
@@ -23,17 +24,22 @@ module.exports = function update(request, response, next) {
     let active = user.pledges.find(item => item.active);
 
     if (!pledge) {
-        let error = new Error();
-        error.status = 422;
-        error.message = 'Charity not found';
-        return next(error);
+        return next(errors.create('pledge-not-found'));
     }
+
+    /**
+     * Keep values before the change for the audit trail, finance needs to
+     * know who changed `monthlyLimit` or `bankId` before a charge
+     */
+    const before = pledge.toObject();
+    const now = new Date();
+
     /* Change active pledge */
     if (!pledge.active && request.body.active === true ) {
         pledge.active = true;
         if (typeof active === 'object') {
             active.active = false;
-            active.paused = false;
+            pauses.resume(active, now);
 
             let currentYearMonth = getYearMonth(new Date());
             let dateQuery = `addresses.${currentYearMonth}`;
@@ -45,19 +51,37 @@ module.exports = function update(request, response, next) {
             }
         }
     }
-    /* Pause or resume pledge */
-    if (pledge.active && typeof request.body.paused === 'boolean') {
-        pledge.paused = request.body.paused;
+    /* Pause or resume pledge, now or scheduled, only the active one */
+    try {
+        updatePauses(pledge, request.body, now);
+    } catch (error) {
+        return next(error);
     }
 
     /* Updatas to pledge properties */
     // (changes to monthlyLimit will be reflected in the next month)
-    pledge.monthlyLimit = request.body.monthlyLimit || pledge.monthlyLimit;
+    if (request.body.monthlyLimit) {
+        limits.schedule(pledge, request.body.monthlyLimit, now);
+    }
+    if (request.body.multiplier !== undefined) {
+        pledge.multiplier = request.body.multiplier;
+    }
+    if (request.body.topUp !== undefined) {
+        pledge.topUp = request.body.topUp;
+    }
 
     checkAndUpdateBankId(user, pledge, request.body.bankId)
+        .then(() => updateAllocations(pledge, request.body.allocations))
         .then(() => {
             return user.save();
         })
+        .then(() => record(request, {
+            action: 'update',
+            resource: 'Pledge',
+            resourceId: pledge._id,
+            before: before,
+            after: pledge
+        }))
         .then(( /*user*/ ) => response.json({
             data: [pledge]
         }))
@@ -70,18 +94,16 @@ function checkAndUpdateBankId(user, pledge, bankId) {
     }
 
     let bankObjectId;
-    let error = new Error();
-    error.message = 'invalid-bank-id';
 
     try {
         bankObjectId = objectId(bankId);
     } catch (e) {
-        return Promise.reject({error});
+        return Promise.reject(errors.create('invalid-bank-id'));
     }
 
     return Bank.findOne({_id: bankObjectId})
         .then(bank => {
-            if (!bank) {return Promise.reject({error});}
+            if (!bank) {return Promise.reject(errors.create('invalid-bank-id'));}
 
             pledge.bankId = bank._id;
             pledge.bank = bank.name;
@@ -89,5 +111,48 @@ function checkAndUpdateBankId(user, pledge, bankId) {
             pledge.last4 = user.plaid.accounts[bank.type] ?
                 user.plaid.accounts[bank.type].last4 : null;
         })
-        .catch(() => Promise.reject({error}));
+        .catch(() => Promise.reject(errors.create('invalid-bank-id')));
+}
+
+/**
+ * Split between NPOs (changes will be reflected in the next charge), the
+ * heaviest NPO becomes the pledge NPO. Empty list gives everything to it
+ */
+function updateAllocations(pledge, requested) {
+    if (!requested) {
+        return Promise.resolve();
+    }
+
+    if (!requested.length) {
+        pledge.allocations = [];
+        return Promise.resolve();
+    }
+
+    return allocations.build(requested)
+        .then(built => {
+            pledge.allocations = built;
+            pledge.npoId = built[0].npoId;
+            pledge.npo = built[0].npo;
+        });
+}
+
+/**
+ * `paused: false` resumes now. `paused: true`, `pauseAt` or `resumeAt` pause
+ * from `pauseAt` (now by default) until `resumeAt` (until resumed by default)
+ * Throws `pledge-not-active` for inactive pledges
+ */
+function updatePauses(pledge, body, now) {
+    const requested = body.paused !== undefined || body.pauseAt || body.resumeAt;
+
+    if (requested && !pledge.active) {
+        throw errors.create('pledge-not-active');
+    }
+
+    if (body.paused === false) {
+        return pauses.resume(pledge, now);
+    }
+
+    if (body.paused === true || body.pauseAt || body.resumeAt) {
+        return pauses.pause(pledge, body.pauseAt, body.resumeAt, now);
+    }
 }
@@ -6,6 +6,7 @@
 const Post = require('./post');
 const Npo = require('../npos/npo');
 const validMedia = require('../helpers/validMedia');
+const errors = require('../errors');
 
 module.exports = function create(request, response, next) {
     request.body.userId = request.session._id;
@@ -13,11 +14,7 @@ module.exports = function create(request, response, next) {
     let videos = request.body.videos;
 
     if (!validMedia(images, 'images') || !validMedia(videos, 'videos')) {
-        let error = new Error();
-        error.status = 422;
-        error.message = 'Invalid images/videos object';
-
-        return next(error);
+        return next(errors.create('invalid-post-media'));
     }
 
     const query = {
@@ -28,11 +25,7 @@ module.exports = function create(request, response, next) {
         .findOne(query)
         .then(npo => {
             if (!npo) {
-                let error = new Error();
-                error.status = 404;
-                error.message = 'NPO not found';
-
-                return Promise.reject(error);
+                return Promise.reject(errors.create('npo-not-found'));
             }
 
             return new Post(request.body).save();
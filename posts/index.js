@@ -4,6 +4,9 @@
  *  update
  *  get single and list
  *  delete
+ *
+ * NPO staff users (`npo:manage` permission) can only publish posts for their
+ * own NPO
  */
 'use strict';
 
@@ -13,7 +16,12 @@ const verifyToken = require('../lib/verifyJwt');
 const authenticate = require('../lib/authenticate');
 const currentUser = require('../lib/currentUser');
 const isAdmin = require('../lib/isAdmin');
+const requirePermission = require('../lib/requirePermission');
+const npoScope = require('../lib/npoScope');
+const Post = require('./post');
 const customMiddlewares = require('../lib/customMiddlewares');
+const validate = require('../lib/validate');
+const schemas = require('./schemas');
 
 const create = require('./create');
 const remove = require('./remove');
@@ -26,6 +34,27 @@ const PATH = '/posts';
 const SINGLE = '/posts/:id';
 
 const defaultMiddlewares = [verifyToken, authenticate, currentUser];
+const publish = requirePermission(['posts:publish', 'npo:manage']);
+
+/**
+ * NPOs a request works with: the one from body (new or moved post) and, for
+ * existing posts, the one it belongs to
+ */
+function postNpoIds(request) {
+    const body = request.body.npoId ? [request.body.npoId] : [];
+
+    if (!request.params.id) {
+        return body;
+    }
+
+    return Post
+        .findOne({
+            _id: request.params.id
+        })
+        .then(post => [post ? post.npoId : null].concat(body));
+}
+
+const ownPosts = npoScope('posts:publish', postNpoIds);
 
 function validateRequest(request, response, next) {
     if (request.query.dashboard) {
@@ -36,10 +65,10 @@ function validateRequest(request, response, next) {
 }
 
 router
-    .get(PATH, defaultMiddlewares, validateRequest)
-    .get(SINGLE, defaultMiddlewares, show)
-    .put(SINGLE, defaultMiddlewares, update)
-    .delete(SINGLE, defaultMiddlewares, remove)
-    .post(PATH, defaultMiddlewares, create);
+    .get(PATH, defaultMiddlewares, validate(schemas.list), validateRequest)
+    .get(SINGLE, defaultMiddlewares, validate(schemas.show), show)
+    .put(SINGLE, defaultMiddlewares, publish, ownPosts, validate(schemas.update), update)
+    .delete(SINGLE, defaultMiddlewares, publish, ownPosts, validate(schemas.show), remove)
+    .post(PATH, defaultMiddlewares, publish, ownPosts, validate(schemas.create), create);
 
 module.exports = router;
@@ -4,6 +4,7 @@
 'use strict';
 
 const Post = require('./post');
+const errors = require('../errors');
 
 module.exports = (request, response, next) => {
 
@@ -15,11 +16,7 @@ module.exports = (request, response, next) => {
         .findOne(query)
         .then(data => {
             if (!data) {
-                let error = new Error();
-                error.status = 404;
-                error.message = 'Resource not found';
-
-                return Promise.reject(error);
+                return Promise.reject(errors.create('post-not-found'));
             }
 
             return Post.remove(query);
@@ -0,0 +1,61 @@
+/**
+ * Request schemas for posts endpoints, see ../validation
+ */
+'use strict';
+
+const fields = require('../validation/fields');
+const partial = require('../validation').partial;
+
+const post = {
+    npoId: fields.id,
+    images: {
+        type: 'array',
+        items: 'object',
+        description: '`{source, order}` objects'
+    },
+    videos: {
+        type: 'array',
+        items: 'object',
+        description: '`{source, order, shareUrl}` objects'
+    },
+    textContent: {
+        type: 'string',
+        minLength: 10,
+        maxLength: 1000
+    },
+    node: {
+        type: 'string',
+        required: true,
+        enum: ['A', 'B', 'C', 'D', 'E']
+    },
+    available: 'boolean'
+};
+
+const params = {
+    id: fields.id
+};
+
+module.exports = {
+    list: {
+        query: Object.assign({}, fields.list, {
+            npoId: 'objectId',
+            dashboard: {
+                type: 'boolean',
+                description: 'Posts for the dashboard of the current user'
+            }
+        })
+    },
+
+    create: {
+        body: post
+    },
+
+    show: {
+        params: params
+    },
+
+    update: {
+        params: params,
+        body: partial(post)
+    }
+};
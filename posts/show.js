@@ -4,12 +4,11 @@
 'use strict';
 
 const Post = require('./post');
+const errors = require('../errors');
 
 module.exports = function show(request, response, next) {
     if (!request.params.id) {
-        return response.status(422).json({
-            error: 'required params missing'
-        });
+        return next(errors.create('bad-request'));
     }
 
     let query = {
@@ -21,11 +20,7 @@ module.exports = function show(request, response, next) {
         .populate('npoId', 'name')
         .then(found => {
             if (!found) {
-                let error = new Error();
-                error.status = 404;
-                error.message = 'Resource not found';
-
-                return next(error);
+                return next(errors.create('post-not-found'));
             }
 
             return response.json({
@@ -6,6 +6,7 @@
 const Npo = require('../npos/npo');
 const Post = require('./post');
 const validMedia = require('../helpers/validMedia');
+const errors = require('../errors');
 
 const options = {
     runValidators: true
@@ -19,10 +20,7 @@ const options = {
 module.exports = function update(request, response, next) {
 
     if (!validMedia(request.body.images) || !validMedia(request.body.videos)) {
-        let error = new Error();
-        error.status = 422;
-        error.message = 'Invalid images/videos object';
-        return next(error);
+        return next(errors.create('invalid-post-media'));
     }
 
     const npoQuery = {
@@ -33,16 +31,11 @@ module.exports = function update(request, response, next) {
         _id: request.params.id
     };
 
-    let error = new Error();
-    error.status = 404;
-    error.message = 'Required resource not found';
-
     return Post
         .findOne(query)
         .then(post => {
             if (!post) {
-                error.message = 'Post not found';
-                Promise.reject(error);
+                return Promise.reject(errors.create('post-not-found'));
             }
 
             request.postFound = post;
@@ -50,8 +43,7 @@ module.exports = function update(request, response, next) {
         })
         .then(npo => {
             if (!npo) {
-                error.message = 'NPO not found';
-                return Promise.reject(error);
+                return Promise.reject(errors.create('npo-not-found'));
             }
 
             return Post.update(query, request.body, options);
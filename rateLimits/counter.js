@@ -0,0 +1,55 @@
+/**
+ * RateLimitCounter Model
+ * Requests counted per rule, client (IP address or user) and fixed window.
+ * Stored on the database so every API process shares the same counters
+ * Manage
+ *     attributes
+ *     expiration, mongo removes counters once they are not needed anymore
+ */
+'use strict';
+
+const mongoose = require('mongoose');
+
+let schema = new mongoose.Schema({
+    /**
+     * `rule:scope:client`, e.g. `signup:ip:127.0.0.1`
+     */
+    key: {
+        type: String,
+        required: true
+    },
+
+    /**
+     * Window start, milliseconds since epoch
+     */
+    window: {
+        type: Number,
+        required: true
+    },
+
+    count: {
+        type: Number,
+        default: 0
+    },
+
+    /**
+     * Counters are needed for two windows (sliding window uses the previous
+     * one), then removed by a TTL index
+     */
+    expire: {
+        type: Date,
+        required: true,
+        expires: 0
+    }
+}, {
+    versionKey: false
+});
+
+schema.index({
+    key: 1,
+    window: 1
+}, {
+    unique: true
+});
+
+module.exports = mongoose.model('RateLimitCounter', schema);
@@ -0,0 +1,133 @@
+/**
+ * Count a request against rate limit rules
+ *
+ *     limiter.check(rules, 'ip', request.ip, response)
+ *         .then(() => next())
+ *         .catch(next);
+ *
+ * Sets `X-RateLimit-Limit`, `X-RateLimit-Remaining` and `X-RateLimit-Reset`
+ * (epoch seconds) headers for the most restrictive rule. Rejects with 429 and
+ * `Retry-After` header (seconds) once any rule limit is exceeded.
+ */
+'use strict';
+
+const Counter = require('./counter');
+const slidingWindow = require('./window');
+const clock = require('../helpers/clock');
+const errors = require('../errors');
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Increment the counter of a window, creating it if needed. Two processes
+ * creating the same counter at once make one upsert fail, retry it once
+ */
+function increment(key, window, expire, retried) {
+    return Counter
+        .findOneAndUpdate({
+            key: key,
+            window: window
+        }, {
+            $inc: {
+                count: 1
+            },
+            $setOnInsert: {
+                expire: expire
+            }
+        }, {
+            new: true,
+            upsert: true
+        })
+        .catch(error => {
+            if (error.code === DUPLICATE_KEY && !retried) {
+                return increment(key, window, expire, true);
+            }
+
+            return Promise.reject(error);
+        });
+}
+
+/**
+ * Count a request for `client` on `rule`
+ * Resolves to {limit, remaining, reset, allowed, retryAfter}
+ */
+function hit(rule, client, now) {
+    const size = rule.window * 1000;
+    const time = now.getTime();
+    const current = slidingWindow.start(time, size);
+    const previous = current - size;
+    const key = `${rule.name}:${rule.scope}:${client}`;
+
+    return Promise
+        .all([
+            increment(key, current, new Date(current + 2 * size)),
+            Counter.findOne({
+                key: key,
+                window: previous
+            })
+        ])
+        .then(counters => {
+            const currentCount = counters[0].count;
+            const previousCount = counters[1] ? counters[1].count : 0;
+            const elapsed = time - current;
+            const estimate = slidingWindow.estimate(previousCount, currentCount, elapsed, size);
+
+            return {
+                limit: rule.limit,
+                remaining: Math.max(0, Math.floor(rule.limit - estimate)),
+                reset: Math.ceil((current + size) / 1000),
+                allowed: estimate <= rule.limit,
+                retryAfter: Math.ceil(slidingWindow.retryAfter(previousCount, currentCount, elapsed, size, rule.limit) / 1000)
+            };
+        });
+}
+
+/**
+ * Most restrictive result: a denied one with the longest wait, otherwise the
+ * one with less remaining requests
+ */
+function restrictive(results) {
+    return results.reduce((worst, result) => {
+        if (worst.allowed !== result.allowed) {
+            return worst.allowed ? result : worst;
+        }
+
+        if (!result.allowed) {
+            return result.retryAfter > worst.retryAfter ? result : worst;
+        }
+
+        return result.remaining < worst.remaining ? result : worst;
+    });
+}
+
+function check(rules, client, response) {
+    if (!rules.length || !client) {
+        return Promise.resolve();
+    }
+
+    const now = clock.now();
+
+    return Promise
+        .all(rules.map(rule => hit(rule, client, now)))
+        .then(results => {
+            const result = restrictive(results);
+
+            response.set('X-RateLimit-Limit', String(result.limit));
+            response.set('X-RateLimit-Remaining', String(result.remaining));
+            response.set('X-RateLimit-Reset', String(result.reset));
+
+            if (result.allowed) {
+                return;
+            }
+
+            response.set('Retry-After', String(Math.max(1, result.retryAfter)));
+
+            return Promise.reject(errors.create('too-many-requests'));
+        });
+}
+
+module.exports = {
+    hit: hit,
+    check: check,
+    restrictive: restrictive
+};
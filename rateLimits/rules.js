@@ -0,0 +1,127 @@
+/**
+ * Rate limit rules
+ *
+ *     name: rule name, used on counter keys and to override the rule
+ *     method: HTTP method or `*`
+ *     path: route pattern, `:param` matches a path segment, `*` anything
+ *     scope: `ip` (every request) or `user` (authenticated requests)
+ *     limit: requests allowed on a sliding window of `window` seconds
+ *
+ * Every matching rule applies. Override limits with RATE_LIMITS environment
+ * variable, a JSON object by rule name, e.g.
+ *     RATE_LIMITS='{"signup": {"limit": 50}, "user": {"limit": 600, "window": 60}}'
+ */
+'use strict';
+
+const DEFAULTS = [{
+    name: 'signup',
+    method: 'POST',
+    path: '/users',
+    scope: 'ip',
+    limit: 20,
+    window: 3600
+}, {
+    name: 'availability',
+    method: 'POST',
+    path: '/users/availability',
+    scope: 'ip',
+    limit: 20,
+    window: 600
+}, {
+    name: 'contact',
+    method: 'POST',
+    path: '/contact',
+    scope: 'ip',
+    limit: 5,
+    window: 3600
+}, {
+    name: 'socials',
+    method: 'POST',
+    path: '/socials',
+    scope: 'ip',
+    limit: 20,
+    window: 600
+}, {
+    name: 'login',
+    method: 'POST',
+    path: '/sessions',
+    scope: 'ip',
+    limit: 30,
+    window: 600
+}, {
+    name: 'donations',
+    method: 'POST',
+    path: '/users/:id/pledges/:pledgeId/donations',
+    scope: 'user',
+    limit: 10,
+    window: 3600
+}, {
+    name: 'ip',
+    method: '*',
+    path: '*',
+    scope: 'ip',
+    limit: 600,
+    window: 60
+}, {
+    name: 'user',
+    method: '*',
+    path: '*',
+    scope: 'user',
+    limit: 300,
+    window: 60
+}];
+
+function pattern(path) {
+    const source = path
+        .split('*')
+        .map(part => part
+            .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/:[^/]+/g, '[^/]+'))
+        .join('.*');
+
+    return new RegExp(`^${source}/?$`, 'i');
+}
+
+/**
+ * Build rules from `defaults`, applying `overrides` by rule name
+ */
+function build(defaults, overrides) {
+    overrides = overrides || {};
+
+    return defaults.map(rule => {
+        let result = Object.assign({}, rule, overrides[rule.name] || {});
+
+        result.method = result.method.toUpperCase();
+        result.pattern = pattern(result.path);
+
+        return result;
+    });
+}
+
+/**
+ * Rules matching a request, for one scope
+ */
+function match(rules, scope, method, path) {
+    method = String(method).toUpperCase();
+
+    return rules.filter(rule => {
+        return rule.scope === scope &&
+            (rule.method === '*' || rule.method === method) &&
+            rule.pattern.test(path);
+    });
+}
+
+function overrides() {
+    try {
+        return JSON.parse(process.env.RATE_LIMITS || '{}');
+    } catch (error) {
+        throw new Error(`Invalid RATE_LIMITS environment variable: ${error.message}`);
+    }
+}
+
+module.exports = {
+    DEFAULTS: DEFAULTS,
+    rules: build(DEFAULTS, overrides()),
+    build: build,
+    match: match
+};
@@ -0,0 +1,41 @@
+/**
+ * Sliding window math
+ *
+ * Counters are kept per fixed window. Requests on the sliding window are
+ * estimated as the current window count plus the previous window count
+ * weighted by how much of the previous window still overlaps:
+ *     estimate = current + previous * (size - elapsed) / size
+ *
+ * All times in milliseconds
+ */
+'use strict';
+
+/**
+ * Start of the fixed window `time` belongs to
+ */
+function start(time, size) {
+    return Math.floor(time / size) * size;
+}
+
+function estimate(previous, current, elapsed, size) {
+    return current + previous * (size - elapsed) / size;
+}
+
+/**
+ * Milliseconds until one more request would be allowed
+ */
+function retryAfter(previous, current, elapsed, size, limit) {
+    if (current + 1 > limit || !previous) {
+        return size - elapsed;
+    }
+
+    const wait = size * (1 - (limit - current - 1) / previous) - elapsed;
+
+    return Math.max(0, Math.min(size - elapsed, wait));
+}
+
+module.exports = {
+    start: start,
+    estimate: estimate,
+    retryAfter: retryAfter
+};
@@ -13,12 +13,14 @@ const currentUser = require('../lib/currentUser');
 const isAdmin = require('../lib/isAdmin');
 
 const list = require('../lib/list');
+const validate = require('../lib/validate');
+const fields = require('../validation/fields');
 
 const middlewares = [verifyToken, authenticate, currentUser, isAdmin];
 
 const PATH = '/roles';
 
 router
-    .get(PATH, middlewares, list(Role, {}));
+    .get(PATH, middlewares, validate({query: fields.list}), list(Role, {}));
 
 module.exports = router;
@@ -0,0 +1,21 @@
+/**
+ * Permissions catalogue
+ * Every permission a Role can hold, with a short description used on the admin
+ * dashboard. Protect routes with `lib/requirePermission`.
+ *
+ * `*` grants every permission, it's what makes a role an admin role.
+ */
+'use strict';
+
+module.exports = {
+    '*': 'Every permission (admin)',
+    'users:read': 'Read any user account',
+    'npos:write': 'Create, update and archive NPOs',
+    'banks:write': 'Create, update and archive banks',
+    'posts:publish': 'Create, update and remove posts',
+    'npo:manage': 'Edit own NPO, publish its posts and read its donations (requires user npoId)',
+    'charges:read': 'Read donation reports of every NPO',
+    'charges:trigger': 'Prepare and trigger monthly charges',
+    'transactions:read': 'Read the transaction chain of any donor',
+    'audit:read': 'Read the audit trail of changes'
+};
@@ -6,6 +6,7 @@
 
 const mongoose = require('mongoose');
 const timestamps = require('mongoose-timestamp');
+const permissions = require('./permissions');
 
 let schema = new mongoose.Schema({
     userId: {
@@ -20,6 +21,27 @@ let schema = new mongoose.Schema({
 
     description: {
         type: String
+    },
+
+    /**
+     * Named permissions like `npos:write`, see ./permissions.js
+     */
+    permissions: {
+        type: [String],
+        default: [],
+        validate: {
+            validator: values => values.every(value => permissions.hasOwnProperty(value)),
+            message: '{VALUE} contains unknown permissions'
+        }
+    },
+
+    /**
+     * Users with this role must enable two factor authentication before using
+     * privileged endpoints. Always required for admin roles
+     */
+    requireTwoFactor: {
+        type: Boolean,
+        default: false
     }
 }, {
     versionKey: false
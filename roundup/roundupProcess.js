@@ -144,6 +144,8 @@ function extractInformationFromPerson(person) {
             token: plaidToken,
             address: address,
             limit: monthlyLimit,
+            multiplier: activePledge.multiplier,
+            pauses: activePledge.pauses,
         };
         
         return roundAndSendToAmazon.request(options);
@@ -8,6 +8,7 @@ const Bank = require('../banks/bank');
 const getFromAws = require('./getFromAws').get;
 const getLatestTransactionTimestamp = require('./timestamp');
 const requestAndRoundup = require('./roundAndSendToAwsQueue').request;
+const pauses = require('../pledges/pauses');
 
 const objectId = require('mongoose').Types.ObjectId;
 const logger = require('../logger');
@@ -20,7 +21,7 @@ const YMD = 'YYYY-MM-DD';
 
 function triggerRoundups(options) {
     options = typeof options === 'object' ? options : {};
-    let queryPromise;
+    let find;
 
     let query = {
         active: true,
@@ -45,15 +46,17 @@ function triggerRoundups(options) {
 
     if (typeof options.id === 'string') {
         query._id = objectId(options.id);
-        queryPromise = User.findOne(query, selector);
+        find = () => User.findOne(query, selector);
     } else if (options.ids instanceof Array) {
         query._id = {$in: options.ids.map(id => objectId(id))};
-        queryPromise = User.find(query, selector);
+        find = () => User.find(query, selector);
     } else {
-        queryPromise = User.find(query, selector);
+        find = () => User.find(query, selector);
     }
 
-    return queryPromise
+    /* Pledges paused or resumed today are found once synced */
+    return syncPauses(new Date())
+        .then(find)
         .then(users => {
             users = users instanceof Array ? users : [users];
             return P.map(users, user => processRoundups(user, options), {
@@ -69,6 +72,34 @@ function triggerRoundups(options) {
         });
 }
 
+/**
+ * Pause and resume active pledges as scheduled, only pledges with a pause
+ * starting or ending by now, see pledges/pauses.js
+ */
+function syncPauses(now) {
+    let query = {
+        active: true,
+        pledges: {
+            $elemMatch: {
+                active: true,
+                pausesDue: {$lte: now}
+            }
+        }
+    };
+
+    return User.find(query, {pledges: 1})
+        .then(users => P.map(users, user => {
+            let activePledge = user.pledges.find(pledge => pledge.active);
+
+            if (pauses.sync(activePledge, now)) {
+                logger.info(`Pledge of user ${user._id} ${activePledge.paused ? 'paused' : 'resumed'} as scheduled`);
+            }
+
+            return user.save();
+        }, {concurrency: ROUNDUP_CONCURRENCY}))
+        .catch(error => logger.error({err: error}));
+}
+
 function processRoundups(user, options) {
     let dateOptions = setupDateOptions(user.latestRoundupDate, options);
     if (typeof dateOptions === 'string') {
@@ -110,6 +141,8 @@ function buildRoundupParams(user, options) {
 
     let params = {
         limit: activePledge.monthlyLimit,
+        multiplier: activePledge.multiplier,
+        pauses: activePledge.pauses,
         address: activePledge.addresses[currentMonth]
     };
 
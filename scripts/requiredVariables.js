@@ -46,7 +46,8 @@ let required = [
     'MANDRILL_CONTACT_US_EMAIL_TEMPLATE',
     'SLACK_TOKEN',
     'SLACK_ENABLED',
-    'STRIPE_SECRET_KEY'
+    'STRIPE_SECRET_KEY',
+    'ENCRYPTION_KEY'
 ];
 
 let notFound = required.filter(option => {
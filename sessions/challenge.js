@@ -0,0 +1,49 @@
+/**
+ * Challenge Model
+ * Pending login for users with two factor authentication enabled
+ * Manage
+ *     attributes
+ *     digest of the challenge token, sent to POST /sessions/verify along with
+ *     the code to complete the login
+ */
+'use strict';
+
+const mongoose = require('mongoose');
+const timestamps = require('mongoose-timestamp');
+
+let schema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+
+    token: {
+        type: String,
+        required: true,
+        index: true
+    },
+
+    agent: {
+        type: String,
+        required: true
+    },
+
+    expire: {
+        type: Date,
+        required: true
+    },
+
+    /**
+     * Failed codes sent for this challenge
+     */
+    attempts: {
+        type: Number,
+        default: 0
+    }
+}, {
+    versionKey: false
+});
+
+schema.plugin(timestamps);
+
+module.exports = mongoose.model('Challenge', schema);
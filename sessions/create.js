@@ -1,50 +1,60 @@
 /**
- * Middleware to create user accounts
+ * Middleware to create user sessions (login)
+ *
+ * Users with two factor authentication enabled get a pending challenge
+ * instead, to be completed on POST /sessions/verify
+ *
+ * Failed attempts are tracked per email and IP address, see ../attempts
  */
 'use strict';
 
-const Session = require('./session');
+const issue = require('./issue');
+const issueChallenge = require('./issueChallenge');
+const sessionData = require('./sessionData');
 const User = require('../users/user');
-const Role = require('../roles/role');
-const token = require('../helpers/token');
-const admin = require('../helpers/admin');
-const expire = require('../helpers/expire');
-const EXPIRE = process.env.EXPIRE_HOURS;
-const JWT_SECRET = process.env.JWT_SECRET;
-const jwt = require('../helpers/jwt');
 const comparePassword = require('../helpers/comparePassword');
+const tracker = require('../attempts/tracker');
+const errors = require('../errors');
+
+function invalidCredentials() {
+    return errors.create('invalid-credentials');
+}
 
 module.exports = function create(request, response, next) {
     const email = request.body.email;
     const password = request.body.password;
 
     if (!email || !password) {
-        let error = new Error();
-        error.status = 422;
-        error.message = 'Invalid credentials';
-        return next(error);
+        return next(invalidCredentials());
     }
 
     let findQuery = {
         email: email
     };
 
+    const keys = tracker.keys('login', email, request);
+
+    function failed() {
+        return tracker
+            .fail(keys, request)
+            .then(() => Promise.reject(invalidCredentials()));
+    }
+
     /**
-     * Find user with specified email
+     * Reject if email or IP address is locked
+     * then: Find user with specified email
      * then: Validate password
-     * then: Based on user found, create a session object and save it
-     * then: Create a json web token
+     * then: Based on user found, create a session object and save it, along
+     *       with the json web token and a refresh token, or a challenge if
+     *       user has two factor authentication enabled
      * then: return response
      */
-    return User
-        .findOne(findQuery)
+    return tracker
+        .guard(keys, response)
+        .then(() => User.findOne(findQuery))
         .then(user => {
             if (!user) {
-                let error = new Error();
-                error.status = 422;
-                error.message = 'Invalid credentials';
-
-                return next(error);
+                return failed();
             }
 
             /**
@@ -55,71 +65,28 @@ module.exports = function create(request, response, next) {
             return comparePassword(password, user.password);
         })
         .then(isValid => {
+            const user = request.accountUser;
 
             if (!isValid) {
-                let error = new Error();
-                error.status = 422;
-                error.message = 'Invalid credentials';
-
-                return next(error);
+                return failed();
             }
 
-            let session = {
-                token: token(),
-                expire: expire(EXPIRE),
-                userId: request.accountUser._id,
-                agent: request.headers['user-agent'],
-                verified: request.accountUser.verified
-            };
-
-            return new Session(session).save();
-        })
-        .then(session => {
-            request.expiresIn = session.expire;
-            return jwt({
-                token: session.token
-            }, JWT_SECRET);
-        })
-        .then(token => {
-            /**
-             * Temporary store session data to `request` object
-             */
-            request.sessionData = {
-                expire: request.expiresIn,
-                token: token,
-                firstName: request.accountUser.firstName,
-                id: request.accountUser._id,
-                email: request.accountUser.email,
-                verified: request.accountUser.verified
-            };
-
             /**
-             * Check if there's a role associated to user which request a
-             * session
+             * Failures are cleared once the challenge is completed, so
+             * guessing two factor codes keeps counting
              */
-            const roleId = request.accountUser.roleId;
-            let role;
-
-            if (roleId) {
-                role = Role.findOne({
-                    _id: roleId
-                });
+            if (user.twoFactor.enabled) {
+                return issueChallenge(user, request);
             }
 
-            /**
-             * Either return a promise or an empty object, which is used to
-             * validate if current role is admin
-             */
-            return role || {};
+            return tracker
+                .succeed(keys)
+                .then(() => issue.create(user, request, user.verified))
+                .then(issued => sessionData(user, issued));
         })
-        .then(role => {
-            /**
-             * Attach new property to the response
-             */
-            request.sessionData.isAdmin = admin(role || {});
-
+        .then(data => {
             response.json({
-                data: request.sessionData
+                data: data
             });
         })
         .catch(next);
@@ -0,0 +1,96 @@
+/**
+ * Middleware to impersonate an user, admin users only
+ *
+ * POST /sessions/impersonate
+ *     userId: user to impersonate, must not hold any role
+ *     reason: why, e.g. a support ticket, stored on the audit trail
+ *
+ * Issues a read-only session for the user, valid IMPERSONATION_EXPIRE_MINUTES
+ * minutes (15 by default) and without refresh token. The session and every
+ * request made with it are recorded on the Impersonation collection.
+ */
+'use strict';
+
+const User = require('../users/user');
+const Impersonation = require('./impersonation');
+const issue = require('./issue');
+const logger = require('../logger');
+const errors = require('../errors');
+
+module.exports = function impersonate(request, response, next) {
+    const admin = request.currentUser;
+    const userId = request.body.userId;
+    const reason = request.body.reason;
+
+    if (!userId || !reason) {
+        return next(errors.create('impersonation-fields-required'));
+    }
+
+    let user;
+
+    return User
+        .findOne({
+            _id: userId,
+            archived: false
+        })
+        .then(found => {
+            if (!found) {
+                return Promise.reject(errors.create('user-not-found'));
+            }
+
+            /**
+             * Staff and admin users can't be impersonated, their sessions
+             * would reach privileged endpoints
+             */
+            if (found.roleId) {
+                return Promise.reject(errors.create('impersonation-not-allowed'));
+            }
+
+            user = found;
+
+            return issue.impersonate(user, admin, request);
+        })
+        .then(issued => {
+            return new Impersonation({
+                adminId: admin._id,
+                userId: user._id,
+                sessionId: issued.session._id,
+                reason: reason,
+                agent: request.headers['user-agent'],
+                ip: request.ip,
+                expire: issued.session.expire
+            })
+            .save()
+            .then(() => issued)
+            .catch(error => {
+                /**
+                 * No session without audit trail
+                 */
+                return issued.session
+                    .remove()
+                    .then(() => Promise.reject(error));
+            });
+        })
+        .then(issued => {
+            logger.info({
+                audit: 'impersonation',
+                adminId: admin._id,
+                userId: user._id,
+                sessionId: issued.session._id
+            }, 'Impersonated session issued');
+
+            response.json({
+                data: {
+                    impersonated: true,
+                    expire: issued.session.expire,
+                    token: issued.token,
+                    firstName: user.firstName,
+                    id: user._id,
+                    email: user.email,
+                    verified: user.verified,
+                    isAdmin: false
+                }
+            });
+        })
+        .catch(next);
+};
@@ -0,0 +1,65 @@
+/**
+ * Impersonation Model
+ * Audit trail of admin users impersonating other users
+ * Manage
+ *     attributes
+ *     every request made with the impersonated session
+ */
+'use strict';
+
+const mongoose = require('mongoose');
+const timestamps = require('mongoose-timestamp');
+
+let schema = new mongoose.Schema({
+    adminId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true
+    },
+
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true
+    },
+
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true
+    },
+
+    /**
+     * Why the admin user needs to impersonate, e.g. a support ticket
+     */
+    reason: {
+        type: String,
+        required: true
+    },
+
+    agent: {
+        type: String
+    },
+
+    ip: {
+        type: String
+    },
+
+    expire: {
+        type: Date,
+        required: true
+    },
+
+    requests: [{
+        _id: false,
+        method: String,
+        path: String,
+        date: Date
+    }]
+}, {
+    versionKey: false
+});
+
+schema.plugin(timestamps);
+
+module.exports = mongoose.model('Impersonation', schema);
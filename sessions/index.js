@@ -1,19 +1,50 @@
 /**
  * Manage Sessions
  *  create
+ *  refresh
+ *  verify two factor login challenges
+ *  impersonate users (admin only, read-only sessions)
+ *  list and revoke sessions per user (one per device)
  */
 'use strict';
 
 const router = require('express').Router();
 const create = require('./create');
 const remove = require('./remove');
+const refresh = require('./refresh');
+const verify = require('./verify');
+const list = require('./list');
+const revoke = require('./revoke');
+const revokeAll = require('./revokeAll');
+const impersonate = require('./impersonate');
 const verifyToken = require('../lib/verifyJwt');
+const authenticate = require('../lib/authenticate');
+const currentUser = require('../lib/currentUser');
+const isAdmin = require('../lib/isAdmin');
+const adminOrOwner = require('../users/adminOrOwner');
+const validate = require('../lib/validate');
+const schemas = require('./schemas');
 
 const PATH = '/sessions';
 const SINGLE = '/sessions/:id';
+const REFRESH = '/sessions/refresh';
+const VERIFY = '/sessions/verify';
+const IMPERSONATE = '/sessions/impersonate';
+const USER_SESSIONS = '/users/:id/sessions';
+const USER_SESSION = '/users/:id/sessions/:sessionId';
+
+const defaultMiddlewares = [verifyToken, authenticate, currentUser];
 
 router
     .delete(SINGLE, verifyToken, remove)
-    .post(PATH, create);
+    .post(REFRESH, validate(schemas.refresh), refresh)
+    .post(VERIFY, validate(schemas.verify), verify)
+    .post(IMPERSONATE, defaultMiddlewares, isAdmin, validate(schemas.impersonate), impersonate)
+    .post(PATH, validate(schemas.create), create)
+    .get(USER_SESSIONS, defaultMiddlewares, validate(schemas.list), adminOrOwner([isAdmin, list], [list]))
+    .delete(USER_SESSIONS, defaultMiddlewares, validate(schemas.revokeAll),
+        adminOrOwner([isAdmin, revokeAll], [revokeAll]))
+    .delete(USER_SESSION, defaultMiddlewares, validate(schemas.revoke),
+        adminOrOwner([isAdmin, revoke], [revoke]));
 
 module.exports = router;
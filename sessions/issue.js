@@ -0,0 +1,104 @@
+/**
+ * Create and rotate sessions
+ *
+ * A session holds two tokens:
+ *     token: short lived, signed as a json web token and sent on every request
+ *     refreshToken: long lived, used once on POST /sessions/refresh to get a
+ *     new pair of tokens
+ *
+ * Only the digest of the refresh token is stored, the plain value is returned
+ * to the client once.
+ *
+ * Impersonated sessions hold only a short lived access token.
+ */
+'use strict';
+
+const Session = require('./session');
+const token = require('../helpers/token');
+const expire = require('../helpers/expire');
+const hashToken = require('../helpers/hashToken');
+const jwt = require('../helpers/jwt');
+
+const EXPIRE = process.env.EXPIRE_HOURS;
+const REFRESH_EXPIRE = process.env.REFRESH_EXPIRE_HOURS || 720;
+const IMPERSONATION_EXPIRE = (process.env.IMPERSONATION_EXPIRE_MINUTES || 15) / 60;
+const JWT_SECRET = process.env.JWT_SECRET;
+
+/**
+ * Set new tokens to the session, save it and sign the access token
+ * Resolves to {session, token, refreshToken} where `token` is the json web
+ * token and `refreshToken` the plain refresh token
+ */
+function rotate(session) {
+    const refreshToken = token();
+
+    session.token = token();
+    session.expire = expire(EXPIRE);
+    session.refreshToken = hashToken(refreshToken);
+    session.refreshExpire = expire(REFRESH_EXPIRE);
+    session.lastUsed = new Date();
+
+    return session
+        .save()
+        .then(saved => {
+            return jwt({
+                token: saved.token
+            }, JWT_SECRET)
+            .then(signed => {
+                return {
+                    session: saved,
+                    token: signed,
+                    refreshToken: refreshToken
+                };
+            });
+        });
+}
+
+/**
+ * Create a new session for `user` from the current request device
+ */
+function create(user, request, verified) {
+    let session = new Session({
+        userId: user._id,
+        agent: request.headers['user-agent'],
+        verified: verified
+    });
+
+    return rotate(session);
+}
+
+/**
+ * Create a read-only session for `user` on behalf of `admin`
+ * Resolves to {session, token}
+ */
+function impersonate(user, admin, request) {
+    let session = new Session({
+        userId: user._id,
+        agent: request.headers['user-agent'],
+        token: token(),
+        expire: expire(IMPERSONATION_EXPIRE),
+        lastUsed: new Date(),
+        impersonated: true,
+        impersonatorId: admin._id
+    });
+
+    return session
+        .save()
+        .then(saved => {
+            return jwt({
+                token: saved.token
+            }, JWT_SECRET)
+            .then(signed => {
+                return {
+                    session: saved,
+                    token: signed
+                };
+            });
+        });
+}
+
+module.exports = {
+    create: create,
+    rotate: rotate,
+    impersonate: impersonate
+};
@@ -0,0 +1,37 @@
+/**
+ * Create a pending login challenge for users with two factor authentication
+ * enabled. No session is created until the challenge is completed on
+ * POST /sessions/verify
+ *
+ * Only the digest of the challenge token is stored, the plain value is
+ * returned to the client once.
+ */
+'use strict';
+
+const Challenge = require('./challenge');
+const token = require('../helpers/token');
+const expire = require('../helpers/expire');
+const hashToken = require('../helpers/hashToken');
+
+const CHALLENGE_EXPIRE = 5 / 60; // 5 minutes, in hours
+
+module.exports = (user, request) => {
+    const plain = token();
+
+    let challenge = new Challenge({
+        userId: user._id,
+        token: hashToken(plain),
+        agent: request.headers['user-agent'],
+        expire: expire(CHALLENGE_EXPIRE)
+    });
+
+    return challenge
+        .save()
+        .then(saved => {
+            return {
+                twoFactorRequired: true,
+                challenge: plain,
+                expire: saved.expire
+            };
+        });
+};
@@ -0,0 +1,67 @@
+/**
+ * Middleware to list active sessions of an user, one per device
+ * Flag the session used on the current request as `current`, and sessions
+ * issued to admin users as `impersonated`
+ */
+'use strict';
+
+const Session = require('./session');
+
+const select = {
+    _id: 1,
+    agent: 1,
+    token: 1,
+    expire: 1,
+    refreshExpire: 1,
+    lastUsed: 1,
+    impersonated: 1,
+    createdAt: 1
+};
+
+const sort = {
+    lastUsed: -1
+};
+
+module.exports = function list(request, response, next) {
+    const now = new Date();
+    const current = request.session || {};
+
+    const query = {
+        userId: request.params.id,
+        $or: [{
+            expire: {
+                $gt: now
+            }
+        }, {
+            refreshExpire: {
+                $gt: now
+            }
+        }]
+    };
+
+    return Session
+        .find(query, select)
+        .sort(sort)
+        .then(sessions => {
+            let data = sessions.map(session => {
+                return {
+                    _id: session._id,
+                    agent: session.agent,
+                    createdAt: session.createdAt,
+                    lastUsed: session.lastUsed,
+                    expire: session.expire,
+                    refreshExpire: session.refreshExpire,
+                    impersonated: session.impersonated,
+                    current: session.token === current.token
+                };
+            });
+
+            return response.json({
+                data: data,
+                meta: {
+                    count: data.length
+                }
+            });
+        })
+        .catch(next);
+};
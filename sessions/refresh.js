@@ -0,0 +1,104 @@
+/**
+ * Middleware to rotate session tokens using a refresh token
+ *
+ * Find session with provided refresh token (digest)
+ * If no session found, check if the refresh token was already rotated, which
+ * means it was stolen or replayed, then revoke that session
+ * Validate user agent and refresh token expiration
+ * Rotate tokens and return the new pair
+ *
+ * Only the last MAX_USED rotated digests are kept to detect reuse, a session
+ * refreshed for a long time would grow forever otherwise
+ */
+'use strict';
+
+const Session = require('./session');
+const issue = require('./issue');
+const hashToken = require('../helpers/hashToken');
+const validSession = require('../helpers/validSession');
+const logger = require('../logger');
+const errors = require('../errors');
+
+const MAX_USED = 50;
+
+function invalid(code) {
+    return Promise.reject(errors.create(code || 'invalid-refresh-token'));
+}
+
+/**
+ * A refresh token can be used only once. If we get an already used one, revoke
+ * the session it belongs to, so neither the legitimate client nor the attacker
+ * can keep using it
+ */
+function detectReuse(digest) {
+    const query = {
+        usedRefreshTokens: digest
+    };
+
+    return Session
+        .findOne(query)
+        .then(session => {
+            if (!session) {
+                return invalid();
+            }
+
+            logger.warn({
+                sessionId: session._id,
+                userId: session.userId
+            }, 'Refresh token reuse detected, session revoked');
+
+            return Session
+                .remove({
+                    _id: session._id
+                })
+                .then(() => invalid('refresh-token-reused'));
+        });
+}
+
+module.exports = function refresh(request, response, next) {
+    const refreshToken = request.body.refreshToken;
+
+    if (!refreshToken) {
+        return next(errors.create('refresh-token-required'));
+    }
+
+    const digest = hashToken(refreshToken);
+
+    return Session
+        .findOne({
+            refreshToken: digest
+        })
+        .then(session => {
+            if (!session) {
+                return detectReuse(digest);
+            }
+
+            if (session.agent !== request.headers['user-agent']) {
+                return invalid();
+            }
+
+            if (!validSession(session.refreshExpire)) {
+                return Session
+                    .remove({
+                        _id: session._id
+                    })
+                    .then(() => invalid('refresh-token-expired'));
+            }
+
+            session.usedRefreshTokens = session.usedRefreshTokens
+                .concat(digest)
+                .slice(-MAX_USED);
+
+            return issue.rotate(session);
+        })
+        .then(issued => response.json({
+            data: {
+                id: issued.session.userId,
+                expire: issued.session.expire,
+                token: issued.token,
+                refreshToken: issued.refreshToken,
+                refreshExpire: issued.session.refreshExpire
+            }
+        }))
+        .catch(next);
+};
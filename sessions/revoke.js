@@ -0,0 +1,31 @@
+/**
+ * Middleware to revoke a single session of an user
+ * Used to log out a lost or unknown device
+ */
+'use strict';
+
+const Session = require('./session');
+const errors = require('../errors');
+
+const defaultResponse = {
+    data: {}
+};
+
+module.exports = function revoke(request, response, next) {
+    const query = {
+        _id: request.params.sessionId,
+        userId: request.params.id
+    };
+
+    return Session
+        .findOne(query)
+        .then(session => {
+            if (!session) {
+                return Promise.reject(errors.create('session-not-found'));
+            }
+
+            return Session.remove(query);
+        })
+        .then(() => response.json(defaultResponse))
+        .catch(next);
+};
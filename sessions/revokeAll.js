@@ -0,0 +1,29 @@
+/**
+ * Middleware to revoke every session of an user
+ * Use `?keepCurrent=true` to keep the session used on the current request,
+ * like "log out from all other devices"
+ */
+'use strict';
+
+const Session = require('./session');
+
+const defaultResponse = {
+    data: {}
+};
+
+module.exports = function revokeAll(request, response, next) {
+    let query = {
+        userId: request.params.id
+    };
+
+    if (request.query.keepCurrent && request.session) {
+        query._id = {
+            $ne: request.session._id
+        };
+    }
+
+    return Session
+        .remove(query)
+        .then(() => response.json(defaultResponse))
+        .catch(next);
+};
@@ -0,0 +1,69 @@
+/**
+ * Request schemas for sessions endpoints, see ../validation
+ */
+'use strict';
+
+const fields = require('../validation/fields');
+
+const required = {
+    type: 'string',
+    required: true
+};
+
+module.exports = {
+    create: {
+        body: {
+            email: required,
+            password: required
+        }
+    },
+
+    refresh: {
+        body: {
+            refreshToken: required
+        }
+    },
+
+    verify: {
+        body: {
+            challenge: required,
+            code: required
+        }
+    },
+
+    impersonate: {
+        body: {
+            userId: fields.id,
+            reason: {
+                type: 'string',
+                required: true,
+                description: 'Why, e.g. a support ticket, stored on the audit trail'
+            }
+        }
+    },
+
+    list: {
+        params: {
+            id: fields.id
+        }
+    },
+
+    revokeAll: {
+        params: {
+            id: fields.id
+        },
+        query: {
+            keepCurrent: {
+                type: 'boolean',
+                description: 'Keep the session used on the request'
+            }
+        }
+    },
+
+    revoke: {
+        params: {
+            id: fields.id,
+            sessionId: fields.id
+        }
+    }
+};
@@ -3,15 +3,19 @@
  * Manage
  *     attributes
  *     store tokens based on user agent
+ *     refresh tokens (stored as sha256 digests) used to rotate access tokens
+ *     impersonated sessions, issued to admin users to see what an user sees
  */
 'use strict';
 
 const mongoose = require('mongoose');
+const timestamps = require('mongoose-timestamp');
 
 let schema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
-        required: true
+        required: true,
+        index: true
     },
 
     token: {
@@ -32,9 +36,51 @@ let schema = new mongoose.Schema({
     verified: {
         type: Boolean,
         default: false
+    },
+
+    /**
+     * Digest of the current refresh token, never the plain value
+     */
+    refreshToken: {
+        type: String,
+        index: true
+    },
+
+    refreshExpire: {
+        type: Date
+    },
+
+    /**
+     * Digests of refresh tokens already rotated. If one of them is used again,
+     * someone else holds a copy of it and the whole session is revoked
+     */
+    usedRefreshTokens: {
+        type: [String],
+        index: true
+    },
+
+    lastUsed: {
+        type: Date
+    },
+
+    /**
+     * Read-only session issued with POST /sessions/impersonate, `userId` is
+     * the impersonated user and `impersonatorId` the admin user. It has no
+     * refresh token
+     */
+    impersonated: {
+        type: Boolean,
+        default: false
+    },
+
+    impersonatorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        index: true
     }
 }, {
     versionKey: false
 });
 
+schema.plugin(timestamps);
+
 module.exports = mongoose.model('Session', schema);
@@ -0,0 +1,55 @@
+/**
+ * Build login response from a newly issued session
+ * Resolves to the data sent to the client on POST /sessions and
+ * POST /sessions/verify
+ */
+'use strict';
+
+const Role = require('../roles/role');
+const admin = require('../helpers/admin');
+const twoFactorRequired = require('../helpers/twoFactorRequired');
+
+module.exports = (user, issued) => {
+    let data = {
+        expire: issued.session.expire,
+        token: issued.token,
+        refreshToken: issued.refreshToken,
+        refreshExpire: issued.session.refreshExpire,
+        firstName: user.firstName,
+        id: user._id,
+        email: user.email,
+        verified: user.verified
+    };
+
+    /**
+     * Check if there's a role associated to user which request a session,
+     * either a promise or an empty object, which is used to validate if
+     * current role is admin
+     */
+    let role = user.roleId ? Role.findOne({_id: user.roleId}) : {};
+
+    return Promise
+        .resolve(role)
+        .then(role => {
+            role = role || {};
+
+            data.isAdmin = admin(role);
+
+            /**
+             * Let client apps know the user must enroll to two factor
+             * authentication before using privileged endpoints
+             */
+            if (twoFactorRequired(role) && !user.twoFactor.enabled) {
+                data.twoFactorEnrollRequired = true;
+            }
+
+            /**
+             * NPO staff users work only with their own organization
+             */
+            if (user.npoId) {
+                data.npoId = user.npoId;
+            }
+
+            return data;
+        });
+};
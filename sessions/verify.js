@@ -0,0 +1,106 @@
+/**
+ * Middleware to complete a login challenge with a two factor code
+ *
+ * Find challenge with provided token (digest), from the same device
+ * Validate code, either from authenticator app or a recovery code
+ * Create the session and return the same response as POST /sessions
+ *
+ * Invalid codes count as failed login attempts, see ../attempts
+ */
+'use strict';
+
+const Challenge = require('./challenge');
+const issue = require('./issue');
+const sessionData = require('./sessionData');
+const User = require('../users/user');
+const hashToken = require('../helpers/hashToken');
+const validSession = require('../helpers/validSession');
+const verifyTwoFactor = require('../users/verifyTwoFactor');
+const tracker = require('../attempts/tracker');
+const errors = require('../errors');
+
+const MAX_ATTEMPTS = 5;
+
+function invalid(code) {
+    return Promise.reject(errors.create(code || 'invalid-challenge'));
+}
+
+module.exports = function verify(request, response, next) {
+    const challenge = request.body.challenge;
+    const code = request.body.code;
+
+    if (!challenge || !code) {
+        return next(errors.create('challenge-required'));
+    }
+
+    let found;
+    let keys;
+
+    return Challenge
+        .findOne({
+            token: hashToken(challenge),
+            agent: request.headers['user-agent']
+        })
+        .then(pending => {
+            if (!pending) {
+                return invalid();
+            }
+
+            found = pending;
+
+            if (!validSession(pending.expire) || pending.attempts >= MAX_ATTEMPTS) {
+                return Challenge
+                    .remove({
+                        _id: pending._id
+                    })
+                    .then(() => invalid('challenge-expired'));
+            }
+
+            return User.findOne({
+                _id: pending.userId
+            });
+        })
+        .then(user => {
+            if (!user) {
+                return invalid();
+            }
+
+            request.accountUser = user;
+            keys = tracker.keys('login', user.email, request);
+
+            return tracker
+                .guard(keys, response)
+                .then(() => verifyTwoFactor(user, code));
+        })
+        .then(isValid => {
+            if (!isValid) {
+                found.attempts += 1;
+
+                return Promise
+                    .all([found.save(), tracker.fail(keys, request)])
+                    .then(() => {
+                        return Promise.reject(errors.create('invalid-code'));
+                    });
+            }
+
+            return Promise.all([
+                Challenge.remove({
+                    _id: found._id
+                }),
+                tracker.succeed(keys)
+            ]);
+        })
+        .then(() => {
+            const user = request.accountUser;
+
+            return issue
+                .create(user, request, user.verified)
+                .then(issued => sessionData(user, issued));
+        })
+        .then(data => {
+            response.json({
+                data: data
+            });
+        })
+        .catch(next);
+};
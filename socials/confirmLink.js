@@ -0,0 +1,113 @@
+/**
+ * Middleware to link a pending social identity once the user proves ownership
+ * of the account, with the account password or the code sent by email
+ *
+ * 1.  Find active LinkRequest and its user
+ * 2.  Validate password or code. Invalid attempts are tracked, the request is
+ *     removed after too many
+ * 3.  Create Social, recording if the provider verified the email
+ * 4.  Log in, same response as POST /socials
+ */
+'use strict';
+
+const Social = require('./social');
+const User = require('../users/user');
+const comparePassword = require('../helpers/comparePassword');
+const hashToken = require('../helpers/hashToken');
+const tracker = require('../attempts/tracker');
+const findLinkRequest = require('./findLinkRequest');
+const login = require('./login');
+const errors = require('../errors');
+
+const MAX_ATTEMPTS = 5;
+
+function invalidCredentials() {
+    return errors.create('invalid-credentials');
+}
+
+module.exports = function confirmLink(request, response, next) {
+    const password = request.body.password;
+    const code = request.body.code;
+
+    if (!password && !code) {
+        return next(errors.create('social-link-code-required'));
+    }
+
+    let linkRequest;
+    let user;
+    let keys;
+
+    return findLinkRequest(request.body.link)
+        .then(found => {
+            linkRequest = found;
+
+            return User.findOne({
+                _id: linkRequest.userId
+            });
+        })
+        .then(found => {
+            if (!found) {
+                return Promise.reject(invalidCredentials());
+            }
+
+            user = found;
+            keys = tracker.keys('social-link', user.email, request);
+
+            return tracker.guard(keys, response);
+        })
+        .then(() => {
+            if (password) {
+                return comparePassword(password, user.password);
+            }
+
+            return !!linkRequest.code && hashToken(String(code).trim()) === linkRequest.code;
+        })
+        .then(isValid => {
+            if (!isValid) {
+                linkRequest.attempts += 1;
+
+                let saved = linkRequest.attempts >= MAX_ATTEMPTS ?
+                    linkRequest.remove() :
+                    linkRequest.save();
+
+                return Promise
+                    .all([saved, tracker.fail(keys, request)])
+                    .then(() => Promise.reject(invalidCredentials()));
+            }
+
+            return Social.findOne(Social.providerQuery(linkRequest.provider, {
+                providerId: linkRequest.providerId
+            }));
+        })
+        .then(social => {
+            /**
+             * Linked from another request meanwhile
+             */
+            if (social && String(social.userId) !== String(user._id)) {
+                return Promise.reject(errors.create('social-already-linked'));
+            }
+
+            let data = {
+                userId: user._id,
+                provider: linkRequest.provider,
+                providerId: linkRequest.providerId,
+                email: linkRequest.email,
+                emailVerified: linkRequest.emailVerified,
+                token: linkRequest.socialToken,
+                profile: linkRequest.profile
+            };
+
+            return Promise.all([
+                social || new Social(data).save(),
+                linkRequest.remove(),
+                tracker.succeed(keys)
+            ]);
+        })
+        .then(() => login(user, request))
+        .then(data => {
+            response.json({
+                data: data
+            });
+        })
+        .catch(next);
+};
@@ -1,11 +1,14 @@
 /**
  * Middleware to create socials based on request body object provided
  *
- * 1.  Validate token against facebook API
+ * 1.  Validate token against provider (facebook by default), see ./providers
  * 2.  If provided token is invalid, return error, otherwise, find Social with
- *     provided providerId and email
- * 3.  If social found, create session and return , otherwise, create social,
- *     user and move to next step
+ *     provider and providerId from the token
+ * 3.  If social found, create session and return, otherwise:
+ *     -   If an user already has the email, return a link required response.
+ *         The social is linked once the user proves ownership of the account
+ *         on POST /socials/link
+ *     -   Otherwise create social and user, move to next step
  * 4.  Create session and return
  */
 'use strict';
@@ -20,60 +23,37 @@ const Randexp = require('randexp');
 
 const Social = require('./social');
 const User = require('../users/user');
-const Session = require('../sessions/session');
-const uniqueToken = require('../helpers/token');
-const expire = require('../helpers/expire');
-const JWT_SECRET = process.env.JWT_SECRET;
-const jwt = require('../helpers/jwt');
+const providers = require('./providers');
+const requestLink = require('./requestLink');
+const login = require('./login');
+const errors = require('../errors');
 
-/**
- * In the future, we will validate `request.body.provider` and use proper
- * helper to validate token provided. For now only using facebook
- * @see  https://goo.gl/k0zzqu
- */
-const validateFacebook = require('./validateFacebook');
-
-const EXPIRE = process.env.EXPIRE_HOURS;
 const REGEX = process.env.EMAIL_REGEX || /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 module.exports = function create(request, response, next) {
+    const provider = request.body.provider || 'facebook';
     let token = request.body.token;
-    let email = request.body.email;
-    let providerId = request.body.providerId;
+    let identity;
 
-    if (!token && !providerId && !email) {
-        let error = new Error();
-        error.status = 422;
-        error.message = 'Required fields missing: email, token, providerId';
-
-        return next(error);
+    if (!token) {
+        return next(errors.create('social-token-required'));
     }
 
-    /**
-     * TODO:
-     * Once new provider is added to social login options, validate
-     * `request.body.provider` and use proper helper instead of hardcoded
-     * `validateFacebook`
-     */
-    return validateFacebook(token)
-        .then(valid => {
+    return providers
+        .verify(request.body)
+        .then(verified => {
+            identity = verified;
 
-            /**
-             * If validate token returns false, let's reject this request
-             */
-            if (!valid) {
-                let error = Error();
-                error.message = 'invalid token';
-                error.status = 422;
-
-                return Promise.reject(error);
+            if (!identity.email) {
+                return Promise.reject(errors.create('social-email-required'));
             }
 
-            let socialQuery = {
-                providerId: providerId,
-                email: email
+            let socialQuery = Social.providerQuery(provider, {
+                providerId: identity.providerId
+            });
+            let userQuery = {
+                email: identity.email
             };
-            let userQuery = {email};
 
             /**
              * If provided token is valid, let's find Social record associated
@@ -87,74 +67,82 @@ module.exports = function create(request, response, next) {
             let social = results[0];
             let user = results[1];
 
-            if (!social) {
+            if (social) {
                 /**
-                 * If no social found, means we need to create a Social record
-                 * and a User.
-                 * To create an user we use provided email and a random password
+                 * If social information found, find user associated to it.
+                 * User is needed in order to create a session
                  */
-                let userData = {
-                    email: email,
-                    password: new Randexp(REGEX).gen()
-                };
-                let userPromise = user ? Promise.resolve(user) : new User(userData).save();
-
-                /**
-                 * First we need an user, then create a Social record, but,
-                 * return user since we need user information to create a
-                 * session
-                 */
-                return userPromise.then(user => {
-                    request.body.userId = user._id;
-                    return new Social(request.body).save()
-                        .then(() => user);
-                });
+                return User
+                    .findOne({
+                        _id: social.userId
+                    })
+                    .then(user => {
+
+                        /**
+                         * It's possible to get here without an user?
+                         * Maybe we delete user and not social information.
+                         * Validate before return session
+                         */
+                        if (!user) {
+                            return Promise.reject(errors.create('social-user-not-found'));
+                        }
+
+                        return login(user, request);
+                    });
             }
 
             /**
-             * If social information found, means we can find user by email.
-             * User is needed in order to create a session
+             * Never attach a social to an existing user without proof of
+             * ownership of the account
              */
-            let query = {
-                email: email
-            };
-
-            return User.findOne(query);
-        })
-        .then((user) => {
+            if (user) {
+                return requestLink(user, provider, identity, token);
+            }
 
             /**
-             * It's possible to get here without an user?
-             * Maybe we delete user and not social information.
-             * Validate before return session
+             * No social and no user, create both.
+             * To create an user we use provided email and a random password
              */
-            if (!user) {
-                let error = Error();
-                error.status = 422;
-                error.message = 'Cant process request';
-
-                return Promise.reject(error);
-            }
-
-            let session = {
-                token: uniqueToken(),
-                expire: expire(EXPIRE),
-                userId: user._id,
-                agent: request.headers['user-agent'],
-                verified: true
+            let userData = {
+                email: identity.email,
+                password: new Randexp(REGEX).gen(),
+                passwordSet: false
             };
 
-            return new Session(session).save()
-                .then(session => {
-                    return jwt({
-                        token: session.token
-                    }, JWT_SECRET)
-                    .then(token => {
-                        session.token = token;
-                        return session;
-                    });
+            return new User(userData)
+                .save()
+                .then(user => {
+                    /**
+                     * Email verified by the provider, no need to verify it
+                     * again
+                     */
+                    if (!identity.emailVerified) {
+                        return user;
+                    }
+
+                    user.verificationToken = undefined;
+
+                    return user.save();
+                })
+                .then(user => {
+                    let socialData = {
+                        userId: user._id,
+                        provider: provider,
+                        providerId: identity.providerId,
+                        email: identity.email,
+                        emailVerified: identity.emailVerified,
+                        token: token,
+                        profile: identity.profile
+                    };
+
+                    return new Social(socialData).save()
+                        .then(() => login(user, request));
                 });
         })
-        .then(data => response.json(data))
+        .then(data => {
+            response.json({
+                data: data
+            });
+        })
         .catch(next);
 };
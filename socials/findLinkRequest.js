@@ -0,0 +1,38 @@
+/**
+ * Find an active LinkRequest from the plain link token sent by the client
+ * Expired requests are removed. Rejects with 401 if not found or expired
+ */
+'use strict';
+
+const LinkRequest = require('./linkRequest');
+const hashToken = require('../helpers/hashToken');
+const clock = require('../helpers/clock');
+const errors = require('../errors');
+
+function invalid() {
+    return Promise.reject(errors.create('invalid-link-request'));
+}
+
+module.exports = link => {
+    if (!link) {
+        return Promise.reject(errors.create('social-link-required'));
+    }
+
+    return LinkRequest
+        .findOne({
+            token: hashToken(link)
+        })
+        .then(linkRequest => {
+            if (!linkRequest) {
+                return invalid();
+            }
+
+            if (linkRequest.expire.getTime() <= clock.now().getTime()) {
+                return linkRequest
+                    .remove()
+                    .then(invalid);
+            }
+
+            return linkRequest;
+        });
+};
@@ -1,15 +1,44 @@
 /**
  * Manage socials
- *  create
+ *  create (social login)
+ *  confirm link of social identities to existing users
+ *  link and unlink social identities to an user account
  */
 'use strict';
 
 const router = require('express').Router();
 const create = require('./create');
+const link = require('./link');
+const linkCode = require('./linkCode');
+const confirmLink = require('./confirmLink');
+const unlink = require('./unlink');
+const verifyToken = require('../lib/verifyJwt');
+const authenticate = require('../lib/authenticate');
+const currentUser = require('../lib/currentUser');
+const onlyOwner = require('../users/onlyOwner');
+const validate = require('../lib/validate');
+const schemas = require('./schemas');
+const transform = require('../versions/transform');
 
 const PATH = '/socials';
+const LINK = '/socials/link';
+const LINK_CODE = '/socials/link/code';
+const USER_SOCIALS = '/users/:id/socials';
+
+const ownerMiddlewares = [verifyToken, authenticate, currentUser, onlyOwner];
+
+/**
+ * v1 sends sessions without `data`, as shipped mobile apps expect
+ */
+const v1Session = transform({
+    v1: body => body.data
+});
 
 router
-    .post(PATH, create);
+    .post(PATH, v1Session, validate(schemas.create), create)
+    .post(LINK, v1Session, validate(schemas.confirmLink), confirmLink)
+    .post(LINK_CODE, validate(schemas.linkCode), linkCode)
+    .post(USER_SOCIALS, ownerMiddlewares, validate(schemas.link), link)
+    .delete(USER_SOCIALS, ownerMiddlewares, validate(schemas.unlink), unlink);
 
 module.exports = router;
@@ -0,0 +1,76 @@
+/**
+ * Cache JSON Web Key Sets (JWKS) published by identity providers, used to
+ * verify their ID tokens without an HTTP request on every login
+ *
+ * Keys are cached in memory for the `max-age` sent by the provider (one hour by
+ * default). Unknown key ids refresh the cache, at most once per minute, since
+ * providers rotate their keys.
+ */
+'use strict';
+
+const httpRequest = require('request');
+const jwkToPem = require('../helpers/jwkToPem');
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+function maxAge(headers) {
+    const match = /max-age=(\d+)/.exec((headers || {})['cache-control'] || '');
+
+    return match ? +match[1] * 1000 : HOUR;
+}
+
+/**
+ * Return a function to get the PEM public key for a key id (`kid`) from `url`
+ */
+module.exports = url => {
+    let cache = {
+        keys: {},
+        expire: 0,
+        fetched: 0
+    };
+
+    function fetch() {
+        return new Promise((resolve, reject) => {
+            httpRequest({
+                url: url,
+                json: true
+            }, (error, response) => {
+                if (error || response.statusCode !== 200 || !response.body.keys) {
+                    return reject(error || new Error(`Cant fetch keys from ${url}`));
+                }
+
+                let keys = {};
+
+                response.body.keys
+                    .filter(key => key.kty === 'RSA')
+                    .map(key => {
+                        keys[key.kid] = jwkToPem(key);
+                    });
+
+                cache = {
+                    keys: keys,
+                    expire: Date.now() + maxAge(response.headers),
+                    fetched: Date.now()
+                };
+
+                resolve(cache.keys);
+            });
+        });
+    }
+
+    return function key(kid) {
+        const now = Date.now();
+        const stale = cache.expire <= now;
+        const unknown = !cache.keys[kid] && cache.fetched + MINUTE <= now;
+        const keys = stale || unknown ? fetch() : Promise.resolve(cache.keys);
+
+        return keys.then(keys => {
+            if (!keys[kid]) {
+                return Promise.reject(new Error('Unknown key id'));
+            }
+
+            return keys[kid];
+        });
+    };
+};
@@ -0,0 +1,76 @@
+/**
+ * Middleware to link a social identity to the current user account
+ *
+ * 1.  Validate token against provider, see ./providers
+ * 2.  Reject if the identity already belongs to another user, or current user
+ *     already linked another identity from the same provider
+ * 3.  Create Social and return it
+ */
+'use strict';
+
+const Social = require('./social');
+const providers = require('./providers');
+const serialize = require('./serialize');
+const errors = require('../errors');
+
+function conflict(code) {
+    return Promise.reject(errors.create(code));
+}
+
+module.exports = function link(request, response, next) {
+    const user = request.currentUser;
+    const provider = request.body.provider;
+
+    if (!provider || !request.body.token) {
+        return next(errors.create('social-provider-token-required'));
+    }
+
+    let identity;
+
+    return providers
+        .verify(request.body)
+        .then(verified => {
+            identity = verified;
+
+            return Promise.all([
+                Social.findOne(Social.providerQuery(provider, {
+                    providerId: identity.providerId
+                })),
+                Social.findOne(Social.providerQuery(provider, {
+                    userId: user._id
+                }))
+            ]);
+        })
+        .then(results => {
+            let social = results[0];
+            let current = results[1];
+
+            if (social && String(social.userId) !== String(user._id)) {
+                return conflict('social-already-linked');
+            }
+
+            if (social) {
+                return social;
+            }
+
+            if (current) {
+                return conflict('provider-already-linked');
+            }
+
+            return new Social({
+                userId: user._id,
+                provider: provider,
+                providerId: identity.providerId,
+                email: identity.email || user.email,
+                emailVerified: !!identity.emailVerified,
+                token: request.body.token,
+                profile: identity.profile
+            }).save();
+        })
+        .then(social => {
+            response.json({
+                data: serialize(social)
+            });
+        })
+        .catch(next);
+};
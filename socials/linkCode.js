@@ -0,0 +1,82 @@
+/**
+ * Middleware to email a code to prove ownership of an account, used to link a
+ * social identity when the user doesn't know the password (e.g. account
+ * created from another social login)
+ *
+ * Find active LinkRequest, then
+ * store digest of a new code, then
+ * send email with code
+ */
+'use strict';
+
+const User = require('../users/user');
+const email = require('../email/mandrill');
+const logger = require('../logger');
+const code = require('../helpers/verificationCode');
+const hashToken = require('../helpers/hashToken');
+const tracker = require('../attempts/tracker');
+const findLinkRequest = require('./findLinkRequest');
+const errors = require('../errors');
+
+const TEMPLATE = process.env.MANDRILL_SOCIAL_LINK_EMAIL_TEMPLATE;
+const SUBJECT = 'Elm Account Link Code';
+
+module.exports = function linkCode(request, response, next) {
+    let linkRequest;
+    let user;
+    let plain = String(code(100000, 999999));
+
+    return findLinkRequest(request.body.link)
+        .then(found => {
+            linkRequest = found;
+
+            return User.findOne({
+                _id: linkRequest.userId
+            });
+        })
+        .then(found => {
+            if (!found) {
+                return Promise.reject(errors.create('user-not-found'));
+            }
+
+            user = found;
+
+            return tracker.guard(tracker.keys('social-link', user.email, request), response);
+        })
+        .then(() => {
+            /**
+             * Attempts are not reset, requesting a new code doesn't give more
+             * chances to guess it
+             */
+            linkRequest.code = hashToken(plain);
+
+            return linkRequest.save();
+        })
+        .then(() => {
+            let to = [{
+                email: user.email
+            }];
+
+            let options = [{
+                name: 'code',
+                content: plain
+            }, {
+                name: 'provider',
+                content: linkRequest.provider
+            }];
+
+            return email.send(TEMPLATE, to, SUBJECT, options);
+        })
+        .then(sent => {
+            sent = sent[0] || {};
+
+            logger.info(`Social link code for ${sent.email} status: ${sent.status}, mandrillId: ${sent._id}`);
+
+            response.json({
+                data: {
+                    email: 'sent'
+                }
+            });
+        })
+        .catch(next);
+};
@@ -0,0 +1,86 @@
+/**
+ * LinkRequest Model
+ * Pending social identity waiting to be linked to an existing user, created
+ * when a social login email belongs to an user. The social is attached only
+ * after the user proves ownership of the account, see ./confirmLink.js
+ * Manage
+ *     attributes
+ *     digests of the link token and the emailed code, never plain values
+ */
+'use strict';
+
+const mongoose = require('mongoose');
+const timestamps = require('mongoose-timestamp');
+const providers = require('./providers').names;
+
+let schema = new mongoose.Schema({
+    token: {
+        type: String,
+        required: true,
+        index: true
+    },
+
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+
+    provider: {
+        type: String,
+        required: true,
+        enum: providers
+    },
+
+    providerId: {
+        type: String,
+        required: true
+    },
+
+    email: {
+        type: String,
+        required: true
+    },
+
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+
+    /**
+     * Authentication token from social provider, stored on Social once linked
+     */
+    socialToken: {
+        type: String,
+        required: true
+    },
+
+    profile: {
+        type: Object
+    },
+
+    /**
+     * Digest of the code emailed to the user, if requested
+     */
+    code: {
+        type: String
+    },
+
+    /**
+     * Invalid passwords or codes sent for this request
+     */
+    attempts: {
+        type: Number,
+        default: 0
+    },
+
+    expire: {
+        type: Date,
+        required: true
+    }
+}, {
+    versionKey: false
+});
+
+schema.plugin(timestamps);
+
+module.exports = mongoose.model('LinkRequest', schema);
@@ -0,0 +1,35 @@
+/**
+ * Log in an user from a social identity
+ *
+ * Users with two factor authentication enabled get a challenge, to be
+ * completed on POST /sessions/verify, as on password logins. Otherwise create
+ * a session, keeping the same response shape used before refresh tokens, do
+ * not send refresh token digests to the client
+ */
+'use strict';
+
+const issue = require('../sessions/issue');
+const issueChallenge = require('../sessions/issueChallenge');
+
+module.exports = (user, request) => {
+    if (user.twoFactor.enabled) {
+        return issueChallenge(user, request);
+    }
+
+    return issue
+        .create(user, request, true)
+        .then(issued => {
+            let session = issued.session;
+
+            return {
+                _id: session._id,
+                userId: session.userId,
+                agent: session.agent,
+                verified: session.verified,
+                expire: session.expire,
+                token: issued.token,
+                refreshToken: issued.refreshToken,
+                refreshExpire: session.refreshExpire
+            };
+        });
+};
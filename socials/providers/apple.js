@@ -0,0 +1,41 @@
+/**
+ * Apple provider
+ * Verify Sign in with Apple identity tokens with Apple public keys
+ * @see https://developer.apple.com/documentation/sign_in_with_apple/sign_in_with_apple_rest_api/verifying_a_user
+ *
+ * Apple sends user name to the client app only on first sign in, not on the
+ * token, so profile is taken from request body
+ */
+/* jshint camelcase: false */
+'use strict';
+
+const jwks = require('../jwks');
+const verifyIdToken = require('../verifyIdToken');
+const errors = require('../../errors');
+
+const KEYS_URL = 'https://appleid.apple.com/auth/keys';
+const ISSUER = 'https://appleid.apple.com';
+const CLIENT_IDS = (process.env.APPLE_CLIENT_IDS || '').split(',').filter(id => !!id);
+
+const key = jwks(KEYS_URL);
+
+module.exports = {
+    verify: body => {
+        if (!CLIENT_IDS.length) {
+            return Promise.reject(errors.create('provider-not-configured'));
+        }
+
+        return verifyIdToken(body.token, key, {
+                issuer: ISSUER,
+                audience: CLIENT_IDS
+            })
+            .then(payload => {
+                return {
+                    providerId: payload.sub,
+                    email: payload.email,
+                    emailVerified: payload.email_verified === true || payload.email_verified === 'true',
+                    profile: body.profile || {}
+                };
+            });
+    }
+};
@@ -0,0 +1,68 @@
+/**
+ * Facebook provider
+ * Validate access token provided from social authentication from client app
+ * against Facebook Graph API
+ *
+ * Facebook does not tell if the email was verified, so it is never trusted as
+ * verified
+ */
+/* jshint camelcase: false */
+'use strict';
+
+const https = require('https');
+const errors = require('../../errors');
+const url = 'https://graph.facebook.com/me?fields=id,email,first_name,last_name&access_token=';
+
+function invalid(code) {
+    return errors.create(code || 'invalid-social-token');
+}
+
+function me(token) {
+    return new Promise((resolve, reject) => {
+        https.get(`${url}${encodeURIComponent(token)}`, response => {
+            let string = '';
+
+            response.on('data', chunk => {
+                string += chunk;
+            });
+
+            response.on('error', reject);
+
+            response.on('end', () => {
+                try {
+                    resolve(JSON.parse(string));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        }).on('error', reject);
+    });
+}
+
+module.exports = {
+    verify: body => {
+        if (!body.token) {
+            return Promise.reject(invalid('social-token-required'));
+        }
+
+        return me(body.token)
+            .then(found => {
+                /**
+                 * Token must belong to the Facebook user sent by the client
+                 */
+                if (!found.id || (body.providerId && String(body.providerId) !== found.id)) {
+                    return Promise.reject(invalid());
+                }
+
+                return {
+                    providerId: found.id,
+                    email: found.email || body.email,
+                    emailVerified: false,
+                    profile: body.profile || {
+                        firstName: found.first_name,
+                        lastName: found.last_name
+                    }
+                };
+            });
+    }
+};
@@ -0,0 +1,42 @@
+/**
+ * Google provider
+ * Verify Google Sign-In ID tokens with Google public keys
+ * @see https://developers.google.com/identity/sign-in/web/backend-auth
+ */
+/* jshint camelcase: false */
+'use strict';
+
+const jwks = require('../jwks');
+const verifyIdToken = require('../verifyIdToken');
+const errors = require('../../errors');
+
+const KEYS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const CLIENT_IDS = (process.env.GOOGLE_CLIENT_IDS || '').split(',').filter(id => !!id);
+
+const key = jwks(KEYS_URL);
+
+module.exports = {
+    verify: body => {
+        if (!CLIENT_IDS.length) {
+            return Promise.reject(errors.create('provider-not-configured'));
+        }
+
+        return verifyIdToken(body.token, key, {
+                issuer: ISSUERS,
+                audience: CLIENT_IDS
+            })
+            .then(payload => {
+                return {
+                    providerId: payload.sub,
+                    email: payload.email,
+                    emailVerified: payload.email_verified === true || payload.email_verified === 'true',
+                    profile: {
+                        firstName: payload.given_name,
+                        lastName: payload.family_name,
+                        picture: payload.picture
+                    }
+                };
+            });
+    }
+};
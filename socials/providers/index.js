@@ -0,0 +1,43 @@
+/**
+ * Social providers registry
+ *
+ * Every provider implements `verify(body)`, which validates the token sent by
+ * the client app and resolves to the identity:
+ *     {providerId, email, emailVerified, profile}
+ *
+ * To add a new provider, create a module implementing `verify` and add it to
+ * `providers`, its name will be accepted as `provider` by Social model.
+ */
+'use strict';
+
+const errors = require('../../errors');
+
+const providers = {
+    facebook: require('./facebook'),
+    google: require('./google'),
+    apple: require('./apple')
+};
+
+function get(name) {
+    return Object.prototype.hasOwnProperty.call(providers, name) ? providers[name] : undefined;
+}
+
+function unsupported() {
+    return Promise.reject(errors.create('unsupported-provider'));
+}
+
+module.exports = {
+    names: Object.keys(providers),
+
+    get: get,
+
+    /**
+     * Verify `body.token` with provider `body.provider`. Facebook by default,
+     * the only provider available before the registry was added
+     */
+    verify: body => {
+        const provider = get(body.provider || 'facebook');
+
+        return provider ? provider.verify(body) : unsupported();
+    }
+};
@@ -0,0 +1,49 @@
+/**
+ * Create a LinkRequest for a social identity whose email belongs to an
+ * existing user, instead of attaching it right away. Otherwise anybody able to
+ * set any email on a social account could take over the user account.
+ *
+ * Resolves to the response sent to the client, the plain link token is
+ * returned only once
+ */
+'use strict';
+
+const LinkRequest = require('./linkRequest');
+const token = require('../helpers/token');
+const hashToken = require('../helpers/hashToken');
+const clock = require('../helpers/clock');
+
+const MINUTE = 60 * 1000;
+const EXPIRE = 30 * MINUTE;
+
+module.exports = (user, provider, identity, socialToken) => {
+    const plain = token();
+
+    let data = {
+        token: hashToken(plain),
+        userId: user._id,
+        provider: provider,
+        providerId: identity.providerId,
+        email: identity.email,
+        emailVerified: identity.emailVerified,
+        socialToken: socialToken,
+        profile: identity.profile,
+        expire: new Date(clock.now().getTime() + EXPIRE)
+    };
+
+    return LinkRequest
+        .remove({
+            userId: user._id,
+            provider: provider
+        })
+        .then(() => new LinkRequest(data).save())
+        .then(saved => {
+            return {
+                linkRequired: true,
+                link: plain,
+                email: user.email,
+                provider: provider,
+                expire: saved.expire
+            };
+        });
+};
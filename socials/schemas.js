@@ -0,0 +1,79 @@
+/**
+ * Request schemas for socials endpoints, see ../validation
+ */
+'use strict';
+
+const fields = require('../validation/fields');
+const providers = require('./providers');
+
+const provider = {
+    type: 'string',
+    enum: providers.names,
+    description: 'facebook by default'
+};
+
+/**
+ * Identity sent by client apps, verified with the provider
+ */
+const identity = {
+    provider: provider,
+    token: {
+        type: 'string',
+        required: true,
+        description: 'Access token (facebook) or identity token'
+    },
+    providerId: 'string',
+    email: {
+        type: 'string',
+        format: 'email'
+    },
+    profile: {
+        type: 'object',
+        description: 'Name and picture, when the provider token does not include them'
+    }
+};
+
+const link = {
+    type: 'string',
+    required: true,
+    description: 'Token of the pending link request'
+};
+
+module.exports = {
+    create: {
+        body: identity
+    },
+
+    confirmLink: {
+        body: {
+            link: link,
+            password: 'string',
+            code: 'string'
+        }
+    },
+
+    linkCode: {
+        body: {
+            link: link
+        }
+    },
+
+    link: {
+        params: {
+            id: fields.id
+        },
+        body: identity
+    },
+
+    unlink: {
+        params: {
+            id: fields.id
+        },
+        query: {
+            provider: provider
+        },
+        body: {
+            provider: provider
+        }
+    }
+};
@@ -0,0 +1,17 @@
+/**
+ * Social information sent to clients, never provider tokens
+ */
+'use strict';
+
+module.exports = social => {
+    return {
+        _id: social._id,
+        userId: social.userId,
+        provider: social.provider || 'facebook',
+        providerId: social.providerId,
+        email: social.email,
+        emailVerified: social.emailVerified,
+        profile: social.profile,
+        createdAt: social.createdAt
+    };
+};
@@ -7,7 +7,7 @@
 
 const mongoose = require('mongoose');
 const timestamps = require('mongoose-timestamp');
-const providers = ['facebook'];
+const providers = require('./providers').names;
 
 let schema = new mongoose.Schema({
     /**
@@ -15,11 +15,13 @@ let schema = new mongoose.Schema({
      */
     userId: {
         type: mongoose.Schema.Types.ObjectId,
-        required: true
+        required: true,
+        index: true
     },
 
     /**
-     * String represntation for our defined providers, for now: facebook\
+     * String represntation for our defined providers, see ./providers
+     * Socials created before providers registry have no provider: facebook
      */
     provider: {
         type: String,
@@ -28,11 +30,12 @@ let schema = new mongoose.Schema({
     },
 
     /**
-     * Id provided from provider, for now, facebookId
+     * Id provided from provider, e.g. facebookId or Google/Apple `sub`
      */
     providerId: {
         type: String,
-        required: true
+        required: true,
+        index: true
     },
 
     /**
@@ -44,6 +47,15 @@ let schema = new mongoose.Schema({
         required: true
     },
 
+    /**
+     * Provider verified the email belongs to the social account. Facebook
+     * emails are never considered verified
+     */
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+
     /**
      * Authentication token from social provider
      */
@@ -63,4 +75,15 @@ let schema = new mongoose.Schema({
 });
 
 schema.plugin(timestamps);
+
+/**
+ * Query to find socials from `provider`, including socials created before
+ * providers registry (facebook, without provider)
+ */
+schema.statics.providerQuery = (provider, query) => {
+    query = Object.assign({}, query);
+    query.provider = provider === 'facebook' ? {$in: ['facebook', null]} : provider;
+
+    return query;
+};
 module.exports = mongoose.model('Social', schema);
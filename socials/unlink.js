@@ -0,0 +1,48 @@
+/**
+ * Middleware to unlink a social identity from the current user account
+ * Provider is sent as query param, e.g. DELETE /users/:id/socials?provider=google
+ *
+ * Users created from a social login have a random password, they can set one
+ * with the recovery password flow before unlinking their last social. The last
+ * social can't be unlinked until the user is known to have set a password
+ */
+'use strict';
+
+const Social = require('./social');
+const errors = require('../errors');
+
+const defaultResponse = {
+    data: {}
+};
+
+module.exports = function unlink(request, response, next) {
+    const provider = request.query.provider || request.body.provider;
+
+    if (!provider) {
+        return next(errors.create('social-provider-required'));
+    }
+
+    const user = request.currentUser;
+    const query = Social.providerQuery(provider, {
+        userId: user._id
+    });
+
+    return Social
+        .findOne(query)
+        .then(social => {
+            if (!social) {
+                return Promise.reject(errors.create('social-not-found'));
+            }
+
+            return Social.count({userId: user._id});
+        })
+        .then(socials => {
+            if (socials < 2 && user.passwordSet !== true) {
+                return Promise.reject(errors.create('last-login-method'));
+            }
+
+            return Social.remove(query);
+        })
+        .then(() => response.json(defaultResponse))
+        .catch(next);
+};
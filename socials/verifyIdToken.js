@@ -0,0 +1,52 @@
+/**
+ * Verify an ID token (json web token signed with RS256) from an identity
+ * provider
+ *
+ * `key` resolves the public key for the token key id, see ./jwks.js
+ * `options` must include `issuer` and `audience` (our client ids)
+ *
+ * Resolves to token payload, rejects with 422 for any invalid token
+ */
+'use strict';
+
+const jwt = require('jsonwebtoken');
+const errors = require('../errors');
+
+function invalid() {
+    return errors.create('invalid-social-token');
+}
+
+function decode(token) {
+    try {
+        return jwt.decode(token, {complete: true});
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = (token, key, options) => {
+    const decoded = token ? decode(token) : null;
+
+    if (!decoded || !decoded.header || !decoded.header.kid) {
+        return Promise.reject(invalid());
+    }
+
+    const verifyOptions = {
+        algorithms: ['RS256'],
+        issuer: options.issuer,
+        audience: options.audience
+    };
+
+    return key(decoded.header.kid)
+        .then(pem => {
+            return new Promise((resolve, reject) => {
+                jwt.verify(token, pem, verifyOptions, (error, payload) => {
+                    /**
+                     * Expiration is optional for json web tokens, not for ID
+                     * tokens
+                     */
+                    return error || !payload.exp ? reject(invalid()) : resolve(payload);
+                });
+            });
+        }, () => Promise.reject(invalid()));
+};
@@ -71,14 +71,14 @@ tape('Verified Address Balance', test => {
         return verifiedAddressBalance(unexistingAddress)
             .then(() => test.fail('did not fail on address not found'))
             .catch(error => {
-                test.equal(error.message, 'address-not-found', 'fails on address not found');
+                test.equal(error.code, 'address-not-found', 'fails on address not found');
             });
     })
     .then(() => {
         return verifiedAddressBalance(existingAddressWithNoTransactions)
             .then(() => test.fail('did not fail on latest transaction not found'))
             .catch(error => {
-                test.equal(error.message, 'latest-transaction-not-found', 'fails on latest transaction not found');
+                test.equal(error.code, 'latest-transaction-not-found', 'fails on latest transaction not found');
             });
     })
     .then(() => {
@@ -93,7 +93,7 @@ tape('Verified Address Balance', test => {
             })
             .then(() => test.fail('did not fail on latest transaction mismatch'))
             .catch(error => {
-                test.equal(error.message, 'latest-transaction-mismatch', 'fails on latest transaction mismatch');
+                test.equal(error.code, 'latest-transaction-mismatch', 'fails on latest transaction mismatch');
                 latestTransaction.hash.value = formerHash;
                 return latestTransaction.save();
             });
@@ -107,7 +107,7 @@ tape('Verified Address Balance', test => {
             })
             .then(() => test.fail('did not fail on derived address mismatch'))
             .catch(error => {
-                test.equal(error.message, 'derived-address-mismatch', 'fails on derived address mismatch');
+                test.equal(error.code, 'derived-address-mismatch', 'fails on derived address mismatch');
                 address.keys.public = formerPublicKey;
                 return address.save();
             });
@@ -124,7 +124,7 @@ tape('Verified Address Balance', test => {
             })
             .then(() => test.fail('did not fail on invalid transaction signature'))
             .catch(error => {
-                test.equal(error.message, 'invalid-transaction-signature', 'fails on invalid transaction signature');
+                test.equal(error.code, 'invalid-transaction-signature', 'fails on invalid transaction signature');
                 latestTransaction.signatures = formerSignature;
                 return latestTransaction.save();
             });
@@ -141,7 +141,7 @@ tape('Verified Address Balance', test => {
             })
             .then(() => test.fail('did not fail on invalid signature format'))
             .catch(error => {
-                test.equal(error.message, 'invalid-transaction-signature', 'fails on invalid signature format');
+                test.equal(error.code, 'invalid-transaction-signature', 'fails on invalid signature format');
                 latestTransaction.signatures = formerSignature;
                 return latestTransaction.save();
             });
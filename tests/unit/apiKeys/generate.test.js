@@ -0,0 +1,16 @@
+'use strict';
+
+const generate = require('../../../apiKeys/generate');
+const hashToken = require('../../../helpers/hashToken');
+const tape = require('tape');
+
+tape('Generate API key', test => {
+    test.plan(4);
+
+    let generated = generate();
+
+    test.equal(generated.key.indexOf('elm_'), 0, 'prefixed key');
+    test.equal(generated.digest, hashToken(generated.key), 'store digest');
+    test.equal(generated.key.indexOf(generated.prefix), 0, 'prefix from key');
+    test.notEqual(generate().key, generated.key, 'random keys');
+});
@@ -0,0 +1,18 @@
+'use strict';
+
+const requirePermission = require('../../../lib/requirePermission');
+const tape = require('tape');
+
+tape('API key limited to its scopes', test => {
+    test.plan(2);
+
+    let request = {
+        currentUser: {roleId: '56e1b1c2235d3773226cf344'},
+        apiKey: {scopes: ['charges:read']}
+    };
+
+    requirePermission('transactions:read')(request, {}, error => {
+        test.equal(error.status, 403, 'forbidden');
+        test.equal(error.message, 'API key scope required', 'scope message');
+    });
+});
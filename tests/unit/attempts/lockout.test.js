@@ -0,0 +1,23 @@
+'use strict';
+
+const tape = require('tape');
+const lockout = require('../../../attempts/lockout');
+
+const MINUTE = 60 * 1000;
+const START = new Date('2016-05-01T00:00:00Z');
+
+tape('Lockout rules', test => {
+    test.plan(7);
+
+    const attempt = {
+        lockedUntil: lockout.until(1, START)
+    };
+
+    test.equal(lockout.locked(attempt, START), true, 'locked');
+    test.equal(lockout.retryAfter(attempt, START), 60, 'retry after first lockout duration');
+    test.equal(lockout.locked(attempt, new Date(START.getTime() + MINUTE)), false, 'unlocked after first lockout');
+    test.equal(lockout.duration(2), 2 * MINUTE, 'second lockout is twice as long');
+    test.equal(lockout.duration(100), 24 * 60 * MINUTE, 'lockout up to one day');
+    test.equal(lockout.max('account'), lockout.MAX.account, 'max failures per account');
+    test.ok(lockout.max('ip') > lockout.max('account'), 'allow more failures per IP address');
+});
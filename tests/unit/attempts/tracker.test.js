@@ -0,0 +1,214 @@
+'use strict';
+
+const tape = require('tape');
+const sinon = require('sinon');
+const tracker = require('../../../attempts/tracker');
+const lockout = require('../../../attempts/lockout');
+const Attempt = require('../../../attempts/attempt');
+const AuditEvent = require('../../../audits/auditEvent');
+const User = require('../../../users/user');
+const clock = require('../../../helpers/clock');
+
+const MINUTE = 60 * 1000;
+const START = new Date('2016-05-01T00:00:00Z').getTime();
+
+/**
+ * In memory attempts, supporting the atomic updates of the tracker
+ */
+function fakeAttempts() {
+    let attempts = {};
+
+    function matches(attempt, query) {
+        return Object.keys(query).every(field => {
+            const condition = query[field];
+
+            if (condition && condition.$lt) {
+                return attempt[field] < condition.$lt;
+            }
+
+            if (condition && condition.$gte !== undefined) {
+                return attempt[field] >= condition.$gte;
+            }
+
+            return attempt[field] === condition;
+        });
+    }
+
+    function apply(attempt, update) {
+        Object.assign(attempt, update.$set);
+        Object.keys(update.$inc || {}).forEach(field => {
+            attempt[field] = (attempt[field] || 0) + update.$inc[field];
+        });
+    }
+
+    sinon.stub(Attempt, 'update', (query, update) => {
+        const attempt = attempts[query.key];
+
+        if (attempt && matches(attempt, query)) {
+            apply(attempt, update);
+        }
+
+        return Promise.resolve();
+    });
+
+    sinon.stub(Attempt, 'findOneAndUpdate', (query, update, options) => {
+        let attempt = attempts[query.key];
+
+        if (attempt && !matches(attempt, query)) {
+            return Promise.resolve(null);
+        }
+
+        if (!attempt && options.upsert) {
+            attempt = attempts[query.key] = Object.assign({key: query.key, failures: 0, lockouts: 0}, update.$setOnInsert);
+        }
+
+        if (!attempt) {
+            return Promise.resolve(null);
+        }
+
+        apply(attempt, update);
+
+        return Promise.resolve(Object.assign({}, attempt));
+    });
+
+    return attempts;
+}
+
+function stubAudit(userId) {
+    let events = [];
+
+    sinon.stub(User, 'findOne').returns(Promise.resolve(userId ? {_id: userId} : null));
+
+    /* Documents save through hooks calling back the model `save` */
+    sinon.stub(AuditEvent.prototype, 'save', function (callback) {
+        events.push(this);
+        callback(null, this);
+    });
+
+    return events;
+}
+
+function restore() {
+    Attempt.update.restore();
+    Attempt.findOneAndUpdate.restore();
+    User.findOne.restore();
+    AuditEvent.prototype.save.restore();
+}
+
+tape('Lockouts are audit events of the user', test => {
+    test.plan(4);
+
+    const request = {ip: '10.0.0.1', headers: {}};
+    const keys = tracker.keys('login', ' Someone@Example.com', request);
+    const userId = 'a'.repeat(24);
+    let attempts = fakeAttempts();
+    let events = stubAudit(userId);
+
+    attempts[keys[0].key] = {
+        key: keys[0].key,
+        action: 'login',
+        scope: 'account',
+        failures: lockout.MAX.account - 1,
+        lockouts: 0,
+        lastFailure: new Date()
+    };
+
+    tracker.fail(keys, request)
+        .then(() => {
+            test.equal(events.length, 1, 'only the account is locked');
+            test.equal(events[0].action, 'lockout', 'lockout action');
+            test.equal(events[0].resourceId, userId, 'user as resource');
+            test.deepEqual(User.findOne.firstCall.args[0], {email: 'someone@example.com'}, 'user of the account');
+        })
+        .catch(error => test.fail(error))
+        .then(restore);
+});
+
+tape('Parallel failures are all counted and lock once', test => {
+    test.plan(3);
+
+    const request = {ip: '10.0.0.2', headers: {}};
+    const keys = tracker.keys('login', 'parallel@example.com', request);
+    let attempts = fakeAttempts();
+    let failures = [];
+
+    stubAudit();
+
+    for (let index = 0; index < lockout.MAX.account + 1; index += 1) {
+        failures.push(tracker.fail(keys, request));
+    }
+
+    Promise.all(failures)
+        .then(() => {
+            const account = attempts[keys[0].key];
+
+            test.equal(account.lockouts, 1, 'locked once');
+            test.equal(account.failures, 0, 'count restarts after lockout');
+            test.equal(attempts[keys[1].key].failures, lockout.MAX.account + 1, 'every IP address failure counted');
+        })
+        .catch(error => test.fail(error))
+        .then(restore);
+});
+
+tape('Lockout with fake clock', test => {
+    test.plan(8);
+
+    let now = START;
+    const request = {ip: '10.0.0.3', headers: {}};
+    const keys = tracker.keys('login', 'clock@example.com', request);
+    let attempts = fakeAttempts();
+    stubAudit();
+
+    clock.use(() => new Date(now));
+
+    const account = () => attempts[keys[0].key];
+    const retryAfter = () => lockout.retryAfter(account(), clock.now());
+
+    function failMany(times) {
+        return tracker.fail(keys, request)
+            .then(() => times > 1 ? failMany(times - 1) : lockout.locked(account(), clock.now()));
+    }
+
+    failMany(lockout.MAX.account - 1)
+        .then(locked => {
+            test.equal(locked, false, 'not locked before max failures');
+            return failMany(1);
+        })
+        .then(locked => {
+            test.equal(locked, true, 'locked on max failures');
+            test.equal(retryAfter(), 60, 'retry after first lockout duration');
+
+            now += MINUTE;
+            test.equal(lockout.locked(account(), clock.now()), false, 'unlocked after first lockout');
+
+            return failMany(lockout.MAX.account);
+        })
+        .then(() => {
+            test.equal(retryAfter(), 120, 'second lockout is twice as long');
+
+            now += 2 * MINUTE;
+            return failMany(lockout.MAX.account);
+        })
+        .then(() => {
+            test.equal(retryAfter(), 240, 'third lockout is twice as long');
+
+            now += 4 * MINUTE + 16 * MINUTE;
+            return failMany(lockout.MAX.account - 1);
+        })
+        .then(() => {
+            now += 16 * MINUTE;
+            return failMany(1);
+        })
+        .then(locked => {
+            test.equal(locked, false, 'old failures are forgotten');
+
+            now += 25 * 60 * MINUTE;
+            return failMany(lockout.MAX.account);
+        })
+        .then(() => test.equal(retryAfter(), 60, 'lockouts are forgotten after a day'))
+        .catch(error => test.fail(error))
+        .then(() => {
+            clock.reset();
+            restore();
+        });
+});
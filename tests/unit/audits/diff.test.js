@@ -0,0 +1,34 @@
+'use strict';
+
+const diff = require('../../../audits/diff');
+const tape = require('tape');
+
+tape('Audit diff', test => {
+    test.plan(5);
+
+    let before = {
+        monthlyLimit: 50,
+        bankId: '56e1b1c2235d3773226cf344',
+        address: {city: 'Austin'},
+        password: 'hash1',
+        updatedAt: new Date('2016-05-01T00:00:00Z')
+    };
+    let after = {
+        monthlyLimit: 75,
+        bankId: '56e1b1c2235d3773226cf344',
+        address: {city: 'Dallas', zip: '75201'},
+        password: 'hash2',
+        updatedAt: new Date('2016-05-02T00:00:00Z')
+    };
+    let changes = diff(before, after);
+    let byPath = {};
+
+    changes.forEach(change => byPath[change.path] = change);
+
+    test.deepEqual(byPath.monthlyLimit, {path: 'monthlyLimit', before: 50, after: 75}, 'changed field');
+    test.deepEqual(byPath['address.zip'], {path: 'address.zip', before: null, after: '75201'}, 'added nested field');
+    test.deepEqual(byPath.password, {path: 'password', before: '[REDACTED]', after: '[REDACTED]'}, 'redact secrets');
+    test.deepEqual(Object.keys(byPath).sort(), ['address.city', 'address.zip', 'monthlyLimit', 'password'],
+        'ignore unchanged fields and timestamps');
+    test.deepEqual(diff(null, {name: 'Elm'}), [{path: 'name', before: null, after: 'Elm'}], 'new document');
+});
@@ -0,0 +1,24 @@
+'use strict';
+
+const auditQuery = require('../../../audits/query');
+const tape = require('tape');
+
+tape('Audit query filters', test => {
+    test.plan(6);
+
+    let query = auditQuery({
+        actorId: '56e1b1c2235d3773226cf344',
+        resource: 'Pledge',
+        field: 'monthlyLimit',
+        from: '2016-05-01',
+        to: '2016-05-31',
+        unknown: 'foo'
+    });
+
+    test.deepEqual(Object.keys(query).sort(), ['actorId', 'changes.path', 'createdAt', 'resource'], 'known filters');
+    test.equal(query.createdAt.$gte.toISOString(), '2016-05-01T00:00:00.000Z', 'from date');
+    test.equal(query.createdAt.$lte.toISOString(), '2016-05-31T00:00:00.000Z', 'to date');
+    test.equal(auditQuery({actorId: 'foo'}).status, 422, 'invalid actor id');
+    test.equal(auditQuery({from: 'foo'}).code, 'invalid-audit-filter', 'invalid date');
+    test.deepEqual(auditQuery({from: 'foo'}).details, {from: 'Invalid from date'}, 'invalid parameter');
+});
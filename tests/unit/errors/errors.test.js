@@ -0,0 +1,70 @@
+'use strict';
+
+const errors = require('../../../errors');
+const es = require('../../../errors/locales/es.json');
+const tape = require('tape');
+
+tape('Error factory', test => {
+    test.plan(7);
+
+    const error = errors.create('pledge-not-found');
+
+    test.ok(error instanceof Error, 'is an error');
+    test.equal(error.name, 'ApiError', 'name');
+    test.equal(error.code, 'pledge-not-found', 'code');
+    test.equal(error.status, 404, 'status from catalogue');
+    test.ok(errors.is(error, 'pledge-not-found'), 'matches its code');
+    test.deepEqual(errors.create('validation-failed', {email: 'required'}).details, {email: 'required'},
+        'details');
+    test.throws(() => errors.create('not-a-code'), /Unknown error code/, 'unknown codes throw');
+});
+
+tape('Error catalogue', test => {
+    const codes = Object.keys(errors.catalogue);
+
+    test.plan(codes.length * 2);
+
+    codes.forEach(code => {
+        const entry = errors.catalogue[code];
+
+        test.ok(entry.status >= 400 && entry.status < 600 && entry.message, `${code} has status and message`);
+        test.ok(es[code], `${code} translated to spanish`);
+    });
+});
+
+tape('Normalize errors', test => {
+    test.plan(8);
+
+    let manual = new Error();
+    manual.status = 422;
+    manual.message = 'userId and reason are required';
+
+    let internal = new Error('connection refused to 10.0.0.1');
+    let cast = new Error('Cast to ObjectId failed');
+    cast.name = 'CastError';
+    let jwt = new Error('jwt malformed');
+    jwt.name = 'JsonWebTokenError';
+
+    const normalized = errors.normalize(manual);
+
+    test.equal(normalized.code, 'unprocessable-entity', 'generic code for manual errors');
+    test.equal(normalized.message, 'userId and reason are required', 'manual message kept');
+    test.equal(errors.normalize(internal).code, 'internal-error', 'internal error code');
+    test.equal(errors.normalize(internal).status, 500, 'internal error status');
+    test.notEqual(errors.normalize(internal).message, internal.message, 'internal message hidden');
+    test.equal(errors.normalize(cast).code, 'invalid-id', 'cast errors');
+    test.equal(errors.normalize(jwt).status, 401, 'json web token errors');
+    test.equal(errors.normalize(undefined).code, 'internal-error', 'empty error');
+});
+
+tape('Localize messages', test => {
+    test.plan(4);
+
+    const message = errors.catalogue['user-not-found'].message;
+
+    test.equal(errors.localize('user-not-found', message, ['es']), es['user-not-found'], 'spanish');
+    test.equal(errors.localize('user-not-found', message, 'es-MX'), es['user-not-found'], 'regional language');
+    test.equal(errors.localize('user-not-found', message, false), message, 'english by default');
+    test.equal(errors.localize('unprocessable-entity', 'userId and reason are required', ['es']),
+        'userId and reason are required', 'custom messages are kept');
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const errors = require('../../../errors');
+const sendError = require('../../../lib/sendError');
+const tape = require('tape');
+
+function fakeRequest(languages, version) {
+    return {
+        apiVersion: version || 'v2',
+        acceptsLanguages: () => languages
+    };
+}
+
+function fakeResponse() {
+    return {
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+tape('Send error envelope', test => {
+    test.plan(5);
+
+    const response = fakeResponse();
+
+    sendError()(errors.create('pledge-not-found'), fakeRequest(false), response);
+
+    test.equal(response.statusCode, 404, 'status');
+    test.deepEqual(response.body, {
+        status: 404,
+        code: 'pledge-not-found',
+        message: errors.catalogue['pledge-not-found'].message
+    }, 'envelope');
+
+    const validation = fakeResponse();
+
+    sendError()(errors.create('validation-failed', {email: 'required'}), fakeRequest('es'), validation);
+
+    test.deepEqual(validation.body.details, {email: 'required'}, 'details');
+    test.notEqual(validation.body.message, errors.catalogue['validation-failed'].message, 'localized');
+
+    const internal = fakeResponse();
+
+    sendError()(new Error('secret internals'), fakeRequest(false), internal);
+
+    test.deepEqual(Object.keys(internal.body).sort(), ['code', 'message', 'status'], 'no internals leaked');
+});
+
+tape('Send v1 errors as before the catalogue', test => {
+    test.plan(5);
+
+    const expired = fakeResponse();
+
+    sendError()(errors.create('session-expired'), fakeRequest(false, 'v1'), expired);
+
+    test.equal(expired.statusCode, 422, 'previous status');
+    test.deepEqual(expired.body, {status: 422, message: 'Session expired'}, 'previous envelope');
+
+    const validation = fakeResponse();
+
+    sendError()(errors.create('validation-failed', {email: 'required'}), fakeRequest('es', 'v1'), validation);
+
+    test.deepEqual(validation.body.errors, {email: 'required'}, 'validation errors by field');
+    test.equal(validation.body.message, errors.catalogue['validation-failed'].message, 'not localized');
+
+    const email = fakeResponse();
+
+    sendError()(errors.create('email-already-in-use', {available: false}), fakeRequest(false, 'v1'), email);
+
+    test.deepEqual(email.body, {
+        status: 422,
+        message: errors.catalogue['email-already-in-use'].message,
+        available: false
+    }, 'details merged on the body');
+});
+
+tape('Send error debug', test => {
+    test.plan(2);
+
+    const response = fakeResponse();
+
+    sendError('true')(new Error('secret internals'), fakeRequest(false), response);
+
+    test.equal(response.body.debug.message, 'secret internals', 'debug on development');
+    test.equal(response.statusCode, 500, 'status');
+});
@@ -0,0 +1,42 @@
+'use strict';
+
+const anonymize = require('../../../users/anonymize');
+const User = require('../../../users/user');
+const emailValidator = require('../../../helpers/emailValidator');
+const tape = require('tape');
+
+tape('Anonymize user to erase personal data', test => {
+    test.plan(12);
+
+    const now = new Date('2016-05-01T00:00:00Z');
+    let user = new User({
+        email: 'foo@bar.com',
+        password: 'Foobar123',
+        firstName: 'Foo',
+        lastName: 'Bar',
+        phone: '555-0100',
+        zip: '94105',
+        address: {street: '1 Main St'},
+        plaid: {tokens: {connect: {chase: 'access-token'}}},
+        stripe: {chase: {customer: {id: 'cus_1'}}},
+        twoFactor: {enabled: true, secret: 'SECRET'},
+        deletion: {requestedAt: now, scheduledFor: now},
+        pledges: [{npoId: '507f1f77bcf86cd799439011', active: true}]
+    });
+    const id = user._id;
+
+    anonymize(user, now);
+
+    test.notEqual(user.email.indexOf(`@${anonymize.ERASED_DOMAIN}`), -1, 'replace email');
+    test.equal(user.firstName + user.lastName + user.name, '', 'remove names');
+    test.equal(user.phone, undefined, 'remove phone');
+    test.equal(user.address, undefined, 'remove address');
+    test.deepEqual(user.plaid.tokens.connect, {}, 'remove Plaid tokens');
+    test.deepEqual(user.stripe, {}, 'remove Stripe data');
+    test.equal(user.twoFactor.secret, undefined, 'remove two factor secret');
+    test.equal(user.pledges[0].active, false, 'inactivate pledges');
+    test.equal(user.archived, true, 'set archived to true');
+    test.equal(user.erasedAt.getTime(), now.getTime(), 'set erasedAt');
+    test.equal(user._id, id, 'keep user id');
+    test.equal(emailValidator(user.email), true, 'keep a valid email');
+});
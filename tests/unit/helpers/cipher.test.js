@@ -0,0 +1,35 @@
+'use strict';
+
+const tape = require('tape');
+const cipher = require('../../../helpers/cipher');
+
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+tape('Cipher', test => {
+    test.plan(8);
+
+    const key = process.env.ENCRYPTION_KEY;
+    process.env.ENCRYPTION_KEY = 'test-key';
+
+    const encrypted = cipher.encrypt(SECRET);
+
+    test.equal(encrypted.indexOf(SECRET), -1, 'stores no plain value');
+    test.notEqual(cipher.encrypt(SECRET), encrypted, 'random iv on every call');
+    test.equal(cipher.decrypt(encrypted), SECRET, 'decrypt');
+    test.equal(cipher.reveal(encrypted), SECRET, 'reveal encrypted values');
+    test.equal(cipher.reveal(SECRET), SECRET, 'reveal plain text values');
+    test.equal(cipher.encrypted(SECRET), false, 'plain text values are not encrypted');
+
+    const parts = encrypted.split(':');
+    parts[2] = (parts[2][0] === '0' ? '1' : '0') + parts[2].slice(1);
+    test.throws(() => cipher.decrypt(parts.join(':')), 'tampered values are rejected');
+
+    process.env.ENCRYPTION_KEY = 'other-key';
+    test.throws(() => cipher.decrypt(encrypted), 'another key can not decrypt');
+
+    if (key === undefined) {
+        delete process.env.ENCRYPTION_KEY;
+    } else {
+        process.env.ENCRYPTION_KEY = key;
+    }
+});
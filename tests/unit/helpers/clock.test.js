@@ -0,0 +1,18 @@
+'use strict';
+
+const tape = require('tape');
+const clock = require('../../../helpers/clock');
+
+tape('Clock helper', test => {
+    test.plan(3);
+
+    const fake = new Date('2016-05-01T00:00:00Z');
+
+    test.equal(clock.now() instanceof Date, true, 'return a date');
+
+    clock.use(() => fake);
+    test.equal(clock.now(), fake, 'use fake clock');
+
+    clock.reset();
+    test.notEqual(clock.now(), fake, 'reset to system clock');
+});
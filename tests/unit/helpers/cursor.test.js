@@ -0,0 +1,116 @@
+'use strict';
+
+const tape = require('tape');
+const mongoose = require('mongoose');
+const cursor = require('../../../helpers/cursor');
+const cursorPaginate = require('../../../helpers/cursorPaginate');
+const TYPES = require('../../../helpers/queryFilters').TYPES;
+
+const ID = '57b4e1e6f0a4b42a3f3e3f00';
+
+tape('Cursors', test => {
+    test.plan(6);
+
+    const encoded = cursor.encode(['2016-05', 3], 'next');
+
+    test.deepEqual(cursor.decode(encoded, [TYPES.String, TYPES.Number], 'query.cursor'), {
+        values: ['2016-05', 3],
+        direction: 'next'
+    }, 'decode values and direction');
+
+    ['foo', cursor.encode(['2016-05'], 'next'), cursor.encode(['a', 'b'], 'next'),
+        cursor.encode(['a', {$gt: 1}], 'prev')].forEach(invalid => {
+        try {
+            cursor.decode(invalid, [TYPES.String, TYPES.Number], 'query.cursor');
+        } catch (error) {
+            test.deepEqual(error.details, {'query.cursor': 'invalid cursor'}, 'invalid cursor');
+        }
+    });
+
+    const page = cursor.page([{n: 1}, {n: 2}, {n: 3}], 2, null, row => [row.n]);
+
+    test.deepEqual([page.docs, page.prev, page.next], [
+        [{n: 1}, {n: 2}], null, cursor.encode([2], 'next')
+    ], 'first page');
+});
+
+let schema = new mongoose.Schema({
+    amount: Number,
+    createdAt: Date
+});
+
+let CursorModel = mongoose.model('CursorModel', schema);
+
+function stub(rows) {
+    let calls = {};
+
+    CursorModel.find = (conditions, select) => {
+        calls.conditions = conditions;
+        calls.select = select;
+
+        return {
+            sort: sort => {
+                calls.sort = sort;
+
+                return {
+                    limit: limit => {
+                        calls.limit = limit;
+
+                        return Promise.resolve(rows.map(row => new CursorModel(row)));
+                    }
+                };
+            }
+        };
+    };
+
+    return calls;
+}
+
+tape('Cursor pagination', test => {
+    test.plan(8);
+
+    const date = new Date('2016-05-01T00:00:00.000Z');
+    let calls = stub([{_id: ID, amount: 1, createdAt: date}]);
+
+    cursorPaginate(CursorModel, {amount: 1}, {
+        sort: [['createdAt', -1]],
+        limit: 1,
+        cursor: cursor.encode([date, ID], 'next'),
+        select: 'amount'
+    })
+    .then(result => {
+        test.deepEqual(calls.sort, {createdAt: -1, _id: -1}, 'stable order');
+        test.equal(calls.limit, 2, 'one more to know if there are more');
+        test.equal(calls.select, 'amount createdAt _id', 'select sort fields');
+        test.deepEqual(JSON.parse(JSON.stringify(calls.conditions)), {
+            $and: [{amount: 1}, {
+                $or: [
+                    {createdAt: {$lt: date.toISOString()}},
+                    {createdAt: date.toISOString(), _id: {$lt: ID}}
+                ]
+            }]
+        }, 'documents after cursor');
+        test.ok(result.prev && !result.next, 'last page');
+
+        calls = stub([{_id: ID, amount: 1, createdAt: date}]);
+
+        return cursorPaginate(CursorModel, {}, {
+            sort: [['createdAt', -1]],
+            limit: 1,
+            cursor: result.prev
+        });
+    })
+    .then(result => {
+        test.deepEqual(calls.sort, {createdAt: 1, _id: 1}, 'previous page in reverse order');
+        test.ok(result.next && !result.prev, 'first page');
+
+        return cursorPaginate(CursorModel, {}, {
+            sort: [['createdAt', -1]],
+            limit: 1,
+            cursor: 'foo'
+        });
+    })
+    .catch(error => {
+        test.equal(error.code, 'invalid-request', 'invalid cursor');
+    });
+});
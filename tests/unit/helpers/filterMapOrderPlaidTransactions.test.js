@@ -6,7 +6,7 @@ const roundup = require('../../../helpers/roundup');
 const filterMapOrder = require('../../../helpers/filterMapOrderPlaidTransactions');
 
 tape('filterMapOrderPlaidTransactions Tests', test => {
-    test.plan(3);
+    test.plan(4);
 
     const fakePlaidTransactions = [{
         _id: 'transaction_1',
@@ -56,6 +56,8 @@ tape('filterMapOrderPlaidTransactions Tests', test => {
     };
 
     // We mock actual round and save helper, because non zero round ups are saved on DB
+    const roundUpAndSave = rAS.roundUpAndSave;
+
     rAS.roundUpAndSave = (personData, transaction) => {
         let roundupValue = roundup(transaction.amount);
 
@@ -76,5 +78,15 @@ tape('filterMapOrderPlaidTransactions Tests', test => {
     test.equal(filteredTransactions[0].transactionId, 'transaction_4', 'Transactions should be in ascending order');
     test.equal(filteredTransactions[1].transactionId, 'transaction_2', 'Valid plaid non zero roundup transactions are needed');
 
+    personData.pauses = [{
+        from: new Date('2016-06-15T10:00:00.000Z'),
+        until: new Date('2016-06-18T00:00:00.000Z')
+    }];
+    filteredTransactions = filterMapOrder(fakePlaidTransactions, personData);
+
+    test.deepEqual(filteredTransactions.map(transaction => transaction.transactionId), ['transaction_4'],
+        'Transactions made while the pledge was paused are not rounded up');
+
+    rAS.roundUpAndSave = roundUpAndSave;
     test.end();
 });
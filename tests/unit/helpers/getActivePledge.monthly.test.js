@@ -57,7 +57,7 @@ tape('getActivePledge Tests', test => {
         getActivePledge(pledgesWithError, userId);
     }
     catch(error) {
-        test.equal(error.message, 'active-pledge-not-found', 'Should throw when there is no pledges active');
+        test.equal(error.code, 'active-pledge-not-found', 'Should throw when there is no pledges active');
     }
 
     let activePledge = getActivePledge(pledges, userId);
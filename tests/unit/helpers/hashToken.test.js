@@ -0,0 +1,12 @@
+'use strict';
+
+let tape = require('tape');
+let hashToken = require('../../../helpers/hashToken');
+
+tape('Hash Token helper', test => {
+    test.plan(3);
+
+    test.equal(hashToken('foo').length, 64, 'valid sha256 hex length');
+    test.equal(hashToken('foo'), hashToken('foo'), 'same digest for same value');
+    test.notEqual(hashToken('foo'), hashToken('bar'), 'different digest for different values');
+});
@@ -0,0 +1,12 @@
+'use strict';
+
+const tape = require('tape');
+const jwkToPem = require('../../../helpers/jwkToPem');
+const rsa = require('../fixtures/rsa');
+
+tape('JWK to PEM helper', test => {
+    test.plan(2);
+
+    test.equal(jwkToPem(rsa.jwk), rsa.publicKey, 'convert RSA key');
+    test.throws(() => jwkToPem({kty: 'EC'}), /unsupported-jwk/, 'only RSA keys');
+});
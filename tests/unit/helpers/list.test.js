@@ -0,0 +1,57 @@
+'use strict';
+
+const tape = require('tape');
+const mongoose = require('mongoose');
+const list = require('../../../lib/list');
+
+let schema = new mongoose.Schema({
+    name: String,
+    archived: Boolean
+});
+
+let ListModel = mongoose.model('ListModel', schema);
+
+tape('Generic list middleware', test => {
+    test.plan(4);
+
+    let query;
+
+    ListModel.paginate = (received) => {
+        query = received;
+
+        return Promise.resolve({
+            docs: [{name: 'foo'}],
+            total: 1
+        });
+    };
+
+    const middleware = list(ListModel, null, doc => ({name: doc.name.toUpperCase()}));
+
+    middleware({
+        query: {
+            filter: {
+                name: {eq: 'foo'},
+                archived: 'true'
+            }
+        }
+    }, {
+        json: body => {
+            test.deepEqual(query, {
+                name: {$eq: 'foo'},
+                archived: false
+            }, 'filters and base query');
+            test.deepEqual(body.data, [{name: 'FOO'}], 'serialized documents');
+            test.equal(body.meta.total, 1, 'meta');
+        }
+    });
+
+    middleware({
+        query: {
+            filter: {
+                name: {like: 'foo'}
+            }
+        }
+    }, {}, error => {
+        test.equal(error.code, 'invalid-request', 'invalid filters');
+    });
+});
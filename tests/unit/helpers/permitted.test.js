@@ -0,0 +1,37 @@
+'use strict';
+
+let tape = require('tape');
+let permitted = require('../../../helpers/permitted');
+let admin = require('../../../helpers/admin');
+let twoFactorRequired = require('../../../helpers/twoFactorRequired');
+
+tape('Permitted helper', test => {
+    test.plan(8);
+
+    test.equal(permitted(), false, 'require a role');
+    test.equal(permitted({}, 'npos:write'), false, 'false without permissions');
+    test.equal(permitted({permissions: ['posts:publish']}, 'npos:write'), false, 'false with other permissions');
+    test.equal(permitted({permissions: ['npos:write']}, 'npos:write'), true, 'true with permission');
+    test.equal(permitted({permissions: ['*']}, 'npos:write'), true, 'true with every permission');
+    test.equal(permitted({permissions: ['npos:']}, 'npos:write'), false, 'no partial matches');
+    test.equal(permitted({title: 'admin', permissions: []}, 'npos:write'), true, 'true for admin roles before permissions');
+    test.equal(permitted({title: 'support', permissions: []}, 'npos:write'), false, 'false for other roles before permissions');
+});
+
+tape('Admin helper', test => {
+    test.plan(4);
+
+    test.equal(admin({}), false, 'false without permissions');
+    test.equal(admin({title: 'admin'}), true, 'true for admin role before permissions');
+    test.equal(admin({title: 'admin', permissions: ['npos:write']}), false, 'title is not enough');
+    test.equal(admin({permissions: ['*']}), true, 'true with every permission');
+});
+
+tape('Two factor required helper', test => {
+    test.plan(4);
+
+    test.equal(twoFactorRequired({}), false, 'false by default');
+    test.equal(twoFactorRequired({permissions: ['npo:manage']}), false, 'false for regular roles');
+    test.equal(twoFactorRequired({permissions: ['users:read'], requireTwoFactor: true}), true, 'true when role requires it');
+    test.equal(twoFactorRequired({permissions: ['*']}), true, 'always true for admin');
+});
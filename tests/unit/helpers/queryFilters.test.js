@@ -60,3 +60,95 @@ tape('queryFilters helper', test => {
         }
     }, QueryFilters).amount, 9, 'proper amount filter');
 });
+
+let operatorsSchema = new mongoose.Schema({
+    name: String,
+    amount: Number,
+    active: Boolean,
+    npoId: mongoose.Schema.Types.ObjectId,
+    tags: [String],
+    password: String,
+    createdAt: Date,
+    twoFactor: {
+        enabled: Boolean
+    },
+    pledges: [new mongoose.Schema({
+        amount: Number
+    })],
+    address: 'Mixed'
+});
+
+let QueryOperators = mongoose.model('QueryOperators', operatorsSchema);
+
+function filters(filter) {
+    return queryFilters({
+        query: {
+            filter: filter
+        }
+    }, QueryOperators);
+}
+
+tape('queryFilters operators', test => {
+    test.plan(13);
+
+    test.deepEqual(filters({amount: {gte: '5', lt: '10'}}), {
+        amount: {$gte: 5, $lt: 10}
+    }, 'comparisons converted to numbers');
+
+    test.deepEqual(filters({name: {'in': 'a,b'}, amount: {nin: ['1', '2']}}), {
+        name: {$in: ['a', 'b']},
+        amount: {$nin: [1, 2]}
+    }, 'comma separated and array lists');
+
+    test.equal(filters({createdAt: {gt: '2016-01-01'}}).createdAt.$gt.getTime(),
+        new Date('2016-01-01').getTime(), 'dates');
+
+    test.equal(String(filters({npoId: {eq: '57b4e1e6f0a4b42a3f3e3f00'}}).npoId.$eq),
+        '57b4e1e6f0a4b42a3f3e3f00', 'ids');
+
+    test.deepEqual(filters({active: 'false', name: {exists: 'true'}}), {
+        active: false,
+        name: {$exists: true}
+    }, 'booleans');
+
+    test.deepEqual(filters({twoFactor: {enabled: 'true'}, 'pledges.amount': {ne: '3'}}), {
+        'twoFactor.enabled': true,
+        'pledges.amount': {$ne: 3}
+    }, 'nested and subdocuments paths');
+
+    test.deepEqual(filters({name: {contains: 'a.b('}, tags: {contains: 'x'}}), {
+        name: {$regex: 'a\\.b\\(', $options: 'i'},
+        tags: {$all: ['x']}
+    }, 'contains on strings and lists');
+
+    test.deepEqual(filters({name: '.*'}).name, /^\.\*/, 'escaped prefix');
+
+    test.deepEqual(filters({password: {eq: 'x'}, address: 'x', unknown: 'x'}), {},
+        'ignore secrets, mixed and unknown paths');
+
+    try {
+        filters({amount: {gt: 'abc', regex: '1'}, npoId: 'foo', name: {$where: '1'}});
+    } catch (error) {
+        test.equal(error.code, 'invalid-request', 'invalid filters');
+        test.deepEqual(error.details, {
+            'query.filter.amount.gt': 'must be a number',
+            'query.filter.amount.regex': 'unknown operator',
+            'query.filter.npoId': 'must be an id',
+            'query.filter.name.$where': 'unknown operator'
+        }, 'messages by field');
+    }
+
+    try {
+        filters({name: {eq: {$ne: 'x'}}});
+    } catch (error) {
+        test.deepEqual(error.details, {
+            'query.filter.name.eq': 'must be a string'
+        }, 'no nested operators on values');
+    }
+
+    try {
+        filters({amount: {contains: '1'}});
+    } catch (error) {
+        test.equal(error.status, 400, 'contains only on strings and lists');
+    }
+});
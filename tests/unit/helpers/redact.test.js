@@ -0,0 +1,35 @@
+'use strict';
+
+const tape = require('tape');
+const redact = require('../../../helpers/redact');
+
+tape('Redact helper', test => {
+    test.plan(6);
+
+    const user = {
+        email: 'foo@bar.com',
+        password: 'hash',
+        plaid: {
+            accounts: {
+                amex: {last4: '1234'}
+            },
+            tokens: {
+                connect: {amex: 'access-token'}
+            }
+        },
+        stripe: {
+            amex: {ach: true, customer: {id: 'cus_1'}}
+        },
+        sessions: [{agent: 'foo', token: 'bar'}],
+        createdAt: new Date('2016-05-01T00:00:00Z')
+    };
+
+    const actual = redact(user, ['password', 'tokens', 'customer', 'token']);
+
+    test.equal(actual.password, '[REDACTED]', 'redact top level keys');
+    test.equal(actual.plaid.tokens, '[REDACTED]', 'redact nested objects');
+    test.deepEqual(actual.plaid.accounts, user.plaid.accounts, 'keep other values');
+    test.deepEqual(actual.stripe.amex, {ach: true, customer: '[REDACTED]'}, 'redact deep keys');
+    test.deepEqual(actual.sessions, [{agent: 'foo', token: '[REDACTED]'}], 'redact arrays items');
+    test.equal(user.password, 'hash', 'do not modify original value');
+});
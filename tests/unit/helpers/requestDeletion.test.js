@@ -0,0 +1,60 @@
+'use strict';
+
+const requestDeletion = require('../../../users/requestDeletion');
+const cancelDeletion = require('../../../users/cancelDeletion');
+const clock = require('../../../helpers/clock');
+const tape = require('tape');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function fakeUser(deletion) {
+    return {
+        deletion: deletion,
+        save: function() {
+            return Promise.resolve(this);
+        }
+    };
+}
+
+tape('Request deletion schedules erasure after grace period', test => {
+    test.plan(2);
+
+    const now = new Date('2016-05-01T00:00:00Z');
+    clock.use(() => now);
+
+    let request = {currentUser: fakeUser()};
+    let response = {
+        json: body => {
+            clock.reset();
+            test.equal(body.data.requestedAt, now, 'requested now');
+            test.equal(body.data.scheduledFor.getTime(), now.getTime() + requestDeletion.GRACE_DAYS * DAY,
+                'scheduled after grace period');
+        }
+    };
+
+    requestDeletion(request, response, test.fail);
+});
+
+tape('Request deletion again keeps the schedule', test => {
+    test.plan(1);
+
+    const scheduledFor = new Date('2016-05-02T00:00:00Z');
+    let request = {currentUser: fakeUser({scheduledFor: scheduledFor})};
+    let response = {
+        json: body => test.equal(body.data.scheduledFor, scheduledFor, 'same date')
+    };
+
+    requestDeletion(request, response, test.fail);
+});
+
+tape('Cancel deletion', test => {
+    test.plan(2);
+
+    let user = fakeUser({scheduledFor: new Date()});
+    let response = {
+        json: () => test.equal(user.deletion, undefined, 'remove schedule')
+    };
+
+    cancelDeletion({currentUser: user}, response, test.fail);
+    cancelDeletion({currentUser: fakeUser()}, response, error => test.equal(error.status, 404, 'nothing to cancel'));
+});
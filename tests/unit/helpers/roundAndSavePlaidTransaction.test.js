@@ -8,7 +8,7 @@ const tape = require('tape');
 const rAS = require('../../../helpers/roundAndSavePlaidTransaction');
 
 tape('roundAndSavePlaidTransaction Test', test => {
-    test.plan(6);
+    test.plan(8);
 
     const transaction = {
         _id: 'transaction_1',
@@ -29,6 +29,10 @@ tape('roundAndSavePlaidTransaction Test', test => {
     test.equal(plaidTransaction.date, '2016-06-16T00:00:00.000Z', 'Transaction date matches on plaidTransaction');
     test.equal(plaidTransaction.name, transaction.name, 'Transaction name matches on plaidTransaction');
     test.equal(plaidTransaction.roundup, 0, 'Transaction roundup should be zero');
+    test.equal(plaidTransaction.multiplier, 1, 'Roundups are not multiplied by default');
+
+    plaidTransaction = rAS.roundUpAndSave({_id: 'user_1', multiplier: 3}, transaction);
+    test.equal(plaidTransaction.multiplier, 3, 'Pledge multiplier is recorded on plaidTransaction');
 
     test.end();
 });
\ No newline at end of file
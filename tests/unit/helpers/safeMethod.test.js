@@ -0,0 +1,11 @@
+'use strict';
+
+const safeMethod = require('../../../helpers/safeMethod');
+const tape = require('tape');
+
+tape('Safe HTTP methods', test => {
+    test.plan(6);
+
+    ['GET', 'HEAD', 'options'].map(method => test.equal(safeMethod(method), true, `${method} is safe`));
+    ['POST', 'PUT', 'DELETE'].map(method => test.equal(safeMethod(method), false, `${method} is not safe`));
+});
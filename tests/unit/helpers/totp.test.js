@@ -0,0 +1,28 @@
+'use strict';
+
+const tape = require('tape');
+const totp = require('../../../helpers/totp');
+
+/**
+ * Secret from RFC 6238 test vectors, ASCII '12345678901234567890'
+ */
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+tape('TOTP helper', test => {
+    test.plan(10);
+
+    test.equal(totp.base32Encode(new Buffer('12345678901234567890')), SECRET, 'base32 encode');
+    test.equal(totp.base32Decode(SECRET).toString(), '12345678901234567890', 'base32 decode');
+
+    test.equal(totp.hotp(SECRET, totp.counter(59 * 1000)), '287082', 'RFC 6238 time 59');
+    test.equal(totp.hotp(SECRET, totp.counter(1111111109 * 1000)), '081804', 'RFC 6238 time 1111111109');
+    test.equal(totp.hotp(SECRET, totp.counter(2000000000 * 1000)), '279037', 'RFC 6238 time 2000000000');
+
+    let time = 1111111109 * 1000;
+    test.equal(totp.verify(SECRET, '081804', time), totp.counter(time), 'valid code returns counter');
+    test.equal(totp.verify(SECRET, '081804', time + 30 * 1000), totp.counter(time), 'valid within window');
+    test.equal(totp.verify(SECRET, '081804', time + 90 * 1000), -1, 'invalid outside window');
+    test.equal(totp.verify(SECRET, '000000', time), -1, 'invalid code');
+
+    test.equal(totp.generateSecret().length, 32, 'secret from 20 random bytes');
+});
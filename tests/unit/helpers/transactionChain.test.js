@@ -47,7 +47,7 @@ let transactions = amounts.map((amount, index) => {
 
 /* TESTS */
 tape('Transaction Data', test => {
-    test.plan(19);
+    test.plan(21);
     let error;
     let data;
     let input = {
@@ -90,6 +90,10 @@ tape('Transaction Data', test => {
     test.equal(data.payload.previous, previous.hash.value, 'previous transaction hash matches');
     test.equal(data.payload.timestamp, input.date, `transaction timestamp is ${input.date}`);
     test.equal(data.payload.reference, input.transactionId, `transaction reference is ${input.transactionId}`);
+    test.equal(data.payload.multiplier, 1, 'transaction multiplier is 1 by default');
+
+    data = chain.createTransaction(Object.assign({multiplier: 2}, input), previous, previous.hash.value);
+    test.equal(data.payload.multiplier, 2, 'transaction multiplier is recorded');
 });
 
 tape('Transaction Chain (valid)', test => {
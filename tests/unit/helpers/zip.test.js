@@ -0,0 +1,27 @@
+'use strict';
+
+const tape = require('tape');
+const zlib = require('zlib');
+const zip = require('../../../helpers/zip');
+
+tape('Zip helper', test => {
+    test.plan(7);
+
+    const content = JSON.stringify({foo: 'bar'});
+    const archive = zip([{name: 'profile.json', content: content}]);
+
+    test.equal(zip.crc32(new Buffer('123456789')), 0xcbf43926, 'crc32 check value');
+    test.equal(archive.readUInt32LE(0), 0x04034b50, 'starts with local file header');
+    test.equal(archive.readUInt32LE(archive.length - 22), 0x06054b50, 'ends with end of central directory');
+    test.equal(archive.readUInt16LE(archive.length - 12), 1, 'one file');
+
+    const nameLength = archive.readUInt16LE(26);
+    const compressedSize = archive.readUInt32LE(18);
+    const name = archive.slice(30, 30 + nameLength).toString();
+    const data = archive.slice(30 + nameLength, 30 + nameLength + compressedSize);
+    const inflated = zlib.inflateRawSync(data).toString();
+
+    test.equal(name, 'profile.json', 'file name');
+    test.equal(inflated, content, 'deflated content');
+    test.equal(archive.readUInt32LE(14), zip.crc32(new Buffer(content)), 'content checksum');
+});
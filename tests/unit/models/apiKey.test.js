@@ -0,0 +1,52 @@
+'use strict';
+
+const tape = require('tape');
+const ApiKey = require('../../../apiKeys/apiKey');
+const types = require('../types');
+const required = require('../required');
+const unique = require('../unique');
+const index = require('../index');
+const defaults = require('../defaults');
+
+tape('ApiKey Model', test => {
+    test.plan(20);
+
+    let apiKey = new ApiKey({});
+    let values = apiKey.schema.paths;
+
+    types(['name', 'key', 'prefix'], values, test, 'String');
+    types(['expire', 'revokedAt', 'rotatedAt', 'lastUsed'], values, test, 'Date');
+    types(['userId', 'createdBy'], values, test, 'ObjectID');
+    types(['scopes'], values, test, 'Array');
+    types(['usageCount'], values, test, 'Number');
+    defaults(['usageCount'], apiKey.schema.tree, test, 0);
+    unique(['key'], apiKey.schema.tree, test);
+    index(['key', 'userId'], apiKey.schema.tree, test);
+
+    apiKey.validate(error => required(['name', 'userId', 'key'], error.errors, test));
+
+    new ApiKey({
+        name: 'CRM',
+        userId: '56e1b1c2235d3773226cf344',
+        key: 'digest',
+        scopes: ['*']
+    }).validate(error => test.equal(true, !!error.errors.scopes, 'no wildcard scope'));
+
+    new ApiKey({
+        name: 'CRM',
+        userId: '56e1b1c2235d3773226cf344',
+        key: 'digest',
+        scopes: ['constructor']
+    }).validate(error => test.equal(true, !!error.errors.scopes, 'no inherited keys'));
+});
+
+tape('ApiKey active', test => {
+    test.plan(4);
+
+    const now = new Date('2016-05-01T00:00:00Z');
+
+    test.equal(new ApiKey({}).active(now), true, 'active without expiration');
+    test.equal(new ApiKey({expire: new Date('2016-06-01')}).active(now), true, 'active before expiration');
+    test.equal(new ApiKey({expire: new Date('2016-04-01')}).active(now), false, 'inactive when expired');
+    test.equal(new ApiKey({revokedAt: now}).active(now), false, 'inactive when revoked');
+});
@@ -0,0 +1,29 @@
+'use strict';
+
+const tape = require('tape');
+const Attempt = require('../../../attempts/attempt');
+const types = require('../types');
+const required = require('../required');
+const unique = require('../unique');
+const defaults = require('../defaults');
+
+tape('Attempt model', test => {
+    test.plan(15);
+
+    let attempt = new Attempt({});
+    let values = attempt.schema.paths;
+
+    types(['key', 'action', 'scope'], values, test, 'String');
+    types(['failures', 'lockouts'], values, test, 'Number');
+    types(['lockedUntil', 'lastFailure', 'createdAt'], values, test, 'Date');
+    defaults(['failures', 'lockouts'], attempt.schema.tree, test, 0);
+    unique(['key'], attempt.schema.tree, test);
+
+    attempt.validate(error => required(['key', 'action', 'scope'], error.errors, test));
+
+    new Attempt({
+        key: 'login:ip:127.0.0.1',
+        action: 'login',
+        scope: 'foo'
+    }).validate(error => test.equal(true, !!error.errors.scope, 'invalid with unknown scope'));
+});
@@ -0,0 +1,21 @@
+'use strict';
+
+const tape = require('tape');
+const AuditEvent = require('../../../audits/auditEvent');
+const types = require('../types');
+const required = require('../required');
+const index = require('../index');
+
+tape('AuditEvent Model', test => {
+    test.plan(15);
+
+    let event = new AuditEvent({});
+    let values = event.schema.paths;
+
+    types(['action', 'resource', 'resourceId', 'method', 'path', 'ip', 'agent'], values, test, 'String');
+    types(['actorId'], values, test, 'ObjectID');
+    types(['changes'], values, test, 'Array');
+    index(['actorId', 'action', 'resource', 'resourceId'], event.schema.tree, test);
+
+    event.validate(error => required(['action', 'resource'], error.errors, test));
+});
@@ -0,0 +1,34 @@
+'use strict';
+
+const tape = require('tape');
+const Challenge = require('../../../sessions/challenge');
+const types = require('../types');
+const required = require('../required');
+const index = require('../index');
+const defaults = require('../defaults');
+
+tape('Challenge Model', test => {
+    test.plan(13);
+
+    let challenge = new Challenge({});
+    let values = challenge.schema.paths;
+
+    types(['token', 'agent'], values, test, 'String');
+    types(['expire', 'createdAt'], values, test, 'Date');
+    types(['userId'], values, test, 'ObjectID');
+    types(['attempts'], values, test, 'Number');
+    defaults(['attempts'], challenge.schema.tree, test, 0);
+    index(['token'], challenge.schema.tree, test);
+
+    challenge.validate(error => {
+        let fields = ['userId', 'token', 'agent', 'expire'];
+        required(fields, error.errors, test);
+    });
+
+    new Challenge({
+        token: 'foobar',
+        userId: '56e1b1c2235d3773226cf344',
+        expire: new Date(),
+        agent: 'foobar'
+    }).validate(error => test.equal(undefined, error, 'valid with attributes'));
+});
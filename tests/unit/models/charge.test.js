@@ -0,0 +1,36 @@
+'use strict';
+
+const tape = require('tape');
+const Charge = require('../../../charges/charge');
+const types = require('../types');
+const required = require('../required');
+
+tape('Charge model', test => {
+    test.plan(16);
+
+    let charge = new Charge({});
+    let values = charge.schema.paths;
+
+    types(['amount', 'weight', 'attempts'], values, test, 'Number');
+    types(['userId', 'npoId', 'pledgeId'], values, test, 'ObjectID');
+    test.equal(charge.type, 'monthly', 'monthly charge by default');
+    test.equal(charge.attempts, 0, 'never attempted by default');
+
+    charge.validate(error => {
+        let fields = [
+            'addresses', 'amount', 'currency', 'userId', 'npoId', 'bankType'
+        ];
+        required(fields, error.errors, test);
+    });
+
+    new Charge({
+        type: 'one-time',
+        amount: 25,
+        currency: 'usd',
+        userId: 'x'.repeat(24),
+        npoId: 'x'.repeat(24),
+        bankType: 'chase'
+    }).validate(error => test.equal(undefined, error, 'one-time donations without addresses'));
+
+    new Charge({type: 'yearly'}).validate(error => test.ok(error.errors.type, 'unknown type'));
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+const tape = require('tape');
+const Impersonation = require('../../../sessions/impersonation');
+const types = require('../types');
+const required = require('../required');
+const index = require('../index');
+
+tape('Impersonation Model', test => {
+    test.plan(18);
+
+    let impersonation = new Impersonation({});
+    let values = impersonation.schema.paths;
+
+    types(['reason', 'agent', 'ip'], values, test, 'String');
+    types(['expire', 'createdAt'], values, test, 'Date');
+    types(['adminId', 'userId', 'sessionId'], values, test, 'ObjectID');
+    types(['requests'], values, test, 'Array');
+    index(['adminId', 'userId', 'sessionId'], impersonation.schema.tree, test);
+
+    impersonation.validate(error => {
+        let fields = ['adminId', 'userId', 'sessionId', 'reason', 'expire'];
+        required(fields, error.errors, test);
+    });
+
+    new Impersonation({
+        adminId: '56e1b1c2235d3773226cf344',
+        userId: '56e1b1c2235d3773226cf345',
+        sessionId: '56e1b1c2235d3773226cf346',
+        reason: 'Support ticket',
+        expire: new Date()
+    }).validate(error => test.equal(undefined, error, 'valid with attributes'));
+});
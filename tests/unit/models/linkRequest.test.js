@@ -0,0 +1,39 @@
+'use strict';
+
+const tape = require('tape');
+const LinkRequest = require('../../../socials/linkRequest');
+const types = require('../types');
+const required = require('../required');
+const index = require('../index');
+const defaults = require('../defaults');
+
+tape('LinkRequest model', test => {
+    test.plan(22);
+
+    let linkRequest = new LinkRequest({});
+    let values = linkRequest.schema.paths;
+
+    types(['token', 'provider', 'providerId', 'email', 'socialToken', 'code'], values, test, 'String');
+    types(['expire', 'createdAt'], values, test, 'Date');
+    types(['userId'], values, test, 'ObjectID');
+    types(['emailVerified'], values, test, 'Boolean');
+    types(['attempts'], values, test, 'Number');
+    defaults(['attempts'], linkRequest.schema.tree, test, 0);
+    defaults(['emailVerified'], linkRequest.schema.tree, test, false);
+    index(['token'], linkRequest.schema.tree, test);
+
+    linkRequest.validate(error => {
+        let fields = ['token', 'userId', 'provider', 'providerId', 'email', 'socialToken', 'expire'];
+        required(fields, error.errors, test);
+    });
+
+    new LinkRequest({
+        token: 'foo',
+        userId: 'x'.repeat(24),
+        provider: 'google',
+        providerId: '1234',
+        email: 'foo@bar.com',
+        socialToken: 'bar',
+        expire: new Date()
+    }).validate(error => test.equal(undefined, error, 'valid with attributes'));
+});
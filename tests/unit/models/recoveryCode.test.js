@@ -4,15 +4,17 @@ const tape = require('tape');
 const RecoveryCode = require('../../../users/recoveryCode');
 const types = require('../types');
 const required = require('../required');
+const defaults = require('../defaults');
 
 tape('RecoveryCode model', test => {
-    test.plan(7);
+    test.plan(13);
 
     let user = new RecoveryCode({});
     let values = user.schema.paths;
 
-    types(['createdAt', 'updatedAt'], values, test, 'Date');
-    types(['code'], values, test, 'Number');
+    types(['createdAt', 'updatedAt', 'expire'], values, test, 'Date');
+    types(['code', 'attempts'], values, test, 'Number');
+    defaults(['attempts'], user.schema.tree, test, 0);
     types(['userId'], values, test, 'ObjectID');
 
     user.validate(error => {
@@ -25,4 +27,10 @@ tape('RecoveryCode model', test => {
         code: 2212,
         userEmail: 'foo@foobar.com'
     }).validate(error => test.equal(undefined, error, 'valid with attributes'));
+
+    const now = new Date('2016-05-01T00:00:00Z');
+
+    test.equal(new RecoveryCode({}).expired(now), true, 'expired without expiration date');
+    test.equal(new RecoveryCode({expire: new Date('2016-05-01T00:15:00Z')}).expired(now), false, 'valid before expiration');
+    test.equal(new RecoveryCode({expire: now}).expired(now), true, 'expired on expiration');
 });
@@ -4,9 +4,10 @@ const tape = require('tape');
 const Role = require('../../../roles/role');
 const types = require('../types');
 const required = require('../required');
+const defaults = require('../defaults');
 
 tape('Role model', test => {
-    test.plan(9);
+    test.plan(15);
 
     let role = new Role({});
     let values = role.schema.paths;
@@ -14,6 +15,9 @@ tape('Role model', test => {
     types(['title', 'description'], values, test, 'String');
     types(['createdAt', 'updatedAt'], values, test, 'Date');
     types(['userId'], values, test, 'ObjectID');
+    types(['permissions'], values, test, 'Array');
+    types(['requireTwoFactor'], values, test, 'Boolean');
+    defaults(['requireTwoFactor'], role.schema.tree, test, false);
 
     role.validate(error => required(['userId', 'title'], error.errors, test));
 
@@ -23,4 +27,22 @@ tape('Role model', test => {
     }).validate(error => test.equal(undefined, error, 'valid with attributes'));
 
     new Role({}).validate(error => test.equal(true, !!error, 'invalid with empty'));
+
+    new Role({
+        userId: 'x'.repeat(24),
+        title: 'foobar',
+        permissions: ['npos:write', '*']
+    }).validate(error => test.equal(undefined, error, 'valid with known permissions'));
+
+    new Role({
+        userId: 'x'.repeat(24),
+        title: 'foobar',
+        permissions: ['npos:write', 'foo:bar']
+    }).validate(error => test.equal(true, !!error.errors.permissions, 'invalid with unknown permissions'));
+
+    new Role({
+        userId: 'x'.repeat(24),
+        title: 'foobar',
+        permissions: ['constructor']
+    }).validate(error => test.equal(true, !!error.errors.permissions, 'invalid with inherited keys'));
 });
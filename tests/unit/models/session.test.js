@@ -6,15 +6,16 @@ const types = require('../types');
 const required = require('../required');
 
 tape('Session Model', test => {
-    test.plan(11);
+    test.plan(18);
 
     let session = new Session({});
     let values = session.schema.paths;
 
-    types(['token', 'agent'], values, test, 'String');
-    types(['expire'], values, test, 'Date');
-    types(['userId'], values, test, 'ObjectID');
-    types(['verified'], values, test, 'Boolean');
+    types(['token', 'agent', 'refreshToken'], values, test, 'String');
+    types(['expire', 'refreshExpire', 'lastUsed', 'createdAt'], values, test, 'Date');
+    types(['usedRefreshTokens'], values, test, 'Array');
+    types(['userId', 'impersonatorId'], values, test, 'ObjectID');
+    types(['verified', 'impersonated'], values, test, 'Boolean');
 
     session.validate(error => {
         let fields = ['userId', 'token', 'agent', 'expire'];
@@ -4,9 +4,11 @@ const tape = require('tape');
 const Social = require('../../../socials/social');
 const types = require('../types');
 const required = require('../required');
+const index = require('../index');
+const defaults = require('../defaults');
 
 tape('social model', test => {
-    test.plan(14);
+    test.plan(21);
 
     let social = new Social({});
     let values = social.schema.paths;
@@ -18,6 +20,9 @@ tape('social model', test => {
     types(['createdAt', 'updatedAt'], values, test, 'Date');
     types(['profile'], values, test, 'Mixed');
     types(['userId'], values, test, 'ObjectID');
+    index(['userId', 'providerId'], social.schema.tree, test);
+    types(['emailVerified'], values, test, 'Boolean');
+    defaults(['emailVerified'], social.schema.tree, test, false);
 
     social.validate(error => {
         let fields = ['userId', 'providerId', 'email'];
@@ -47,4 +52,20 @@ tape('social model', test => {
     }).validate(error => {
         test.equal(undefined, error.errors.provider, 'valid provider');
     });
+
+    new Social({
+        provider: 'google'
+    }).validate(error => {
+        test.equal(undefined, error.errors.provider, 'valid google provider');
+    });
+
+    test.deepEqual(Social.providerQuery('google', {providerId: '1'}), {
+        providerId: '1',
+        provider: 'google'
+    }, 'query by provider');
+
+    test.deepEqual(Social.providerQuery('facebook', {providerId: '1'}), {
+        providerId: '1',
+        provider: {$in: ['facebook', null]}
+    }, 'query facebook socials created without provider');
 });
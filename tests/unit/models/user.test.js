@@ -9,7 +9,7 @@ const index = require('../index');
 const defaults = require('../defaults');
 
 tape('User model', test => {
-    test.plan(22);
+    test.plan(32);
 
     let user = new User({});
     let values = user.schema.paths;
@@ -18,10 +18,16 @@ tape('User model', test => {
     ];
 
     types(stringProperties, values, test, 'String');
-    types(['createdAt', 'updatedAt'], values, test, 'Date');
+    types(['createdAt', 'updatedAt', 'verificationExpire', 'erasedAt'], values, test, 'Date');
+    types(['deletion.requestedAt', 'deletion.scheduledFor'], values, test, 'Date');
     types(['archived', 'active'], values, test, 'Boolean');
     types(['address'], values, test, 'Mixed');
     types(['pledges'], values, test, 'Array');
+    types(['npoId'], values, test, 'ObjectID');
+    types(['twoFactor.enabled'], values, test, 'Boolean');
+    types(['twoFactor.secret', 'twoFactor.pendingSecret'], values, test, 'String');
+    types(['twoFactor.recoveryCodes'], values, test, 'Array');
+    defaults(['enabled'], user.schema.tree.twoFactor, test, false);
 
     defaults(['active'], user.schema.tree, test, true);
     defaults(['archived'], user.schema.tree, test, false);
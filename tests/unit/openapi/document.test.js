@@ -0,0 +1,65 @@
+'use strict';
+
+process.env.PLAID_CLIENTID = 'test_id';
+process.env.PLAID_SECRET = 'test_secret';
+process.env.PLAID_ENV = 'https://tartan.plaid.com';
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test';
+
+const tape = require('tape');
+const express = require('express');
+const document = require('../../../openapi/document');
+const validate = require('../../../lib/validate');
+const requirePermission = require('../../../lib/requirePermission');
+const verifyToken = require('../../../lib/verifyJwt');
+const fields = require('../../../validation/fields');
+
+function handler(request, response) {
+    response.json({});
+}
+
+tape('OpenAPI document from a router', test => {
+    test.plan(9);
+
+    const router = express.Router();
+
+    router
+        .get('/npos', [verifyToken, validate({query: fields.list}), handler])
+        .get('/npos/:id', [validate({params: {id: fields.id}}), handler])
+        .put('/npos/:id', [
+            verifyToken,
+            requirePermission('npo:manage'),
+            validate({params: {id: fields.id}, body: {name: {type: 'string', required: true}}}),
+            handler
+        ]);
+
+    const built = document.build({npos: router});
+    const list = built.paths['/npos'].get;
+    const update = built.paths['/npos/{id}'].put;
+
+    test.equal(built.openapi, '3.0.0', 'OpenAPI 3');
+    test.deepEqual(list.security, [{bearer: []}], 'security from middlewares');
+    test.equal(list.parameters.filter(param => param.name === 'filter')[0].style, 'deepObject', 'query parameters');
+    test.deepEqual(list.responses[200].content['application/json'].schema.properties.data, {
+        type: 'array',
+        items: {$ref: '#/components/schemas/Npo'}
+    }, 'list data');
+    test.deepEqual(built.paths['/npos/{id}'].get.responses[200].content['application/json'].schema.properties.data, {
+        $ref: '#/components/schemas/Npo'
+    }, 'single resource data');
+    test.deepEqual(built.paths['/npos/{id}'].get.security, [], 'public route');
+    test.equal(update.description, 'Requires permission `npo:manage`.', 'permissions');
+    test.deepEqual(update.requestBody.content['application/json'].schema.required, ['name'], 'request body');
+    test.ok(update.responses[400] && update.responses[403] && update.responses[404], 'error responses');
+});
+
+tape('OpenAPI document from API routers', test => {
+    test.plan(4);
+
+    const routers = require('../../../modules').routers;
+    const built = document.build(routers);
+
+    test.ok(built.paths['/transactions'], 'routes on nested routers');
+    test.ok(built.paths['/users/{id}/pledges/{pledgeId}/balances'], 'path parameters');
+    test.ok(built.paths['/oauth/callback/stripe'], 'routes without request schema');
+    test.ok(built.components.schemas.Error.properties.code.enum.indexOf('invalid-request') >= 0, 'error codes');
+});
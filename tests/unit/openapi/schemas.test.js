@@ -0,0 +1,50 @@
+'use strict';
+
+const tape = require('tape');
+const schemas = require('../../../openapi/schemas');
+const User = require('../../../users/user');
+
+tape('Request schema rules to OpenAPI schemas', test => {
+    test.plan(4);
+
+    test.deepEqual(schemas.fromRule({type: 'string', format: 'email'}), {
+        type: 'string',
+        format: 'email'
+    }, 'format');
+
+    test.deepEqual(schemas.fromRule({type: 'integer', min: 1, max: 100}), {
+        type: 'integer',
+        minimum: 1,
+        maximum: 100
+    }, 'limits');
+
+    test.deepEqual(schemas.fromRule({type: 'array', items: 'objectId', maxLength: 5}), {
+        type: 'array',
+        items: {type: 'string', pattern: '^[0-9a-fA-F]{24}$'},
+        maxItems: 5
+    }, 'array items');
+
+    test.deepEqual(schemas.fromProperties({
+        email: {type: 'string', required: true},
+        name: 'string'
+    }), {
+        type: 'object',
+        properties: {
+            email: {type: 'string'},
+            name: {type: 'string'}
+        },
+        required: ['email']
+    }, 'object with required properties');
+});
+
+tape('Model schemas', test => {
+    test.plan(5);
+
+    const schema = schemas.fromModel(User);
+
+    test.equal(schema.properties.password, undefined, 'no password');
+    test.equal(schema.properties.twoFactor.properties.secret, undefined, 'no nested secrets');
+    test.deepEqual(schema.properties.twoFactor.properties.enabled, {type: 'boolean'}, 'nested paths');
+    test.ok(schema.required.indexOf('email') >= 0, 'required paths');
+    test.equal(schema.properties.pledges.type, 'array', 'subdocuments');
+});
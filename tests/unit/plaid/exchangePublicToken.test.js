@@ -5,6 +5,8 @@ const tape = require('tape');
 const sinon = require('sinon');
 
 const PlaidLinkExchanger = require('../../../plaid/link/exchange');
+const schemas = require('../../../plaid/schemas');
+const validation = require('../../../validation');
 
 let user = {
     name: 'userName',
@@ -78,7 +80,7 @@ tape('Exchange Plaid Public Token (methods)', test => {
     PlaidLinkExchanger.exchangePublicToken(plaid, tokens.plaid, accountID)
         .then(() => test.fail('did not reject on Plaid API error'))
         .catch(error => {     
-            test.equal(error.message, 'plaid-api-error', 'exchangeToken rejects on Plaid API error');
+            test.equal(error.details.message, 'plaid-api-error', 'exchangeToken rejects on Plaid API error');
         });
     plaid.client.exchangeToken.callArgWith(2, {
         message: 'plaid-api-error',
@@ -88,7 +90,7 @@ tape('Exchange Plaid Public Token (methods)', test => {
     PlaidLinkExchanger.exchangePublicToken(plaid, tokens.plaid, accountID)
         .then(() => test.fail('did not reject on missing Plaid access token'))
         .catch(error => {     
-            test.equal(error.message, 'Access token could not be retrieved',
+            test.equal(error.code, 'plaid-access-token-not-retrieved',
                 'exchangeToken rejects on missing Plaid access token');
         });
     plaid.client.exchangeToken.callArgWith(2, null, {
@@ -99,7 +101,7 @@ tape('Exchange Plaid Public Token (methods)', test => {
     PlaidLinkExchanger.exchangePublicToken(plaid, tokens.plaid, accountID)
         .then(() => test.fail('did not reject on missing Stripe bank account token'))
         .catch(error => {     
-            test.equal(error.message, 'Stripe token could not be retrieved',
+            test.equal(error.code, 'stripe-token-not-retrieved',
                 'exchangeToken rejects on missing Stripe bank account token');
         });
     plaid.client.exchangeToken.callArgWith(2, null, {
@@ -150,13 +152,11 @@ tape('Exchange Plaid Public Token (middleware)', test => {
             test.equal(next1.called, true, 'returns on invalid institution parameter');
         });
 
-    let next2 = sinon.stub();
     delete request.body.institution;
-    PlaidLinkExchanger.middleware(request, response, next2);
-        test.equal(next2.called, true, 'returns on missing institution parameter');
+    test.equal(validation.check(schemas.link, request).errors['body.institution'], 'required',
+        'returns on missing institution parameter');
 
-    let next3 = sinon.stub();
     delete request.body.public_token;
-    PlaidLinkExchanger.middleware(request, response, next3);
-        test.equal(next3.called, true, 'returns on missing public token parameter');
+    test.equal(validation.check(schemas.link, request).errors['body.public_token'], 'required',
+        'returns on missing public token parameter');
 });
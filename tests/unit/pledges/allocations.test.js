@@ -0,0 +1,129 @@
+'use strict';
+
+const tape = require('tape');
+const sinon = require('sinon');
+const allocations = require('../../../pledges/allocations');
+const Charge = require('../../../charges/charge');
+const Npo = require('../../../npos/npo');
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+tape('Allocations of a pledge', test => {
+    test.plan(3);
+
+    test.deepEqual(allocations.of({npoId: 'a', npo: 'A'}), [{npoId: 'a', npo: 'A', weight: 100}],
+        'everything to npoId without allocations');
+    test.deepEqual(allocations.of({npoId: 'a', allocations: []}).map(item => item.weight), [100],
+        'everything to npoId with empty allocations');
+    test.deepEqual(allocations.of({
+        npoId: 'a',
+        allocations: [{npoId: 'b', weight: 30}, {npoId: 'c', weight: 70}]
+    }).map(item => item.npoId), ['c', 'b'], 'heaviest first');
+});
+
+tape('Split cents by weight', test => {
+    test.plan(6);
+
+    test.deepEqual(allocations.split(1000, [60, 40]), [600, 400], 'exact split');
+    test.deepEqual(allocations.split(100, [34, 33, 33]), [34, 33, 33], 'exact thirds');
+    test.deepEqual(allocations.split(101, [50, 50]), [51, 50], 'left cent to heaviest on ties');
+    test.deepEqual(allocations.split(10, [33, 33, 34]), [3, 3, 4], 'left cent to largest remainder');
+    test.equal(sum(allocations.split(9999, [17, 29, 54])), 9999, 'parts sum the amount');
+    test.deepEqual(allocations.split(0, [50, 50]), [0, 0], 'nothing to split');
+});
+
+tape('Apportion a charge and its fee', test => {
+    test.plan(7);
+
+    /* 2.9% + 30 cents by charge, as Stripe */
+    const fee = cents => Math.ceil(cents * 0.029 + 30);
+    const parts = allocations.apportion(1001, [
+        {npoId: 'a', weight: 70},
+        {npoId: 'b', weight: 30}
+    ], fee);
+
+    test.deepEqual(parts.map(part => part.cents), [701, 300], 'amount by weight');
+    test.deepEqual(parts.map(part => part.fee), [51, 39], 'fee of each part');
+    test.equal(parts[0].npoId, 'a', 'keeps allocation');
+
+    const small = allocations.apportion(800, [
+        {npoId: 'a', weight: 90},
+        {npoId: 'b', weight: 5},
+        {npoId: 'c', weight: 5}
+    ], fee);
+
+    test.deepEqual(small.map(part => part.npoId), ['a'], 'parts below the minimum go to the others');
+    test.deepEqual(small.map(part => part.cents), [800], 'whole amount kept');
+
+    /* 80 cents more by charge, as Elm */
+    const elmFee = cents => Math.ceil(cents * 0.029 + 80);
+
+    test.deepEqual(allocations.apportion(300, [
+        {npoId: 'a', weight: 80},
+        {npoId: 'b', weight: 20}
+    ], elmFee).map(part => part.cents), [300], 'parts not covering their fee go to the others');
+
+    test.deepEqual(allocations.apportion(1, [
+        {npoId: 'a', weight: 60},
+        {npoId: 'b', weight: 40}
+    ], fee).map(part => part.npoId), ['a'], 'heaviest NPO always kept');
+});
+
+tape('Breakdown of an amount', test => {
+    test.plan(2);
+
+    const breakdown = allocations.breakdown(12.35, {
+        allocations: [{npoId: 'a', npo: 'A', weight: 50}, {npoId: 'b', npo: 'B', weight: 50}]
+    });
+
+    test.deepEqual(breakdown.map(item => item.amount), [6.18, 6.17], 'amounts to the cent');
+    test.deepEqual(allocations.breakdown(5, {npoId: 'a', npo: 'A'}),
+        [{npoId: 'a', npo: 'A', weight: 100, amount: 5}], 'whole amount to npoId');
+});
+
+tape('Breakdown of a charged address', test => {
+    test.plan(4);
+
+    const pledge = {
+        allocations: [{npoId: 'a', npo: 'A', weight: 50}, {npoId: 'b', npo: 'B', weight: 50}]
+    };
+
+    sinon.stub(Charge, 'find').returns(Promise.resolve([
+        {npoId: 'c', weight: 20},
+        {npoId: 'a', weight: 80}
+    ]));
+    sinon.stub(Npo, 'find').returns(Promise.resolve([{_id: 'a', name: 'A'}, {_id: 'c', name: 'C'}]));
+
+    allocations.charged('address', 10, pledge)
+        .then(npos => {
+            test.deepEqual(npos, [
+                {npoId: 'a', npo: 'A', weight: 80, amount: 8},
+                {npoId: 'c', npo: 'C', weight: 20, amount: 2}
+            ], 'split of the charges, not current allocations');
+            test.deepEqual(Charge.find.firstCall.args[0].type, {$ne: 'one-time'}, 'charges without type are monthly');
+
+            Charge.find.returns(Promise.resolve([]));
+            return allocations.charged('address', 10, pledge);
+        })
+        .then(npos => {
+            test.deepEqual(npos.map(item => item.amount), [5, 5], 'current allocations while not charged');
+            test.equal(Npo.find.callCount, 1, 'no NPO lookup while not charged');
+        })
+        .catch(error => test.fail(error))
+        .then(() => {
+            Charge.find.restore();
+            Npo.find.restore();
+        });
+});
+
+tape('Build allocations', test => {
+    test.plan(4);
+
+    const rejects = (requested, message) => allocations.build(requested)
+        .then(() => test.fail(message), error => test.equal(error.code, 'invalid-allocations', message));
+
+    rejects([{npoId: 'a'.repeat(24), weight: 60}, {npoId: 'b'.repeat(24), weight: 30}], 'weights summing 90');
+    rejects([{npoId: 'a'.repeat(24), weight: 50}, {npoId: 'a'.repeat(24), weight: 50}], 'repeated NPOs');
+    rejects([], 'no allocations');
+    rejects([{npoId: 'a'.repeat(24), weight: 96}, {npoId: 'b'.repeat(24), weight: 4}], 'weight below minimum');
+});
@@ -0,0 +1,30 @@
+'use strict';
+
+const tape = require('tape');
+const donation = require('../../../pledges/donation');
+
+tape('Multiply roundups', test => {
+    test.plan(4);
+
+    test.equal(donation.multiply(0.55, 1), 0.55, '×1 keeps the roundup');
+    test.equal(donation.multiply(0.55, 2), 1.1, '×2 doubles the roundup');
+    test.equal(donation.multiply(0.33, 3), 0.99, 'to the cent');
+    test.equal(donation.multiply(0.55), 0.55, 'no multiplier keeps the roundup');
+});
+
+tape('Monthly donation total', test => {
+    test.plan(4);
+
+    test.equal(donation.total(12.34, {monthlyLimit: 50}, 1), 12.34, 'roundups without top-up');
+    test.equal(donation.total(12.34, {monthlyLimit: 50, topUp: 5}, 1), 17.34, 'top-up added');
+    test.equal(donation.total(80, {monthlyLimit: 50, topUp: 5}, 1), 55, 'limit only on roundups');
+    test.equal(donation.total(20, {monthlyLimit: 50, topUp: 5}, 2), 30, 'top-up of every month');
+});
+
+tape('Top-up of a charge', test => {
+    test.plan(3);
+
+    test.equal(donation.topUp({}, 2), 0, 'no top-up');
+    test.equal(donation.topUp({topUp: 5}, 1), 5, 'top-up of a month');
+    test.equal(donation.topUp({topUp: 0.1}, 3), 0.3, 'to the cent');
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+const tape = require('tape');
+const monthlyLimit = require('../../../pledges/monthlyLimit');
+
+const MAY = new Date(2016, 4, 20);
+const JUNE = new Date(2016, 5, 1);
+
+tape('Monthly limit bounds', test => {
+    test.plan(2);
+
+    test.ok(monthlyLimit.MIN <= monthlyLimit.MAX, 'min below max');
+    test.equal(monthlyLimit.DEFAULT, monthlyLimit.MAX, 'highest limit by default');
+});
+
+tape('Schedule a monthly limit', test => {
+    test.plan(3);
+
+    let pledge = {monthlyLimit: 50};
+
+    monthlyLimit.schedule(pledge, 80, MAY);
+    test.deepEqual(pledge.pendingMonthlyLimit, {amount: 80, from: '2016-06'}, 'from next month');
+    test.equal(pledge.monthlyLimit, 50, 'current limit kept');
+
+    monthlyLimit.schedule(pledge, 50, MAY);
+    test.equal(pledge.pendingMonthlyLimit, undefined, 'current limit cancels pending change');
+});
+
+tape('Apply a monthly limit', test => {
+    test.plan(5);
+
+    let pledge = {monthlyLimit: 50};
+
+    test.notOk(monthlyLimit.apply(pledge, JUNE), 'nothing pending');
+
+    monthlyLimit.schedule(pledge, 80, new Date(2016, 11, 31));
+    test.equal(pledge.pendingMonthlyLimit.from, '2017-01', 'next year');
+
+    monthlyLimit.schedule(pledge, 80, MAY);
+    test.notOk(monthlyLimit.apply(pledge, MAY), 'not before its month');
+    test.ok(monthlyLimit.apply(pledge, JUNE), 'applied on its month');
+    test.deepEqual([pledge.monthlyLimit, pledge.pendingMonthlyLimit], [80, undefined], 'limit changed');
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const tape = require('tape');
+const pauses = require('../../../pledges/pauses');
+
+const NOW = new Date('2016-12-20T12:00:00.000Z');
+const HOLIDAYS = new Date('2016-12-24T00:00:00.000Z');
+const MARCH = new Date('2017-03-01T00:00:00.000Z');
+
+const pledge = () => ({paused: false, pauses: []});
+
+tape('Pause a pledge', test => {
+    test.plan(6);
+
+    let paused = pledge();
+
+    test.ok(pauses.pause(paused, undefined, MARCH, NOW), 'paused now');
+    test.deepEqual([paused.paused, paused.pausedUntil], [true, MARCH], 'until March');
+
+    let holidays = pledge();
+
+    test.notOk(pauses.pause(holidays, HOLIDAYS, MARCH, NOW), 'scheduled pause');
+    test.equal(holidays.paused, false, 'not paused yet');
+    test.ok(pauses.sync(holidays, HOLIDAYS), 'paused when it starts');
+    test.ok(pauses.sync(holidays, MARCH) && !holidays.paused, 'resumed when it ends');
+});
+
+tape('Next start or end of a pause', test => {
+    test.plan(4);
+
+    let holidays = pledge();
+
+    pauses.pause(holidays, HOLIDAYS, MARCH, NOW);
+    test.deepEqual(holidays.pausesDue, HOLIDAYS, 'due when it starts');
+    pauses.sync(holidays, HOLIDAYS);
+    test.deepEqual(holidays.pausesDue, MARCH, 'due when it ends');
+    pauses.sync(holidays, MARCH);
+    test.equal(holidays.pausesDue, undefined, 'nothing due after the last pause');
+
+    let open = pledge();
+
+    pauses.pause(open, undefined, undefined, NOW);
+    test.equal(open.pausesDue, undefined, 'nothing due while paused until resumed');
+});
+
+tape('Invalid pauses', test => {
+    test.plan(2);
+
+    test.throws(() => pauses.pause(pledge(), MARCH, HOLIDAYS, NOW), /Pauses must end/, 'ending before start');
+    test.throws(() => pauses.pause(pledge(), undefined, new Date('2016-12-01'), NOW), /Pauses must end/,
+        'ending in the past');
+});
+
+tape('Resume a pledge', test => {
+    test.plan(4);
+
+    let paused = pledge();
+
+    pauses.pause(paused, undefined, undefined, NOW);
+    test.deepEqual([paused.paused, paused.pausedUntil], [true, undefined], 'paused until resumed');
+
+    pauses.pause(paused, HOLIDAYS, MARCH, NOW);
+    pauses.resume(paused, new Date('2016-12-21T00:00:00.000Z'));
+    test.equal(paused.paused, false, 'resumed');
+    test.equal(paused.pauses.length, 2, 'pauses kept as history');
+    test.ok(pauses.sync(paused, HOLIDAYS) && paused.paused, 'scheduled pause kept');
+});
+
+tape('Purchases made on paused days', test => {
+    test.plan(5);
+
+    const history = [{
+        from: new Date('2016-12-20T12:00:00.000Z'),
+        until: new Date('2016-12-24T00:00:00.000Z')
+    }, {
+        from: new Date('2017-01-10T00:00:00.000Z')
+    }];
+
+    test.ok(pauses.paused(history, '2016-12-20'), 'day a pause starts');
+    test.ok(pauses.paused(history, '2016-12-23'), 'last day of a pause');
+    test.notOk(pauses.paused(history, '2016-12-24'), 'day a pause ends at midnight');
+    test.ok(pauses.paused(history, '2017-02-01'), 'pause until resumed');
+    test.notOk(pauses.paused([], '2016-12-20'), 'no pauses');
+});
@@ -0,0 +1,16 @@
+'use strict';
+
+const limiter = require('../../../rateLimits/limiter');
+const tape = require('tape');
+
+tape('Most restrictive rate limit', test => {
+    test.plan(2);
+
+    const loose = {allowed: true, remaining: 500, retryAfter: 0};
+    const tight = {allowed: true, remaining: 2, retryAfter: 0};
+    const denied = {allowed: false, remaining: 0, retryAfter: 30};
+    const longer = {allowed: false, remaining: 0, retryAfter: 90};
+
+    test.equal(limiter.restrictive([loose, tight]), tight, 'less remaining requests');
+    test.equal(limiter.restrictive([loose, denied, longer, tight]), longer, 'denied with longest wait');
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+const rateLimits = require('../../../rateLimits/rules');
+const tape = require('tape');
+
+const DEFAULTS = [{
+    name: 'signup',
+    method: 'POST',
+    path: '/users',
+    scope: 'ip',
+    limit: 10,
+    window: 3600
+}, {
+    name: 'pledge',
+    method: 'put',
+    path: '/users/:id/pledges/:pledgeId',
+    scope: 'user',
+    limit: 5,
+    window: 60
+}, {
+    name: 'ip',
+    method: '*',
+    path: '*',
+    scope: 'ip',
+    limit: 600,
+    window: 60
+}];
+
+const names = list => list.map(rule => rule.name);
+
+tape('Rate limit rules', test => {
+    test.plan(7);
+
+    const rules = rateLimits.build(DEFAULTS, {signup: {limit: 50}});
+
+    test.equal(rules[0].limit, 50, 'override limit by name');
+    test.equal(DEFAULTS[0].limit, 10, 'keep defaults');
+    test.deepEqual(names(rateLimits.match(rules, 'ip', 'post', '/users')), ['signup', 'ip'], 'match method and path');
+    test.deepEqual(names(rateLimits.match(rules, 'ip', 'POST', '/users/availability')), ['ip'], 'match whole path');
+    test.deepEqual(names(rateLimits.match(rules, 'ip', 'GET', '/users')), ['ip'], 'match method');
+    test.deepEqual(names(rateLimits.match(rules, 'user', 'PUT', '/users/1/pledges/2')), ['pledge'], 'match params');
+    test.deepEqual(names(rateLimits.match(rules, 'user', 'PUT', '/users/1/pledges')), [], 'params are required');
+});
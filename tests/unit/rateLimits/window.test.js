@@ -0,0 +1,18 @@
+'use strict';
+
+const slidingWindow = require('../../../rateLimits/window');
+const tape = require('tape');
+
+const MINUTE = 60 * 1000;
+
+tape('Sliding window', test => {
+    test.plan(6);
+
+    test.equal(slidingWindow.start(90 * 1000, MINUTE), MINUTE, 'window start');
+    test.equal(slidingWindow.estimate(10, 4, 0, MINUTE), 14, 'whole previous window at start');
+    test.equal(slidingWindow.estimate(10, 4, 45 * 1000, MINUTE), 6.5, 'weighted previous window');
+    test.equal(slidingWindow.estimate(10, 4, MINUTE, MINUTE), 4, 'current window only at the end');
+    test.equal(slidingWindow.retryAfter(0, 10, 15 * 1000, MINUTE, 10), 45 * 1000, 'wait for next window');
+    test.equal(slidingWindow.retryAfter(10, 5, 15 * 1000, MINUTE, 10), 21 * 1000,
+        'wait until previous window weighs less');
+});
@@ -0,0 +1,42 @@
+/**
+ * Test API keys routes
+ */
+
+'use strict';
+
+const tape = require('tape');
+const apiKeys = require('../../../apiKeys');
+
+let data = {};
+let middlewares = {};
+
+let options = {
+    'get /api-keys': 'get /api-keys',
+    'post /api-keys': 'post /api-keys',
+    'get /api-keys/:id': 'get /api-keys/:id',
+    'post /api-keys/:id/rotate': 'post /api-keys/:id/rotate',
+    'delete /api-keys/:id': 'delete /api-keys/:id'
+};
+
+apiKeys.stack.map(item => {
+    let method = Object.keys(item.route.methods).join('');
+    let key = `${method} ${item.route.path}`;
+    data[key] = key;
+    middlewares[key] = item.route.stack.map(item => item.name);
+});
+
+tape.test('API keys Endpoints', test => {
+    test.plan(5);
+
+    Object.keys(options).map(key => {
+        test.equal(key, data[key], `should provide ${key} endpoint`);
+    });
+});
+
+tape.test('API keys admin only', test => {
+    test.plan(5);
+
+    Object.keys(options).map(key => {
+        test.equal('isAdmin', middlewares[key][3], `should require admin on ${key}`);
+    });
+});
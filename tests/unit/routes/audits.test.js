@@ -0,0 +1,24 @@
+/**
+ * Test Audit routes
+ */
+
+'use strict';
+
+const tape = require('tape');
+const audits = require('../../../audits');
+
+let middlewares = {};
+
+audits.stack.map(item => {
+    let method = Object.keys(item.route.methods).join('');
+    let key = `${method} ${item.route.path}`;
+
+    middlewares[key] = item.route.stack.map(item => item.name);
+});
+
+tape.test('Audit endpoints middlewares', test => {
+    test.plan(6);
+
+    ['verifyToken', 'authenticate', 'currentUser', 'requirePermission', 'validate', 'list']
+        .map((name, index) => test.equal(name, middlewares['get /audit'][index], `should use ${name} on get /audit`));
+});
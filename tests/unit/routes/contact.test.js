@@ -34,9 +34,10 @@ tape.test('Contact Endpoints', test => {
 });
 
 tape.test('contact endpoints middlewares', test => {
-    test.plan(1);
+    test.plan(2);
     Object.keys(middlewares).map(key => {
         let actual = middlewares[key];
-        test.equal('contactUs', actual[0], `validate single middleware`);
+        test.equal('validate', actual[0], `validate request on ${key}`);
+        test.equal('contactUs', actual[1], `validate single middleware`);
     });
 });
@@ -16,7 +16,8 @@ let options = {
     'get /npos/:id': 'get /npos/:id',
     'put /npos/:id': 'put /npos/:id',
     'delete /npos/:id': 'delete /npos/:id',
-    'post /npos/suggestions': 'post /npos/suggestions'
+    'post /npos/suggestions': 'post /npos/suggestions',
+    'get /npos/:id/donations': 'get /npos/:id/donations'
 };
 
 npos.stack.map(item => {
@@ -32,7 +33,7 @@ npos.stack.map(item => {
 });
 
 tape.test('NPO Endpoints', test => {
-    test.plan(6);
+    test.plan(7);
 
     Object.keys(options).map(key => {
         test.equal(key, data[key], `should provide ${key} endpoint`);
@@ -44,9 +45,17 @@ tape.test('NPO Endpoints', test => {
  * object properly, at least on functions names
  */
 tape.test('NPOs endpoints middlewares', test => {
-    test.plan(12);
+    test.plan(13);
     Object.keys(middlewares).map(key => {
         let actual = middlewares[key];
+
+        /**
+         * Donations are open to partners with API keys
+         */
+        if (key === 'get /npos/:id/donations') {
+            return test.equal('apiKeyOrToken', actual[0], `should validate API key or token on ${key}`);
+        }
+
         test.equal('verifyToken', actual[0], `should validate token on ${key}`);
         test.equal('authenticate', actual[1], `should authenticate on ${key}`);
     });
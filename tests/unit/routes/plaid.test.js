@@ -69,3 +69,11 @@ tape.test('Plaid endpoints middlewares', test => {
         test.equal('currentUser', middleware[2], `verify current user on ${key}`);
     });
 });
+
+tape.test('Plaid bank linking requires verified email', test => {
+    test.plan(3);
+
+    ['post /plaid/link', 'post /plaid/connect', 'post /plaid/connect/step'].map(key => {
+        test.equal('requireVerified', middlewares[key][3], `require verified email on ${key}`);
+    });
+});
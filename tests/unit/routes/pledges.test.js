@@ -16,7 +16,8 @@ let options = {
     'get /users/:id/pledges/:pledgeId': 'get /users/:id/pledges/:pledgeId',
     'put /users/:id/pledges/:pledgeId': 'put /users/:id/pledges/:pledgeId',
     'get /users/:id/pledges/:pledgeId/balances': 'get /users/:id/pledges/:pledgeId/balances',
-    'get /users/:id/pledges/:pledgeId/transactions': 'get /users/:id/pledges/:pledgeId/transactions'
+    'get /users/:id/pledges/:pledgeId/transactions': 'get /users/:id/pledges/:pledgeId/transactions',
+    'post /users/:id/pledges/:pledgeId/donations': 'post /users/:id/pledges/:pledgeId/donations'
 };
 
 pledges.stack.map(item => {
@@ -32,7 +33,7 @@ pledges.stack.map(item => {
 });
 
 tape.test('Charities Endpoints', test => {
-    test.plan(6);
+    test.plan(7);
 
     Object.keys(options).map(key => {
         test.equal(key, data[key], `should provide ${key} endpoint`);
@@ -44,7 +45,7 @@ tape.test('Charities Endpoints', test => {
  * object properly, at least on functions names
  */
 tape.test('Charities endpoints middlewares', test => {
-    test.plan(18);
+    test.plan(21);
     Object.keys(middlewares).map(key => {
         let actual = middlewares[key];
         test.equal('verifyToken', actual[0], `validate token on ${key}`);
@@ -52,3 +53,17 @@ tape.test('Charities endpoints middlewares', test => {
         test.equal('currentUser', actual[2], `verify current user on ${key}`);
     });
 });
+
+tape.test('Create pledge requires verified email', test => {
+    test.plan(1);
+
+    let actual = middlewares['post /users/:id/pledges'][3];
+    test.equal('requireVerified', actual, 'require verified email on post /users/:id/pledges');
+});
+
+tape.test('One-time donations require verified email', test => {
+    test.plan(1);
+
+    let actual = middlewares['post /users/:id/pledges/:pledgeId/donations'][3];
+    test.equal('requireVerified', actual, 'require verified email on post /users/:id/pledges/:pledgeId/donations');
+});
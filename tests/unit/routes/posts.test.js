@@ -49,7 +49,7 @@ tape.test('Posts endpoints middlewares', test => {
 });
 
 tape.test('Posts endpoints middlewares for dashboard', test => {
-    test.plan(4);
+    test.plan(5);
 
     const key = 'get /posts';
     const actual = middlewares[key];
@@ -57,5 +57,6 @@ tape.test('Posts endpoints middlewares for dashboard', test => {
     test.equal('verifyToken', actual[0], `should validate token on ${key}`);
     test.equal('authenticate', actual[1], `should authenticate on ${key}`);
     test.equal('currentUser', actual[2], `use currentUser on ${key}`);
-    test.equal('validateRequest', actual[3], `validate validateRequest on ${key}`);
+    test.equal('validate', actual[3], `validate query on ${key}`);
+    test.equal('validateRequest', actual[4], `validate validateRequest on ${key}`);
 });
@@ -12,7 +12,13 @@ let middlewares = {};
 
 let options = {
     'post /sessions': 'post /sessions',
-    'delete /sessions/:id': 'delete /sessions/:id'
+    'delete /sessions/:id': 'delete /sessions/:id',
+    'post /sessions/refresh': 'post /sessions/refresh',
+    'post /sessions/verify': 'post /sessions/verify',
+    'post /sessions/impersonate': 'post /sessions/impersonate',
+    'get /users/:id/sessions': 'get /users/:id/sessions',
+    'delete /users/:id/sessions': 'delete /users/:id/sessions',
+    'delete /users/:id/sessions/:sessionId': 'delete /users/:id/sessions/:sessionId'
 };
 
 sessions.stack.map(item => {
@@ -28,7 +34,7 @@ sessions.stack.map(item => {
 });
 
 tape.test('Session Endpoints', test => {
-    test.plan(2);
+    test.plan(8);
 
     Object.keys(options).map(key => {
         test.equal(key, data[key], `should provide ${key} endpoint`);
@@ -46,3 +52,23 @@ tape.test('Sessions remove token', test => {
 
     test.equal(expected, actual, 'validate token on delete session request');
 });
+
+tape.test('User sessions middlewares', test => {
+    test.plan(9);
+
+    ['get /users/:id/sessions', 'delete /users/:id/sessions', 'delete /users/:id/sessions/:sessionId']
+        .map(key => {
+            let actual = middlewares[key];
+            test.equal('verifyToken', actual[0], `should validate token on ${key}`);
+            test.equal('authenticate', actual[1], `should authenticate on ${key}`);
+            test.equal('currentUser', actual[2], `use currentUser on ${key}`);
+        });
+});
+
+tape.test('Impersonate middlewares', test => {
+    test.plan(6);
+
+    let actual = middlewares['post /sessions/impersonate'];
+    ['verifyToken', 'authenticate', 'currentUser', 'isAdmin', 'validate', 'impersonate']
+        .map((name, index) => test.equal(name, actual[index], `should use ${name} on impersonate`));
+});
@@ -0,0 +1,51 @@
+/**
+ * Test Socials routes
+ */
+
+'use strict';
+
+const tape = require('tape');
+const socials = require('../../../socials');
+
+let data = {};
+let middlewares = {};
+
+let options = {
+    'post /socials': 'post /socials',
+    'post /socials/link': 'post /socials/link',
+    'post /socials/link/code': 'post /socials/link/code',
+    'post /users/:id/socials': 'post /users/:id/socials',
+    'delete /users/:id/socials': 'delete /users/:id/socials'
+};
+
+socials.stack.map(item => {
+    let method = Object.keys(item.route.methods).join('');
+    let path = item.route.path;
+    let key = `${method} ${path}`;
+    data[key] = key;
+
+    item.route.stack.map(item => {
+        middlewares[key] = middlewares[key] || [];
+        middlewares[key].push(item.name);
+    });
+});
+
+tape.test('Social Endpoints', test => {
+    test.plan(5);
+
+    Object.keys(options).map(key => {
+        test.equal(key, data[key], `should provide ${key} endpoint`);
+    });
+});
+
+tape.test('User socials middlewares', test => {
+    test.plan(8);
+
+    ['post /users/:id/socials', 'delete /users/:id/socials'].map(key => {
+        let actual = middlewares[key];
+        test.equal('verifyToken', actual[0], `should validate token on ${key}`);
+        test.equal('authenticate', actual[1], `should authenticate on ${key}`);
+        test.equal('currentUser', actual[2], `use currentUser on ${key}`);
+        test.equal('onlyOwner', actual[3], `only owner on ${key}`);
+    });
+});
@@ -0,0 +1,33 @@
+/**
+ * Test Users routes
+ */
+
+'use strict';
+
+const tape = require('tape');
+const users = require('../../../users');
+const notImpersonated = require('../../../lib/notImpersonated');
+
+let middlewares = {};
+
+users.stack.map(item => {
+    let method = Object.keys(item.route.methods).join('');
+    let key = `${method} ${item.route.path}`;
+
+    middlewares[key] = item.route.stack.map(item => item.name);
+});
+
+tape.test('User export is blocked for impersonated sessions', test => {
+    test.plan(3);
+
+    test.ok(middlewares['get /users/:id/export'].indexOf('notImpersonated') > -1,
+        'should block impersonated sessions on get /users/:id/export');
+
+    notImpersonated({session: {impersonated: true}}, {}, error => {
+        test.equal(error.code, 'impersonated-not-allowed', 'impersonated sessions rejected');
+    });
+
+    notImpersonated({session: {impersonated: false}}, {}, error => {
+        test.equal(error, undefined, 'other sessions allowed');
+    });
+});
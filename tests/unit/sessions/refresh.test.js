@@ -0,0 +1,50 @@
+'use strict';
+
+const tape = require('tape');
+const sinon = require('sinon');
+const Session = require('../../../sessions/session');
+const issue = require('../../../sessions/issue');
+const refresh = require('../../../sessions/refresh');
+const hashToken = require('../../../helpers/hashToken');
+
+tape('Rotated refresh tokens are capped', test => {
+    test.plan(3);
+
+    let used = [];
+
+    for (let i = 0; i < 50; i++) {
+        used.push(`digest-${i}`);
+    }
+
+    const session = {
+        userId: 'user',
+        agent: 'agent',
+        refreshExpire: new Date(Date.now() + 60 * 60 * 1000),
+        usedRefreshTokens: used
+    };
+
+    sinon.stub(Session, 'findOne').returns(Promise.resolve(session));
+    sinon.stub(issue, 'rotate', rotated => Promise.resolve({session: rotated}));
+
+    const request = {
+        body: {refreshToken: 'refresh'},
+        headers: {'user-agent': 'agent'}
+    };
+
+    const done = () => {
+        Session.findOne.restore();
+        issue.rotate.restore();
+    };
+
+    refresh(request, {
+        json: () => {
+            test.equal(session.usedRefreshTokens.length, 50, 'keeps the last 50 digests');
+            test.equal(session.usedRefreshTokens[0], 'digest-1', 'drops the oldest one');
+            test.equal(session.usedRefreshTokens[49], hashToken('refresh'), 'keeps the rotated one');
+            done();
+        }
+    }, error => {
+        test.fail(error);
+        done();
+    });
+});
@@ -0,0 +1,27 @@
+'use strict';
+
+const tape = require('tape');
+const providers = require('../../../socials/providers');
+
+tape('Social providers registry', test => {
+    test.plan(6);
+
+    test.deepEqual(providers.names, ['facebook', 'google', 'apple'], 'available providers');
+    test.equal(typeof providers.get('google').verify, 'function', 'providers implement verify');
+    test.equal(providers.get('constructor'), undefined, 'only registered providers');
+
+    providers
+        .verify({provider: 'foobar', token: 'foo'})
+        .catch(error => test.equal(error.message, 'Unsupported provider', 'reject unknown providers'));
+
+    /**
+     * No client ids on tests environment
+     */
+    providers
+        .verify({provider: 'google', token: 'foo'})
+        .catch(error => test.equal(error.message, 'Provider not configured', 'reject google without client ids'));
+
+    providers
+        .verify({provider: 'apple', token: 'foo'})
+        .catch(error => test.equal(error.message, 'Provider not configured', 'reject apple without client ids'));
+});
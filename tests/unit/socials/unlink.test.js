@@ -0,0 +1,65 @@
+'use strict';
+
+const tape = require('tape');
+const sinon = require('sinon');
+const Social = require('../../../socials/social');
+const unlink = require('../../../socials/unlink');
+
+function request(user) {
+    return new Promise(resolve => {
+        unlink({
+            currentUser: user,
+            query: {provider: 'google'},
+            body: {}
+        }, {
+            json: () => resolve()
+        }, resolve);
+    });
+}
+
+tape('Unlink the last social login', test => {
+    test.plan(4);
+
+    const userId = 'a'.repeat(24);
+
+    sinon.stub(Social, 'findOne').returns(Promise.resolve({userId: userId}));
+    sinon.stub(Social, 'count').returns(Promise.resolve(1));
+    sinon.stub(Social, 'remove').returns(Promise.resolve());
+
+    request({_id: userId, passwordSet: false})
+        .then(error => {
+            test.equal(error.code, 'last-login-method', 'refused without a password');
+
+            return request({_id: userId});
+        })
+        .then(error => {
+            test.equal(error.code, 'last-login-method', 'refused when password is unknown');
+            test.equal(Social.remove.called, false, 'social kept');
+
+            return request({_id: userId, passwordSet: true});
+        })
+        .then(error => test.equal(error, undefined, 'unlinked with a password'))
+        .catch(error => test.fail(error))
+        .then(() => {
+            Social.findOne.restore();
+            Social.count.restore();
+            Social.remove.restore();
+        });
+});
+
+tape('Unlink one of many social logins', test => {
+    test.plan(1);
+
+    sinon.stub(Social, 'findOne').returns(Promise.resolve({}));
+    sinon.stub(Social, 'count').returns(Promise.resolve(2));
+    sinon.stub(Social, 'remove').returns(Promise.resolve());
+
+    request({_id: 'a'.repeat(24), passwordSet: false})
+        .then(error => test.equal(error, undefined, 'unlinked while another social remains'))
+        .catch(error => test.fail(error))
+        .then(() => {
+            Social.findOne.restore();
+            Social.count.restore();
+            Social.remove.restore();
+        });
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const tape = require('tape');
+const jwt = require('jsonwebtoken');
+const verifyIdToken = require('../../../socials/verifyIdToken');
+const jwkToPem = require('../../../helpers/jwkToPem');
+const rsa = require('../fixtures/rsa');
+
+const options = {
+    issuer: 'https://accounts.example.com',
+    audience: 'client-id'
+};
+
+/**
+ * Local keys instead of provider JWKS
+ */
+function key(kid) {
+    return kid === rsa.jwk.kid ?
+        Promise.resolve(jwkToPem(rsa.jwk)) :
+        Promise.reject(new Error('Unknown key id'));
+}
+
+function sign(payload, signOptions) {
+    return jwt.sign(payload, rsa.privateKey, Object.assign({
+        algorithm: 'RS256',
+        header: {
+            kid: rsa.jwk.kid
+        }
+    }, signOptions));
+}
+
+const payload = {
+    sub: '1234',
+    email: 'foo@bar.com',
+    iss: options.issuer,
+    aud: options.audience
+};
+
+tape('Verify ID token', test => {
+    test.plan(6);
+
+    verifyIdToken(sign(payload, {expiresIn: 60}), key, options)
+        .then(decoded => test.equal(decoded.sub, '1234', 'valid token'));
+
+    verifyIdToken(sign(Object.assign({}, payload, {aud: 'other'}), {expiresIn: 60}), key, options)
+        .catch(error => test.equal(error.status, 422, 'invalid audience'));
+
+    verifyIdToken(sign(Object.assign({}, payload, {iss: 'other'}), {expiresIn: 60}), key, options)
+        .catch(error => test.equal(error.status, 422, 'invalid issuer'));
+
+    verifyIdToken(sign(payload), key, options)
+        .catch(error => test.equal(error.status, 422, 'expiration required'));
+
+    verifyIdToken(jwt.sign(payload, 'secret', {header: {kid: rsa.jwk.kid}, expiresIn: 60}), key, options)
+        .catch(error => test.equal(error.status, 422, 'only RS256'));
+
+    verifyIdToken('foo.bar.baz', key, options)
+        .catch(error => test.equal(error.status, 422, 'invalid token'));
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const tape = require('tape');
+const sinon = require('sinon');
+const User = require('../../../users/user');
+const Transaction = require('../../../transactions/chain/transaction');
+const donorQuery = require('../../../transactions/chain/donorQuery');
+const listV1 = require('../../../transactions/chain/listV1');
+
+tape('Transactions sort order', test => {
+    test.plan(5);
+
+    test.equal(donorQuery.timestampOrder(), -1, 'newest first by default');
+    test.equal(donorQuery.timestampOrder('timestamp'), 1, 'oldest first');
+    test.equal(donorQuery.timestampOrder('-timestamp'), -1, 'newest first');
+    test.equal(donorQuery.timestampOrder('amount,timestamp'), 1, 'timestamp among other fields');
+    test.equal(donorQuery.timestampOrder('amount'), -1, 'other fields');
+});
+
+tape('v1 transactions by page number', test => {
+    test.plan(4);
+
+    const user = new User({
+        email: 'someone@example.com',
+        pledges: [{addresses: {'2016-05': 'address-1'}}]
+    });
+
+    sinon.stub(User, 'findOne').returns(Promise.resolve(user));
+    sinon.stub(Transaction, 'paginate').returns(Promise.resolve({
+        docs: [],
+        total: 25,
+        limit: 10,
+        page: 2,
+        pages: 3
+    }));
+
+    const done = () => {
+        User.findOne.restore();
+        Transaction.paginate.restore();
+    };
+
+    listV1({query: {email: 'someone@example.com', page: 2, sort: 'timestamp'}}, {
+        json: body => {
+            const options = Transaction.paginate.firstCall.args[1];
+
+            test.equal(options.page, 2, 'page number');
+            test.equal(options.sort['payload.timestamp'], 'ascending', 'previous sort');
+            test.equal(body.meta.total, 25, 'total transactions');
+            test.equal(body.meta.pages, 3, 'total pages');
+            done();
+        }
+    }, error => {
+        test.fail(error);
+        done();
+    });
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+const tape = require('tape');
+const sinon = require('sinon');
+const RecoveryCode = require('../../../users/recoveryCode');
+const tracker = require('../../../attempts/tracker');
+const passwordToken = require('../../../users/passwordToken');
+
+const HOUR = 60 * 60 * 1000;
+
+function request(code) {
+    return new Promise(resolve => {
+        passwordToken({
+            ip: '10.0.0.1',
+            body: {changePassword: 'someone@example.com', code: code}
+        }, {}, resolve);
+    });
+}
+
+tape('Invalid recovery codes are counted atomically', test => {
+    test.plan(4);
+
+    const recoveryCode = new RecoveryCode({
+        userId: 'a'.repeat(24),
+        code: 1234,
+        userEmail: 'someone@example.com',
+        expire: new Date(Date.now() + HOUR)
+    });
+
+    sinon.stub(tracker, 'guard').returns(Promise.resolve());
+    sinon.stub(tracker, 'fail').returns(Promise.resolve());
+    sinon.stub(RecoveryCode, 'findOne').returns({sort: () => Promise.resolve(recoveryCode)});
+    sinon.stub(RecoveryCode, 'findOneAndUpdate').returns(Promise.resolve(recoveryCode));
+    sinon.stub(RecoveryCode, 'remove').returns(Promise.resolve());
+
+    request(1111)
+        .then(error => {
+            const query = RecoveryCode.findOneAndUpdate.firstCall.args[0];
+
+            test.equal(error.code, 'recovery-code-not-found', 'invalid code');
+            test.ok(query.attempts.$lt, 'limit checked on the update');
+
+            RecoveryCode.findOneAndUpdate.returns(Promise.resolve(null));
+            return request(1111);
+        })
+        .then(error => {
+            test.equal(error.code, 'recovery-code-attempts-exceeded', 'too many attempts');
+            test.deepEqual(RecoveryCode.remove.firstCall.args[0], {_id: recoveryCode._id}, 'code removed');
+        })
+        .catch(error => test.fail(error))
+        .then(() => {
+            tracker.guard.restore();
+            tracker.fail.restore();
+            RecoveryCode.findOne.restore();
+            RecoveryCode.findOneAndUpdate.restore();
+            RecoveryCode.remove.restore();
+        });
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const tape = require('tape');
+const sinon = require('sinon');
+const User = require('../../../users/user');
+const remove = require('../../../users/remove');
+
+tape('Archived users keep their pledges, inactive', test => {
+    test.plan(5);
+
+    const npoId = 'a'.repeat(24);
+    let user = new User({
+        email: 'someone@example.com',
+        pledges: [{npoId: npoId, active: true}]
+    });
+
+    user.save = () => Promise.resolve(user);
+    sinon.stub(User, 'findOne').returns(Promise.resolve(user));
+
+    const done = () => User.findOne.restore();
+
+    remove({params: {id: user._id}, query: {}}, {
+        json: () => {
+            test.equal(User.findOne.firstCall.args[0].archived, false, 'only users not archived');
+            test.ok(user.archived, 'user archived');
+            test.equal(user.pledges.length, 1, 'pledges kept');
+            test.equal(String(user.pledges[0].npoId), npoId, 'same pledge');
+            test.equal(user.pledges[0].active, false, 'pledge inactive');
+            done();
+        }
+    }, error => {
+        test.fail(error);
+        done();
+    });
+});
+
+tape('Archived users can be erased', test => {
+    test.plan(2);
+
+    sinon.stub(User, 'findOne').returns(Promise.resolve(null));
+
+    remove({params: {id: 'a'.repeat(24)}, query: {erase: true}}, {}, error => {
+        test.equal(error.code, 'user-not-found', 'unknown user');
+        test.equal(User.findOne.firstCall.args[0].archived, undefined, 'archived users included');
+        User.findOne.restore();
+    });
+});
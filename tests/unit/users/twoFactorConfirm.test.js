@@ -0,0 +1,51 @@
+'use strict';
+
+const tape = require('tape');
+const totp = require('../../../helpers/totp');
+const cipher = require('../../../helpers/cipher');
+const twoFactorConfirm = require('../../../users/twoFactorConfirm');
+
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+function confirm(pendingSecret, code) {
+    let user = {
+        twoFactor: {pendingSecret: pendingSecret},
+        save: () => Promise.resolve(user)
+    };
+
+    return new Promise(resolve => {
+        twoFactorConfirm({currentUser: user, body: {code: code}}, {
+            json: body => resolve({user: user, body: body})
+        }, error => resolve({error: error}));
+    });
+}
+
+tape('Two factor confirmation of secrets stored in plain text', test => {
+    test.plan(4);
+
+    const key = process.env.ENCRYPTION_KEY;
+    process.env.ENCRYPTION_KEY = 'test-key';
+
+    const code = totp.hotp(SECRET, totp.counter(Date.now()));
+
+    confirm(SECRET, code)
+        .then(result => {
+            test.equal(result.body.data.enabled, true, 'plain text secret accepted');
+            test.ok(cipher.encrypted(result.user.twoFactor.secret), 'secret encrypted on confirmation');
+            test.equal(cipher.decrypt(result.user.twoFactor.secret), SECRET, 'same secret');
+
+            const encrypted = cipher.encrypt(SECRET);
+            process.env.ENCRYPTION_KEY = 'other-key';
+
+            return confirm(encrypted, code);
+        })
+        .then(result => test.ok(result.error, 'decrypt errors sent to next'))
+        .catch(error => test.fail(error))
+        .then(() => {
+            if (key === undefined) {
+                delete process.env.ENCRYPTION_KEY;
+            } else {
+                process.env.ENCRYPTION_KEY = key;
+            }
+        });
+});
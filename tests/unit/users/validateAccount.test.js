@@ -0,0 +1,40 @@
+'use strict';
+
+process.env.CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+const tape = require('tape');
+const sinon = require('sinon');
+const User = require('../../../users/user');
+const validateAccount = require('../../../users/validateAccount');
+
+const HOUR = 60 * 60 * 1000;
+
+function verify(user) {
+    user.save = () => Promise.resolve(user);
+    User.findOne.returns(Promise.resolve(user));
+
+    return new Promise(resolve => {
+        validateAccount({params: {token: 'token'}}, {redirect: resolve}, resolve);
+    });
+}
+
+tape('Account verification links', test => {
+    test.plan(4);
+
+    sinon.stub(User, 'findOne');
+
+    let legacy = {email: 'legacy@example.com', verificationToken: 'token'};
+
+    verify(legacy)
+        .then(url => {
+            test.ok(/verification-link-success/.test(url), 'links sent before expiration are valid');
+            test.equal(legacy.verificationToken, '', 'token cleared');
+
+            return verify({email: 'late@example.com', verificationExpire: new Date(Date.now() - HOUR)});
+        })
+        .then(url => test.ok(/reason=expired/.test(url), 'expired links rejected'))
+        .then(() => verify({email: 'soon@example.com', verificationExpire: new Date(Date.now() + HOUR)}))
+        .then(url => test.ok(/verification-link-success/.test(url), 'links not expired are valid'))
+        .catch(error => test.fail(error))
+        .then(() => User.findOne.restore());
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const tape = require('tape');
+const validation = require('../../../validation');
+
+const ID = '57b4e1e6f0a4b42a3f3e3f00';
+
+tape('Request schema types', test => {
+    test.plan(9);
+
+    const schema = {
+        params: {
+            id: {
+                type: 'objectId',
+                required: true
+            }
+        },
+        query: {
+            page: 'integer',
+            all: 'boolean',
+            from: 'date',
+            ids: {
+                type: 'array',
+                items: 'objectId'
+            }
+        }
+    };
+    const result = validation.check(schema, {
+        params: {id: ID},
+        query: {page: '2', all: 'false', from: '2016-08-01', ids: ID, filter: {name: 'a'}}
+    });
+
+    test.deepEqual(result.errors, {}, 'valid request');
+    test.equal(result.values.query.page, 2, 'coerce integers');
+    test.equal(result.values.query.all, false, 'coerce booleans');
+    test.ok(result.values.query.from instanceof Date, 'coerce dates');
+    test.deepEqual(result.values.query.ids, [ID], 'coerce single values to lists');
+    test.deepEqual(result.values.query.filter, {name: 'a'}, 'keep other query values');
+
+    const invalid = validation.check(schema, {
+        params: {id: 'foo'},
+        query: {page: '1.5', ids: [ID, 'foo']}
+    });
+
+    test.equal(invalid.errors['params.id'], 'must be an id', 'invalid id');
+    test.equal(invalid.errors['query.page'], 'must be an integer', 'invalid integer');
+    test.equal(invalid.errors['query.ids.1'], 'must be an id', 'invalid list item');
+});
+
+tape('Request schema rules', test => {
+    test.plan(8);
+
+    const schema = {
+        body: {
+            email: {
+                type: 'string',
+                format: 'email',
+                required: true
+            },
+            monthlyLimit: {
+                type: 'number',
+                min: 1
+            },
+            node: {
+                type: 'string',
+                enum: ['A', 'B']
+            },
+            textContent: {
+                type: 'string',
+                minLength: 10
+            },
+            mfa: {
+                type: 'object',
+                properties: {
+                    answer: 'any'
+                }
+            }
+        }
+    };
+
+    const errors = validation.check(schema, {
+        body: {monthlyLimit: 0, node: 'C', textContent: 'short'}
+    }).errors;
+
+    test.equal(errors['body.email'], 'required', 'required');
+    test.equal(errors['body.monthlyLimit'], 'must be at least 1', 'min');
+    test.equal(errors['body.node'], 'must be one of A, B', 'enum');
+    test.equal(errors['body.textContent'], 'must have at least 10 characters', 'min length');
+    test.equal(validation.check(schema, {body: {email: 'foo'}}).errors['body.email'], 'invalid email', 'format');
+
+    const valid = validation.check(schema, {
+        body: {email: 'foo@bar.com', roleId: ID, mfa: {answer: 'tomato', type: 'questions'}}
+    });
+
+    test.deepEqual(valid.values.body, {email: 'foo@bar.com', mfa: {answer: 'tomato'}}, 'body is a whitelist');
+    test.equal(validation.check(schema, {body: []}).errors.body, 'must be an object', 'body must be an object');
+    test.deepEqual(validation.check({body: validation.partial(schema.body)}, {body: {}}).errors, {},
+        'partial rules are optional');
+});
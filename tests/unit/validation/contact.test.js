@@ -0,0 +1,43 @@
+'use strict';
+
+const tape = require('tape');
+const validation = require('../../../validation');
+const schemas = require('../../../contact/schemas');
+
+const validate = request => validation.check(schemas.create, request).errors;
+
+tape('Contact request schema', test => {
+    test.plan(6);
+
+    test.equal(true, !!Object.keys(validate({
+        body: {}
+    })).length, 'validate empty body');
+
+    test.equal('required', validate({
+        body: {}
+    })['body.content'], 'validate content');
+
+    test.equal('must be one of suggest, comment, general', validate({
+        body: {
+            category: 'npo'
+        }
+    })['body.category'], 'validate category');
+
+    test.equal('required', validate({
+        body: {}
+    })['body.contact'], 'validate email');
+
+    test.equal('invalid email', validate({
+        body: {
+            contact: 'foo'
+        }
+    })['body.contact'], 'validate contact email');
+
+    test.deepEqual({}, validate({
+        body: {
+            contact: 'foo@bar.com',
+            content: 'foo',
+            category: 'comment'
+        }
+    }), 'valid with proper fields');
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+const tape = require('tape');
+const validate = require('../../../lib/validate');
+const schemas = require('../../../users/schemas');
+
+const ID = '57b4e1e6f0a4b42a3f3e3f00';
+
+tape('Validate middleware', test => {
+    test.plan(7);
+
+    const middleware = validate(schemas.update);
+
+    test.equal(middleware.name, 'validate', 'middleware name');
+    test.equal(middleware.schema, schemas.update, 'schema kept for API docs');
+
+    let request = {
+        params: {id: ID},
+        query: {},
+        body: {
+            firstName: 'Foo',
+            stripe: {customer: 'cus_1'},
+            twoFactor: {enabled: false},
+            verificationToken: null
+        }
+    };
+
+    middleware(request, {}, error => {
+        test.equal(error, undefined, 'valid request');
+        test.deepEqual(request.body, {firstName: 'Foo'}, 'only writable fields');
+    });
+
+    middleware({params: {id: 'foo'}, query: {}, body: {email: 'foo'}}, {}, error => {
+        test.equal(error.code, 'invalid-request', 'error code');
+        test.equal(error.status, 400, 'error status');
+        test.deepEqual(error.details, {
+            'params.id': 'must be an id',
+            'body.email': 'invalid email'
+        }, 'messages by field');
+    });
+});
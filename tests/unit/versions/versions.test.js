@@ -0,0 +1,103 @@
+'use strict';
+
+const tape = require('tape');
+const versions = require('../../../versions');
+const versioned = require('../../../versions/versioned');
+const transform = require('../../../versions/transform');
+
+function response() {
+    let headers = {};
+
+    return {
+        headers: headers,
+        statusCode: 200,
+        set: (name, value) => {
+            headers[name] = value;
+        },
+        json: function(body) {
+            this.body = body;
+        }
+    };
+}
+
+tape('Version headers', test => {
+    test.plan(6);
+
+    let request = {url: '/users/1'};
+    let res = response();
+
+    versions.version('v1')(request, res, () => {
+        test.equal(request.apiVersion, 'v1', 'request version');
+        test.equal(res.headers['API-Version'], 'v1', 'version header');
+        test.equal(res.headers.Deprecation, 'true', 'deprecated');
+        test.equal(res.headers.Link, '</v2/users/1>; rel="successor-version"', 'link to latest version');
+    });
+
+    res = response();
+    versions.version('v2')({url: '/users/1', apiVersion: 'v2'}, res, () => {
+        test.equal(res.headers['API-Version'], undefined, 'version set by a prefixed mount is kept');
+    });
+
+    res = response();
+    versions.version('v2')({url: '/users/1'}, res, () => {
+        test.equal(res.headers.Deprecation, undefined, 'latest version not deprecated');
+    });
+});
+
+tape('Strip version prefix', test => {
+    test.plan(4);
+
+    test.equal(versions.strip('/v2/sessions'), '/sessions', 'prefixed path');
+    test.equal(versions.strip('/v1'), '/', 'version root');
+    test.equal(versions.strip('/sessions'), '/sessions', 'unprefixed path');
+    test.equal(versions.strip('/v10/sessions'), '/v10/sessions', 'unknown version');
+});
+
+tape('Version of a request', test => {
+    test.plan(3);
+
+    test.equal(versions.of({apiVersion: 'v2', originalUrl: '/users'}), 'v2', 'routed request');
+    test.equal(versions.of({originalUrl: '/v2/sessions'}), 'v2', 'by path prefix before routing');
+    test.equal(versions.of({originalUrl: '/sessions'}), versions.DEFAULT, 'unprefixed path');
+});
+
+tape('Versioned handlers', test => {
+    test.plan(4);
+
+    const handler = versioned({
+        v1: (request, response, next) => next('v1')
+    });
+
+    handler({apiVersion: 'v1'}, {}, name => test.equal(name, 'v1', 'handler of the version'));
+    handler({apiVersion: 'v2'}, {}, name => test.equal(name, 'v1', 'closest older handler'));
+    handler({}, {}, name => test.equal(name, 'v1', 'default version'));
+
+    test.throws(() => versioned({v2: () => {}}), /v1 handler/, 'oldest version required');
+});
+
+tape('Response transformers', test => {
+    test.plan(3);
+
+    const middleware = transform({
+        v1: body => body.data
+    });
+
+    let res = response();
+    middleware({apiVersion: 'v1'}, res, () => {
+        res.json({data: {token: 'foo'}});
+        test.deepEqual(res.body, {token: 'foo'}, 'transformed for v1');
+    });
+
+    res = response();
+    middleware({apiVersion: 'v2'}, res, () => {
+        res.json({data: {token: 'foo'}});
+        test.deepEqual(res.body, {data: {token: 'foo'}}, 'latest shape on v2');
+    });
+
+    res = response();
+    middleware({apiVersion: 'v1'}, res, () => {
+        res.statusCode = 401;
+        res.json({code: 'invalid-credentials'});
+        test.deepEqual(res.body, {code: 'invalid-credentials'}, 'errors untouched');
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Query of the transactions of a donor, by `email`, narrowed by the `amount`,
+ * `amountRange`, `date` and `days` of a list request
+ *
+ * Resolves the query, rejects when the email is missing or unknown
+ */
+'use strict';
+
+const User = require('../../users/user');
+const errors = require('../../errors');
+
+const getPledgeAddressByDate = (pledge, date) => pledge.addresses[date];
+
+function donorQuery(request) {
+    let email = request.query.email;
+
+    if (!email) {
+        return Promise.reject(errors.create('email-parameter-required'));
+    }
+
+    return User.findOne({email: email})
+        .then(user => {
+            if (!user) {
+                return Promise.reject(errors.create('user-email-not-found'));
+            }
+
+            let addresses = [];
+            for (let index in user.pledges) {
+                let pledge = user.pledges[index];
+                let dates = Object.keys(pledge.addresses || {}).sort().reverse();
+                let pledgeAddresses = dates.map(getPledgeAddressByDate.bind(null, pledge));
+                addresses.push(pledgeAddresses);
+            }
+            addresses = addresses.reduce((txs1, txs2) => txs1.concat(txs2), []);
+
+            let query = {
+                'payload.address' : {
+                    $in: addresses
+                }
+            };
+
+            /* Search by amount and amount range */
+            let amount = Number(request.query.amount);
+            if (!isNaN(amount)) {
+                query['payload.amount'] = amount;
+            }
+            let amountRange = request.query.amountRange;
+            if (amountRange && amountRange.indexOf('-')) {
+                amountRange = amountRange.split('-');
+                let gte = Number(amountRange[0]);
+                let lte = Number(amountRange[1]);
+                if (!isNaN(gte) && !isNaN(lte)) {
+                    query['payload.amount'] = {
+                        $gte: gte,
+                        $lte: lte
+                    };
+                }
+            }
+
+            /* Search by date */
+            let date = new Date(request.query.date);
+            let days = Number(request.query.days);
+            if (date.toString() !== 'Invalid Date' && (!days || !isNaN(days)))  {
+                // Ignore timezone by dropping everyting after 'T'
+                let startDate = date.toISOString().split('T')[0];
+                let endDate = (new Date(date.getTime() + (days + 1 || 1) * 60*60*24*1000))
+                    .toISOString().split('T')[0];
+                query['payload.timestamp'] = {
+                    $gte: startDate,
+                    $lt: endDate
+                };
+            }
+
+            return query;
+        });
+}
+
+/**
+ * Order of `payload.timestamp`, 1 or -1. Newest first unless `sort` mentions
+ * `timestamp` without a leading `-`
+ */
+function timestampOrder(sort) {
+    return sort && sort.indexOf('timestamp') >= 0 && sort.indexOf('-') !== 0 ? 1 : -1;
+}
+
+module.exports = donorQuery;
+module.exports.timestampOrder = timestampOrder;
@@ -6,17 +6,25 @@
 
 const router = require('express').Router();
 const list = require('./list');
+const listV1 = require('./listV1');
 const show = require('./show');
-const verifyToken = require('../../lib/verifyJwt');
-const authenticate = require('../../lib/authenticate');
+const apiKeyOrToken = require('../../lib/apiKeyOrToken');
 const currentUser = require('../../lib/currentUser');
-const isAdmin = require('../../lib/isAdmin');
+const requirePermission = require('../../lib/requirePermission');
+const validate = require('../../lib/validate');
+const schemas = require('./schemas');
+const versioned = require('../../versions/versioned');
 
 const PATH = '/transactions';
 const SINGLE = '/transactions/:hash';
 
+/**
+ * Open to partners with API keys holding `transactions:read` scope
+ */
+const middlewares = [apiKeyOrToken, currentUser, requirePermission('transactions:read')];
+
 router
-    .get(PATH, verifyToken, authenticate, currentUser, isAdmin, list)
-    .get(SINGLE, verifyToken, authenticate, currentUser, isAdmin, show);
+    .get(PATH, middlewares, validate(schemas.list), versioned({v1: listV1, v2: list}))
+    .get(SINGLE, middlewares, validate(schemas.show), show);
 
 module.exports = router;
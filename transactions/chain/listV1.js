@@ -0,0 +1,46 @@
+/**
+ * Middleware to list transactions of a donor on v1, by email, see
+ * ./donorQuery.js
+ *
+ * Pages by number (`page`, `perPage`) as before cursors, `meta` holds the
+ * `total` of transactions and of `pages`. Requests sending a `cursor` get
+ * cursor pages, see ./list.js
+ */
+'use strict';
+
+const Transaction = require('./transaction');
+const donorQuery = require('./donorQuery');
+const queryOptions = require('../../helpers/queryOptions');
+const list = require('./list');
+
+module.exports = function listV1(request, response, next) {
+    if (request.query.cursor) {
+        return list(request, response, next);
+    }
+
+    let options = queryOptions(request, Transaction);
+
+    options.sort['payload.timestamp'] = donorQuery.timestampOrder(request.query.sort) > 0 ?
+        'ascending' : 'descending';
+
+    return donorQuery(request)
+        .then(query => Transaction.paginate(query, options))
+        .then(results => {
+            let transactions = results.docs;
+            let data = transactions.map(transaction => {
+                return Object.assign({hash: transaction.hash.value}, transaction._doc.payload);
+            });
+
+            return response.json({
+                data: data,
+                meta: {
+                    count: transactions.length,
+                    total: results.total,
+                    pages: results.pages,
+                    email: request.query.email,
+                    options: options
+                }
+            });
+        })
+        .catch(next);
+};
@@ -0,0 +1,51 @@
+/**
+ * Request schemas for transactions endpoints, see ../../validation
+ */
+'use strict';
+
+const fields = require('../../validation/fields');
+
+module.exports = {
+    list: {
+        query: {
+            page: Object.assign({description: 'Page number, v1 only'}, fields.list.page),
+            perPage: fields.list.perPage,
+            fields: fields.list.fields,
+            cursor: fields.cursor,
+            email: {
+                type: 'string',
+                format: 'email',
+                required: true,
+                description: 'Email of the donor'
+            },
+            amount: 'number',
+            amountRange: {
+                type: 'string',
+                pattern: /^\d+(\.\d+)?-\d+(\.\d+)?$/,
+                description: '`min-max`, e.g. `1-10`'
+            },
+            date: {
+                type: 'date',
+                description: 'First day to include'
+            },
+            days: {
+                type: 'integer',
+                min: 0,
+                description: 'Days to include after `date`'
+            },
+            sort: {
+                type: 'string',
+                description: '`timestamp` for oldest first, newest first by default'
+            }
+        }
+    },
+
+    show: {
+        params: {
+            hash: {
+                type: 'string',
+                required: true
+            }
+        }
+    }
+};
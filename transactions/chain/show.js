@@ -4,6 +4,7 @@
 'use strict';
 
 const Transaction = require('./transaction');
+const errors = require('../../errors');
 
 module.exports = function list(request, response, next) {
     let hash = request.params.hash;
@@ -12,10 +13,7 @@ module.exports = function list(request, response, next) {
     return Transaction.findOne(query)
         .then(transaction => {
             if (!transaction) {
-                let error = new Error();
-                error.status = 404;
-                error.message = 'transaction-not-found';
-                return Promise.reject(error);
+                return Promise.reject(errors.create('transaction-not-found'));
             }
             let payload = Object.assign({hash: transaction.hash.value}, transaction._doc.payload);
 
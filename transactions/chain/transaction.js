@@ -40,6 +40,13 @@ let schema = new mongoose.Schema({
             type: Number,
             required: true
         },
+        /**
+         * Pledge roundups multiplier, `roundup` is already multiplied. Missing
+         * on transactions before multipliers (×1), no default to keep their hash
+         */
+        multiplier: {
+            type: Number
+        },
         balance: {
             type: Number,
             required: true
@@ -72,6 +79,13 @@ let schema = new mongoose.Schema({
     versionKey: false,
 });
 
+/**
+ * Cursor pagination, see helpers/cursorPaginate.js and
+ * pledges/transactionHistory.js
+ */
+schema.index({'payload.address': 1, 'payload.count': 1});
+schema.index({'payload.timestamp': 1, _id: 1});
+
 schema.plugin(timestamps);
 schema.plugin(mongoosePaginate);
 
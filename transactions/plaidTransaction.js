@@ -30,6 +30,14 @@ let schema = new mongoose.Schema({
         required: true,
     },
 
+    /**
+     * Pledge roundups multiplier, `roundup` is already multiplied
+     */
+    multiplier: {
+        type: Number,
+        default: 1,
+    },
+
     /**
      * Format is 'yyyy-mm-dd'
      */
@@ -9,7 +9,7 @@ const owner = require('../helpers/owner');
 const customMiddlewares = require('../lib/customMiddlewares');
 
 /**
- * Admin middlewares should include `isAdmin` middleware
+ * Admin middlewares should include `isAdmin` or `requirePermission` middleware
  */
 module.exports = (adminMiddlewares, ownerMiddlewares) => {
     return function adminOrOwner(request, response, next) {
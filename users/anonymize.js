@@ -0,0 +1,44 @@
+/**
+ * Remove personal data from an user document, keeping `_id` so references
+ * from charges and chain transactions still resolve to an (anonymous) user
+ *
+ * `password` must be replaced by the caller with the hash of a random value,
+ * see users/erase.js
+ */
+'use strict';
+
+const hat = require('hat');
+
+const ERASED_DOMAIN = 'erased.elmgives.com';
+
+module.exports = function anonymize(user, now) {
+    user.email = `${hat()}@${ERASED_DOMAIN}`;
+    user.name = '';
+    user.firstName = '';
+    user.lastName = '';
+    user.phone = undefined;
+    user.zip = undefined;
+    user.address = undefined;
+    user.verificationToken = undefined;
+    user.verificationExpire = undefined;
+    user.plaid = {
+        accounts: {},
+        tokens: {
+            connect: {}
+        }
+    };
+    user.stripe = {};
+    user.twoFactor = {
+        enabled: false,
+        recoveryCodes: []
+    };
+    (user.pledges || []).forEach(pledge => pledge.active = false);
+    user.archived = true;
+    user.active = false;
+    user.deletion = undefined;
+    user.erasedAt = now || new Date();
+
+    return user;
+};
+
+module.exports.ERASED_DOMAIN = ERASED_DOMAIN;
@@ -0,0 +1,23 @@
+/**
+ * Middleware to cancel a scheduled erasure of the current user account
+ */
+'use strict';
+
+const errors = require('../errors');
+
+module.exports = function cancelDeletion(request, response, next) {
+    let user = request.currentUser;
+
+    if (!user.deletion || !user.deletion.scheduledFor) {
+        return next(errors.create('deletion-not-scheduled'));
+    }
+
+    user.deletion = undefined;
+
+    return user
+        .save()
+        .then(() => response.json({
+            data: {}
+        }))
+        .catch(next);
+};
@@ -3,6 +3,7 @@
 const User = require('./user');
 
 const passwordValidator = require('../helpers/passwordValidator');
+const errors = require('../errors');
 
 /**
  * Used as a preliminary check for a valid user before user is actually created
@@ -16,10 +17,7 @@ const passwordValidator = require('../helpers/passwordValidator');
 function checkEmailAvailability(request, response, next) {
     let email = request.body.email;
     if (!email) {
-        let error = new Error();
-        error.status = 400;
-        error.message = 'Email parameter is required';
-        return next(error);
+        return next(errors.create('email-parameter-required'));
     }
 
     let query = {email};
@@ -28,12 +26,7 @@ function checkEmailAvailability(request, response, next) {
         .findOne(query)
         .then(user => {
             if (user) {
-                let error = new Error();
-                error.status = 422;
-                error.available = false;
-                error.message = 'That email is already in use';
-
-                return Promise.reject(error);
+                return Promise.reject(errors.create('email-already-in-use', {available: false}));
             }
 
             return passwordValidator(request.body.password);
@@ -10,48 +10,23 @@
 'use strict';
 
 const User = require('./user');
-const email = require('../email/mandrill');
-const logger = require('../logger');
-const slack = require('../slack');
-
-const CLIENT_URL = 'https://api.elmgives.com';
-const TEMPLATE = process.env.MANDRILL_VERIFY_ACCOUNT_EMAIL_TEMPLATE;
-const SUBJECT = 'Verify Elm Account Email';
-
-function sendEmail(user) {
-    let to = [{
-        email: user.email
-    }];
-
-    let options = [{
-        name: 'link',
-        content: `${CLIENT_URL}/users/verification/${user.verificationToken}`
-    }];
-
-    return email.send(TEMPLATE, to, SUBJECT, options)
-        .then(sent => {
-            logger.info({
-                verificationEmail: sent
-            });
-
-        })
-        .catch(error => {
-            logger.error({
-                err: error
-            }, 'Verification email');
-
-            slack(error)
-                .then(data => logger.info(data))
-                .catch(error => logger.error(error));
-        });
-}
+const sendVerification = require('./sendVerification');
 
 module.exports = function create(request, response, next) {
 
+    /**
+     * Only admin users can assign roles and NPO memberships
+     */
+    if (!request.isAdmin) {
+        delete request.body.roleId;
+        delete request.body.npoId;
+    }
+
     return new User(request.body)
+        .audit(request)
         .save()
         .then(user => {
-            sendEmail(user);
+            sendVerification(user);
 
             let result = {
                 data: {
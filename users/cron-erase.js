@@ -0,0 +1,11 @@
+'use strict';
+
+require('dotenv').config();
+require('../config/database');
+
+const logger = require('../logger');
+
+require('./eraseScheduled')()
+    .then(users => logger.info(`Scheduled erasures processed: ${users.length}`))
+    .catch(error => logger.error({err: error}))
+    .then(() => process.exit(0));
@@ -0,0 +1,3 @@
+#!/bin/sh
+cd /home/elmgives/apps/elmgives-api
+/usr/local/bin/node users/cron-erase.js
@@ -0,0 +1,134 @@
+/**
+ * Erase personal data of an user
+ *
+ *     - revoke Plaid access tokens
+ *     - delete Stripe customers (bank accounts and cards go with them)
+ *     - remove store names from Plaid transactions
+ *     - remove name and email copied into charges
+ *     - remove sessions, socials, pending logins, social link requests,
+ *       password recovery codes and failed login attempts
+ *     - remove values of past changes to the user document from the audit
+ *       trail, only paths, actors and dates are kept
+ *     - anonymize the user document
+ *
+ * Signed chain transactions are never touched so the ledger stays auditable,
+ * they only hold amounts and addresses. Charges keep amounts and user id.
+ *
+ * Failures from Plaid or Stripe are logged and do not stop the erasure, the
+ * tokens are removed from our side anyway.
+ */
+'use strict';
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+const plaidClient = require('../plaid/client');
+const PlaidTransaction = require('../transactions/plaidTransaction');
+const Charge = require('../charges/charge');
+const Session = require('../sessions/session');
+const Challenge = require('../sessions/challenge');
+const Social = require('../socials/social');
+const LinkRequest = require('../socials/linkRequest');
+const RecoveryCode = require('./recoveryCode');
+const Attempt = require('../attempts/attempt');
+const AuditEvent = require('../audits/auditEvent');
+const record = require('../audits/record');
+const anonymize = require('./anonymize');
+const hashPassword = require('../helpers/hashPassword');
+const token = require('../helpers/token');
+const logger = require('../logger');
+
+function escape(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function warn(user, service, error) {
+    logger.warn({
+        err: error,
+        audit: 'erasure',
+        userId: user._id,
+        service: service
+    }, `${service} data could not be removed`);
+}
+
+function revokePlaid(user) {
+    const tokens = (user.plaid && user.plaid.tokens && user.plaid.tokens.connect) || {};
+
+    return Promise.all(Object.keys(tokens)
+        .filter(institution => tokens[institution])
+        .map(institution => {
+            return plaidClient
+                .deleteConnectUserAsync(tokens[institution], {})
+                .catch(error => warn(user, 'Plaid', error));
+        }));
+}
+
+function deleteStripeCustomers(user) {
+    const accounts = user.stripe || {};
+
+    return Promise.all(Object.keys(accounts)
+        .map(institution => accounts[institution] && accounts[institution].customer)
+        .filter(customer => customer && customer.id)
+        .map(customer => {
+            return stripe.customers
+                .del(customer.id)
+                .catch(error => warn(user, 'Stripe', error));
+        }));
+}
+
+function removeRecords(user) {
+    const userId = user._id;
+    const email = String(user.email).trim().toLowerCase();
+
+    return Promise.all([
+        PlaidTransaction.update({userId: String(userId)}, {$unset: {name: ''}}, {multi: true}),
+        Charge.update({userId: userId}, {$unset: {'details.name': '', 'details.email': ''}}, {multi: true}),
+        Session.remove({userId: userId}),
+        Challenge.remove({userId: userId}),
+        Social.remove({userId: userId}),
+        LinkRequest.remove({userId: userId}),
+        RecoveryCode.remove({userEmail: user.email}),
+        Attempt.remove({key: new RegExp(`^[^:]+:account:${escape(email)}$`)}),
+        AuditEvent
+            .find({resource: 'User', resourceId: String(userId)})
+            .then(events => Promise.all(events.map(event => {
+                event.changes = event.changes.map(change => {
+                    return {
+                        path: change.path
+                    };
+                });
+                return event.save();
+            })))
+    ]);
+}
+
+/**
+ * Resolves to the erased user
+ * `request` is the admin request erasing right away, none for scheduled
+ * erasures
+ */
+module.exports = function erase(user, request) {
+    return revokePlaid(user)
+        .then(() => deleteStripeCustomers(user))
+        .then(() => removeRecords(user))
+        .then(() => hashPassword(token()))
+        .then(hash => {
+            anonymize(user);
+            user.password = hash;
+
+            return user.save();
+        })
+        .then(erased => {
+            record(request, {
+                action: 'erase',
+                resource: 'User',
+                resourceId: erased._id
+            });
+
+            logger.info({
+                audit: 'erasure',
+                userId: erased._id
+            }, 'User erased');
+
+            return erased;
+        });
+};
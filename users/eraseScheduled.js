@@ -0,0 +1,35 @@
+/**
+ * Erase every user whose scheduled deletion is due
+ * Users are erased one by one, a failure is logged and the next user goes on,
+ * it will be retried on the next run
+ */
+'use strict';
+
+const P = require('bluebird');
+const User = require('./user');
+const erase = require('./erase');
+const clock = require('../helpers/clock');
+const logger = require('../logger');
+
+module.exports = function eraseScheduled() {
+    const query = {
+        'deletion.scheduledFor': {
+            $lte: clock.now()
+        },
+        erasedAt: {
+            $exists: false
+        }
+    };
+
+    return User
+        .find(query)
+        .then(users => P.mapSeries(users, user => {
+            return erase(user).catch(error => {
+                logger.error({
+                    err: error,
+                    audit: 'erasure',
+                    userId: user._id
+                }, 'User could not be erased');
+            });
+        }));
+};
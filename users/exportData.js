@@ -0,0 +1,98 @@
+/**
+ * Middleware to export everything stored about an user (GDPR-style)
+ *
+ * GET /users/:id/export             JSON bundle
+ * GET /users/:id/export?format=zip  ZIP bundle, one JSON file per section
+ *
+ * Sections: profile, pledges (with monthly addresses), plaidTransactions,
+ * transactions (chain payloads of pledge addresses), charges, socials and
+ * sessions. Secrets (password hash, Plaid access tokens, Stripe tokens and
+ * customers, session and social tokens, two factor secrets) are redacted.
+ */
+'use strict';
+
+const User = require('./user');
+const PlaidTransaction = require('../transactions/plaidTransaction');
+const Transaction = require('../transactions/chain/transaction');
+const Charge = require('../charges/charge');
+const Social = require('../socials/social');
+const Session = require('../sessions/session');
+const redact = require('../helpers/redact');
+const zip = require('../helpers/zip');
+const SECRETS = require('../helpers/secrets');
+const errors = require('../errors');
+
+function addresses(user) {
+    return user.pledges
+        .map(pledge => Object.keys(pledge.addresses || {}).map(date => pledge.addresses[date]))
+        .reduce((all, list) => all.concat(list), []);
+}
+
+function bundle(user) {
+    return Promise
+        .all([
+            PlaidTransaction.find({userId: String(user._id)}).sort({date: 1}),
+            Transaction.find({'payload.address': {$in: addresses(user)}}).sort({'payload.timestamp': 1}),
+            Charge.find({userId: user._id}).sort({createdAt: 1}),
+            Social.find({userId: user._id}),
+            Session.find({userId: user._id})
+        ])
+        .then(results => {
+            let profile = user.toObject();
+            profile.pledges = undefined;
+
+            return {
+                exportedAt: new Date(),
+                profile: profile,
+                pledges: user.pledges,
+                plaidTransactions: results[0],
+                transactions: results[1],
+                charges: results[2],
+                socials: results[3],
+                sessions: results[4]
+            };
+        })
+        .then(data => redact(data, SECRETS));
+}
+
+module.exports = function exportData(request, response, next) {
+    const format = request.query.format || 'json';
+
+    if (['json', 'zip'].indexOf(format) < 0) {
+        return next(errors.create('invalid-export-format'));
+    }
+
+    return User
+        .findOne({
+            _id: request.params.id
+        })
+        .then(user => {
+            if (!user) {
+                return Promise.reject(errors.create('user-not-found'));
+            }
+
+            return bundle(user);
+        })
+        .then(data => {
+            const filename = `elm-export-${request.params.id}.${format}`;
+
+            response.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+            if (format === 'json') {
+                return response.json({
+                    data: data
+                });
+            }
+
+            let files = Object.keys(data).map(section => {
+                return {
+                    name: `${section}.json`,
+                    content: JSON.stringify(data[section], null, 2)
+                };
+            });
+
+            response.type('application/zip');
+            response.send(zip(files));
+        })
+        .catch(next);
+};
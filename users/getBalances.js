@@ -7,17 +7,16 @@ const getVerifiedAddressBalance = require('../helpers/verifiedAddressBalance');
 const objectId = require('mongoose').Types.ObjectId;
 const logger = require('../logger');
 const Npo = require('../npos/npo');
+const errors = require('../errors');
+const allocations = require('../pledges/allocations');
 
 
 module.exports = function getBalances(request, response, next) {
     let user = request.currentUser;
     let userID = request.params.id;
-    let error = new Error();
 
     if (String(request.session.userId) !== userID) {
-        error.status = 401;
-        error.message = 'unauthorized-user';
-        return next(error);
+        return next(errors.create('unauthorized-user'));
     }
 
     let promises = user.pledges.map(pledge => {
@@ -26,11 +25,15 @@ module.exports = function getBalances(request, response, next) {
         let promises = dates.map((date, index) => {
             return getVerifiedAddressBalance(pledge.addresses[date])
                 .then(address => {
-                    return {
-                        date: date,
-                        balance: Math.abs(address.balance),
-                        currency: address.currency
-                    };
+                    const balance = Math.abs(address.balance);
+
+                    return allocations.charged(pledge.addresses[date], balance, pledge)
+                        .then(npos => ({
+                            date: date,
+                            balance: balance,
+                            currency: address.currency,
+                            npos: npos
+                        }));
                 })
                 .catch(error => {
                     logger.error({err: error});
@@ -43,9 +46,7 @@ module.exports = function getBalances(request, response, next) {
                 return Npo.findOne({_id: objectId(pledge.npoId)}, selectFields)
                     .then(npo => {
                         if (!npo) {
-                            let error = new Error();
-                            error.message = 'pledge.npoId not found';
-                            return Promise.reject(error);
+                            return Promise.reject(errors.create('npo-not-found'));
                         }
                         return {
                             id: pledge.npoId,
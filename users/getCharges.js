@@ -8,17 +8,15 @@ const getYearMonth = require('../helpers/getYearMonth');
 const Charge = require('../charges/charge');
 const Npo = require('../npos/npo');
 const logger = require('../logger');
+const errors = require('../errors');
 
 
 module.exports = function getBalances(request, response, next) {
     let user = request.currentUser;
     let userID = request.params.id;
-    let error = new Error();
 
     if (String(request.session.userId) !== userID) {
-        error.status = 401;
-        error.message = 'unauthorized-user';
-        return next(error);
+        return next(errors.create('unauthorized-user'));
     }
 
     let promises = user.pledges.map(pledge => {
@@ -32,20 +30,21 @@ module.exports = function getBalances(request, response, next) {
                 });
         });
 
-        return Promise.all(promises)
-            .then(charges => {
+        return Promise.all([Promise.all(promises), getDonations(user, pledge)])
+            .then(results => {
+                let charges = results[0];
+                let donations = results[1];
                 let selectFields = {logoUrl: 1, logoUrls: 1};
                 return Npo.findOne({_id: objectId(pledge.npoId)}, selectFields)
                     .then(npo => {
                         if (!npo) {
-                            let error = new Error();
-                            error.message = 'pledge.npoId not found';
-                            return Promise.reject(error);
+                            return Promise.reject(errors.create('npo-not-found'));
                         }
                         return {
                             id: pledge.npoId,
                             logo: npo.logoUrl,
-                            charges: charges
+                            charges: charges,
+                            donations: donations
                         };
                     });
             });
@@ -64,21 +63,42 @@ module.exports = function getBalances(request, response, next) {
 };
 
 /**
- *
+ * Charge of a pledge address, the Charges of each NPO of the pledge summed
  */
 function getAddressCharge(address, date) {
     let noCharge = {amount: 0, date};
 
-    return Charge.findOne({addresses: {$in: [address]}})
-        .then(charge => {
-            if (!charge || charge.addresses.indexOf(address) !== 0) {
+    return Charge.find({addresses: {$in: [address]}, type: {$ne: 'one-time'}})
+        .then(charges => {
+            charges = charges.filter(charge => charge.addresses.indexOf(address) === 0);
+            if (!charges.length) {
                 return noCharge;
             }
 
+            let charge = charges[0];
             return {
-                amount: charge.amount,
+                amount: +charges.reduce((sum, part) => sum + part.amount, 0).toFixed(2),
                 currency: charge.currency,
                 date: date || getYearMonth(new Date(charge.date))
             };
         });
 }
+
+/**
+ * One-time donations of a pledge, newest first, see pledges/donate.js
+ */
+function getDonations(user, pledge) {
+    return Charge.find({
+        userId: user._id,
+        pledgeId: pledge._id,
+        type: 'one-time'
+    }).sort({createdAt: -1})
+        .then(charges => charges.map(charge => {
+            return {
+                amount: charge.amount,
+                currency: charge.currency,
+                status: charge.status,
+                date: charge.createdAt
+            };
+        }));
+}
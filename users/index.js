@@ -11,33 +11,52 @@ const verifyToken = require('../lib/verifyJwt');
 const authenticate = require('../lib/authenticate');
 const currentUser = require('../lib/currentUser');
 const isAdmin = require('../lib/isAdmin');
+const requirePermission = require('../lib/requirePermission');
+const validate = require('../lib/validate');
 const create = require('./create');
 const list = require('./list');
 const show = require('./show');
 const update = require('./update');
 const remove = require('./remove');
+const requestDeletion = require('./requestDeletion');
+const cancelDeletion = require('./cancelDeletion');
 const adminOrOwner = require('./adminOrOwner');
 const validateAccount = require('./validateAccount');
+const resendVerification = require('./resendVerification');
+const exportData = require('./exportData');
+const notImpersonated = require('../lib/notImpersonated');
 const getCharges = require('./getCharges');
 const getBalances = require('./getBalances');
 const passwordCode = require('./passwordCode');
 const passwordToken = require('./passwordToken');
 const resetPassword = require('./resetPassword');
 const checkEmailAvailability = require('./checkEmailAvailability');
+const onlyOwner = require('./onlyOwner');
+const twoFactorEnroll = require('./twoFactorEnroll');
+const twoFactorConfirm = require('./twoFactorConfirm');
+const twoFactorDisable = require('./twoFactorDisable');
+const schemas = require('./schemas');
 
 const PATH = '/users';
 const SINGLE = '/users/:id';
 const CHARGES = '/users/:id/charges';
 const BALANCES = '/users/:id/balances';
+const EXPORT = '/users/:id/export';
+const DELETION = '/users/:id/deletion';
 const VERIFICATION = '/users/verification/:token';
+const RESEND_VERIFICATION = '/users/verification/resend';
 const AVAILABILITY = '/users/availability';
+const TWO_FACTOR = '/users/:id/two-factor';
+const TWO_FACTOR_CONFIRM = '/users/:id/two-factor/confirm';
 
 const middlewares = [verifyToken, authenticate, currentUser, isAdmin, create];
-const showAdmin = [isAdmin, show];
+const readUsers = requirePermission('users:read');
+const showAdmin = [readUsers, show];
 const updateAdmin = [isAdmin, update];
 const updateOwner = [update];
 const defaultMiddlewares = [verifyToken, authenticate, currentUser];
 const showOwner = [show];
+const ownerMiddlewares = [verifyToken, authenticate, currentUser, onlyOwner];
 
 /**
  * For security reasons and uses of REST, we are using POST /users for many
@@ -83,14 +102,22 @@ function validateRequest(request, response, next) {
 }
 
 router
-    .get(VERIFICATION, validateAccount)
-    .get(SINGLE, defaultMiddlewares, adminOrOwner(showAdmin, showOwner))
-    .get(PATH, defaultMiddlewares, isAdmin, list)
-    .get(BALANCES, defaultMiddlewares, getBalances)
-    .get(CHARGES, defaultMiddlewares, getCharges)
-    .put(SINGLE, defaultMiddlewares, adminOrOwner(updateAdmin, updateOwner))
-    .delete(SINGLE, defaultMiddlewares, isAdmin, remove)
-    .post(PATH, validateRequest)
-    .post(AVAILABILITY, checkEmailAvailability);
+    .get(VERIFICATION, validate(schemas.verification), validateAccount)
+    .get(SINGLE, defaultMiddlewares, validate(schemas.show), adminOrOwner(showAdmin, showOwner))
+    .get(PATH, defaultMiddlewares, readUsers, validate(schemas.list), list)
+    .get(BALANCES, defaultMiddlewares, validate(schemas.owner), getBalances)
+    .get(CHARGES, defaultMiddlewares, validate(schemas.owner), getCharges)
+    .get(EXPORT, defaultMiddlewares, notImpersonated, validate(schemas.exportData),
+        adminOrOwner([readUsers, exportData], [exportData]))
+    .put(SINGLE, defaultMiddlewares, validate(schemas.update), adminOrOwner(updateAdmin, updateOwner))
+    .delete(SINGLE, defaultMiddlewares, isAdmin, validate(schemas.remove), remove)
+    .post(DELETION, ownerMiddlewares, validate(schemas.owner), requestDeletion)
+    .delete(DELETION, ownerMiddlewares, validate(schemas.owner), cancelDeletion)
+    .post(PATH, validate(schemas.create), validateRequest)
+    .post(AVAILABILITY, validate(schemas.availability), checkEmailAvailability)
+    .post(RESEND_VERIFICATION, validate(schemas.resendVerification), resendVerification)
+    .post(TWO_FACTOR, ownerMiddlewares, validate(schemas.owner), twoFactorEnroll)
+    .post(TWO_FACTOR_CONFIRM, ownerMiddlewares, validate(schemas.twoFactorCode), twoFactorConfirm)
+    .delete(TWO_FACTOR, ownerMiddlewares, validate(schemas.twoFactorCode), twoFactorDisable);
 
 module.exports = router;
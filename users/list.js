@@ -1,39 +1,25 @@
 /**
- * Generic module to find list of models based on model param
+ * Middleware to list users, see lib/list.js
+ * Secrets and payment data are never sent
  */
 'use strict';
 
 const User = require('./user');
-const queryOptions = require('../helpers/queryOptions');
-const queryFilters = require('../helpers/queryFilters');
+const list = require('../lib/list');
 
 const defaultQuery = {
     archived: false
 };
 
-module.exports = function list(request, response, next) {
-    const options = queryOptions(request, User);
-    const filterQuery = queryFilters(request, User);
-    const query = Object.assign({}, defaultQuery, filterQuery);
+function serialize(user) {
+    user.password = undefined;
+    user.stripe = undefined;
+    user.plaid = undefined;
+    user.twoFactor = {
+        enabled: user.twoFactor.enabled
+    };
 
-    return User
-        .paginate(query, options)
-        .then(data => {
-            let result = data.docs.map(user => {
-                user.password = undefined;
-                user.stripe = undefined;
-                user.plaid = undefined;
-                return user;
-            });
+    return user;
+}
 
-            let content = {
-                data: result
-            };
-
-            data.docs = void(0);
-            content.meta = data;
-
-            return response.json(content);
-        })
-        .catch(next);
-};
+module.exports = list(User, defaultQuery, serialize);
@@ -0,0 +1,16 @@
+/**
+ * Middleware to allow a request only to the owner of the account, not even
+ * admin users, e.g. two factor authentication settings
+ */
+'use strict';
+
+const owner = require('../helpers/owner');
+const errors = require('../errors');
+
+module.exports = function onlyOwner(request, response, next) {
+    if (!owner(request.session.userId, request.params.id)) {
+        return next(errors.create('unauthorized-user'));
+    }
+
+    return next();
+};
@@ -1,8 +1,10 @@
 /**
  * Middleware to send code used to change password.
  *
+ * Reject if email or IP address is locked, see ../attempts
  * Find user by provided email param `changePassword`
- * If user found, create a record to store `code`, `userId` and `email`
+ * If user found, replace any previous code with a new record to store `code`,
+ * `userId`, `email` and expiration date
  * Then, send email with code
  */
 'use strict';
@@ -12,23 +14,30 @@ const email = require('../email/mandrill');
 const logger = require('../logger');
 const RecoveryCode = require('./recoveryCode');
 const code = require('../helpers/verificationCode');
+const clock = require('../helpers/clock');
+const tracker = require('../attempts/tracker');
+const errors = require('../errors');
 
 const TEMPLATE = process.env.MANDRILL_RECOVERY_PASSWORD_EMAIL_TEMPLATE;
 const SUBJECT = 'Elm Password Reset Code';
+const MINUTE = 60 * 1000;
+const EXPIRE = (+process.env.RECOVERY_CODE_EXPIRE_MINUTES || 15) * MINUTE;
 
 module.exports = function requestPassword(request, response, next) {
     const query = {
         email: request.body.changePassword
     };
 
-    return User
-        .findOne(query)
+    const keys = tracker.keys('password-reset', request.body.changePassword, request);
+
+    return tracker
+        .guard(keys, response)
+        .then(() => User.findOne(query))
         .then(user => {
             if (!user) {
-                let error = new Error();
-                error.status = 404;
-                error.message = 'User not found';
-                return next(error);
+                return tracker
+                    .fail(keys, request)
+                    .then(() => Promise.reject(errors.create('user-not-found')));
             }
 
             request.userData = user;
@@ -36,10 +45,18 @@ module.exports = function requestPassword(request, response, next) {
             let data = {
                 userId: user._id,
                 code: code(),
-                userEmail: user.email
+                userEmail: user.email,
+                expire: new Date(clock.now().getTime() + EXPIRE)
             };
 
-            return new RecoveryCode(data).save();
+            /**
+             * Only the latest code is valid
+             */
+            return RecoveryCode
+                .remove({
+                    userId: user._id
+                })
+                .then(() => new RecoveryCode(data).save());
         })
         .then(recovery => {
 
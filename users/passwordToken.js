@@ -1,32 +1,84 @@
 /**
  * Middleware to send token used to change password
- * Find code by proived code, then
- * ecrypt code with user email, then
+ * Reject if email or IP address is locked, see ../attempts
+ * Find latest code for provided email, then
+ * validate expiration and code, removing it after too many invalid attempts,
+ * then ecrypt code with user email, then
  * send token
  */
 'use strict';
 
 const jsonWebToken = require('../helpers/jwt');
 const RecoveryCode = require('./recoveryCode');
+const clock = require('../helpers/clock');
+const tracker = require('../attempts/tracker');
+const errors = require('../errors');
 
+const MAX_ATTEMPTS = +process.env.RECOVERY_CODE_MAX_ATTEMPTS || 5;
+
+/**
+ * Count an invalid attempt atomically, so parallel guesses are all counted.
+ * Four digits are easy to guess, after too many attempts a new code must be
+ * requested: resolves to nothing once the code reached the limit
+ */
+function countAttempt(recoveryCode) {
+    return RecoveryCode.findOneAndUpdate({
+        _id: recoveryCode._id,
+        attempts: {$lt: MAX_ATTEMPTS - 1}
+    }, {
+        $inc: {attempts: 1}
+    }, {
+        new: true
+    });
+}
 
 module.exports = function passwordToken(request, response, next) {
     const query = {
-        code: +request.body.code,
         userEmail: request.body.changePassword
     };
 
-    return RecoveryCode
-        .findOne(query)
+    const keys = tracker.keys('password-reset', request.body.changePassword, request);
+
+    function invalid(code) {
+        return tracker
+            .fail(keys, request)
+            .then(() => Promise.reject(errors.create(code)));
+    }
+
+    return tracker
+        .guard(keys, response)
+        .then(() => RecoveryCode.findOne(query).sort({createdAt: -1}))
         .then(recoveryCode => {
             if (!recoveryCode) {
-                let error = new Error();
-                error.status = 404;
-                error.message = 'No recovery code for this email';
+                return invalid('recovery-code-not-found');
+            }
 
-                return Promise.reject(error);
+            if (recoveryCode.expired(clock.now())) {
+                return recoveryCode
+                    .remove()
+                    .then(() => invalid('recovery-code-expired'));
             }
 
+            if (recoveryCode.code !== +request.body.code) {
+                return countAttempt(recoveryCode)
+                    .then(counted => {
+                        if (counted) {
+                            return invalid('recovery-code-not-found');
+                        }
+
+                        return RecoveryCode
+                            .remove({_id: recoveryCode._id})
+                            .then(() => invalid('recovery-code-attempts-exceeded'));
+                    });
+            }
+
+            request.recoveryCode = recoveryCode;
+
+            return tracker.succeed(keys);
+        })
+        .then(() => {
+            const recoveryCode = request.recoveryCode;
+
             /**
              * Sign code with user's email, this token will be use only once
              * and it's used to verify new password against user who requested.
@@ -26,6 +26,21 @@ let schema = new mongoose.Schema({
             validator: value => emailValidator(value),
             message: '{VALUE} is not a valid email'
         }
+    },
+
+    /**
+     * Codes without expiration date are considered expired
+     */
+    expire: {
+        type: Date
+    },
+
+    /**
+     * Invalid codes sent for this email, code is removed after too many
+     */
+    attempts: {
+        type: Number,
+        default: 0
     }
 }, {
     versionKey: false
@@ -33,4 +48,12 @@ let schema = new mongoose.Schema({
 
 schema.plugin(timestamps);
 
+/**
+ * Arrow functions doesn't work on this function since the scope of `this` is
+ * needed
+ */
+schema.methods.expired = function(now) {
+    return !this.expire || this.expire.getTime() <= now.getTime();
+};
+
 module.exports = mongoose.model('RecoveryCode', schema);
@@ -6,42 +6,61 @@
  * update archived property to true
  * if error, move to next middleware with error otherwise,
  * return empty response, menaing, user 'removed'
+ *
+ * DELETE /users/:id?erase=true erases personal data right away instead, see
+ * users/erase.js
  */
 'use strict';
 
 const User = require('./user');
 const prepareDelete = require('./prepareDelete');
+const erase = require('./erase');
+const errors = require('../errors');
 
 const defaultResponse = {
     data: {}
 };
 
 function inactivatePledges(pledges) {
-    return (pledges || []).map(item => item.active = false);
+    (pledges || []).forEach(item => {
+        item.active = false;
+    });
+
+    return pledges;
 }
 
 module.exports = function remove(request, response, next) {
 
     let query = {
-        _id: request.params.id,
-        archived: false
+        _id: request.params.id
     };
 
+    /**
+     * Archived users can still be erased
+     */
+    if (request.query.erase !== true) {
+        query.archived = false;
+    }
+
     return User
         .findOne(query)
         .then((user) => {
             if (!user) {
-                let error = Error();
-                error.status = 422;
-                error.message = 'User not found';
+                return Promise.reject(errors.create('user-not-found'));
+            }
 
-                return Promise.reject(error);
+            /**
+             * `erase` is a boolean only because `schemas.remove` coerces the
+             * query string, a plain `?erase=true` would be the string 'true'
+             */
+            if (request.query.erase === true) {
+                return erase(user, request);
             }
 
             let data = prepareDelete(user);
             data.pledges = inactivatePledges(user.pledges);
 
-            return data.save();
+            return data.audit(request, 'archive').save();
         })
         .then(() => response.json(defaultResponse))
         .catch(next);
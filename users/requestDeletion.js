@@ -0,0 +1,44 @@
+/**
+ * Middleware to schedule the erasure of the current user account
+ *
+ * Erasure runs after a grace period of ERASURE_GRACE_DAYS days (30 by
+ * default), until then it can be cancelled with DELETE /users/:id/deletion.
+ * Requesting again keeps the original schedule.
+ */
+'use strict';
+
+const clock = require('../helpers/clock');
+
+const DAY = 24 * 60 * 60 * 1000;
+const GRACE_DAYS = Number(process.env.ERASURE_GRACE_DAYS || 30);
+
+function serialize(user) {
+    return {
+        data: {
+            requestedAt: user.deletion.requestedAt,
+            scheduledFor: user.deletion.scheduledFor
+        }
+    };
+}
+
+module.exports = function requestDeletion(request, response, next) {
+    let user = request.currentUser;
+
+    if (user.deletion && user.deletion.scheduledFor) {
+        return response.json(serialize(user));
+    }
+
+    const now = clock.now();
+
+    user.deletion = {
+        requestedAt: now,
+        scheduledFor: new Date(now.getTime() + GRACE_DAYS * DAY)
+    };
+
+    return user
+        .save()
+        .then(saved => response.json(serialize(saved)))
+        .catch(next);
+};
+
+module.exports.GRACE_DAYS = GRACE_DAYS;
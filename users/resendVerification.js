@@ -0,0 +1,65 @@
+/**
+ * Middleware to send a new verification email
+ *
+ * Reject if email or IP address sent too many emails, see ../attempts
+ * Find unverified user by provided `email`
+ * Set a new verification token and expiration date, then send email
+ *
+ * Response is the same whether the user exists or not, to not disclose
+ * registered emails
+ */
+'use strict';
+
+const User = require('./user');
+const token = require('../helpers/token');
+const expire = require('../helpers/expire');
+const tracker = require('../attempts/tracker');
+const sendVerification = require('./sendVerification');
+const errors = require('../errors');
+
+const VERIFICATION_EXPIRE = process.env.VERIFICATION_EXPIRE_HOURS || 48;
+
+const defaultResponse = {
+    data: {
+        email: 'sent'
+    }
+};
+
+module.exports = function resendVerification(request, response, next) {
+    const email = request.body.email;
+
+    if (!email) {
+        return next(errors.create('email-required'));
+    }
+
+    const keys = tracker.keys('verification-resend', email, request);
+
+    return tracker
+        .guard(keys, response)
+        .then(() => {
+            /**
+             * Every email sent counts as an attempt, limiting emails sent per
+             * account and IP address
+             */
+            return Promise.all([
+                User.findOne({email: email}),
+                tracker.fail(keys, request)
+            ]);
+        })
+        .then(results => {
+            let user = results[0];
+
+            if (!user || user.verified) {
+                return;
+            }
+
+            user.verificationToken = token();
+            user.verificationExpire = expire(VERIFICATION_EXPIRE);
+
+            return user
+                .save()
+                .then(() => sendVerification(user));
+        })
+        .then(() => response.json(defaultResponse))
+        .catch(next);
+};
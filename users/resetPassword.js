@@ -4,7 +4,7 @@
  * -    Validate required params
  * -    Verify token
  * -    Find code from token if any
- * -    Validate code information against current request
+ * -    Validate code information against current request and expiration
  * -    Find user with verified code information
  * -    Validate user against current request information
  * -    Hash new password
@@ -18,6 +18,8 @@ const RecoveryCode = require('./recoveryCode');
 const verifyToken = require('../helpers/verifyToken');
 const hashPassword = require('../helpers/hashPassword');
 const passwordValidator = require('../helpers/passwordValidator');
+const clock = require('../helpers/clock');
+const errors = require('../errors');
 
 const defaultResponse = {
     data: {}
@@ -29,11 +31,7 @@ module.exports = function requestPassword(request, response, next) {
     let recoveryCode;
 
     if (!token || !email) {
-        let error = new Error();
-        error.message = 'Required fields: token, changePassword';
-        error.status = 422;
-
-        return next(error);
+        return next(errors.create('password-reset-fields-required'));
     }
 
     /**
@@ -42,11 +40,7 @@ module.exports = function requestPassword(request, response, next) {
     return verifyToken(request.body.token, request.body.changePassword)
         .then(code => {
             if (!code) {
-                let error = new Error();
-                error.message = 'Invalid token';
-                error.status = 422;
-
-                return Promise.reject(error);
+                return Promise.reject(errors.create('invalid-reset-token'));
             }
 
             request.recoveryCode = code;
@@ -55,19 +49,21 @@ module.exports = function requestPassword(request, response, next) {
              * Let's find RecoveryCode and validate it against `code` value
              */
             let query = {
-                code: code
+                code: code,
+                userEmail: email
             };
 
             return RecoveryCode.findOne(query);
         })
         .then(code => {
             if (!code || code.code !== request.recoveryCode) {
-                let error = new Error();
-                error.message = 'Invalid request token';
-                error.status = 422;
+                return Promise.reject(errors.create('invalid-recovery-token'));
+            }
 
-                return Promise.reject(error);
+            if (code.expired(clock.now())) {
+                return Promise.reject(errors.create('recovery-code-expired'));
             }
+
             recoveryCode = code;
 
             /**
@@ -82,11 +78,7 @@ module.exports = function requestPassword(request, response, next) {
         })
         .then(user => {
             if (!user || user.email !== request.body.changePassword) {
-                let error = new Error();
-                error.message = 'Invalid request token';
-                error.status = 422;
-
-                return Promise.reject(error);
+                return Promise.reject(errors.create('invalid-recovery-token'));
             }
 
             request.userData = user;
@@ -104,6 +96,7 @@ module.exports = function requestPassword(request, response, next) {
             let user = request.userData;
 
             user.password = hash;
+            user.passwordSet = true;
 
             return user.save()
                 .then(() => recoveryCode.remove());
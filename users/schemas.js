@@ -0,0 +1,144 @@
+/**
+ * Request schemas for users endpoints, see ../validation
+ */
+'use strict';
+
+const fields = require('../validation/fields');
+
+const params = {
+    id: fields.id
+};
+
+/**
+ * Fields an user can write, `roleId` and `npoId` are ignored unless the
+ * request comes from an admin user
+ */
+const profile = {
+    name: 'string',
+    firstName: 'string',
+    lastName: 'string',
+    email: {
+        type: 'string',
+        format: 'email'
+    },
+    phone: 'string',
+    zip: 'string',
+    address: 'object',
+    roleId: {
+        type: 'objectId',
+        description: 'Admin users only'
+    },
+    npoId: {
+        type: 'objectId',
+        description: 'Admin users only'
+    }
+};
+
+module.exports = {
+    /**
+     * POST /users creates accounts and handles password recovery, see
+     * ./README.md
+     */
+    create: {
+        body: Object.assign({}, profile, {
+            password: 'string',
+            changePassword: {
+                type: 'string',
+                format: 'email',
+                description: 'Email of the account to recover'
+            },
+            code: {
+                type: 'string',
+                description: 'Recovery code sent by email'
+            },
+            token: {
+                type: 'string',
+                description: 'One time token to set a new password'
+            }
+        })
+    },
+
+    list: {
+        query: fields.list
+    },
+
+    show: {
+        params: params
+    },
+
+    update: {
+        params: params,
+        body: Object.assign({}, profile, {
+            active: 'boolean',
+            password: {
+                type: 'string',
+                description: 'Current password, required to set `newPassword`'
+            },
+            newPassword: 'string'
+        })
+    },
+
+    remove: {
+        params: params,
+        query: {
+            erase: {
+                type: 'boolean',
+                description: 'Erase personal data right away, see ./erase.js'
+            }
+        }
+    },
+
+    owner: {
+        params: params
+    },
+
+    exportData: {
+        params: params,
+        query: {
+            format: {
+                type: 'string',
+                enum: ['json', 'zip']
+            }
+        }
+    },
+
+    verification: {
+        params: {
+            token: {
+                type: 'string',
+                required: true
+            }
+        }
+    },
+
+    resendVerification: {
+        body: {
+            email: {
+                type: 'string',
+                format: 'email',
+                required: true
+            }
+        }
+    },
+
+    availability: {
+        body: {
+            email: {
+                type: 'string',
+                format: 'email',
+                required: true
+            },
+            password: 'string'
+        }
+    },
+
+    twoFactorCode: {
+        params: params,
+        body: {
+            code: {
+                type: 'string',
+                required: true
+            }
+        }
+    }
+};
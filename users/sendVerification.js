@@ -0,0 +1,42 @@
+/**
+ * Send email with the link to verify user account email
+ * Errors are logged and notified to slack, never rejected, so account
+ * creation doesn't fail because of email delivery
+ */
+'use strict';
+
+const email = require('../email/mandrill');
+const logger = require('../logger');
+const slack = require('../slack');
+
+const API_URL = process.env.API_URL || 'https://api.elmgives.com';
+const TEMPLATE = process.env.MANDRILL_VERIFY_ACCOUNT_EMAIL_TEMPLATE;
+const SUBJECT = 'Verify Elm Account Email';
+
+module.exports = user => {
+    let to = [{
+        email: user.email
+    }];
+
+    let options = [{
+        name: 'link',
+        content: `${API_URL}/users/verification/${user.verificationToken}`
+    }];
+
+    return email.send(TEMPLATE, to, SUBJECT, options)
+        .then(sent => {
+            logger.info({
+                verificationEmail: sent
+            });
+
+        })
+        .catch(error => {
+            logger.error({
+                err: error
+            }, 'Verification email');
+
+            slack(error)
+                .then(data => logger.info(data))
+                .catch(error => logger.error(error));
+        });
+};
@@ -4,12 +4,11 @@
 'use strict';
 
 const User = require('./user');
+const errors = require('../errors');
 
 module.exports = function show(request, response, next) {
     if (!request.params.id) {
-        return response.status(422).json({
-            error: 'required params missing'
-        });
+        return next(errors.create('bad-request'));
     }
 
     let query = {
@@ -20,15 +19,15 @@ module.exports = function show(request, response, next) {
         .findOne(query)
         .then(found => {
             if (!found) {
-                let error = new Error();
-                error.status = 404;
-                error.message = 'Resource not found';
-                return next(error);
+                return next(errors.create('user-not-found'));
             }
 
             found.password = undefined;
             found.stripe = undefined;
             found.plaid = undefined;
+            found.twoFactor = {
+                enabled: found.twoFactor.enabled
+            };
 
             /**
              * As per requirements we should return everything associated to the
@@ -0,0 +1,70 @@
+/**
+ * Middleware to confirm two factor authentication enrollment
+ *
+ * Validate `code` against the pending secret, enable two factor authentication
+ * and return recovery codes. Recovery codes are shown only once, only their
+ * digests are stored.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const totp = require('../helpers/totp');
+const cipher = require('../helpers/cipher');
+const hashToken = require('../helpers/hashToken');
+const errors = require('../errors');
+
+const RECOVERY_CODES = 10;
+
+function recoveryCode() {
+    const hex = crypto.randomBytes(4).toString('hex');
+
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+}
+
+module.exports = function twoFactorConfirm(request, response, next) {
+    let user = request.currentUser;
+    const secret = user.twoFactor && user.twoFactor.pendingSecret;
+
+    if (!secret) {
+        return next(errors.create('two-factor-not-started'));
+    }
+
+    let plain;
+
+    try {
+        plain = cipher.reveal(secret);
+    } catch (error) {
+        return next(error);
+    }
+
+    const counter = totp.verify(plain, request.body.code);
+
+    if (counter < 0) {
+        return next(errors.create('invalid-code'));
+    }
+
+    let codes = [];
+
+    while (codes.length < RECOVERY_CODES) {
+        codes.push(recoveryCode());
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = cipher.encrypted(secret) ? secret : cipher.encrypt(plain);
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastCounter = counter;
+    user.twoFactor.recoveryCodes = codes.map(code => hashToken(code));
+    user.twoFactor.confirmedAt = new Date();
+
+    return user
+        .save()
+        .then(() => {
+            response.json({
+                data: {
+                    enabled: true,
+                    recoveryCodes: codes
+                }
+            });
+        })
+        .catch(next);
+};
@@ -0,0 +1,37 @@
+/**
+ * Middleware to disable two factor authentication
+ * Requires a valid code, either from authenticator app or a recovery code
+ */
+'use strict';
+
+const verifyTwoFactor = require('./verifyTwoFactor');
+const errors = require('../errors');
+
+module.exports = function twoFactorDisable(request, response, next) {
+    let user = request.currentUser;
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+        return next(errors.create('two-factor-not-enabled'));
+    }
+
+    return verifyTwoFactor(user, request.body.code)
+        .then(isValid => {
+            if (!isValid) {
+                return Promise.reject(errors.create('invalid-code'));
+            }
+
+            user.twoFactor = {
+                enabled: false
+            };
+
+            return user.save();
+        })
+        .then(() => {
+            response.json({
+                data: {
+                    enabled: false
+                }
+            });
+        })
+        .catch(next);
+};
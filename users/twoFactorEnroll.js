@@ -0,0 +1,38 @@
+/**
+ * Middleware to start two factor authentication enrollment
+ *
+ * Generate a new secret, stored encrypted as pending until user confirms it
+ * with a code from the authenticator app. Response includes the `uri` to be rendered as a
+ * QR code by client apps.
+ */
+'use strict';
+
+const totp = require('../helpers/totp');
+const cipher = require('../helpers/cipher');
+const errors = require('../errors');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Elm';
+
+module.exports = function twoFactorEnroll(request, response, next) {
+    let user = request.currentUser;
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+        return next(errors.create('two-factor-already-enabled'));
+    }
+
+    const secret = totp.generateSecret();
+
+    user.twoFactor.pendingSecret = cipher.encrypt(secret);
+
+    return user
+        .save()
+        .then(() => {
+            response.json({
+                data: {
+                    secret: secret,
+                    uri: totp.uri(secret, user.email, ISSUER)
+                }
+            });
+        })
+        .catch(next);
+};
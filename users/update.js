@@ -8,6 +8,8 @@
 
 const User = require('./user');
 const updatePassword = require('./updatePassword');
+const record = require('../audits/record');
+const errors = require('../errors');
 
 /**
  * @see https://github.com/blakehaswell/mongoose-unique-validator#find--updates
@@ -25,9 +27,7 @@ const defaultResponse = {
 module.exports = function update(request, response, next) {
 
     if (!request.params.id) {
-        return response.status(422).json({
-            error: 'required params missing'
-        });
+        return next(errors.create('bad-request'));
     }
 
     let query = {
@@ -38,28 +38,41 @@ module.exports = function update(request, response, next) {
         .findOne(query)
         .then(user => {
             if (!user) {
-                let error = new Error();
-                error.message = 'User not found';
-                error.status = 404;
-
-                return Promise.reject(error);
+                return Promise.reject(errors.create('user-not-found'));
             }
 
             /**
              * Update password
              */
             if (request.body.password && request.body.newPassword) {
-                return updatePassword(request.body, user);
+                return updatePassword(request.body, user.audit(request));
             }
 
             /**
-             * Remove password and avoid store plain password to db
+             * Body holds only writable fields, see ./schemas.js. Remove
+             * password and avoid store plain password to db
              */
             delete request.body.password;
-            delete request.body.stripe;
-            delete request.body.plaid;
+            delete request.body.newPassword;
+
+            /**
+             * Only admin users can assign roles and NPO memberships
+             */
+            if (!request.isAdmin) {
+                delete request.body.roleId;
+                delete request.body.npoId;
+            }
 
-            return User.update(query, request.body, options);
+            return User
+                .update(query, request.body, options)
+                .then(() => User.findOne(query).lean())
+                .then(updated => record(request, {
+                    action: 'update',
+                    resource: 'User',
+                    resourceId: user._id,
+                    before: user,
+                    after: updated
+                }));
         })
         .then(() => response.json(defaultResponse))
         .catch(next);
@@ -7,16 +7,13 @@
 const comparePassword = require('../helpers/comparePassword');
 const hashPassword = require('../helpers/hashPassword');
 const passwordValidator = require('../helpers/passwordValidator');
+const errors = require('../errors');
 
 module.exports = function updatePassword(body, user) {
     return comparePassword(body.password, user.password)
         .then(isValid => {
             if (!isValid) {
-                let error = new Error();
-                error.status = 422;
-                error.message = 'Invalid credentials';
-
-                return Promise.reject(error);
+                return Promise.reject(errors.create('invalid-password'));
             }
 
             return passwordValidator(body.newPassword);
@@ -26,6 +23,7 @@ module.exports = function updatePassword(body, user) {
         })
         .then(hash => {
             user.password = hash;
+            user.passwordSet = true;
             return user.save();
         });
 };
@@ -14,17 +14,31 @@ const timestamps = require('mongoose-timestamp');
 var unique = require('mongoose-unique-validator');
 
 const logger = require('../logger');
+const errors = require('../errors');
 const emailValidator = require('../helpers/emailValidator');
 const passwordValidator = require('../helpers/passwordValidator');
 const token = require('../helpers/token');
+const expire = require('../helpers/expire');
 
 const pledgeSchema = require('../pledges/schema');
+const audit = require('../audits/plugin');
+
+const VERIFICATION_EXPIRE = process.env.VERIFICATION_EXPIRE_HOURS || 48;
 
 let schema = new mongoose.Schema({
     roleId: {
         type: mongoose.Schema.Types.ObjectId,
     },
 
+    /**
+     * NPO the user works for, used with `npo:manage` permission to scope staff
+     * users to their own organization
+     */
+    npoId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Npo'
+    },
+
     name: {
         type: String,
         default: ''
@@ -56,6 +70,14 @@ let schema = new mongoose.Schema({
         required: true
     },
 
+    /**
+     * False for users created from a social login, with a random password,
+     * until they set one. Unknown for users created before it existed
+     */
+    passwordSet: {
+        type: Boolean
+    },
+
     phone: {
         type: String
     },
@@ -106,10 +128,71 @@ let schema = new mongoose.Schema({
         type: String
     },
 
+    /**
+     * Verification token is valid until this date, a new one can be sent with
+     * POST /users/verification/resend
+     */
+    verificationExpire: {
+        type: Date
+    },
+
+    /**
+     * Erasure requested by the owner with POST /users/:id/deletion, it runs
+     * on `scheduledFor` unless cancelled with DELETE /users/:id/deletion
+     */
+    deletion: {
+        requestedAt: {
+            type: Date
+        },
+        scheduledFor: {
+            type: Date,
+            index: true
+        }
+    },
+
+    /**
+     * Set once personal data was erased, see users/erase.js
+     */
+    erasedAt: {
+        type: Date
+    },
+
     latestRoundupDate: {
         type: String,
     },
 
+    /**
+     * Time-based one-time passwords (TOTP) settings
+     *     secret: base32 secret shared with authenticator app, encrypted with
+     *     `helpers/cipher`
+     *     pendingSecret: encrypted secret waiting for confirmation on enrollment
+     *     recoveryCodes: sha256 digests of unused recovery codes
+     *     lastCounter: time step of last code used, a code is never used twice
+     */
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String
+        },
+        pendingSecret: {
+            type: String
+        },
+        recoveryCodes: {
+            type: [String],
+            default: []
+        },
+        lastCounter: {
+            type: Number,
+            default: 0
+        },
+        confirmedAt: {
+            type: Date
+        }
+    },
+
     pledges: [pledgeSchema]
 }, {
     versionKey: false
@@ -117,6 +200,7 @@ let schema = new mongoose.Schema({
 
 schema.plugin(timestamps);
 schema.plugin(unique);
+schema.plugin(audit);
 
 /**
  * Arrow functions doesn't work on this function since the scope of `this` is
@@ -131,6 +215,10 @@ schema.pre('save', function(next) {
         return next();
     }
 
+    if (this.passwordSet === undefined) {
+        this.passwordSet = true;
+    }
+
     passwordValidator(this.password)
         .then(isValid => {
             return hashPassword(this.password);
@@ -138,6 +226,7 @@ schema.pre('save', function(next) {
         .then(hash => {
             this.password = hash;
             this.verificationToken = token();
+            this.verificationExpire = expire(VERIFICATION_EXPIRE);
             return next();
         })
         .catch(error => {
@@ -145,14 +234,11 @@ schema.pre('save', function(next) {
                 err: error
             });
 
-            if (error.errors) {
+            if (errors.is(error, 'invalid-password-format')) {
                 return next(error);
             }
 
-            let saltError = new Error();
-            saltError.message = 'Cant process request';
-
-            return next(saltError);
+            return next(errors.create('internal-error'));
         });
 });
 
@@ -2,36 +2,49 @@
  * Middleware to verify users accounts
  *
  * Find user with specified verification token
- * If no user found, return 404 status error and response ( handled by `next` )
+ * If no user found, or token expired, redirect to client app error page.
+ * Tokens sent before expiration was added have no expiration date, they are
+ * still valid
+ * `CLIENT_URL` is read on every request, it is checked on start by
+ * scripts/requiredVariables.js
  * If user found, set `verificationToken` to empty string and save user
- * then return default response format with empty response.
+ * then redirect to client app success page.
  */
 'use strict';
 
 const User = require('./user');
+const clock = require('../helpers/clock');
 
 module.exports = function validateAccount(request, response, next) {
+    const successUrl = `${process.env.CLIENT_URL}/verification-link-success/`;
+    const errorUrl = `${process.env.CLIENT_URL}/verification-link-error`;
+    const token = request.params.token;
     const query = {
-        verificationToken: request.params.token
+        verificationToken: token
     };
 
+    if (!token) {
+        return response.redirect(`${errorUrl}?reason=invalid`);
+    }
+
     return User
         .findOne(query)
         .then(user => {
             if (!user) {
-                let error = new Error();
-                error.status = 404;
-                error.message = 'Token already used';
+                return response.redirect(`${errorUrl}?reason=invalid&token=${encodeURIComponent(token)}`);
+            }
+
+            const expire = user.verificationExpire;
 
-                return response.redirect(
-                    'https://www.elmgives.com/verification-link-error?token=' + query.verificationToken
-                );
+            if (expire && expire.getTime() <= clock.now().getTime()) {
+                return response.redirect(`${errorUrl}?reason=expired&email=${encodeURIComponent(user.email)}`);
             }
 
             user.verificationToken = '';
+            user.verificationExpire = undefined;
 
             return user.save()
-                .then(() => response.redirect('https://www.elmgives.com/verification-link-success/'));
+                .then(() => response.redirect(successUrl));
         })
         .catch(next);
 };
@@ -0,0 +1,53 @@
+/**
+ * Validate a two factor code for `user`, either:
+ *     a TOTP code from authenticator app, newer than the last one used
+ *     an unused recovery code, removed once used
+ *
+ * Resolves to true when code is valid, after saving the user, or false.
+ * Secrets stored in plain text, before encryption, are encrypted on the next
+ * valid code.
+ */
+'use strict';
+
+const totp = require('../helpers/totp');
+const cipher = require('../helpers/cipher');
+const hashToken = require('../helpers/hashToken');
+
+module.exports = (user, code) => {
+    const twoFactor = user.twoFactor || {};
+
+    if (!twoFactor.enabled || !twoFactor.secret || !code) {
+        return Promise.resolve(false);
+    }
+
+    let plain;
+
+    try {
+        plain = cipher.reveal(twoFactor.secret);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    if (!cipher.encrypted(twoFactor.secret)) {
+        user.twoFactor.secret = cipher.encrypt(plain);
+    }
+
+    const counter = totp.verify(plain, code);
+
+    if (counter > (twoFactor.lastCounter || 0)) {
+        user.twoFactor.lastCounter = counter;
+
+        return user.save().then(() => true);
+    }
+
+    const digest = hashToken(String(code).trim().toLowerCase());
+    const index = (twoFactor.recoveryCodes || []).indexOf(digest);
+
+    if (index < 0) {
+        return Promise.resolve(false);
+    }
+
+    user.twoFactor.recoveryCodes.splice(index, 1);
+
+    return user.save().then(() => true);
+};
@@ -0,0 +1,46 @@
+/**
+ * Rules shared by request schemas
+ */
+'use strict';
+
+module.exports = {
+    id: {
+        type: 'objectId',
+        required: true
+    },
+
+    /**
+     * Opaque cursor of lists paginated with cursors, see helpers/cursor.js
+     */
+    cursor: {
+        type: 'string',
+        description: '`meta.next` or `meta.prev` of a page, first page if empty'
+    },
+
+    /**
+     * Query for lists, see helpers/queryOptions.js and helpers/queryFilters.js
+     */
+    list: {
+        page: {
+            type: 'integer',
+            min: 1
+        },
+        perPage: {
+            type: 'integer',
+            min: 1,
+            description: 'Items per page, PER_PAGE_LIMIT at most'
+        },
+        fields: {
+            type: 'string',
+            description: 'Comma separated fields to return'
+        },
+        sort: {
+            type: 'string',
+            description: 'Comma separated fields, `-field` for descending order'
+        },
+        filter: {
+            type: 'object',
+            description: '`filter[field]=value` or `filter[field][operator]=value`, operators `eq`, `ne`, `gt`, `gte`, `lt`, `lte`, `in`, `nin`, `exists`, `contains`'
+        }
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * String formats for request schemas, `format: 'email'`
+ */
+'use strict';
+
+const hexColor = require('hex-color-regex');
+const emailValidator = require('../helpers/emailValidator');
+const validateUrl = require('../helpers/validateUrl');
+
+module.exports = {
+    email: value => emailValidator(value),
+    url: value => validateUrl(value),
+    hexColor: value => hexColor({strict: true}).test(value),
+    yearMonth: value => /^\d{4}-\d{2}$/.test(value)
+};
@@ -0,0 +1,173 @@
+/**
+ * Declarative request schemas
+ *
+ *     {
+ *         params: {id: {type: 'objectId', required: true}},
+ *         query: {page: {type: 'integer', min: 1}},
+ *         body: {
+ *             email: {type: 'string', format: 'email', required: true},
+ *             category: {type: 'string', enum: ['suggest', 'comment']}
+ *         }
+ *     }
+ *
+ * Each field is a rule (or just its type, `name: 'string'`) with:
+ *     type: string, number, integer, boolean, objectId, date, object, array
+ *     or any, see ./types.js
+ *     required, enum, format (see ./formats.js), pattern
+ *     min, max: numbers
+ *     minLength, maxLength: strings and arrays
+ *     items: rule for array items
+ *     properties: rules for object properties, unknown properties are removed
+ *     description: used on API docs
+ *
+ * Body is a whitelist, fields not on the schema are removed. Query and params
+ * keep any other value, e.g. list filters.
+ */
+'use strict';
+
+const types = require('./types');
+const formats = require('./formats');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+function rule(value) {
+    return typeof value === 'string' ? {type: value} : value;
+}
+
+function checkObject(properties, source, prefix, errors) {
+    return Object
+        .keys(properties)
+        .reduce((result, key) => {
+            const value = checkValue(properties[key], source[key], `${prefix}.${key}`, errors);
+
+            if (value !== undefined) {
+                result[key] = value;
+            }
+
+            return result;
+        }, {});
+}
+
+function checkValue(field, value, path, errors) {
+    field = rule(field);
+
+    const type = types[field.type || 'any'];
+
+    if (value === undefined || value === null || value === '') {
+        if (field.required) {
+            errors[path] = 'required';
+            return;
+        }
+
+        /**
+         * Null clears optional values, empty strings are only kept for
+         * string fields, `?page=` is the same as no page
+         */
+        return value === '' && field.type !== 'string' ? undefined : value;
+    }
+
+    value = type.coerce ? type.coerce(value) : value;
+
+    if (!type.check(value)) {
+        errors[path] = `must be ${type.label}`;
+        return;
+    }
+
+    if (field.enum && field.enum.indexOf(value) === -1) {
+        errors[path] = `must be one of ${field.enum.join(', ')}`;
+        return;
+    }
+
+    if (field.format && !formats[field.format](value)) {
+        errors[path] = `invalid ${field.format}`;
+        return;
+    }
+
+    if (field.pattern && !field.pattern.test(value)) {
+        errors[path] = 'invalid format';
+        return;
+    }
+
+    if (field.min !== undefined && value < field.min) {
+        errors[path] = `must be at least ${field.min}`;
+        return;
+    }
+
+    if (field.max !== undefined && value > field.max) {
+        errors[path] = `must be at most ${field.max}`;
+        return;
+    }
+
+    if (field.minLength !== undefined && value.length < field.minLength) {
+        errors[path] = `must have at least ${field.minLength} ${field.type === 'array' ? 'items' : 'characters'}`;
+        return;
+    }
+
+    if (field.maxLength !== undefined && value.length > field.maxLength) {
+        errors[path] = `must have at most ${field.maxLength} ${field.type === 'array' ? 'items' : 'characters'}`;
+        return;
+    }
+
+    if (field.items) {
+        return value.map((item, index) => checkValue(field.items, item, `${path}.${index}`, errors));
+    }
+
+    if (field.properties) {
+        return checkObject(field.properties, value, path, errors);
+    }
+
+    return value;
+}
+
+/**
+ * Check `params`, `query` and `body` of `request` against `schema`
+ * Returns {errors, values} where errors are messages by path, like
+ * `body.email`, and values the coerced params, query and body
+ */
+function check(schema, request) {
+    let errors = {};
+    let values = {};
+
+    LOCATIONS
+        .filter(location => schema[location])
+        .forEach(location => {
+            let source = request[location] || {};
+
+            if (!types.object.check(source)) {
+                errors[location] = `must be ${types.object.label}`;
+                source = {};
+            }
+
+            const checked = checkObject(schema[location], source, location, errors);
+
+            values[location] = location === 'body' ?
+                checked : Object.assign({}, source, checked);
+        });
+
+    return {
+        errors: errors,
+        values: values
+    };
+}
+
+/**
+ * Same rules without `required`, e.g. for updates
+ */
+function partial(properties) {
+    return Object
+        .keys(properties)
+        .reduce((result, key) => {
+            result[key] = Object.assign({}, rule(properties[key]), {
+                required: false
+            });
+
+            return result;
+        }, {});
+}
+
+module.exports = {
+    LOCATIONS: LOCATIONS,
+    rule: rule,
+    check: check,
+    partial: partial
+};
@@ -0,0 +1,68 @@
+/**
+ * Types for request schemas
+ * Values from query string, params and urlencoded bodies are strings, `coerce`
+ * turns them into the expected type before `check`
+ */
+'use strict';
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+function numeric(value) {
+    return typeof value === 'string' && value.trim() !== '' && !isNaN(value) ?
+        Number(value) : value;
+}
+
+module.exports = {
+    string: {
+        label: 'a string',
+        coerce: value => typeof value === 'number' ? String(value) : value,
+        check: value => typeof value === 'string'
+    },
+
+    number: {
+        label: 'a number',
+        coerce: numeric,
+        check: value => typeof value === 'number' && isFinite(value)
+    },
+
+    integer: {
+        label: 'an integer',
+        coerce: numeric,
+        check: value => Number.isInteger(value)
+    },
+
+    boolean: {
+        label: 'a boolean',
+        coerce: value => value === 'true' ? true : value === 'false' ? false : value,
+        check: value => typeof value === 'boolean'
+    },
+
+    objectId: {
+        label: 'an id',
+        coerce: value => value && value._bsontype === 'ObjectID' ? String(value) : value,
+        check: value => typeof value === 'string' && OBJECT_ID.test(value)
+    },
+
+    date: {
+        label: 'a date',
+        coerce: value => typeof value === 'string' || typeof value === 'number' ?
+            new Date(value) : value,
+        check: value => value instanceof Date && !isNaN(value.getTime())
+    },
+
+    object: {
+        label: 'an object',
+        check: value => !!value && typeof value === 'object' && !Array.isArray(value)
+    },
+
+    array: {
+        label: 'a list',
+        coerce: value => typeof value === 'string' ? [value] : value,
+        check: value => Array.isArray(value)
+    },
+
+    any: {
+        label: 'a value',
+        check: () => true
+    }
+};
@@ -0,0 +1,99 @@
+/**
+ * API versions
+ *
+ * Every router is mounted once per version, `/v1/users`, `/v2/users`...
+ * Unprefixed paths are an alias of DEFAULT version, shipped mobile apps use
+ * them.
+ *
+ * Routes keep one handler responding with the latest shape, older versions
+ * get their own handler or a response transformer, see ./versioned.js and
+ * ./transform.js
+ */
+'use strict';
+
+/**
+ * Oldest first
+ *     deprecated: responses get `Deprecation` header and a link to the latest
+ *     version
+ *     sunset: date the version stops working, sent on `Sunset` header
+ */
+const VERSIONS = [{
+    name: 'v1',
+    deprecated: true,
+    sunset: process.env.API_V1_SUNSET
+}, {
+    name: 'v2'
+}];
+
+const NAMES = VERSIONS.map(version => version.name);
+const DEFAULT = 'v1';
+const LATEST = NAMES[NAMES.length - 1];
+const PREFIX = new RegExp(`^/(${NAMES.join('|')})(?=/|$)`);
+
+function find(name) {
+    return VERSIONS.filter(version => version.name === name)[0];
+}
+
+/**
+ * Middleware setting `request.apiVersion` and version headers
+ * Requests already handled by a prefixed mount keep their version
+ */
+function version(name) {
+    const options = find(name);
+
+    return function apiVersion(request, response, next) {
+        if (request.apiVersion) {
+            return next();
+        }
+
+        request.apiVersion = name;
+        response.set('API-Version', name);
+
+        if (options.deprecated) {
+            response.set('Deprecation', 'true');
+            response.set('Link', `</${LATEST}${request.url}>; rel="successor-version"`);
+        }
+
+        if (options.sunset) {
+            response.set('Sunset', new Date(options.sunset).toUTCString());
+        }
+
+        return next();
+    };
+}
+
+/**
+ * Mount `api` router on every version prefix and on the root
+ */
+function mount(app, api) {
+    NAMES.forEach(name => app.use(`/${name}`, version(name), api));
+    app.use(version(DEFAULT), api);
+}
+
+/**
+ * Version of a request, also for requests rejected before routing (e.g. rate
+ * limits), by path prefix
+ */
+function of(request) {
+    const match = (request.originalUrl || request.url || '').match(PREFIX);
+
+    return request.apiVersion || (match ? match[1] : DEFAULT);
+}
+
+/**
+ * `/v2/users/1` to `/users/1`, used where paths are matched before routing
+ */
+function strip(path) {
+    return path.replace(PREFIX, '') || '/';
+}
+
+module.exports = {
+    VERSIONS: VERSIONS,
+    NAMES: NAMES,
+    DEFAULT: DEFAULT,
+    LATEST: LATEST,
+    version: version,
+    mount: mount,
+    of: of,
+    strip: strip
+};
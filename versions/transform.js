@@ -0,0 +1,37 @@
+/**
+ * Middleware to change successful responses for some API versions, handlers
+ * respond with the latest shape
+ *
+ *     router.post(PATH, transform({v1: body => body.data}), create)
+ *
+ * Transformers get the response body and the request, and return the body
+ * sent to that version. Error responses are never transformed, lib/sendError
+ * sends them in the format of each version.
+ */
+'use strict';
+
+module.exports = transformers => {
+    function transform(request, response, next) {
+        const transformer = transformers[request.apiVersion];
+
+        if (!transformer) {
+            return next();
+        }
+
+        const json = response.json;
+
+        response.json = function(body) {
+            if (response.statusCode >= 400) {
+                return json.call(response, body);
+            }
+
+            return json.call(response, transformer(body, request));
+        };
+
+        return next();
+    }
+
+    transform.transformers = transformers;
+
+    return transform;
+};
@@ -0,0 +1,38 @@
+/**
+ * Route handler by API version
+ *
+ *     router.get(PATH, versioned({v1: listV1, v2: list}))
+ *
+ * Requests use the handler of their version, or of the closest older one, so
+ * a handler keeps working on newer versions until it's replaced. The oldest
+ * version is required.
+ */
+'use strict';
+
+const versions = require('./index');
+
+module.exports = handlers => {
+    if (!handlers[versions.NAMES[0]]) {
+        throw new Error(`Versioned handlers require a ${versions.NAMES[0]} handler`);
+    }
+
+    function handler(name) {
+        const index = versions.NAMES.indexOf(name);
+
+        return versions.NAMES
+            .slice(0, index + 1)
+            .reverse()
+            .map(version => handlers[version])
+            .filter(Boolean)[0];
+    }
+
+    function versioned(request, response, next) {
+        const selected = handler(request.apiVersion || versions.DEFAULT);
+
+        return selected(request, response, next);
+    }
+
+    versioned.handlers = handlers;
+
+    return versioned;
+};